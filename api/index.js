@@ -1,8 +1,12 @@
 const express = require('express');
 const { ethers } = require('ethers');
 const cors = require('cors');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { MOVE_TYPES, FORFEIT_TYPES, buildDomain, verifyTranscript } = require('./transcript');
+const { FORWARD_REQUEST_TYPES, buildForwarderDomain, createRelayer } = require('./relay');
+const { getGame } = require('../web/game-rules');
 require('dotenv').config();
 
 const app = express();
@@ -17,10 +21,14 @@ app.use(express.static('web'));
 let provider;
 let wallet;
 let contracts = {};
+let relayer = null;
 
 // Contract ABIs (will be loaded from files)
 let ABIS = {};
 
+// Verified move transcripts of committed matches
+const TRANSCRIPTS_DIR = path.join(__dirname, 'transcripts');
+
 // Initialize blockchain connection
 async function initializeBlockchain() {
     try {
@@ -70,34 +78,88 @@ async function loadABIs() {
             "function approve(address,uint256) returns (bool)",
             "function allowance(address,address) view returns (uint256)",
             "function mint(address,uint256) external",
+            "function symbol() view returns (string)",
+            "function decimals() view returns (uint8)",
             "event Transfer(address indexed,address indexed,uint256)"
         ];
 
         // TokenStore ABI
         ABIS.TokenStore = [
-            "function buy(uint256) external",
-            "function getGTAmount(uint256) view returns (uint256)",
-            "function getUSDTAmount(uint256) view returns (uint256)",
-            "function withdrawUSDT(address,uint256) external",
+            "function buy(address,uint256,uint256) external",
+            "function getGTAmount(address,uint256) view returns (uint256)",
+            "function getTokenAmount(address,uint256) view returns (uint256)",
+            "function paymentTokens(address) view returns (bool accepted,uint8 decimals,uint256 gtPerToken,uint256 totalReceived)",
+            "function getPaymentTokens() view returns (address[])",
+            "function withdrawPayments(address,address,uint256) external",
+            "function buyWithETH(uint256) payable",
+            "function buyExactGTWithETH(uint256) payable",
+            "function getGTAmountForETH(uint256) view returns (uint256)",
+            "function getETHAmount(uint256) view returns (uint256)",
+            "function ethUsdFeed() view returns (address)",
+            "function totalEthReceived() view returns (uint256)",
+            "function redeem(address,uint256,uint256) external",
+            "function getRedeemAmount(address,uint256) view returns (uint256 amountOut,uint256 fee)",
+            "function getRedeemableToday(address) view returns (uint256)",
+            "function getRequiredReserve(address) view returns (uint256)",
+            "function outstandingLiability(address) view returns (uint256)",
+            "function redemptionFeeBps() view returns (uint256)",
+            "function dailyRedeemLimit() view returns (uint256)",
+            "function globalDailyRedeemLimit() view returns (uint256)",
             "function totalPurchases() view returns (uint256)",
-            "function totalUSDTReceived() view returns (uint256)",
-            "function getStats() view returns (uint256,uint256,uint256)",
-            "event Purchase(address indexed,uint256,uint256)"
+            "function totalRedemptions() view returns (uint256)",
+            "function getStats() view returns (uint256,uint256)",
+            "event Purchase(address indexed,address indexed,uint256,uint256)",
+            "event Redemption(address indexed,address indexed,uint256,uint256,uint256)"
+        ];
+
+        // GameForwarder ABI (ERC-2771 meta-transactions)
+        ABIS.GameForwarder = [
+            "function verify(tuple(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint48 deadline,bytes data),bytes) view returns (bool)",
+            "function execute(tuple(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint48 deadline,bytes data),bytes) payable returns (bytes)",
+            "function nonces(address) view returns (uint256)",
+            "event ExecutedForwardRequest(address indexed,uint256,bool)"
         ];
 
         // PlayGame ABI
         ABIS.PlayGame = [
             "function createMatch(bytes32,address,address,uint256) external",
+            "function createMatch(bytes32,address,address,uint256,uint256) external",
             "function stake(bytes32) external",
+            "function stakeWithPermit(bytes32,uint256,uint8,bytes32,bytes32) external",
             "function commitResult(bytes32,address) external",
+            "function commitDraw(bytes32) external",
+            "function finalizeResult(bytes32) external",
+            "function disputeWindow() view returns (uint256)",
+            "function proposals(bytes32) view returns (address,uint256,address,bytes32)",
             "function refund(bytes32) external",
-            "function getMatch(bytes32) view returns (tuple(bytes32,address,address,uint256,uint8,uint256,bool,bool))",
+            "function cancelMatch(bytes32) external",
+            "function refundPreStake(address,uint256) external",
+            "function getEscrow(address) view returns (uint256 preStake,uint256 matchStake)",
+            "function totalEscrowed() view returns (uint256)",
+            "function getMatch(bytes32) view returns (tuple(bytes32 matchId,address p1,address p2,uint256 stake,uint8 status,uint256 startTime,bool p1Staked,bool p2Staked,uint256 feeBps,uint256 stakeDeadline))",
+            "function getPlayerMatchCount(address) view returns (uint256)",
+            "function getPlayerMatches(address,uint256,uint256) view returns (bytes32[])",
+            "function getPendingMatchCount() view returns (uint256)",
+            "function getPendingMatches(uint256,uint256) view returns (bytes32[])",
             "function canRefund(bytes32) view returns (bool)",
-            "function getStats() view returns (uint256,uint256,uint256)",
+            "function getStats() view returns (uint256,uint256,uint256,uint256,uint256)",
+            "function treasury() view returns (address)",
+            "function gameTypeCount() view returns (uint256)",
+            "function getGameType(uint256) view returns (tuple(string name,uint256 minStake,uint256 maxStake,uint256 timeout,bool active))",
+            "function gameTypeStats(uint256) view returns (uint256 matches,uint256 volume)",
+            "function matchGameType(bytes32) view returns (uint256)",
             "event MatchCreated(bytes32 indexed,address indexed,address indexed,uint256)",
             "event Staked(bytes32 indexed,address indexed,uint256)",
             "event Settled(bytes32 indexed,address indexed,uint256)",
-            "event Refunded(bytes32 indexed,address indexed,uint256)"
+            "event Refunded(bytes32 indexed,address indexed,uint256)",
+            "event Drawn(bytes32 indexed,address indexed,address indexed,uint256)",
+            "event ResultProposed(bytes32 indexed,address indexed,uint256)",
+            "event ResultDisputed(bytes32 indexed,address indexed,bytes32,bytes)",
+            "event DisputeResolved(bytes32 indexed,address indexed,address indexed)",
+            "event PlatformFeeCollected(bytes32 indexed,address indexed,uint256)",
+            "event MatchCancelled(bytes32 indexed,address indexed)",
+            "event MatchGameType(bytes32 indexed,uint256 indexed)",
+            "event PreStakeDeposited(address indexed,uint256)"
         ];
 
         console.log('📝 ABIs loaded successfully');
@@ -134,6 +196,29 @@ async function initializeContracts() {
             wallet
         );
 
+        // Gasless relaying is only available when a forwarder is deployed
+        if (process.env.FORWARDER_ADDR) {
+            contracts.forwarder = new ethers.Contract(
+                process.env.FORWARDER_ADDR,
+                ABIS.GameForwarder,
+                wallet
+            );
+
+            relayer = createRelayer({
+                forwarder: contracts.forwarder,
+                targets: {
+                    [process.env.PLAYGAME_ADDR]: new ethers.Interface(ABIS.PlayGame),
+                    [process.env.TOKENSTORE_ADDR]: new ethers.Interface(ABIS.TokenStore)
+                },
+                maxGas: parseInt(process.env.RELAY_MAX_GAS || '500000'),
+                rateLimit: {
+                    max: parseInt(process.env.RELAY_RATE_LIMIT || '10'),
+                    windowMs: parseInt(process.env.RELAY_RATE_WINDOW_MS || String(60 * 60 * 1000))
+                }
+            });
+            console.log('⛽ Meta-transaction relayer enabled');
+        }
+
         console.log('🎮 Contracts initialized');
     } catch (error) {
         console.error('❌ Contract initialization failed:', error.message);
@@ -141,6 +226,142 @@ async function initializeContracts() {
     }
 }
 
+// ========== MATCHES ==========
+
+// Order matches PlayGame.MatchStatus
+const MATCH_STATUS = ['CREATED', 'STAKED', 'SETTLED', 'REFUNDED', 'DRAWN', 'PROPOSED', 'DISPUTED', 'CANCELLED'];
+const MAX_PAGE_SIZE = 100;
+
+// Shape a PlayGame.Match struct for API responses
+function formatMatch(match) {
+    return {
+        matchId: match.matchId,
+        player1: match.p1,
+        player2: match.p2,
+        stakeAmount: ethers.formatEther(match.stake),
+        totalStake: ethers.formatEther(match.stake * 2n),
+        status: Number(match.status),
+        statusName: MATCH_STATUS[Number(match.status)],
+        startedAt: match.startTime > 0 ? new Date(Number(match.startTime) * 1000).toISOString() : null,
+        player1Staked: match.p1Staked,
+        player2Staked: match.p2Staked,
+        feeBps: Number(match.feeBps),
+        stakeDeadline: new Date(Number(match.stakeDeadline) * 1000).toISOString()
+    };
+}
+
+// Read offset/limit query params, capping the page size
+function getPage(query) {
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), MAX_PAGE_SIZE);
+    return { offset, limit };
+}
+
+async function getFormattedMatches(matchIds) {
+    const matches = await Promise.all(matchIds.map(id => contracts.playGame.getMatch(id)));
+    return matches.map(formatMatch);
+}
+
+// ========== GAME TYPES ==========
+
+// Every game type registered on PlayGame, with its per-game match stats
+async function getGameTypes() {
+    const count = Number(await contracts.playGame.gameTypeCount());
+    const ids = Array.from({ length: count }, (_, id) => id);
+
+    return Promise.all(ids.map(async (id) => {
+        const [game, stats] = await Promise.all([
+            contracts.playGame.getGameType(id),
+            contracts.playGame.gameTypeStats(id)
+        ]);
+        return {
+            id,
+            name: game.name,
+            minStake: ethers.formatEther(game.minStake),
+            maxStake: game.maxStake > 0n ? ethers.formatEther(game.maxStake) : null,
+            timeoutSeconds: Number(game.timeout),
+            active: game.active,
+            matches: stats.matches.toString(),
+            volume: ethers.formatEther(stats.volume)
+        };
+    }));
+}
+
+// Resolve a game type given by id or by registered name
+async function resolveGameType(gameType) {
+    const games = await getGameTypes();
+    const game = games.find(candidate =>
+        String(candidate.id) === String(gameType) || candidate.name === gameType
+    );
+    return game || null;
+}
+
+// ========== TRANSCRIPTS ==========
+
+// EIP-712 domain players sign their moves under
+async function getTranscriptDomain() {
+    const network = await provider.getNetwork();
+    return buildDomain(network.chainId, process.env.PLAYGAME_ADDR);
+}
+
+// The matchmaking server sends MATCHMAKING_API_KEY with results it vouches
+// for; it is the only caller whose timeout claims are believed
+function isMatchmakingServer(req) {
+    const key = process.env.MATCHMAKING_API_KEY;
+    const presented = req.get('x-matchmaking-key');
+    if (!key || !presented) {
+        return false;
+    }
+    const expected = Buffer.from(key);
+    const actual = Buffer.from(presented);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Replay a transcript against the domain and players of the on-chain match
+async function verifyMatchTranscript(matchIdBytes32, transcript, { allowTimeout = false } = {}) {
+    const match = await contracts.playGame.getMatch(matchIdBytes32);
+    if (match.matchId === ethers.ZeroHash) {
+        return { valid: false, error: 'match does not exist on-chain' };
+    }
+    const game = await contracts.playGame.getGameType(await contracts.playGame.matchGameType(matchIdBytes32));
+
+    return verifyTranscript(transcript, {
+        matchId: matchIdBytes32,
+        domain: await getTranscriptDomain(),
+        player1: match.p1,
+        player2: match.p2,
+        gameType: game.name,
+        allowTimeout
+    });
+}
+
+// Deadline of the proposal a commit created, or null if it settled immediately
+function getDisputeDeadline(receipt) {
+    for (const log of receipt.logs) {
+        const parsed = contracts.playGame.interface.parseLog(log);
+        if (parsed && parsed.name === 'ResultProposed') {
+            return new Date(Number(parsed.args[2]) * 1000).toISOString();
+        }
+    }
+    return null;
+}
+
+function saveTranscript(matchIdBytes32, transcript, txHash) {
+    try {
+        if (!fs.existsSync(TRANSCRIPTS_DIR)) {
+            fs.mkdirSync(TRANSCRIPTS_DIR, { recursive: true });
+        }
+
+        const record = { matchId: matchIdBytes32, txHash, transcript };
+        fs.writeFileSync(
+            path.join(TRANSCRIPTS_DIR, `${matchIdBytes32.toLowerCase()}.json`),
+            JSON.stringify(record, null, 2)
+        );
+    } catch (error) {
+        console.error('❌ Failed to save transcript:', error.message);
+    }
+}
+
 // ========== API ROUTES ==========
 
 // Health check
@@ -152,7 +373,8 @@ app.get('/health', (req, res) => {
             GAME_TOKEN: process.env.GAMETOKEN_ADDR,
             TOKEN_STORE: process.env.TOKENSTORE_ADDR,
             PLAY_GAME: process.env.PLAYGAME_ADDR,
-            MOCK_USDT: process.env.MOCKUSDT_ADDR
+            MOCK_USDT: process.env.MOCKUSDT_ADDR,
+            FORWARDER: process.env.FORWARDER_ADDR || null
         }
     });
 });
@@ -187,28 +409,135 @@ app.get('/usdt-balance/:address', async (req, res) => {
     }
 });
 
+// Accepted payment tokens with their decimals and GT rate
+async function getPaymentTokens() {
+    const addresses = await contracts.tokenStore.getPaymentTokens();
+    return Promise.all(addresses.map(async address => {
+        const token = new ethers.Contract(address, ABIS.ERC20, provider);
+        const [entry, symbol, liability, requiredReserve, reserve] = await Promise.all([
+            contracts.tokenStore.paymentTokens(address),
+            token.symbol(),
+            contracts.tokenStore.outstandingLiability(address),
+            contracts.tokenStore.getRequiredReserve(address),
+            token.balanceOf(process.env.TOKENSTORE_ADDR)
+        ]);
+        return {
+            address,
+            symbol,
+            decimals: Number(entry.decimals),
+            gtPerToken: ethers.formatEther(entry.gtPerToken),
+            totalReceived: ethers.formatUnits(entry.totalReceived, entry.decimals),
+            reserve: ethers.formatUnits(reserve, entry.decimals),
+            outstandingLiability: ethers.formatUnits(liability, entry.decimals),
+            requiredReserve: ethers.formatUnits(requiredReserve, entry.decimals)
+        };
+    }));
+}
+
+// ETH purchase availability and the current feed price in GT; players send
+// buyWithETH from their own wallet, never the operator's
+async function getEthPurchaseInfo() {
+    const feed = await contracts.tokenStore.ethUsdFeed();
+    if (feed === ethers.ZeroAddress) {
+        return { enabled: false };
+    }
+    try {
+        const gtPerEth = await contracts.tokenStore.getGTAmountForETH(ethers.parseEther('1'));
+        return { enabled: true, available: true, feed, gtPerEth: ethers.formatEther(gtPerEth) };
+    } catch (error) {
+        // Stale or jumpy prices block ETH purchases until the feed recovers
+        return { enabled: true, available: false, feed, error: error.reason || error.message };
+    }
+}
+
+// List payment tokens the store accepts
+app.get('/payment-tokens', async (req, res) => {
+    try {
+        const [tokens, eth] = await Promise.all([getPaymentTokens(), getEthPurchaseInfo()]);
+        res.json({ tokens, eth });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Purchase tokens - calls TokenStore.buy()
 app.get('/purchase', async (req, res) => {
     try {
-        const { amount } = req.query;
+        const { amount, minGtOut } = req.query;
+        const token = req.query.token || process.env.MOCKUSDT_ADDR;
         if (!amount || amount <= 0) {
             return res.status(400).json({ error: 'Invalid amount parameter' });
         }
+        if (!ethers.isAddress(token)) {
+            return res.status(400).json({ error: 'Invalid token parameter' });
+        }
+
+        const paymentToken = await contracts.tokenStore.paymentTokens(token);
+        if (!paymentToken.accepted) {
+            return res.status(400).json({ error: 'Payment token not accepted' });
+        }
 
-        const usdtAmount = ethers.parseUnits(amount.toString(), 6);
+        const tokenAmount = ethers.parseUnits(amount.toString(), paymentToken.decimals);
+        const gtAmount = await contracts.tokenStore.getGTAmount(token, tokenAmount);
+        const minGt = minGtOut ? ethers.parseEther(minGtOut.toString()) : gtAmount;
 
         // Call TokenStore.buy() function
-        const tx = await contracts.tokenStore.buy(usdtAmount);
+        const tx = await contracts.tokenStore.buy(token, tokenAmount, minGt);
         await tx.wait();
 
-        const gtAmount = await contracts.tokenStore.getGTAmount(usdtAmount);
-
         res.json({
             success: true,
             txHash: tx.hash,
-            usdtAmount: amount,
+            token,
+            amount: amount,
             gtAmount: ethers.formatEther(gtAmount),
-            rate: '1:1'
+            gtPerToken: ethers.formatEther(paymentToken.gtPerToken)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Redemption limit as a string, or null when unlimited
+function formatRedeemLimit(limit) {
+    return limit === 0n || limit === ethers.MaxUint256 ? null : ethers.formatEther(limit);
+}
+
+// Quote a GT redemption and, given an address, its remaining daily allowance;
+// players send redeem from their own wallet, never the operator's
+app.get('/redeem/quote', async (req, res) => {
+    try {
+        const { amount, address } = req.query;
+        const token = req.query.token || process.env.MOCKUSDT_ADDR;
+        if (!amount || amount <= 0) {
+            return res.status(400).json({ error: 'Invalid amount parameter' });
+        }
+        if (!ethers.isAddress(token)) {
+            return res.status(400).json({ error: 'Invalid token parameter' });
+        }
+        if (address && !ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid address parameter' });
+        }
+
+        const paymentToken = await contracts.tokenStore.paymentTokens(token);
+        if (!paymentToken.accepted) {
+            return res.status(400).json({ error: 'Payment token not accepted' });
+        }
+
+        const gtAmount = ethers.parseEther(amount.toString());
+        const [[amountOut, fee], feeBps, redeemableToday] = await Promise.all([
+            contracts.tokenStore.getRedeemAmount(token, gtAmount),
+            contracts.tokenStore.redemptionFeeBps(),
+            address ? contracts.tokenStore.getRedeemableToday(address) : undefined
+        ]);
+
+        res.json({
+            token,
+            gtAmount: amount,
+            amountOut: ethers.formatUnits(amountOut, paymentToken.decimals),
+            fee: ethers.formatUnits(fee, paymentToken.decimals),
+            feeBps: feeBps.toString(),
+            redeemableToday: address ? formatRedeemLimit(redeemableToday) : undefined
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -243,9 +572,9 @@ app.post('/faucet/usdt', async (req, res) => {
 app.post('/match/start', async (req, res) => {
     try {
         console.log('Received match creation request:', req.body);
-        const { p1, p2, stake, matchId } = req.body;
+        const { p1, p2, stake, matchId, gameType = 0 } = req.body;
 
-        console.log('Extracted parameters:', { p1, p2, stake, matchId });
+        console.log('Extracted parameters:', { p1, p2, stake, matchId, gameType });
 
         if (!p1 || !p2 || !stake) {
             console.log('Missing parameters detected:', {
@@ -256,6 +585,19 @@ app.post('/match/start', async (req, res) => {
             return res.status(400).json({ error: 'Missing required parameters: p1, p2, stake' });
         }
 
+        // Game type by id or registered name, e.g. 0 or "tictactoe"
+        const game = await resolveGameType(gameType);
+        if (!game) {
+            return res.status(400).json({ error: `Unknown game type: ${gameType}` });
+        }
+        if (!game.active) {
+            return res.status(400).json({ error: `Game type ${game.name} is not active` });
+        }
+        // Results are only accepted with a transcript replayed under the game's rules
+        if (!getGame(game.name)) {
+            return res.status(400).json({ error: `No rules for game type ${game.name}` });
+        }
+
         // Generate unique matchId using p1, p2, and timestamp (as specified)
         const timestamp = Math.floor(Date.now() / 1000);
         const uniqueMatchId = matchId || `match_${p1.slice(-6)}_${p2.slice(-6)}_${timestamp}`;
@@ -267,11 +609,14 @@ app.post('/match/start', async (req, res) => {
 
         const stakeAmount = ethers.parseEther(stake.toString());
 
-        // Call createMatch on the contract
-        const tx = await contracts.playGame.createMatch(matchIdBytes32, p1, p2, stakeAmount);
+        // Call createMatch on the contract, which checks the game's stake bounds
+        const tx = await contracts.playGame['createMatch(bytes32,address,address,uint256,uint256)'](
+            matchIdBytes32, p1, p2, stakeAmount, game.id
+        );
         await tx.wait();
 
         console.log(`✅ Match created: ${uniqueMatchId} (${matchIdBytes32})`);
+        console.log(`   Game: ${game.name} (type ${game.id})`);
         console.log(`   Players: ${p1} vs ${p2}`);
         console.log(`   Stake: ${stake} GT each`);
 
@@ -282,6 +627,8 @@ app.post('/match/start', async (req, res) => {
             matchIdString: uniqueMatchId,
             players: [p1, p2],
             stake: stake,
+            gameType: game.id,
+            gameName: game.name,
             timestamp
         });
     } catch (error) {
@@ -306,15 +653,22 @@ app.post('/match/stake', async (req, res) => {
     }
 });
 
-// Submit match result - calls commitResult (Backend/Operator only)
+// Submit match result - calls commitResult, or commitDraw for draws (Backend/Operator only)
 app.post('/match/result', async (req, res) => {
     try {
-        const { matchId, winner } = req.body;
+        const { matchId, winner, result, transcript } = req.body;
 
-        if (!matchId || !winner) {
+        // A draw is sent either as result: 'DRAW' or as the zero address winner
+        const isDraw = result === 'DRAW' || winner === ethers.ZeroAddress;
+
+        if (!matchId || (!winner && !isDraw)) {
             return res.status(400).json({ error: 'matchId and winner required' });
         }
 
+        if (!transcript || !Array.isArray(transcript.moves)) {
+            return res.status(400).json({ error: 'Signed move transcript required' });
+        }
+
         // Convert matchId to bytes32 if it's a string
         let matchIdBytes32;
         if (typeof matchId === 'string') {
@@ -331,22 +685,75 @@ app.post('/match/result', async (req, res) => {
             matchIdBytes32 = matchId;
         }
 
+        // Replay the signed transcript against the players recorded on-chain
+        const verification = await verifyMatchTranscript(matchIdBytes32, transcript, {
+            allowTimeout: isMatchmakingServer(req)
+        });
+        if (!verification.valid) {
+            return res.status(400).json({ error: `Invalid transcript: ${verification.error}` });
+        }
+
+        const transcriptIsDraw = verification.result === 'DRAW';
+        if (isDraw !== transcriptIsDraw ||
+            (!isDraw && verification.winner.toLowerCase() !== winner.toLowerCase())) {
+            return res.status(400).json({
+                error: 'Claimed result does not match the transcript',
+                transcriptResult: verification.result,
+                transcriptWinner: verification.winner
+            });
+        }
+
         console.log(`🎮 Submitting match result:`);
         console.log(`   Match ID: ${matchId} (${matchIdBytes32})`);
-        console.log(`   Winner: ${winner}`);
+        console.log(`   Winner: ${isDraw ? 'DRAW' : winner}`);
+        console.log(`   Transcript: ${transcript.moves.length} signed moves (${verification.reason})`);
+
+        if (isDraw) {
+            // Call commitDraw on the smart contract
+            const tx = await contracts.playGame.commitDraw(matchIdBytes32);
+            const receipt = await tx.wait();
+            const disputeDeadline = getDisputeDeadline(receipt);
+
+            console.log(disputeDeadline
+                ? `⏳ Match draw proposed! Stakes returned after the dispute window.`
+                : `✅ Match draw submitted! Stakes returned to both players.`);
+            saveTranscript(matchIdBytes32, transcript, tx.hash);
+
+            return res.json({
+                success: true,
+                txHash: tx.hash,
+                matchId: matchIdBytes32,
+                winner: null,
+                result: 'DRAW',
+                proposed: !!disputeDeadline,
+                disputeDeadline,
+                message: disputeDeadline
+                    ? `Draw proposed, stakes are returned after ${disputeDeadline} unless disputed`
+                    : 'Match drawn, each player receives their stake back'
+            });
+        }
 
         // Call commitResult on the smart contract
         const tx = await contracts.playGame.commitResult(matchIdBytes32, winner);
-        await tx.wait();
+        const receipt = await tx.wait();
+        const disputeDeadline = getDisputeDeadline(receipt);
 
-        console.log(`✅ Match result submitted! Winner gets 2x stake.`);
+        console.log(disputeDeadline
+            ? `⏳ Match result proposed! Winner is paid after the dispute window.`
+            : `✅ Match result submitted! Winner gets 2x stake less the platform fee.`);
+        saveTranscript(matchIdBytes32, transcript, tx.hash);
 
         res.json({
             success: true,
             txHash: tx.hash,
             matchId: matchIdBytes32,
             winner,
-            message: `Winner ${winner} receives 2x stake amount`
+            result: 'WIN',
+            proposed: !!disputeDeadline,
+            disputeDeadline,
+            message: disputeDeadline
+                ? `Result proposed, ${winner} receives 2x stake less the platform fee after ${disputeDeadline} unless disputed`
+                : `Winner ${winner} receives 2x stake amount less the platform fee`
         });
     } catch (error) {
         console.error('Error submitting match result:', error);
@@ -354,6 +761,31 @@ app.post('/match/result', async (req, res) => {
     }
 });
 
+// Finalize an undisputed proposed result once its dispute window has passed
+app.post('/match/finalize', async (req, res) => {
+    try {
+        const { matchId } = req.body;
+
+        if (!matchId) {
+            return res.status(400).json({ error: 'matchId required' });
+        }
+
+        const tx = await contracts.playGame.finalizeResult(matchId);
+        await tx.wait();
+
+        console.log(`✅ Match result finalized: ${matchId}`);
+
+        res.json({
+            success: true,
+            txHash: tx.hash,
+            matchId
+        });
+    } catch (error) {
+        console.error('Error finalizing match result:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Refund pre-staked amount (for matchmaking timeouts)
 app.post('/match/refund-prestake', async (req, res) => {
     try {
@@ -369,6 +801,15 @@ app.post('/match/refund-prestake', async (req, res) => {
 
         const amountWei = ethers.parseEther(amount.toString());
 
+        // The contract only refunds GT the player deposited and hasn't staked
+        const { preStake } = await contracts.playGame.getEscrow(player);
+        if (amountWei > preStake) {
+            return res.status(400).json({
+                error: 'Amount exceeds player pre-stake',
+                preStake: ethers.formatEther(preStake)
+            });
+        }
+
         // Call refundPreStake on the smart contract
         const tx = await contracts.playGame.refundPreStake(player, amountWei);
         await tx.wait();
@@ -388,29 +829,53 @@ app.post('/match/refund-prestake', async (req, res) => {
     }
 });
 
+// Get a player's escrowed GT (unused pre-stake and stakes locked in matches)
+app.get('/player/:address/escrow', async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Valid player address required' });
+        }
+
+        const { preStake, matchStake } = await contracts.playGame.getEscrow(address);
+
+        res.json({
+            success: true,
+            player: address,
+            preStake: ethers.formatEther(preStake),
+            matchStake: ethers.formatEther(matchStake)
+        });
+    } catch (error) {
+        console.error('Error fetching player escrow:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Get matches for a specific player (pending stakes)
 app.get('/matches/for-player/:address', async (req, res) => {
     try {
         const { address } = req.params;
 
-        if (!address) {
-            return res.status(400).json({ error: 'Player address required' });
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Valid player address required' });
         }
 
-        // This would typically query a database or event logs
-        // For now, return a sample response structure
-        const pendingMatches = [];
+        // Walk the player's match index for matches still waiting on their stake
+        const count = Number(await contracts.playGame.getPlayerMatchCount(address));
+        const matchIds = await contracts.playGame.getPlayerMatches(address, 0, count);
+        const matches = await getFormattedMatches(matchIds);
 
-        // In a real implementation, you'd query event logs:
-        // - Filter MatchCreated events where p1 or p2 == address
-        // - Check match status to see if player has staked
-        // - Return matches where status is WAITING_FOR_STAKES
+        const pendingMatches = matches.filter(match => {
+            if (match.statusName !== 'CREATED') return false;
+            const isPlayer1 = match.player1.toLowerCase() === address.toLowerCase();
+            return isPlayer1 ? !match.player1Staked : !match.player2Staked;
+        });
 
         res.json({
             success: true,
             player: address,
-            pendingMatches,
-            message: "Use event listeners to populate real match data"
+            pendingMatches
         });
     } catch (error) {
         console.error('Error fetching player matches:', error);
@@ -424,23 +889,53 @@ app.get('/match/:matchId', async (req, res) => {
         const { matchId } = req.params;
         const match = await contracts.playGame.getMatch(matchId);
 
+        if (match.matchId === ethers.ZeroHash) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+
+        const gameType = Number(await contracts.playGame.matchGameType(matchId));
+        const game = await contracts.playGame.getGameType(gameType);
+
+        res.json({ ...formatMatch(match), gameType, gameName: game.name });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the signed move transcript of a committed match so anyone can re-verify it
+app.get('/match/:matchId/transcript', async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const filePath = path.join(TRANSCRIPTS_DIR, `${matchId.toLowerCase()}.json`);
+
+        if (!/^0x[0-9a-fA-F]{64}$/.test(matchId) || !fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Transcript not found' });
+        }
+
+        const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        // A stored timeout was vouched for by the matchmaking server when it was committed
+        const verification = await verifyMatchTranscript(matchId, record.transcript, { allowTimeout: true });
+
         res.json({
-            matchId: match[0].toString(),
-            player1: match[1],
-            player2: match[2],
-            stakeAmount: ethers.formatEther(match[3]),
-            totalStake: ethers.formatEther(match[4]),
-            status: match[5],
-            createdAt: new Date(Number(match[6]) * 1000).toISOString(),
-            completedAt: match[7] > 0 ? new Date(Number(match[7]) * 1000).toISOString() : null,
-            winner: match[8]
+            matchId,
+            txHash: record.txHash,
+            domain: await getTranscriptDomain(),
+            types: { ...MOVE_TYPES, ...FORFEIT_TYPES },
+            transcript: record.transcript,
+            verification: {
+                valid: verification.valid,
+                result: verification.result,
+                winner: verification.winner,
+                reason: verification.reason,
+                error: verification.error
+            }
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Refund expired match
+// Refund expired match - cancels a match that was not fully staked by its deadline
 app.post('/match/refund', async (req, res) => {
     try {
         const { matchId } = req.body;
@@ -449,68 +944,93 @@ app.post('/match/refund', async (req, res) => {
             return res.status(400).json({ error: 'matchId required' });
         }
 
+        const match = await contracts.playGame.getMatch(matchId);
+        if (match.matchId === ethers.ZeroHash) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        if (MATCH_STATUS[Number(match.status)] !== 'CREATED') {
+            return res.status(400).json({ error: 'Only matches still waiting for stakes can be cancelled' });
+        }
+
+        // The operator wallet isn't a participant, so it can only cancel after the deadline
+        const latestBlock = await provider.getBlock('latest');
+        if (BigInt(latestBlock.timestamp) < match.stakeDeadline) {
+            return res.status(400).json({
+                error: 'Stake deadline not reached',
+                stakeDeadline: formatMatch(match).stakeDeadline
+            });
+        }
+
         const tx = await contracts.playGame.cancelMatch(matchId);
         await tx.wait();
 
+        console.log(`↩️  Match cancelled and stakes refunded: ${matchId}`);
+
         res.json({
             success: true,
             txHash: tx.hash,
-            matchId
+            matchId,
+            refunded: [
+                match.p1Staked ? match.p1 : null,
+                match.p2Staked ? match.p2 : null
+            ].filter(Boolean)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get pending matches
+// Get pending matches (created but not fully staked)
 app.get('/matches/pending', async (req, res) => {
     try {
-        const limit = req.query.limit || 10;
-        const matchIds = await contracts.playGame.getPendingMatches(limit);
-
-        const matches = [];
-        for (let id of matchIds) {
-            const match = await contracts.playGame.getMatch(id);
-            matches.push({
-                matchId: match[0].toString(),
-                player1: match[1],
-                player2: match[2],
-                stakeAmount: ethers.formatEther(match[3]),
-                totalStake: ethers.formatEther(match[4]),
-                status: match[5],
-                createdAt: new Date(Number(match[6]) * 1000).toISOString()
-            });
-        }
+        const { offset, limit } = getPage(req.query);
+        const [total, matchIds] = await Promise.all([
+            contracts.playGame.getPendingMatchCount(),
+            contracts.playGame.getPendingMatches(offset, limit)
+        ]);
 
-        res.json({ matches });
+        res.json({
+            matches: await getFormattedMatches(matchIds),
+            total: Number(total),
+            offset,
+            limit
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get player matches
+// Get player matches, oldest first
 app.get('/player/:address/matches', async (req, res) => {
     try {
         const { address } = req.params;
-        const matchIds = await contracts.playGame.getPlayerMatches(address);
-
-        const matches = [];
-        for (let id of matchIds) {
-            const match = await contracts.playGame.getMatch(id);
-            matches.push({
-                matchId: match[0].toString(),
-                player1: match[1],
-                player2: match[2],
-                stakeAmount: ethers.formatEther(match[3]),
-                totalStake: ethers.formatEther(match[4]),
-                status: match[5],
-                createdAt: new Date(Number(match[6]) * 1000).toISOString(),
-                completedAt: match[7] > 0 ? new Date(Number(match[7]) * 1000).toISOString() : null,
-                winner: match[8]
-            });
+
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Valid player address required' });
         }
 
-        res.json({ matches });
+        const { offset, limit } = getPage(req.query);
+        const [total, matchIds] = await Promise.all([
+            contracts.playGame.getPlayerMatchCount(address),
+            contracts.playGame.getPlayerMatches(address, offset, limit)
+        ]);
+
+        res.json({
+            player: address,
+            matches: await getFormattedMatches(matchIds),
+            total: Number(total),
+            offset,
+            limit
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List registered game types with their stake bounds, timeout and stats
+app.get('/games', async (req, res) => {
+    try {
+        res.json({ games: await getGameTypes() });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -519,20 +1039,31 @@ app.get('/player/:address/matches', async (req, res) => {
 // Get platform stats
 app.get('/stats', async (req, res) => {
     try {
-        const [totalMatches, totalStaked, totalPayouts, platformFee] = await contracts.playGame.getStats();
-        const [totalPurchases, totalUSDTReceived, treasury] = await contracts.tokenStore.getStats();
+        const [totalMatches, totalStaked, totalPayouts, platformFee, totalFeesCollected] = await contracts.playGame.getStats();
+        const [totalPurchases] = await contracts.tokenStore.getStats();
 
         res.json({
             matches: {
                 total: totalMatches.toString(),
                 totalStaked: ethers.formatEther(totalStaked),
-                totalPayouts: ethers.formatEther(totalPayouts),
-                platformFeePercentage: platformFee.toString()
+                totalPayouts: ethers.formatEther(totalPayouts), // Net of platform fees
+                platformFeeBps: platformFee.toString(),
+                platformFeePercentage: (Number(platformFee) / 100).toString(),
+                totalFeesCollected: ethers.formatEther(totalFeesCollected),
+                totalEscrowed: ethers.formatEther(await contracts.playGame.totalEscrowed()),
+                feeTreasury: await contracts.playGame.treasury()
             },
+            games: await getGameTypes(),
             purchases: {
                 total: totalPurchases.toString(),
-                totalUSDTReceived: ethers.formatUnits(totalUSDTReceived, 6),
-                treasury
+                paymentTokens: await getPaymentTokens(),
+                totalEthReceived: ethers.formatEther(await contracts.tokenStore.totalEthReceived())
+            },
+            redemptions: {
+                total: (await contracts.tokenStore.totalRedemptions()).toString(),
+                feeBps: (await contracts.tokenStore.redemptionFeeBps()).toString(),
+                dailyLimitPerAddress: formatRedeemLimit(await contracts.tokenStore.dailyRedeemLimit()),
+                dailyLimitGlobal: formatRedeemLimit(await contracts.tokenStore.globalDailyRedeemLimit())
             }
         });
     } catch (error) {
@@ -540,6 +1071,64 @@ app.get('/stats', async (req, res) => {
     }
 });
 
+// ========== META-TRANSACTIONS ==========
+
+// Everything a client needs to sign a ForwardRequest
+app.get('/relay/config', async (req, res) => {
+    try {
+        if (!relayer) {
+            return res.status(503).json({ error: 'Relaying not configured' });
+        }
+
+        const { chainId } = await provider.getNetwork();
+        const { address } = req.query;
+
+        res.json({
+            domain: buildForwarderDomain(chainId, process.env.FORWARDER_ADDR),
+            types: FORWARD_REQUEST_TYPES,
+            nonce: ethers.isAddress(address) ? (await contracts.forwarder.nonces(address)).toString() : undefined
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Submit a player-signed call (stake, stakeWithPermit, buy) paying the gas for them
+app.post('/relay', async (req, res) => {
+    try {
+        if (!relayer) {
+            return res.status(503).json({ error: 'Relaying not configured' });
+        }
+
+        const { request, signature } = req.body;
+        if (!request || !signature) {
+            return res.status(400).json({ error: 'request and signature required' });
+        }
+
+        const validation = await relayer.validate(request, signature);
+        if (!validation.valid) {
+            return res.status(validation.status).json({ error: validation.error });
+        }
+
+        console.log(`⛽ Relaying ${validation.functionName} for ${validation.request.from}`);
+
+        const tx = await relayer.submit(validation.request, signature);
+        await tx.wait();
+
+        console.log(`✅ Relayed transaction: ${tx.hash}`);
+
+        res.json({
+            success: true,
+            txHash: tx.hash,
+            from: validation.request.from,
+            function: validation.functionName
+        });
+    } catch (error) {
+        console.error('Error relaying request:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Serve frontend
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../web/index.html'));
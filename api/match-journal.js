@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Append-only journal of matchmaking state, one JSON record per line, so the
+// matchmaking server can rebuild its queues and matches after a restart.
+// Records are { type, at, ...data }:
+//   queued      { entry }                 player waiting for an opponent
+//   dequeued    { address }               player left the queue (matched, cancelled, expired)
+//   match       { match }                 match created or changed; the latest record wins
+//   move        { matchId, move, clock }  signed move played in a match, and the clocks after it
+//   matchClosed { matchId }               match done with and forgotten
+const JOURNAL_VERSION = 1;
+
+// Match fields worth keeping; socket ids die with the process and the board
+// is rebuilt by replaying the moves
+const MATCH_FIELDS = [
+    'matchId', 'player1', 'player2', 'stake', 'gameType', 'status', 'gameActive',
+    'player1Staked', 'player2Staked', 'blockchainMatchId', 'result', 'endReason', 'forfeit',
+    'timeControl', 'clock', 'timeout', 'ratings'
+];
+
+// Just what recovery reads from and sends to PlayGame
+const PLAYGAME_RECOVERY_ABI = [
+    'function getMatch(bytes32) view returns (tuple(bytes32 matchId,address p1,address p2,uint256 stake,uint8 status,uint256 startTime,bool p1Staked,bool p2Staked,uint256 feeBps,uint256 stakeDeadline))',
+    'function canRefund(bytes32) view returns (bool)',
+    'function refund(bytes32) external',
+    'function cancelMatch(bytes32) external'
+];
+
+const MATCH_STATUS = ['CREATED', 'STAKED', 'SETTLED', 'REFUNDED', 'DRAWN', 'PROPOSED', 'DISPUTED', 'CANCELLED'];
+
+function matchRecord(match) {
+    const record = {};
+    for (const field of MATCH_FIELDS) {
+        if (match[field] !== undefined) {
+            record[field] = match[field];
+        }
+    }
+    return record;
+}
+
+/**
+ * Fold journal records into the state they describe.
+ * @param {object[]} records in the order they were written
+ * @returns {object} { queue: Map address -> entry, matches: Map matchId -> match with moves }
+ */
+function replayRecords(records) {
+    const queue = new Map();
+    const matches = new Map();
+
+    for (const record of records) {
+        switch (record.type) {
+            case 'queued':
+                queue.set(record.entry.address, record.entry);
+                break;
+            case 'dequeued':
+                queue.delete(record.address);
+                break;
+            case 'match': {
+                const existing = matches.get(record.match.matchId);
+                matches.set(record.match.matchId, { moves: [], ...existing, ...record.match });
+                break;
+            }
+            case 'move': {
+                const match = matches.get(record.matchId);
+                if (match) {
+                    match.moves.push(record.move);
+                    if (record.clock) {
+                        match.clock = record.clock;
+                    }
+                }
+                break;
+            }
+            case 'matchClosed':
+                matches.delete(record.matchId);
+                break;
+        }
+    }
+
+    return { queue, matches };
+}
+
+/**
+ * Journal backed by a JSONL file. Appends are synchronous so a record is on
+ * disk before the event it describes is acknowledged to any player.
+ * @param {string} file path of the journal; its directory is created if missing
+ */
+function createJournal(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    function append(type, data) {
+        fs.appendFileSync(file, JSON.stringify({ type, at: Date.now(), ...data }) + '\n');
+    }
+
+    /**
+     * Read every record back. A torn last line from a crash mid-write is skipped.
+     * @returns {object[]}
+     */
+    function read() {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+        const records = [];
+        lines.forEach((line, index) => {
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                if (index !== lines.length - 1) {
+                    throw new Error(`Corrupt journal record on line ${index + 1} of ${file}`);
+                }
+                console.warn(`⚠️  Skipping incomplete last journal record in ${file}`);
+            }
+        });
+        return records;
+    }
+
+    function replay() {
+        return replayRecords(read());
+    }
+
+    /**
+     * Replace the journal with the records for the given state, written to a
+     * temporary file first so a crash leaves either the old or the new journal.
+     * @param {object} state { queue: iterable of entries, matches: iterable of matches }
+     */
+    function compact({ queue, matches }) {
+        const at = Date.now();
+        const records = [{ type: 'journal', at, version: JOURNAL_VERSION }];
+        for (const entry of queue) {
+            records.push({ type: 'queued', at, entry });
+        }
+        for (const match of matches) {
+            records.push({ type: 'match', at, match: matchRecord(match) });
+            for (const move of match.moves) {
+                records.push({ type: 'move', at, matchId: match.matchId, move });
+            }
+        }
+
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+        fs.renameSync(temporary, file);
+    }
+
+    return {
+        file,
+        append,
+        read,
+        replay,
+        compact,
+        queued: entry => append('queued', { entry }),
+        dequeued: address => append('dequeued', { address }),
+        matchChanged: match => append('match', { match: matchRecord(match) }),
+        movePlayed: (matchId, move, clock) => append('move', { matchId, move, ...(clock && { clock }) }),
+        matchClosed: matchId => append('matchClosed', { matchId })
+    };
+}
+
+/**
+ * Decide what to do with a journaled match given its state on PlayGame.
+ * @param {object} match journaled match
+ * @param {object|null} onChain PlayGame.getMatch result, null if it was never created on-chain
+ * @param {object} chain { now, canRefund } latest block timestamp and PlayGame.canRefund
+ * @returns {object} { action: 'resume' | 'cancel' | 'refund' | 'drop', reason }
+ */
+function reconcileMatch(match, onChain, { now, canRefund }) {
+    if (!onChain || onChain.matchId === ethers.ZeroHash) {
+        return { action: 'drop', reason: 'never created on-chain, nothing is locked' };
+    }
+
+    const status = MATCH_STATUS[Number(onChain.status)];
+    if (status === 'CREATED') {
+        if (BigInt(now) >= onChain.stakeDeadline) {
+            return { action: 'cancel', reason: 'stake deadline passed before both players staked' };
+        }
+        return { action: 'resume', reason: 'waiting for stakes' };
+    }
+    if (status === 'STAKED') {
+        if (canRefund) {
+            return { action: 'refund', reason: 'match timed out without a result' };
+        }
+        return { action: 'resume', reason: match.status === 'COMPLETED' ? 'result not committed yet' : 'in progress' };
+    }
+    return { action: 'drop', reason: `already ${status} on-chain` };
+}
+
+/**
+ * Reconcile journaled matches against PlayGame, cancelling or refunding the
+ * ones whose stakes can only be returned, and bring the staking flags of the
+ * rest in line with the chain.
+ * @param {object[]} matches journaled matches
+ * @param {ethers.Contract} playGame PlayGame with PLAYGAME_RECOVERY_ABI; refunds need a signer as runner
+ * @returns {Promise<object[]>} [{ match, action, reason, txHash?, error? }]
+ */
+async function recoverMatches(matches, playGame) {
+    const latestBlock = await playGame.runner.provider.getBlock('latest');
+    const outcomes = [];
+
+    for (const match of matches) {
+        let onChain = null;
+        let canRefund = false;
+        if (match.blockchainMatchId) {
+            onChain = await playGame.getMatch(match.blockchainMatchId);
+            canRefund = await playGame.canRefund(match.blockchainMatchId);
+        }
+
+        const outcome = { match, ...reconcileMatch(match, onChain, { now: latestBlock.timestamp, canRefund }) };
+
+        if (outcome.action === 'resume') {
+            // Stakes may have landed while the server was down
+            match.player1Staked = onChain.p1Staked;
+            match.player2Staked = onChain.p2Staked;
+            if (MATCH_STATUS[Number(onChain.status)] === 'STAKED' && match.status === 'CREATED') {
+                match.status = 'STAKED';
+                match.gameActive = true;
+            }
+        }
+
+        if (outcome.action === 'cancel' || outcome.action === 'refund') {
+            try {
+                const send = outcome.action === 'cancel' ? playGame.cancelMatch : playGame.refund;
+                const tx = await send(match.blockchainMatchId);
+                await tx.wait();
+                outcome.txHash = tx.hash;
+            } catch (error) {
+                outcome.error = error.shortMessage || error.message;
+            }
+        }
+
+        outcomes.push(outcome);
+    }
+
+    return outcomes;
+}
+
+module.exports = {
+    MATCH_FIELDS,
+    PLAYGAME_RECOVERY_ABI,
+    createJournal,
+    replayRecords,
+    reconcileMatch,
+    recoverMatches
+};
@@ -1,5 +1,6 @@
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_GAME, getGame } = require('../web/game-rules');
 
 // In-memory storage for serverless environment
 const waitingPlayers = new Map();
@@ -8,15 +9,22 @@ const preStakedPlayers = new Map();
 
 const PRE_STAKE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
+// Players are only matched with others playing the same game for the same stake
+function queueKey(gameType, stake) {
+    return `${gameType}:${stake}`;
+}
+
 // Matchmaking logic
 function findMatch(playerData) {
     const { address, stake } = playerData;
+    const gameType = playerData.gameType || DEFAULT_GAME;
+    const key = queueKey(gameType, stake);
 
-    if (waitingPlayers.has(stake)) {
-        const waitingPlayer = waitingPlayers.get(stake).shift();
+    if (waitingPlayers.has(key)) {
+        const waitingPlayer = waitingPlayers.get(key).shift();
 
-        if (waitingPlayers.get(stake).length === 0) {
-            waitingPlayers.delete(stake);
+        if (waitingPlayers.get(key).length === 0) {
+            waitingPlayers.delete(key);
         }
 
         const matchId = uuidv4();
@@ -25,9 +33,9 @@ function findMatch(playerData) {
             player1: waitingPlayer.address,
             player2: address,
             stake: parseInt(stake),
+            gameType,
             status: 'CREATED',
-            board: Array(9).fill(''),
-            currentPlayer: 'X',
+            state: getGame(gameType).createState(),
             gameActive: false,
             stakedPlayers: new Set(),
             moves: [],
@@ -38,31 +46,14 @@ function findMatch(playerData) {
         activeMatches.set(matchId, matchData);
         return matchData;
     } else {
-        if (!waitingPlayers.has(stake)) {
-            waitingPlayers.set(stake, []);
+        if (!waitingPlayers.has(key)) {
+            waitingPlayers.set(key, []);
         }
-        waitingPlayers.get(stake).push(playerData);
+        waitingPlayers.get(key).push({ ...playerData, gameType });
         return null;
     }
 }
 
-// Game logic functions
-function checkWin(board, symbol) {
-    const winConditions = [
-        [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-        [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
-        [0, 4, 8], [2, 4, 6] // Diagonals
-    ];
-
-    return winConditions.some(condition => {
-        return condition.every(index => board[index] === symbol);
-    });
-}
-
-function checkDraw(board) {
-    return board.every(cell => cell !== '');
-}
-
 // Vercel serverless function handler
 module.exports = (req, res) => {
     // Set CORS headers
@@ -82,8 +73,9 @@ module.exports = (req, res) => {
         res.json({
             status: 'healthy',
             timestamp: new Date().toISOString(),
-            waitingPlayers: Array.from(waitingPlayers.entries()).map(([stake, players]) => ({
-                stake,
+            waitingPlayers: Array.from(waitingPlayers.values()).map(players => ({
+                gameType: players[0].gameType,
+                stake: players[0].stake,
                 count: players.length
             })),
             activeMatches: activeMatches.size,
@@ -95,8 +87,9 @@ module.exports = (req, res) => {
     // Stats endpoint
     if (method === 'GET' && path === '/stats') {
         res.json({
-            waitingPlayers: Array.from(waitingPlayers.entries()).map(([stake, players]) => ({
-                stake,
+            waitingPlayers: Array.from(waitingPlayers.values()).map(players => ({
+                gameType: players[0].gameType,
+                stake: players[0].stake,
                 count: players.length
             })),
             activeMatches: activeMatches.size,
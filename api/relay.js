@@ -0,0 +1,168 @@
+const { ethers } = require('ethers');
+
+// EIP-712 request signed by players for GameForwarder. The relayer pays the
+// gas and PlayGame / TokenStore see the signer as the caller (ERC-2771).
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint48' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+// Only these calls are paid for by the relayer
+const RELAYABLE_FUNCTIONS = ['stake', 'stakeWithPermit', 'buy'];
+
+const DEFAULT_MAX_GAS = 500000;
+const DEFAULT_RATE_LIMIT = { max: 10, windowMs: 60 * 60 * 1000 };
+
+function buildForwarderDomain(chainId, verifyingContract) {
+    return {
+        name: 'GameForwarder',
+        version: '1',
+        chainId: Number(chainId),
+        verifyingContract
+    };
+}
+
+/**
+ * Fixed-window request counter per address.
+ * @param {object} options { max, windowMs }
+ * @returns {function} hit(address) -> true if the address is still under its limit
+ */
+function createRateLimiter({ max, windowMs }) {
+    const windows = new Map(); // address -> { start, count }
+
+    return function hit(address, now = Date.now()) {
+        const key = address.toLowerCase();
+        const window = windows.get(key);
+
+        if (!window || now - window.start >= windowMs) {
+            windows.set(key, { start: now, count: 1 });
+            return true;
+        }
+        if (window.count >= max) {
+            return false;
+        }
+        window.count++;
+        return true;
+    };
+}
+
+function normalizeRequest(request) {
+    return {
+        from: ethers.getAddress(request.from),
+        to: ethers.getAddress(request.to),
+        value: BigInt(request.value),
+        gas: BigInt(request.gas),
+        nonce: BigInt(request.nonce),
+        deadline: BigInt(request.deadline),
+        data: ethers.hexlify(request.data)
+    };
+}
+
+/**
+ * Relays signed ForwardRequests through GameForwarder with the operator wallet.
+ * @param {object} options
+ * @param {ethers.Contract} options.forwarder GameForwarder connected to the relayer wallet
+ * @param {object} options.targets { [address]: ethers.Interface } contracts the relayer will call
+ * @param {string[]} options.allowedFunctions function names that may be relayed
+ * @param {number} options.maxGas largest gas limit a request may ask for
+ * @param {object} options.rateLimit { max, windowMs } relayed calls per signer
+ */
+function createRelayer({
+    forwarder,
+    targets,
+    allowedFunctions = RELAYABLE_FUNCTIONS,
+    maxGas = DEFAULT_MAX_GAS,
+    rateLimit = DEFAULT_RATE_LIMIT
+}) {
+    const hit = createRateLimiter(rateLimit);
+    const interfaces = new Map(
+        Object.entries(targets).map(([address, iface]) => [address.toLowerCase(), iface])
+    );
+
+    /**
+     * Check a request before spending gas on it.
+     * @returns {object} { valid, request, functionName } or { valid: false, status, error }
+     */
+    async function validate(rawRequest, signature) {
+        let request;
+        try {
+            request = normalizeRequest(rawRequest);
+        } catch (error) {
+            return { valid: false, status: 400, error: 'malformed request' };
+        }
+
+        const iface = interfaces.get(request.to.toLowerCase());
+        if (!iface) {
+            return { valid: false, status: 403, error: 'target contract not relayable' };
+        }
+
+        let call = null;
+        try {
+            call = iface.parseTransaction({ data: request.data });
+        } catch (error) {
+            // Undecodable calldata is treated like an unknown function
+        }
+        if (!call || !allowedFunctions.includes(call.name)) {
+            return { valid: false, status: 403, error: 'function not relayable' };
+        }
+        if (request.value !== 0n) {
+            return { valid: false, status: 400, error: 'relayed calls cannot send ETH' };
+        }
+        if (request.gas > BigInt(maxGas)) {
+            return { valid: false, status: 400, error: `gas limit above ${maxGas}` };
+        }
+
+        const { chainId } = await forwarder.runner.provider.getNetwork();
+        const domain = buildForwarderDomain(chainId, await forwarder.getAddress());
+        let signer;
+        try {
+            signer = ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature);
+        } catch (error) {
+            return { valid: false, status: 400, error: 'malformed signature' };
+        }
+        if (signer !== request.from) {
+            return { valid: false, status: 401, error: 'request not signed by sender' };
+        }
+
+        // Nonce and deadline are checked against chain state
+        if (!(await forwarder.verify(request, signature))) {
+            return { valid: false, status: 400, error: 'request expired or nonce already used' };
+        }
+
+        if (!hit(request.from)) {
+            return { valid: false, status: 429, error: 'relay rate limit exceeded' };
+        }
+
+        return { valid: true, request, functionName: call.name };
+    }
+
+    /**
+     * Submit a validated request. Reverts from the target surface as errors.
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    async function submit(request, signature) {
+        // Simulate first so a reverting call costs the relayer nothing
+        await forwarder.execute.staticCall(request, signature);
+
+        // Leave headroom for the forwarder itself on top of the requested gas
+        const gasLimit = request.gas + 100000n;
+        return forwarder.execute(request, signature, { gasLimit });
+    }
+
+    return { validate, submit };
+}
+
+module.exports = {
+    FORWARD_REQUEST_TYPES,
+    RELAYABLE_FUNCTIONS,
+    buildForwarderDomain,
+    createRateLimiter,
+    createRelayer
+};
@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+const { getGame } = require('../web/game-rules');
+
+// EIP-712 typed data signed by players for every move and for a forfeit.
+// The domain binds signatures to one PlayGame deployment on one chain, and
+// matchId is the on-chain bytes32 id, so a transcript can't be replayed
+// against another match or contract. prevHash is the hash of the move before
+// (zero for the first), so each signature covers the whole game up to it and
+// an opponent's signed moves can't be spliced into a different game.
+const MOVE_TYPES = {
+    Move: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'moveNumber', type: 'uint256' },
+        { name: 'row', type: 'uint8' },
+        { name: 'col', type: 'uint8' },
+        { name: 'player', type: 'address' },
+        { name: 'prevHash', type: 'bytes32' }
+    ]
+};
+
+const FORFEIT_TYPES = {
+    Forfeit: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'player', type: 'address' }
+    ]
+};
+
+function buildDomain(chainId, verifyingContract) {
+    return {
+        name: 'TriX',
+        version: '1',
+        chainId: Number(chainId),
+        verifyingContract
+    };
+}
+
+// EIP-712 hash of a move, which the next move signs as its prevHash
+function hashMove(domain, move) {
+    const { matchId, moveNumber, row, col, player, prevHash } = move;
+    return ethers.TypedDataEncoder.hash(domain, MOVE_TYPES, { matchId, moveNumber, row, col, player, prevHash });
+}
+
+function recoverMoveSigner(domain, move, signature) {
+    const { matchId, moveNumber, row, col, player, prevHash } = move;
+    return ethers.verifyTypedData(domain, MOVE_TYPES, { matchId, moveNumber, row, col, player, prevHash }, signature);
+}
+
+function recoverForfeitSigner(domain, forfeit, signature) {
+    const { matchId, player } = forfeit;
+    return ethers.verifyTypedData(domain, FORFEIT_TYPES, { matchId, player }, signature);
+}
+
+function sameAddress(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+function isSignedBy(recover, expected) {
+    try {
+        return sameAddress(recover(), expected);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Replay a signed transcript and work out the result it proves.
+ * X is always player1 and moves first; every move must be signed by the
+ * player whose turn it is, and carry the hash of the move before it as
+ * prevHash. An unfinished game only has a result if the losing player
+ * signed a forfeit, or ran out of time. Moves carry no
+ * timestamps, so a timeout is only taken on the matchmaking server's word
+ * (expected.allowTimeout) and must name the player whose turn it was,
+ * unless its reason is DISCONNECT: a player who left and didn't come back
+ * within the server's grace period loses whoever was on the move.
+ * Moves are checked with the rules of the match's game type, tic-tac-toe
+ * unless expected.gameType says otherwise.
+ * @param {object} transcript { moves: [{ moveNumber, row, col, player, prevHash, signature }], forfeit, timeout: { player, reason } }
+ * @param {object} expected { matchId, domain, player1, player2, gameType, allowTimeout } taken from a trusted source
+ * @returns {object} { valid, result: 'X' | 'O' | 'DRAW', winner, reason } or { valid: false, error }
+ */
+function verifyTranscript(transcript, expected) {
+    const { matchId, domain, player1, player2, gameType, allowTimeout } = expected;
+    const game = getGame(gameType);
+    if (!game) {
+        return { valid: false, error: `no rules for game type ${gameType}` };
+    }
+
+    const moves = (transcript && transcript.moves) || [];
+    let state = game.createState();
+    let result = null;
+    let prevHash = ethers.ZeroHash;
+
+    for (let i = 0; i < moves.length; i++) {
+        const move = moves[i];
+        const player = state.turn === 'X' ? player1 : player2;
+
+        if (result) {
+            return { valid: false, error: `move ${i} played after the game ended` };
+        }
+        if (Number(move.moveNumber) !== i) {
+            return { valid: false, error: `move ${i} has move number ${move.moveNumber}` };
+        }
+        if (!sameAddress(move.player, player)) {
+            return { valid: false, error: `move ${i} is not by the player whose turn it was` };
+        }
+        if (typeof move.prevHash !== 'string' || move.prevHash.toLowerCase() !== prevHash) {
+            return { valid: false, error: `move ${i} does not follow the move before it` };
+        }
+        const illegal = game.validateMove(state, move);
+        if (illegal) {
+            return { valid: false, error: `move ${i} ${illegal}` };
+        }
+        const signed = { ...move, matchId, player, prevHash };
+        if (!isSignedBy(() => recoverMoveSigner(domain, signed, move.signature), player)) {
+            return { valid: false, error: `move ${i} has an invalid signature` };
+        }
+
+        prevHash = hashMove(domain, signed);
+        state = game.applyMove(state, move);
+        result = game.getOutcome(state);
+    }
+
+    if (result) {
+        return {
+            valid: true,
+            result,
+            winner: result === 'X' ? player1 : result === 'O' ? player2 : null,
+            reason: 'NORMAL',
+            board: state.board
+        };
+    }
+
+    const forfeit = transcript && transcript.forfeit;
+    const timeout = transcript && transcript.timeout;
+    if (!forfeit && timeout) {
+        if (!allowTimeout) {
+            return { valid: false, error: 'timeouts are only accepted from the matchmaking server' };
+        }
+        const abandoned = timeout.reason === 'DISCONNECT';
+        const loser = abandoned ? timeout.player : state.turn === 'X' ? player1 : player2;
+        if (abandoned && !sameAddress(loser, player1) && !sameAddress(loser, player2)) {
+            return { valid: false, error: 'timeout is not by a player in this match' };
+        }
+        if (!sameAddress(timeout.player, loser)) {
+            return { valid: false, error: 'timeout is not by the player whose turn it was' };
+        }
+        const xLost = sameAddress(loser, player1);
+        return {
+            valid: true,
+            result: xLost ? 'O' : 'X',
+            winner: xLost ? player2 : player1,
+            reason: abandoned ? 'DISCONNECT' : 'TIMEOUT',
+            board: state.board
+        };
+    }
+    if (!forfeit) {
+        return { valid: false, error: 'transcript does not reach a final result' };
+    }
+    if (!sameAddress(forfeit.player, player1) && !sameAddress(forfeit.player, player2)) {
+        return { valid: false, error: 'forfeit is not by a player in this match' };
+    }
+    if (!isSignedBy(() => recoverForfeitSigner(domain, { matchId, player: forfeit.player }, forfeit.signature), forfeit.player)) {
+        return { valid: false, error: 'forfeit has an invalid signature' };
+    }
+
+    const player1Forfeited = sameAddress(forfeit.player, player1);
+    return {
+        valid: true,
+        result: player1Forfeited ? 'O' : 'X',
+        winner: player1Forfeited ? player2 : player1,
+        reason: 'FORFEIT',
+        board: state.board
+    };
+}
+
+module.exports = {
+    MOVE_TYPES,
+    FORFEIT_TYPES,
+    buildDomain,
+    hashMove,
+    recoverMoveSigner,
+    recoverForfeitSigner,
+    verifyTranscript
+};
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
+
+/**
+ * @title GameForwarder
+ * @dev ERC-2771 trusted forwarder for gasless TriX transactions
+ * @dev Players sign an EIP-712 ForwardRequest and a relayer submits it,
+ *      paying the gas; the target sees the player as _msgSender()
+ * @dev Targets must trust this forwarder (PlayGame and TokenStore do once
+ *      their admin sets it)
+ */
+contract GameForwarder is Nonces {
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint48 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 private constant FORWARD_REQUEST_TYPEHASH =
+        keccak256(
+            "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint48 deadline,bytes data)"
+        );
+
+    string public constant NAME = "GameForwarder";
+    string public constant VERSION = "1";
+
+    event ExecutedForwardRequest(
+        address indexed signer,
+        uint256 nonce,
+        bool success
+    );
+
+    /**
+     * @dev Check that a request is signed by its sender, unexpired and uses
+     *      the sender's current nonce
+     * @param request Request to check
+     * @param signature EIP-712 signature by request.from
+     * @return valid True if execute() would accept the request
+     */
+    function verify(
+        ForwardRequest calldata request,
+        bytes calldata signature
+    ) public view returns (bool valid) {
+        return
+            request.deadline >= block.timestamp &&
+            request.nonce == nonces(request.from) &&
+            _recoverSigner(request, signature) == request.from;
+    }
+
+    /**
+     * @dev Execute a signed request, appending the signer to the calldata as
+     *      ERC-2771 targets expect
+     * @dev Reverts with the target's reason if the call fails
+     * @param request Request to execute
+     * @param signature EIP-712 signature by request.from
+     * @return result Data returned by the target
+     */
+    function execute(
+        ForwardRequest calldata request,
+        bytes calldata signature
+    ) external payable returns (bytes memory result) {
+        require(msg.value == request.value, "GameForwarder: value mismatch");
+        require(
+            request.deadline >= block.timestamp,
+            "GameForwarder: request expired"
+        );
+        require(
+            _recoverSigner(request, signature) == request.from,
+            "GameForwarder: invalid signature"
+        );
+        _useCheckedNonce(request.from, request.nonce);
+
+        (bool success, bytes memory returndata) = request.to.call{
+            gas: request.gas,
+            value: request.value
+        }(abi.encodePacked(request.data, request.from));
+
+        // Make sure the relayer forwarded enough gas for the requested call
+        // (EIP-150 only passes 63/64 of what's left to the callee)
+        if (gasleft() <= request.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        emit ExecutedForwardRequest(request.from, request.nonce, success);
+
+        if (!success) {
+            assembly {
+                revert(add(returndata, 0x20), mload(returndata))
+            }
+        }
+        return returndata;
+    }
+
+    /**
+     * @dev EIP-712 domain separator for ForwardRequest signatures
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256(bytes(NAME)),
+                    keccak256(bytes(VERSION)),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Recover the address that signed a request
+     * @param request Signed request
+     * @param signature EIP-712 signature
+     * @return signer Recovered signer, or address(0) for a malformed signature
+     */
+    function _recoverSigner(
+        ForwardRequest calldata request,
+        bytes calldata signature
+    ) internal view returns (address signer) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                FORWARD_REQUEST_TYPEHASH,
+                request.from,
+                request.to,
+                request.value,
+                request.gas,
+                request.nonce,
+                request.deadline,
+                keccak256(request.data)
+            )
+        );
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)
+        );
+
+        (signer, , ) = ECDSA.tryRecover(digest, signature);
+    }
+}
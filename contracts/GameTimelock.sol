@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title GameTimelock
+ * @dev Holds DEFAULT_ADMIN_ROLE on GameToken, TokenStore and PlayGame so that
+ *      privileged calls (fund recovery, withdrawals, role grants, config)
+ *      must be scheduled and wait out minDelay before they execute
+ * @dev Pausing and day-to-day operator roles stay with their EOAs so
+ *      incident response is not delayed
+ */
+contract GameTimelock is TimelockController {
+    /**
+     * @param minDelay Minimum delay in seconds between scheduling and executing
+     * @param proposers Accounts allowed to schedule and cancel operations
+     * @param executors Accounts allowed to execute ready operations
+     *        (address(0) lets anyone execute)
+     * @param admin Optional account that can manage timelock roles without
+     *        delay during setup; pass address(0) to make it self-administered
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
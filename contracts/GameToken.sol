@@ -2,6 +2,9 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
@@ -10,28 +13,78 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * @title GameToken
  * @dev ERC-20 compliant token for TriX gaming system
  * @dev Only TokenStore contract can mint tokens
+ * @dev Total supply is capped, and each minter can be held to a mint quota
+ *      that refills over a rolling window
  * @dev Includes emergency pause functionality
+ * @dev Supports EIP-2612 permit so approvals can be signed instead of sent
  */
-contract GameToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
+contract GameToken is
+    ERC20,
+    IERC20Permit,
+    Nonces,
+    AccessControl,
+    Pausable,
+    ReentrancyGuard
+{
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
 
     uint8 private constant DECIMALS = 18;
 
+    // EIP-712 domain for permit signatures, version "1"
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256(
+            "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private immutable _hashedName;
+    bytes32 private immutable _hashedVersion;
+
+    uint256 public immutable maxSupply;
+
+    // Token bucket per minter: refills at limit per window, never above limit
+    struct MintQuota {
+        uint256 limit; // 0 = no quota, only maxSupply applies
+        uint256 window;
+        uint256 available;
+        uint256 lastUpdate;
+    }
+
+    mapping(address => MintQuota) private _mintQuotas;
+
     event Minted(address indexed to, uint256 amount);
     event TokensBurned(address indexed from, uint256 amount);
+    event MintQuotaUpdated(
+        address indexed minter,
+        uint256 limit,
+        uint256 window
+    );
 
     /**
      * @dev Constructor sets up initial roles and assigns tokens to deployer
      * @param initialSupply Initial token supply to mint to deployer
      * @param name Token name
      * @param symbol Token symbol
+     * @param _maxSupply Cap on total supply, fixed for the token's lifetime
      */
     constructor(
         uint256 initialSupply,
         string memory name,
-        string memory symbol
+        string memory symbol,
+        uint256 _maxSupply
     ) ERC20(name, symbol) {
+        require(_maxSupply > 0, "GameToken: max supply must be greater than 0");
+        require(
+            initialSupply <= _maxSupply,
+            "GameToken: initial supply exceeds max supply"
+        );
+        maxSupply = _maxSupply;
+        _hashedName = keccak256(bytes(name));
+        _hashedVersion = keccak256(bytes("1"));
+
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(MINTER_ROLE, msg.sender);
         _grantRole(PAUSER_ROLE, msg.sender);
@@ -50,6 +103,7 @@ contract GameToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @dev Mints new tokens. Only callable by accounts with MINTER_ROLE
+     * @dev Bounded by maxSupply and the caller's mint quota, if it has one
      * @param to Address to mint tokens to
      * @param amount Amount of tokens to mint
      */
@@ -59,11 +113,87 @@ contract GameToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
     ) external onlyRole(MINTER_ROLE) whenNotPaused nonReentrant {
         require(to != address(0), "GameToken: cannot mint to zero address");
         require(amount > 0, "GameToken: amount must be greater than 0");
+        require(
+            totalSupply() + amount <= maxSupply,
+            "GameToken: max supply exceeded"
+        );
+
+        MintQuota storage quota = _mintQuotas[msg.sender];
+        if (quota.limit > 0) {
+            uint256 available = _availableQuota(quota);
+            require(amount <= available, "GameToken: mint quota exceeded");
+            quota.available = available - amount;
+            quota.lastUpdate = block.timestamp;
+        }
 
         _mint(to, amount);
         emit Minted(to, amount);
     }
 
+    /**
+     * @dev Limit how much a minter can mint per rolling window (admin only)
+     * @dev The quota starts full; setting a limit of 0 removes it
+     * @param minter Minter to limit
+     * @param limit Largest amount mintable within any window
+     * @param window Window length in seconds
+     */
+    function setMintQuota(
+        address minter,
+        uint256 limit,
+        uint256 window
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(minter != address(0), "GameToken: invalid minter address");
+        if (limit > 0) {
+            require(window > 0, "GameToken: window must be greater than 0");
+        }
+
+        _mintQuotas[minter] = MintQuota({
+            limit: limit,
+            window: limit > 0 ? window : 0,
+            available: limit,
+            lastUpdate: block.timestamp
+        });
+
+        emit MintQuotaUpdated(minter, limit, limit > 0 ? window : 0);
+    }
+
+    /**
+     * @dev Get a minter's quota and how much it can mint right now
+     * @param minter Minter to check
+     * @return limit Quota per window, 0 if the minter has no quota
+     * @return window Window length in seconds
+     * @return remaining Mintable now, type(uint256).max if the minter has no quota
+     */
+    function getMintQuota(
+        address minter
+    )
+        external
+        view
+        returns (uint256 limit, uint256 window, uint256 remaining)
+    {
+        MintQuota storage quota = _mintQuotas[minter];
+        if (quota.limit == 0) {
+            return (0, 0, type(uint256).max);
+        }
+        return (quota.limit, quota.window, _availableQuota(quota));
+    }
+
+    /**
+     * @dev Quota available after refilling for the time since the last mint
+     * @param quota Minter's quota
+     * @return available Mintable amount, at most quota.limit
+     */
+    function _availableQuota(
+        MintQuota storage quota
+    ) internal view returns (uint256 available) {
+        uint256 refill = ((block.timestamp - quota.lastUpdate) * quota.limit) /
+            quota.window;
+        available = quota.available + refill;
+        if (available > quota.limit) {
+            available = quota.limit;
+        }
+    }
+
     /**
      * @dev Burns tokens from caller's account
      * @param amount Amount of tokens to burn
@@ -148,6 +278,75 @@ contract GameToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
         return super.approve(spender, amount);
     }
 
+    /**
+     * @dev EIP-2612: approve spender with the owner's signature instead of a
+     *      transaction from the owner
+     * @param owner Address granting the allowance
+     * @param spender Address allowed to spend
+     * @param value Allowance to set
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual override whenNotPaused {
+        require(block.timestamp <= deadline, "GameToken: permit expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PERMIT_TYPEHASH,
+                owner,
+                spender,
+                value,
+                _useNonce(owner),
+                deadline
+            )
+        );
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)
+        );
+        require(
+            ECDSA.recover(digest, v, r, s) == owner,
+            "GameToken: invalid permit signature"
+        );
+
+        _approve(owner, spender, value);
+    }
+
+    /**
+     * @dev Current permit nonce of an owner
+     * @param owner Address to look up
+     */
+    function nonces(
+        address owner
+    ) public view virtual override(IERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    /**
+     * @dev EIP-712 domain separator used for permit signatures
+     */
+    function DOMAIN_SEPARATOR() public view virtual override returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    _hashedName,
+                    _hashedVersion,
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
     /**
      * @dev Emergency function to recover tokens sent to contract by mistake
      * @param tokenAddress Address of the token to recover
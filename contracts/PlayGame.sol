@@ -1,24 +1,53 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import {AccessControlUpgradeable} from "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {ContextUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/ContextUpgradeable.sol";
+import {ERC2771ContextUpgradeable} from "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import {UUPSUpgradeable} from "./proxy/UUPSUpgradeable.sol";
 import "./GameToken.sol";
 
 /**
  * @title PlayGame
  * @dev Contract for managing PvP match staking and payouts
  * @dev Implements escrow functionality with re-entrancy protection
- * @dev Winner receives exactly 2x stake; no platform fees
+ * @dev Winner receives 2x stake minus the platform fee, which goes to the treasury
+ * @dev Drawn matches return each player's stake
+ * @dev With a dispute window set, operator results are only proposals that
+ *      players can dispute to an arbiter before anyone finalizes them
+ * @dev Every GT held is escrowed to a player, as a pre-stake or a match stake,
+ *      so the contract's GT balance never drops below totalEscrowed
+ * @dev Accepts ERC-2771 meta-transactions from the trusted forwarder, so
+ *      player actions act for the signer rather than the relayer
+ * @dev Deployed behind a GameProxy and upgradeable (UUPS) by DEFAULT_ADMIN_ROLE,
+ *      so fixes keep the address, escrow and match history
+ * @dev Every match belongs to a game type from the on-chain registry, which
+ *      sets its stake bounds and refund timeout; type 0 is tic-tac-toe
  */
-contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
+contract PlayGame is
+    Initializable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuard,
+    ERC2771ContextUpgradeable,
+    UUPSUpgradeable
+{
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
 
-    GameToken public immutable gameToken;
+    GameToken public gameToken;
 
     uint256 public constant TIMEOUT_DURATION = 24 hours;
+    uint256 public constant STAKE_TIMEOUT = 1 hours;
+    uint256 public constant MAX_DISPUTE_WINDOW = 7 days;
+    // Time the arbiter has, once a dispute window closes, before a disputed match can be refunded
+    uint256 public constant ARBITRATION_TIMEOUT = 7 days;
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_PLATFORM_FEE = 1000; // 10%
 
     struct Match {
         bytes32 matchId;
@@ -29,22 +58,76 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         uint256 startTime;
         bool p1Staked;
         bool p2Staked;
+        uint256 feeBps; // Platform fee snapshot taken at match creation
+        uint256 stakeDeadline; // Both players must stake before this time
     }
 
     enum MatchStatus {
         CREATED, // Match created, waiting for stakes
         STAKED, // Both players staked, match active
         SETTLED, // Match completed with winner
-        REFUNDED // Match refunded due to timeout
+        REFUNDED, // Match refunded due to timeout
+        DRAWN, // Match completed as a draw, stakes returned
+        PROPOSED, // Result proposed, open to dispute until the deadline
+        DISPUTED, // Proposed result disputed, awaiting arbiter
+        CANCELLED // Match never fully staked, stakes returned
+    }
+
+    struct Proposal {
+        address winner; // address(0) for a draw
+        uint256 disputeDeadline;
+        address disputedBy;
+        bytes32 evidenceHash;
+    }
+
+    struct GameType {
+        string name;
+        uint256 minStake;
+        uint256 maxStake; // 0 = no upper bound
+        uint256 timeout; // Refund timeout once both players staked
+        bool active; // Inactive types take no new matches
+    }
+
+    struct GameTypeStats {
+        uint256 matches; // Matches created
+        uint256 volume; // GT staked by both players, refunds included
     }
 
     // Match tracking
     mapping(bytes32 => Match) public matches;
+    mapping(bytes32 => Proposal) public proposals;
+
+    // Match index: every match per player, and matches still waiting for stakes
+    mapping(address => bytes32[]) private playerMatches;
+    bytes32[] private pendingMatchIds;
+    mapping(bytes32 => uint256) private pendingMatchIndex; // 1-based, 0 = not pending
+
+    // Challenge period for proposed results; 0 settles results immediately
+    uint256 public disputeWindow;
+
+    // Platform fee on winnings, in basis points
+    uint256 public platformFeePercentage;
+    address public treasury;
+
+    // Escrowed GT per player: pre-stakes awaiting a match, and stakes locked in matches
+    mapping(address => uint256) public preStakeBalance;
+    mapping(address => uint256) public matchStakeBalance;
+    uint256 public totalEscrowed;
+
+    // Forwarder allowed to relay signed player calls; address(0) disables them
+    address private _forwarder;
 
     // Statistics
     uint256 public totalMatches;
     uint256 public totalStaked;
     uint256 public totalPayouts;
+    uint256 public totalFeesCollected;
+
+    // Game type registry; matches created before it existed read as type 0
+    mapping(uint256 => GameType) private _gameTypes;
+    mapping(uint256 => GameTypeStats) public gameTypeStats;
+    mapping(bytes32 => uint256) public matchGameType;
+    uint256 public gameTypeCount;
 
     // Events
     event MatchCreated(
@@ -68,26 +151,107 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         address indexed player,
         uint256 amount
     );
+    event Drawn(
+        bytes32 indexed matchId,
+        address indexed p1,
+        address indexed p2,
+        uint256 refundEach
+    );
+    event ResultProposed(
+        bytes32 indexed matchId,
+        address indexed winner,
+        uint256 disputeDeadline
+    );
+    event ResultDisputed(
+        bytes32 indexed matchId,
+        address indexed disputedBy,
+        bytes32 evidenceHash,
+        bytes evidence
+    );
+    event DisputeResolved(
+        bytes32 indexed matchId,
+        address indexed arbiter,
+        address indexed winner
+    );
+    event PreStakeDeposited(address indexed player, uint256 amount);
+    event DisputeWindowUpdated(uint256 oldWindow, uint256 newWindow);
+    event MatchCancelled(bytes32 indexed matchId, address indexed cancelledBy);
+    event PlatformFeeCollected(
+        bytes32 indexed matchId,
+        address indexed treasury,
+        uint256 fee
+    );
+    event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
+    event TreasuryUpdated(
+        address indexed oldTreasury,
+        address indexed newTreasury
+    );
+    event TrustedForwarderUpdated(
+        address indexed oldForwarder,
+        address indexed newForwarder
+    );
+    event GameTypeRegistered(
+        uint256 indexed gameType,
+        string name,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 timeout
+    );
+    event GameTypeUpdated(
+        uint256 indexed gameType,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 timeout,
+        bool active
+    );
+    event MatchGameType(bytes32 indexed matchId, uint256 indexed gameType);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() ERC2771ContextUpgradeable(address(0)) {
+        _disableInitializers();
+    }
 
     /**
-     * @dev Constructor sets up the contract with GameToken address
+     * @dev Initializer run once through the proxy, sets up the contract with GameToken address
      * @param _gameToken Address of the GameToken contract
      */
-    constructor(address _gameToken) {
+    function initialize(address _gameToken) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+
         require(
             _gameToken != address(0),
             "PlayGame: invalid game token address"
         );
 
         gameToken = GameToken(_gameToken);
+        treasury = msg.sender;
 
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(OPERATOR_ROLE, msg.sender);
         _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(ARBITER_ROLE, msg.sender);
+
+        _registerGameType("tictactoe", 1, 0, TIMEOUT_DURATION);
     }
 
     /**
-     * @dev Create a new match (owner/manager only)
+     * @dev Register tic-tac-toe as game type 0 on a proxy deployed before the
+     *      game type registry existed; run it through upgradeToAndCall
+     * @dev Does nothing on proxies whose initialize already registered it
+     */
+    function initializeGameTypes()
+        external
+        reinitializer(2)
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (gameTypeCount == 0) {
+            _registerGameType("tictactoe", 1, 0, TIMEOUT_DURATION);
+        }
+    }
+
+    /**
+     * @dev Create a new tic-tac-toe match (owner/manager only)
      * @param matchId Unique identifier for the match
      * @param p1 Address of player 1
      * @param p2 Address of player 2
@@ -99,6 +263,34 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         address p2,
         uint256 stake
     ) external onlyRole(OPERATOR_ROLE) whenNotPaused nonReentrant {
+        _createMatch(matchId, p1, p2, stake, 0);
+    }
+
+    /**
+     * @dev Create a new match of a registered game type (owner/manager only)
+     * @param matchId Unique identifier for the match
+     * @param p1 Address of player 1
+     * @param p2 Address of player 2
+     * @param stake Amount of GT tokens each player must stake
+     * @param gameType ID of an active game type; stake must be within its bounds
+     */
+    function createMatch(
+        bytes32 matchId,
+        address p1,
+        address p2,
+        uint256 stake,
+        uint256 gameType
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused nonReentrant {
+        _createMatch(matchId, p1, p2, stake, gameType);
+    }
+
+    function _createMatch(
+        bytes32 matchId,
+        address p1,
+        address p2,
+        uint256 stake,
+        uint256 gameType
+    ) internal {
         require(matchId != bytes32(0), "PlayGame: invalid match ID");
         require(p1 != address(0), "PlayGame: invalid player 1 address");
         require(p2 != address(0), "PlayGame: invalid player 2 address");
@@ -109,6 +301,14 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
             "PlayGame: match already exists"
         );
 
+        GameType storage game = _gameTypes[gameType];
+        require(game.active, "PlayGame: game type not active");
+        require(stake >= game.minStake, "PlayGame: stake below game minimum");
+        require(
+            game.maxStake == 0 || stake <= game.maxStake,
+            "PlayGame: stake above game maximum"
+        );
+
         matches[matchId] = Match({
             matchId: matchId,
             p1: p1,
@@ -117,12 +317,23 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
             status: MatchStatus.CREATED,
             startTime: 0,
             p1Staked: false,
-            p2Staked: false
+            p2Staked: false,
+            feeBps: platformFeePercentage,
+            stakeDeadline: block.timestamp + STAKE_TIMEOUT
         });
 
+        matchGameType[matchId] = gameType;
+
         totalMatches++;
+        gameTypeStats[gameType].matches++;
+
+        playerMatches[p1].push(matchId);
+        playerMatches[p2].push(matchId);
+        pendingMatchIds.push(matchId);
+        pendingMatchIndex[matchId] = pendingMatchIds.length;
 
         emit MatchCreated(matchId, p1, p2, stake);
+        emit MatchGameType(matchId, gameType);
     }
 
     /**
@@ -130,6 +341,51 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
      * @param matchId ID of the match to stake for
      */
     function stake(bytes32 matchId) external whenNotPaused nonReentrant {
+        _stake(matchId);
+    }
+
+    /**
+     * @dev Stake GT tokens for a match using an EIP-2612 permit instead of a
+     *      separate approve transaction
+     * @dev A permit that was already used (e.g. front-run) is ignored as long
+     *      as the allowance it granted is still there
+     * @param matchId ID of the match to stake for
+     * @param deadline Permit expiry timestamp
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function stakeWithPermit(
+        bytes32 matchId,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused nonReentrant {
+        try
+            gameToken.permit(
+                _msgSender(),
+                address(this),
+                matches[matchId].stake,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {
+            // Already used or expired: _stake still requires the allowance
+        }
+
+        _stake(matchId);
+    }
+
+    /**
+     * @dev Take the caller's stake for a match, from their pre-stake if it
+     *      covers it or else from their wallet
+     * @param matchId ID of the match to stake for
+     */
+    function _stake(bytes32 matchId) internal {
+        address player = _msgSender();
         Match storage matchData = matches[matchId];
         require(
             matchData.matchId != bytes32(0),
@@ -140,22 +396,29 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
             "PlayGame: match not available for staking"
         );
         require(
-            msg.sender == matchData.p1 || msg.sender == matchData.p2,
+            player == matchData.p1 || player == matchData.p2,
             "PlayGame: not a participant"
         );
-
-        uint256 stakeAmount = matchData.stake;
-        require(
-            gameToken.balanceOf(msg.sender) >= stakeAmount,
-            "PlayGame: insufficient GT balance"
-        );
         require(
-            gameToken.allowance(msg.sender, address(this)) >= stakeAmount,
-            "PlayGame: insufficient GT allowance"
+            block.timestamp < matchData.stakeDeadline,
+            "PlayGame: stake deadline passed"
         );
 
+        uint256 stakeAmount = matchData.stake;
+        bool fromPreStake = preStakeBalance[player] >= stakeAmount;
+        if (!fromPreStake) {
+            require(
+                gameToken.balanceOf(player) >= stakeAmount,
+                "PlayGame: insufficient GT balance"
+            );
+            require(
+                gameToken.allowance(player, address(this)) >= stakeAmount,
+                "PlayGame: insufficient GT allowance"
+            );
+        }
+
         // Check if player already staked
-        if (msg.sender == matchData.p1) {
+        if (player == matchData.p1) {
             require(!matchData.p1Staked, "PlayGame: player 1 already staked");
             matchData.p1Staked = true;
         } else {
@@ -163,25 +426,35 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
             matchData.p2Staked = true;
         }
 
-        // Pull GT tokens via transferFrom
-        require(
-            gameToken.transferFrom(msg.sender, address(this), stakeAmount),
-            "PlayGame: GT transfer failed"
-        );
+        if (fromPreStake) {
+            // Move the stake out of the player's pre-stake, already escrowed
+            preStakeBalance[player] -= stakeAmount;
+        } else {
+            // Pull GT tokens via transferFrom
+            require(
+                gameToken.transferFrom(player, address(this), stakeAmount),
+                "PlayGame: GT transfer failed"
+            );
+            totalEscrowed += stakeAmount;
+        }
 
+        matchStakeBalance[player] += stakeAmount;
         totalStaked += stakeAmount;
+        gameTypeStats[matchGameType[matchId]].volume += stakeAmount;
 
-        emit Staked(matchId, msg.sender, stakeAmount);
+        emit Staked(matchId, player, stakeAmount);
 
         // If both players have staked, activate the match
         if (matchData.p1Staked && matchData.p2Staked) {
             matchData.status = MatchStatus.STAKED;
             matchData.startTime = block.timestamp;
+            _removePending(matchId);
         }
     }
 
     /**
      * @dev Commit match result (backend/operator only)
+     * @dev Settles immediately, or proposes the result if a dispute window is set
      * @param matchId ID of the match
      * @param winner Address of the winning player
      */
@@ -203,17 +476,428 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
             "PlayGame: invalid winner"
         );
 
-        uint256 totalPayout = matchData.stake * 2;
+        if (disputeWindow == 0) {
+            _settle(matchId, winner);
+        } else {
+            _propose(matchId, winner);
+        }
+    }
+
+    /**
+     * @dev Commit a drawn match result (backend/operator only)
+     * @dev Each player gets their own stake back, immediately or once the
+     *      dispute window has passed
+     * @param matchId ID of the match
+     */
+    function commitDraw(
+        bytes32 matchId
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused nonReentrant {
+        Match storage matchData = matches[matchId];
+        require(
+            matchData.matchId != bytes32(0),
+            "PlayGame: match does not exist"
+        );
+        require(
+            matchData.status == MatchStatus.STAKED,
+            "PlayGame: match not staked"
+        );
+
+        if (disputeWindow == 0) {
+            _settle(matchId, address(0));
+        } else {
+            _propose(matchId, address(0));
+        }
+    }
+
+    /**
+     * @dev Dispute a proposed result before its deadline (match players only)
+     * @dev Allowed while paused so a pause can't run out the window
+     * @param matchId ID of the match
+     * @param evidence Signed move transcript for the arbiter, or empty to just flag the result
+     */
+    function disputeResult(
+        bytes32 matchId,
+        bytes calldata evidence
+    ) external nonReentrant {
+        Match storage matchData = matches[matchId];
+        Proposal storage proposal = proposals[matchId];
+        require(
+            matchData.status == MatchStatus.PROPOSED,
+            "PlayGame: no proposed result"
+        );
+        require(
+            _msgSender() == matchData.p1 || _msgSender() == matchData.p2,
+            "PlayGame: not a player in this match"
+        );
+        require(
+            block.timestamp < proposal.disputeDeadline,
+            "PlayGame: dispute window closed"
+        );
+
+        bytes32 evidenceHash = keccak256(evidence);
+
+        matchData.status = MatchStatus.DISPUTED;
+        proposal.disputedBy = _msgSender();
+        proposal.evidenceHash = evidenceHash;
+
+        emit ResultDisputed(matchId, _msgSender(), evidenceHash, evidence);
+    }
+
+    /**
+     * @dev Settle a disputed match (arbiter only)
+     * @dev Possible until someone refunds the match, which anyone can do once
+     *      ARBITRATION_TIMEOUT has passed after the dispute window
+     * @param matchId ID of the match
+     * @param winner Address of the winning player, or address(0) for a draw
+     */
+    function resolveDispute(
+        bytes32 matchId,
+        address winner
+    ) external onlyRole(ARBITER_ROLE) whenNotPaused nonReentrant {
+        Match storage matchData = matches[matchId];
+        require(
+            matchData.status == MatchStatus.DISPUTED,
+            "PlayGame: match not disputed"
+        );
+        require(
+            winner == address(0) ||
+                winner == matchData.p1 ||
+                winner == matchData.p2,
+            "PlayGame: invalid winner"
+        );
+
+        emit DisputeResolved(matchId, _msgSender(), winner);
+
+        _settle(matchId, winner);
+    }
+
+    /**
+     * @dev Pay out an undisputed proposed result once its window has passed (anyone)
+     * @param matchId ID of the match
+     */
+    function finalizeResult(
+        bytes32 matchId
+    ) external whenNotPaused nonReentrant {
+        require(
+            matches[matchId].status == MatchStatus.PROPOSED,
+            "PlayGame: no proposed result"
+        );
+        require(
+            block.timestamp >= proposals[matchId].disputeDeadline,
+            "PlayGame: dispute window still open"
+        );
+
+        _settle(matchId, proposals[matchId].winner);
+    }
+
+    /**
+     * @dev Set the dispute window for newly proposed results (only callable by admin)
+     * @param newWindow Challenge period in seconds; 0 disables two-phase settlement
+     */
+    function setDisputeWindow(
+        uint256 newWindow
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            newWindow <= MAX_DISPUTE_WINDOW,
+            "PlayGame: dispute window too long"
+        );
+
+        uint256 oldWindow = disputeWindow;
+        disputeWindow = newWindow;
+
+        emit DisputeWindowUpdated(oldWindow, newWindow);
+    }
+
+    /**
+     * @dev Set the platform fee for newly created matches (only callable by admin)
+     * @param newFee Fee on the winner's 2x stake payout, in basis points
+     */
+    function updatePlatformFee(
+        uint256 newFee
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            newFee <= MAX_PLATFORM_FEE,
+            "PlayGame: fee cannot exceed 10%"
+        );
+
+        uint256 oldFee = platformFeePercentage;
+        platformFeePercentage = newFee;
+
+        emit PlatformFeeUpdated(oldFee, newFee);
+    }
+
+    /**
+     * @dev Set the address platform fees are sent to (only callable by admin)
+     * @param newTreasury Treasury address
+     */
+    function setTreasury(
+        address newTreasury
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            newTreasury != address(0),
+            "PlayGame: invalid treasury address"
+        );
+
+        address oldTreasury = treasury;
+        treasury = newTreasury;
+
+        emit TreasuryUpdated(oldTreasury, newTreasury);
+    }
+
+    /**
+     * @dev Set the ERC-2771 forwarder trusted to relay player calls
+     * @param forwarder Forwarder address, or address(0) to disable relaying
+     */
+    function setTrustedForwarder(
+        address forwarder
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit TrustedForwarderUpdated(_forwarder, forwarder);
+        _forwarder = forwarder;
+    }
+
+    /**
+     * @dev Register a new game type (only callable by admin)
+     * @param name Short name the matchmaking server loads rules by, e.g. "connect4"
+     * @param minStake Minimum stake per player
+     * @param maxStake Maximum stake per player, 0 for no upper bound
+     * @param timeout Refund timeout once a match is fully staked
+     * @return gameType ID of the new game type
+     */
+    function registerGameType(
+        string calldata name,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 timeout
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256 gameType) {
+        return _registerGameType(name, minStake, maxStake, timeout);
+    }
+
+    /**
+     * @dev Change a game type's limits or retire it (only callable by admin)
+     * @dev Matches already created keep their stake; the timeout applies to
+     *      refunds from now on
+     * @param gameType ID of the game type
+     * @param minStake Minimum stake per player
+     * @param maxStake Maximum stake per player, 0 for no upper bound
+     * @param timeout Refund timeout once a match is fully staked
+     * @param active Whether new matches can be created
+     */
+    function updateGameType(
+        uint256 gameType,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 timeout,
+        bool active
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(gameType < gameTypeCount, "PlayGame: unknown game type");
+        _checkGameTypeLimits(minStake, maxStake, timeout);
+
+        GameType storage game = _gameTypes[gameType];
+        game.minStake = minStake;
+        game.maxStake = maxStake;
+        game.timeout = timeout;
+        game.active = active;
+
+        emit GameTypeUpdated(gameType, minStake, maxStake, timeout, active);
+    }
+
+    /**
+     * @dev Get a game type's settings
+     * @param gameType ID of the game type
+     * @return game Name, stake bounds, timeout and whether it is active
+     */
+    function getGameType(
+        uint256 gameType
+    ) external view returns (GameType memory game) {
+        return _gameTypes[gameType];
+    }
+
+    function _registerGameType(
+        string memory name,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 timeout
+    ) internal returns (uint256 gameType) {
+        require(bytes(name).length > 0, "PlayGame: game type name required");
+        _checkGameTypeLimits(minStake, maxStake, timeout);
+
+        gameType = gameTypeCount++;
+        _gameTypes[gameType] = GameType({
+            name: name,
+            minStake: minStake,
+            maxStake: maxStake,
+            timeout: timeout,
+            active: true
+        });
+
+        emit GameTypeRegistered(gameType, name, minStake, maxStake, timeout);
+    }
+
+    function _checkGameTypeLimits(
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 timeout
+    ) internal pure {
+        require(minStake > 0, "PlayGame: min stake must be greater than 0");
+        require(
+            maxStake == 0 || maxStake >= minStake,
+            "PlayGame: max stake below min stake"
+        );
+        require(timeout > 0, "PlayGame: timeout must be greater than 0");
+    }
+
+    /**
+     * @dev Refund timeout for a match, from its game type
+     * @dev Falls back to TIMEOUT_DURATION for matches created before the
+     *      registry existed if type 0 was never registered
+     * @param matchId ID of the match
+     */
+    function _matchTimeout(bytes32 matchId) internal view returns (uint256) {
+        uint256 timeout = _gameTypes[matchGameType[matchId]].timeout;
+        return timeout == 0 ? TIMEOUT_DURATION : timeout;
+    }
+
+    /**
+     * @dev Time from which a staked or disputed match can be refunded
+     * @param matchId ID of the match
+     */
+    function _refundTime(bytes32 matchId) internal view returns (uint256) {
+        if (matches[matchId].status == MatchStatus.DISPUTED) {
+            return proposals[matchId].disputeDeadline + ARBITRATION_TIMEOUT;
+        }
+        return matches[matchId].startTime + _matchTimeout(matchId);
+    }
+
+    /**
+     * @dev Forwarder currently trusted to relay calls
+     */
+    function trustedForwarder() public view override returns (address) {
+        return _forwarder;
+    }
+
+    /**
+     * @dev Only the admin (the timelock once deployed) can upgrade the implementation
+     */
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    /**
+     * @dev Drop a match from the pending index (swap and pop)
+     * @param matchId ID of the match
+     */
+    function _removePending(bytes32 matchId) internal {
+        uint256 index = pendingMatchIndex[matchId];
+        if (index == 0) return;
+
+        bytes32 lastId = pendingMatchIds[pendingMatchIds.length - 1];
+        pendingMatchIds[index - 1] = lastId;
+        pendingMatchIndex[lastId] = index;
+
+        pendingMatchIds.pop();
+        delete pendingMatchIndex[matchId];
+    }
+
+    /**
+     * @dev Copy one page of an ID list into memory
+     * @param ids Stored ID list
+     * @param offset Index of the first ID to return
+     * @param limit Maximum number of IDs to return
+     * @return page IDs from offset, at most limit of them
+     */
+    function _slice(
+        bytes32[] storage ids,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory page) {
+        if (offset >= ids.length) {
+            return new bytes32[](0);
+        }
+
+        uint256 end = limit > ids.length - offset
+            ? ids.length
+            : offset + limit;
+
+        page = new bytes32[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = ids[i];
+        }
+    }
+
+    /**
+     * @dev Record a proposed result, open to dispute until the deadline
+     * @param matchId ID of the match
+     * @param winner Address of the winning player, or address(0) for a draw
+     */
+    function _propose(bytes32 matchId, address winner) internal {
+        uint256 deadline = block.timestamp + disputeWindow;
+
+        matches[matchId].status = MatchStatus.PROPOSED;
+        proposals[matchId] = Proposal({
+            winner: winner,
+            disputeDeadline: deadline,
+            disputedBy: address(0),
+            evidenceHash: bytes32(0)
+        });
+
+        emit ResultProposed(matchId, winner, deadline);
+    }
+
+    /**
+     * @dev Pay out a match: 2x stake less the match fee to the winner, or
+     *      each stake back in full on a draw
+     * @param matchId ID of the match
+     * @param winner Address of the winning player, or address(0) for a draw
+     */
+    function _settle(bytes32 matchId, address winner) internal {
+        Match storage matchData = matches[matchId];
+        uint256 stakeAmount = matchData.stake;
+
+        _releaseMatchStake(matchData.p1, stakeAmount);
+        _releaseMatchStake(matchData.p2, stakeAmount);
+
+        if (winner == address(0)) {
+            // Update match status
+            matchData.status = MatchStatus.DRAWN;
+
+            // Return each player's stake
+            require(
+                gameToken.transfer(matchData.p1, stakeAmount),
+                "PlayGame: p1 draw refund failed"
+            );
+            require(
+                gameToken.transfer(matchData.p2, stakeAmount),
+                "PlayGame: p2 draw refund failed"
+            );
+
+            totalPayouts += stakeAmount * 2;
+
+            emit Drawn(matchId, matchData.p1, matchData.p2, stakeAmount);
+            return;
+        }
+
+        uint256 pot = stakeAmount * 2;
+        uint256 fee = (pot * matchData.feeBps) / BASIS_POINTS;
+        uint256 totalPayout = pot - fee;
 
         // Update match status
         matchData.status = MatchStatus.SETTLED;
 
-        // Transfer 2x stake GT to winner
+        // Transfer 2x stake GT, less the fee, to winner
         require(
             gameToken.transfer(winner, totalPayout),
             "PlayGame: winner payout failed"
         );
 
+        if (fee > 0) {
+            require(
+                gameToken.transfer(treasury, fee),
+                "PlayGame: fee transfer failed"
+            );
+            totalFeesCollected += fee;
+            emit PlatformFeeCollected(matchId, treasury, fee);
+        }
+
         totalPayouts += totalPayout;
 
         emit Settled(matchId, winner, totalPayout);
@@ -221,6 +905,8 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @dev Refund stakes after timeout if match not settled
+     * @dev Also refunds a disputed match the arbiter left unresolved past
+     *      ARBITRATION_TIMEOUT, so an absent arbiter can't lock the stakes
      * @param matchId ID of the match to refund
      */
     function refund(bytes32 matchId) external whenNotPaused nonReentrant {
@@ -230,11 +916,12 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
             "PlayGame: match does not exist"
         );
         require(
-            matchData.status == MatchStatus.STAKED,
+            matchData.status == MatchStatus.STAKED ||
+                matchData.status == MatchStatus.DISPUTED,
             "PlayGame: match not eligible for refund"
         );
         require(
-            block.timestamp >= matchData.startTime + TIMEOUT_DURATION,
+            block.timestamp >= _refundTime(matchId),
             "PlayGame: refund timeout not reached"
         );
 
@@ -245,6 +932,7 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
 
         // Refund stakes to both players
         if (matchData.p1Staked) {
+            _releaseMatchStake(matchData.p1, stakeAmount);
             require(
                 gameToken.transfer(matchData.p1, stakeAmount),
                 "PlayGame: p1 refund failed"
@@ -254,6 +942,59 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         }
 
         if (matchData.p2Staked) {
+            _releaseMatchStake(matchData.p2, stakeAmount);
+            require(
+                gameToken.transfer(matchData.p2, stakeAmount),
+                "PlayGame: p2 refund failed"
+            );
+            totalStaked -= stakeAmount;
+            emit Refunded(matchId, matchData.p2, stakeAmount);
+        }
+    }
+
+    /**
+     * @dev Cancel a match that was never fully staked and refund whoever staked
+     * @dev Either player can cancel; anyone can once the stake deadline has passed
+     * @param matchId ID of the match to cancel
+     */
+    function cancelMatch(bytes32 matchId) external whenNotPaused nonReentrant {
+        Match storage matchData = matches[matchId];
+        require(
+            matchData.matchId != bytes32(0),
+            "PlayGame: match does not exist"
+        );
+        require(
+            matchData.status == MatchStatus.CREATED,
+            "PlayGame: match not cancellable"
+        );
+        require(
+            _msgSender() == matchData.p1 ||
+                _msgSender() == matchData.p2 ||
+                block.timestamp >= matchData.stakeDeadline,
+            "PlayGame: stake deadline not reached"
+        );
+
+        uint256 stakeAmount = matchData.stake;
+
+        // Update match status
+        matchData.status = MatchStatus.CANCELLED;
+        _removePending(matchId);
+
+        emit MatchCancelled(matchId, _msgSender());
+
+        // Refund whoever already staked
+        if (matchData.p1Staked) {
+            _releaseMatchStake(matchData.p1, stakeAmount);
+            require(
+                gameToken.transfer(matchData.p1, stakeAmount),
+                "PlayGame: p1 refund failed"
+            );
+            totalStaked -= stakeAmount;
+            emit Refunded(matchId, matchData.p1, stakeAmount);
+        }
+
+        if (matchData.p2Staked) {
+            _releaseMatchStake(matchData.p2, stakeAmount);
             require(
                 gameToken.transfer(matchData.p2, stakeAmount),
                 "PlayGame: p2 refund failed"
@@ -274,16 +1015,64 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         return matches[matchId];
     }
 
+    /**
+     * @dev Get the number of matches a player has been in
+     * @param player Address of the player
+     * @return count Number of matches
+     */
+    function getPlayerMatchCount(
+        address player
+    ) external view returns (uint256 count) {
+        return playerMatches[player].length;
+    }
+
+    /**
+     * @dev Get a page of a player's match IDs, oldest first
+     * @param player Address of the player
+     * @param offset Index of the first match to return
+     * @param limit Maximum number of matches to return
+     * @return matchIds Match IDs in creation order
+     */
+    function getPlayerMatches(
+        address player,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory matchIds) {
+        return _slice(playerMatches[player], offset, limit);
+    }
+
+    /**
+     * @dev Get the number of matches still waiting for stakes
+     * @return count Number of pending matches
+     */
+    function getPendingMatchCount() external view returns (uint256 count) {
+        return pendingMatchIds.length;
+    }
+
+    /**
+     * @dev Get a page of matches created but not yet fully staked
+     * @dev Order is not stable: removing a match moves the last one into its slot
+     * @param offset Index of the first match to return
+     * @param limit Maximum number of matches to return
+     * @return matchIds Pending match IDs
+     */
+    function getPendingMatches(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory matchIds) {
+        return _slice(pendingMatchIds, offset, limit);
+    }
+
     /**
      * @dev Check if a match can be refunded
      * @param matchId ID of the match
      * @return canRefund True if match can be refunded
      */
     function canRefund(bytes32 matchId) external view returns (bool canRefund) {
-        Match memory matchData = matches[matchId];
+        MatchStatus status = matches[matchId].status;
         return
-            matchData.status == MatchStatus.STAKED &&
-            block.timestamp >= matchData.startTime + TIMEOUT_DURATION;
+            (status == MatchStatus.STAKED || status == MatchStatus.DISPUTED) &&
+            block.timestamp >= _refundTime(matchId);
     }
 
     /**
@@ -302,6 +1091,7 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @dev Emergency function to withdraw GT tokens (only callable by admin)
+     * @dev Only GT sent here outside of staking can be withdrawn, never escrow
      * @param to Address to send tokens to
      * @param amount Amount of tokens to withdraw
      */
@@ -312,15 +1102,45 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         require(to != address(0), "PlayGame: cannot withdraw to zero address");
         require(amount > 0, "PlayGame: amount must be greater than 0");
         require(
-            amount <= gameToken.balanceOf(address(this)),
-            "PlayGame: insufficient balance"
+            amount <= gameToken.balanceOf(address(this)) - totalEscrowed,
+            "PlayGame: amount exceeds unescrowed balance"
         );
 
         gameToken.transfer(to, amount);
     }
 
+    /**
+     * @dev Escrow GT ahead of matchmaking; stake() draws from it before the wallet
+     * @param amount Amount of GT to deposit
+     */
+    function depositPreStake(
+        uint256 amount
+    ) external whenNotPaused nonReentrant {
+        require(amount > 0, "PlayGame: amount must be greater than 0");
+
+        address player = _msgSender();
+        preStakeBalance[player] += amount;
+        totalEscrowed += amount;
+
+        require(
+            gameToken.transferFrom(player, address(this), amount),
+            "PlayGame: GT transfer failed"
+        );
+
+        emit PreStakeDeposited(player, amount);
+    }
+
+    /**
+     * @dev Withdraw your own unused pre-stake
+     * @param amount Amount to withdraw
+     */
+    function withdrawPreStake(uint256 amount) external nonReentrant {
+        _returnPreStake(_msgSender(), amount);
+    }
+
     /**
      * @dev Refund pre-staked amount (for matchmaking timeouts)
+     * @dev Limited to what the player actually deposited and has not staked
      * @param player Address of the player to refund
      * @param amount Amount to refund
      */
@@ -329,26 +1149,61 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         uint256 amount
     ) external onlyRole(OPERATOR_ROLE) whenNotPaused nonReentrant {
         require(player != address(0), "PlayGame: invalid player address");
+        _returnPreStake(player, amount);
+    }
+
+    /**
+     * @dev Send part of a player's pre-stake back to them
+     * @param player Address of the player
+     * @param amount Amount to return
+     */
+    function _returnPreStake(address player, uint256 amount) internal {
         require(amount > 0, "PlayGame: amount must be greater than 0");
         require(
-            amount <= gameToken.balanceOf(address(this)),
-            "PlayGame: insufficient balance"
+            amount <= preStakeBalance[player],
+            "PlayGame: amount exceeds pre-stake"
         );
 
+        preStakeBalance[player] -= amount;
+        totalEscrowed -= amount;
+
         require(
             gameToken.transfer(player, amount),
             "PlayGame: pre-stake refund failed"
         );
 
-        totalStaked -= amount;
         emit Refunded(bytes32(0), player, amount); // Use zero bytes32 for pre-stake refunds
     }
 
+    /**
+     * @dev Unlock a player's stake in a match that is being paid out or refunded
+     * @param player Address of the player
+     * @param amount Stake to unlock
+     */
+    function _releaseMatchStake(address player, uint256 amount) internal {
+        matchStakeBalance[player] -= amount;
+        totalEscrowed -= amount;
+    }
+
+    /**
+     * @dev Get a player's escrowed GT
+     * @param player Address of the player
+     * @return preStake GT deposited and not yet staked in a match
+     * @return matchStake GT locked in unsettled matches
+     */
+    function getEscrow(
+        address player
+    ) external view returns (uint256 preStake, uint256 matchStake) {
+        return (preStakeBalance[player], matchStakeBalance[player]);
+    }
+
     /**
      * @dev Get contract statistics
      * @return _totalMatches Total number of matches created
      * @return _totalStaked Total amount staked
-     * @return _totalPayouts Total amount paid out
+     * @return _totalPayouts Total amount paid out to players
+     * @return _platformFee Current platform fee in basis points
+     * @return _totalFeesCollected Total platform fees sent to the treasury
      */
     function getStats()
         external
@@ -356,10 +1211,45 @@ contract PlayGame is AccessControl, Pausable, ReentrancyGuard {
         returns (
             uint256 _totalMatches,
             uint256 _totalStaked,
-            uint256 _totalPayouts
+            uint256 _totalPayouts,
+            uint256 _platformFee,
+            uint256 _totalFeesCollected
         )
     {
-        return (totalMatches, totalStaked, totalPayouts);
+        return (
+            totalMatches,
+            totalStaked,
+            totalPayouts,
+            platformFeePercentage,
+            totalFeesCollected
+        );
+    }
+
+    function _msgSender()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (address)
+    {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+
+    function _msgData()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (bytes calldata)
+    {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+
+    function _contextSuffixLength()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (uint256)
+    {
+        return ERC2771ContextUpgradeable._contextSuffixLength();
     }
 
     /**
@@ -1,129 +1,562 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import {AccessControlUpgradeable} from "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
+import {ContextUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/ContextUpgradeable.sol";
+import {ERC2771ContextUpgradeable} from "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {AggregatorV3Interface} from "./interfaces/AggregatorV3Interface.sol";
+import {UUPSUpgradeable} from "./proxy/UUPSUpgradeable.sol";
 import "./GameToken.sol";
-import "./interfaces/IUSDT.sol";
 
 /**
  * @title TokenStore
- * @dev Contract for purchasing GameTokens with USDT
- * @dev Implements 1:1 USDT to GT conversion rate
+ * @dev Contract for purchasing GameTokens with registered payment tokens
+ *      (USDT, USDC, DAI, ...), each with its own decimals and GT rate
  * @dev Only authorized contracts can mint GT tokens
+ * @dev GT can be redeemed back into any accepted payment token, subject to a
+ *      fee and daily limits; payments backing outstanding GT are held in reserve
+ * @dev GT can also be bought with ETH, priced through a Chainlink-style ETH/USD
+ *      feed; ETH is not redeemable and does not count towards the reserve
+ * @dev Accepts ERC-2771 meta-transactions from the trusted forwarder
+ * @dev Deployed behind a GameProxy and upgradeable (UUPS) by DEFAULT_ADMIN_ROLE
  */
-contract TokenStore is AccessControl, Pausable, ReentrancyGuard {
+contract TokenStore is
+    Initializable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuard,
+    ERC2771ContextUpgradeable,
+    UUPSUpgradeable
+{
     using Address for address payable;
+    using SafeERC20 for IERC20;
 
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
 
-    GameToken public immutable gameToken;
-    IUSDT public immutable usdtToken;
-    uint256 public immutable gtPerUsdt;
+    GameToken public gameToken;
 
-    uint256 public constant USDT_DECIMALS = 6;
     uint256 public constant GT_DECIMALS = 18;
-    uint256 public constant DECIMAL_ADJUSTMENT =
-        10 ** (GT_DECIMALS - USDT_DECIMALS);
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_REDEMPTION_FEE = 1000; // 10%
+
+    struct PaymentToken {
+        bool accepted;
+        uint8 decimals;
+        uint256 gtPerToken; // GT (18 decimals) per whole payment token
+        uint256 totalReceived;
+    }
+
+    // Payment token registry
+    mapping(address => PaymentToken) public paymentTokens;
+    address[] private paymentTokenList;
 
     uint256 public totalPurchases;
-    uint256 public totalUSDTReceived;
 
-    event Purchase(address indexed buyer, uint256 usdtAmount, uint256 gtOut);
+    // Redemption settings
+    uint256 public redemptionFeeBps;
+    uint256 public dailyRedeemLimit; // GT per address per day, 0 = unlimited
+    uint256 public globalDailyRedeemLimit; // GT across all addresses per day, 0 = unlimited
+    uint256 public reserveRatioBps; // share of liability withdrawals must leave behind
+
+    // Payment token units owed against GT sold and not yet redeemed
+    mapping(address => uint256) public outstandingLiability;
+
+    // GT redeemed per day (block.timestamp / 1 days)
+    mapping(uint256 => mapping(address => uint256)) public redeemedOnDay;
+    mapping(uint256 => uint256) public globalRedeemedOnDay;
+    uint256 public totalRedemptions;
+
+    // ETH purchases, disabled while no price feed is set
+    AggregatorV3Interface public ethUsdFeed;
+    uint256 public gtPerUsd; // GT (18 decimals) per whole USD
+    uint256 public priceMaxAge; // seconds before a feed answer counts as stale
+    uint256 public maxPriceDeviationBps; // largest move from the previous round, 0 = unchecked
+    uint256 public totalEthReceived;
+
+    // Forwarder allowed to relay signed purchases; address(0) disables them
+    address private _forwarder;
+
+    event Purchase(
+        address indexed buyer,
+        address indexed token,
+        uint256 amount,
+        uint256 gtOut
+    );
+    event Redemption(
+        address indexed redeemer,
+        address indexed token,
+        uint256 gtAmount,
+        uint256 amountOut,
+        uint256 fee
+    );
+    event RedemptionFeeUpdated(uint256 oldFee, uint256 newFee);
+    event RedemptionLimitsUpdated(uint256 perAddress, uint256 global);
+    event ReserveRatioUpdated(uint256 oldRatio, uint256 newRatio);
+    event EthPriceFeedUpdated(
+        address indexed feed,
+        uint256 gtPerUsd,
+        uint256 maxAge,
+        uint256 maxDeviationBps
+    );
+    event PaymentTokenAdded(
+        address indexed token,
+        uint8 decimals,
+        uint256 gtPerToken
+    );
+    event PaymentTokenRateUpdated(
+        address indexed token,
+        uint256 oldRate,
+        uint256 newRate
+    );
+    event PaymentTokenRemoved(address indexed token);
     event EmergencyWithdraw(
         address indexed token,
         address indexed to,
         uint256 amount
     );
+    event TrustedForwarderUpdated(
+        address indexed oldForwarder,
+        address indexed newForwarder
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() ERC2771ContextUpgradeable(address(0)) {
+        _disableInitializers();
+    }
 
     /**
-     * @dev Constructor sets up the contract with GameToken and USDT addresses
-     * @param _usdt Address of the USDT token contract
+     * @dev Initializer run once through the proxy, sets up the contract with GameToken and a first payment token
+     * @param _paymentToken Address of the first accepted payment token (e.g. USDT)
      * @param _gameToken Address of the GameToken contract
-     * @param _gtPerUsdt GT tokens per USDT (e.g., 1e18 for 1:1 conversion)
+     * @param _gtPerToken GT per whole payment token (e.g., 1e18 for 1:1 conversion)
      */
-    constructor(address _usdt, address _gameToken, uint256 _gtPerUsdt) {
-        require(_usdt != address(0), "TokenStore: invalid USDT address");
+    function initialize(
+        address _paymentToken,
+        address _gameToken,
+        uint256 _gtPerToken
+    ) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+
         require(
             _gameToken != address(0),
             "TokenStore: invalid game token address"
         );
-        require(_gtPerUsdt > 0, "TokenStore: gtPerUsdt must be greater than 0");
 
-        usdtToken = IUSDT(_usdt);
         gameToken = GameToken(_gameToken);
-        gtPerUsdt = _gtPerUsdt;
+        reserveRatioBps = BASIS_POINTS;
 
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(OPERATOR_ROLE, msg.sender);
         _grantRole(PAUSER_ROLE, msg.sender);
+
+        _addPaymentToken(_paymentToken, _gtPerToken);
     }
 
     /**
-     * @dev Buy GT tokens with USDT (1:1 conversion rate)
-     * @param usdtAmount Amount of USDT to spend (6 decimals)
+     * @dev Buy GT tokens with an accepted payment token
+     * @param token Payment token to spend
+     * @param amount Amount of the payment token, in its own decimals
+     * @param minGtOut Minimum GT to receive, protecting against rate changes
      */
-    function buy(uint256 usdtAmount) external whenNotPaused nonReentrant {
-        require(usdtAmount > 0, "TokenStore: amount must be greater than 0");
+    function buy(
+        address token,
+        uint256 amount,
+        uint256 minGtOut
+    ) external whenNotPaused nonReentrant {
+        address buyer = _msgSender();
+        PaymentToken storage paymentToken = paymentTokens[token];
+        require(paymentToken.accepted, "TokenStore: token not accepted");
+        require(amount > 0, "TokenStore: amount must be greater than 0");
         require(
-            usdtAmount <= usdtToken.balanceOf(msg.sender),
-            "TokenStore: insufficient USDT balance"
+            amount <= IERC20(token).balanceOf(buyer),
+            "TokenStore: insufficient token balance"
         );
         require(
-            usdtAmount <= usdtToken.allowance(msg.sender, address(this)),
-            "TokenStore: insufficient USDT allowance"
+            amount <= IERC20(token).allowance(buyer, address(this)),
+            "TokenStore: insufficient token allowance"
         );
 
-        // Pull USDT (6 decimals) with transferFrom
-        require(
-            usdtToken.transferFrom(msg.sender, address(this), usdtAmount),
-            "TokenStore: USDT transfer failed"
-        );
+        // Calculate GT amount: amount * gtPerToken / 10^decimals
+        uint256 gtOut = _toGT(paymentToken, amount);
+        require(gtOut > 0, "TokenStore: amount too small");
+        require(gtOut >= minGtOut, "TokenStore: GT out below minimum");
 
-        // Calculate GT amount: usdtAmount * gtPerUsdt / 1e6
-        uint256 gtOut = (usdtAmount * gtPerUsdt) / (10 ** USDT_DECIMALS);
+        // Pull the payment token with transferFrom
+        IERC20(token).safeTransferFrom(buyer, address(this), amount);
 
         // Mint GT tokens to buyer
-        gameToken.mint(msg.sender, gtOut);
+        gameToken.mint(buyer, gtOut);
 
         // Update statistics
         totalPurchases++;
-        totalUSDTReceived += usdtAmount;
+        paymentToken.totalReceived += amount;
+        outstandingLiability[token] += amount;
+
+        emit Purchase(buyer, token, amount, gtOut);
+    }
+
+    /**
+     * @dev Buy GT with all the ETH sent, priced through the ETH/USD feed
+     * @dev Emits Purchase with token address(0)
+     * @param minGtOut Minimum GT to receive, protecting against price moves
+     */
+    function buyWithETH(
+        uint256 minGtOut
+    ) external payable whenNotPaused nonReentrant {
+        require(msg.value > 0, "TokenStore: amount must be greater than 0");
+
+        uint256 gtOut = _ethToGT(msg.value, _ethPrice());
+        require(gtOut > 0, "TokenStore: amount too small");
+        require(gtOut >= minGtOut, "TokenStore: GT out below minimum");
+
+        _purchaseWithETH(_msgSender(), msg.value, gtOut);
+    }
+
+    /**
+     * @dev Buy an exact amount of GT with ETH, refunding any ETH sent above its price
+     * @param gtAmount GT to receive
+     */
+    function buyExactGTWithETH(
+        uint256 gtAmount
+    ) external payable whenNotPaused nonReentrant {
+        require(gtAmount > 0, "TokenStore: amount must be greater than 0");
+
+        uint256 ethIn = _gtToEth(gtAmount, _ethPrice());
+        require(msg.value >= ethIn, "TokenStore: insufficient ETH sent");
+
+        address buyer = _msgSender();
+        _purchaseWithETH(buyer, ethIn, gtAmount);
+
+        if (msg.value > ethIn) {
+            payable(buyer).sendValue(msg.value - ethIn);
+        }
+    }
+
+    /**
+     * @dev Get the GT amount for an amount of ETH at the current feed price
+     * @param ethAmount Amount of ETH in wei
+     * @return gtAmount Equivalent GT amount
+     */
+    function getGTAmountForETH(
+        uint256 ethAmount
+    ) external view returns (uint256 gtAmount) {
+        return _ethToGT(ethAmount, _ethPrice());
+    }
+
+    /**
+     * @dev Get the ETH needed for a GT amount at the current feed price
+     * @param gtAmount Amount of GT tokens
+     * @return ethAmount ETH in wei, rounded up
+     */
+    function getETHAmount(
+        uint256 gtAmount
+    ) external view returns (uint256 ethAmount) {
+        return _gtToEth(gtAmount, _ethPrice());
+    }
+
+    /**
+     * @dev Configure ETH purchases (admin only)
+     * @param feed ETH/USD price feed, or address(0) to disable ETH purchases
+     * @param _gtPerUsd GT per whole USD
+     * @param maxAge Seconds before a feed answer counts as stale
+     * @param maxDeviationBps Largest price move from the previous round, 0 to skip the check
+     */
+    function setEthPriceFeed(
+        address feed,
+        uint256 _gtPerUsd,
+        uint256 maxAge,
+        uint256 maxDeviationBps
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (feed != address(0)) {
+            require(_gtPerUsd > 0, "TokenStore: rate must be greater than 0");
+            require(maxAge > 0, "TokenStore: max age must be greater than 0");
+        }
+
+        ethUsdFeed = AggregatorV3Interface(feed);
+        gtPerUsd = _gtPerUsd;
+        priceMaxAge = maxAge;
+        maxPriceDeviationBps = maxDeviationBps;
+
+        emit EthPriceFeedUpdated(feed, _gtPerUsd, maxAge, maxDeviationBps);
+    }
+
+    /**
+     * @dev Redeem GT for an accepted payment token at its current rate
+     * @dev Burns the GT with GameToken.burnFrom, so the caller must approve
+     *      this contract for gtAmount first
+     * @dev Each token only pays out against its own outstanding liability, so
+     *      GT bought with ETH or another token can't drain its reserve
+     * @param token Payment token to receive
+     * @param gtAmount Amount of GT to redeem
+     * @param minAmountOut Minimum payment token out after the fee
+     */
+    function redeem(
+        address token,
+        uint256 gtAmount,
+        uint256 minAmountOut
+    ) external whenNotPaused nonReentrant {
+        address redeemer = _msgSender();
+        PaymentToken storage paymentToken = paymentTokens[token];
+        require(paymentToken.accepted, "TokenStore: token not accepted");
+        require(gtAmount > 0, "TokenStore: amount must be greater than 0");
+
+        uint256 day = block.timestamp / 1 days;
+        require(
+            dailyRedeemLimit == 0 ||
+                redeemedOnDay[day][redeemer] + gtAmount <= dailyRedeemLimit,
+            "TokenStore: daily redeem limit exceeded"
+        );
+        require(
+            globalDailyRedeemLimit == 0 ||
+                globalRedeemedOnDay[day] + gtAmount <= globalDailyRedeemLimit,
+            "TokenStore: global daily redeem limit exceeded"
+        );
+
+        (uint256 amountOut, uint256 fee) = _quoteRedeem(paymentToken, gtAmount);
+        require(amountOut > 0, "TokenStore: amount too small");
+        require(
+            amountOut >= minAmountOut,
+            "TokenStore: amount out below minimum"
+        );
+        require(
+            amountOut <= IERC20(token).balanceOf(address(this)),
+            "TokenStore: insufficient reserve"
+        );
+
+        // The fee stays in the store but no longer backs any GT
+        uint256 released = amountOut + fee;
+        require(
+            released <= outstandingLiability[token],
+            "TokenStore: redemption exceeds token liability"
+        );
+
+        redeemedOnDay[day][redeemer] += gtAmount;
+        globalRedeemedOnDay[day] += gtAmount;
+        totalRedemptions++;
+        outstandingLiability[token] -= released;
+
+        gameToken.burnFrom(redeemer, gtAmount);
+        IERC20(token).safeTransfer(redeemer, amountOut);
+
+        emit Redemption(redeemer, token, gtAmount, amountOut, fee);
+    }
+
+    /**
+     * @dev Quote a redemption at the token's current rate and fee
+     * @param token Payment token to receive
+     * @param gtAmount Amount of GT to redeem
+     * @return amountOut Payment token paid out after the fee
+     * @return fee Payment token kept as the redemption fee
+     */
+    function getRedeemAmount(
+        address token,
+        uint256 gtAmount
+    ) external view returns (uint256 amountOut, uint256 fee) {
+        PaymentToken storage paymentToken = paymentTokens[token];
+        require(paymentToken.accepted, "TokenStore: token not accepted");
+        return _quoteRedeem(paymentToken, gtAmount);
+    }
+
+    /**
+     * @dev GT an address can still redeem today under both daily limits
+     * @param account Address to check
+     * @return remaining Redeemable GT, type(uint256).max if unlimited
+     */
+    function getRedeemableToday(
+        address account
+    ) external view returns (uint256 remaining) {
+        uint256 day = block.timestamp / 1 days;
+        remaining = type(uint256).max;
+
+        if (dailyRedeemLimit > 0) {
+            uint256 used = redeemedOnDay[day][account];
+            remaining = used < dailyRedeemLimit ? dailyRedeemLimit - used : 0;
+        }
+        if (globalDailyRedeemLimit > 0) {
+            uint256 used = globalRedeemedOnDay[day];
+            uint256 globalRemaining = used < globalDailyRedeemLimit
+                ? globalDailyRedeemLimit - used
+                : 0;
+            if (globalRemaining < remaining) {
+                remaining = globalRemaining;
+            }
+        }
+    }
+
+    /**
+     * @dev Payment token balance that must stay in the store
+     * @param token Payment token
+     * @return reserve Outstanding liability scaled by the reserve ratio
+     */
+    function getRequiredReserve(
+        address token
+    ) public view returns (uint256 reserve) {
+        return (outstandingLiability[token] * reserveRatioBps) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Set the redemption fee (admin only)
+     * @param newFee Fee on redeemed amounts, in basis points
+     */
+    function setRedemptionFee(
+        uint256 newFee
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            newFee <= MAX_REDEMPTION_FEE,
+            "TokenStore: fee cannot exceed 10%"
+        );
+
+        emit RedemptionFeeUpdated(redemptionFeeBps, newFee);
+        redemptionFeeBps = newFee;
+    }
+
+    /**
+     * @dev Set the daily redemption limits (admin only)
+     * @param perAddress GT each address may redeem per day, 0 for no limit
+     * @param global GT all addresses may redeem per day, 0 for no limit
+     */
+    function setRedemptionLimits(
+        uint256 perAddress,
+        uint256 global
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        dailyRedeemLimit = perAddress;
+        globalDailyRedeemLimit = global;
+
+        emit RedemptionLimitsUpdated(perAddress, global);
+    }
 
-        emit Purchase(msg.sender, usdtAmount, gtOut);
+    /**
+     * @dev Set how much of the outstanding liability withdrawals must leave (admin only)
+     * @param newRatio Reserve ratio in basis points, at most 100%
+     */
+    function setReserveRatio(
+        uint256 newRatio
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            newRatio <= BASIS_POINTS,
+            "TokenStore: ratio cannot exceed 100%"
+        );
+
+        emit ReserveRatioUpdated(reserveRatioBps, newRatio);
+        reserveRatioBps = newRatio;
     }
 
     /**
-     * @dev Get the GT amount for a given USDT amount
-     * @param usdtAmount Amount of USDT
+     * @dev Get the GT amount for an amount of a payment token
+     * @param token Payment token
+     * @param amount Amount of the payment token
      * @return gtAmount Equivalent GT amount
      */
     function getGTAmount(
-        uint256 usdtAmount
+        address token,
+        uint256 amount
     ) external view returns (uint256 gtAmount) {
-        return (usdtAmount * gtPerUsdt) / (10 ** USDT_DECIMALS);
+        PaymentToken storage paymentToken = paymentTokens[token];
+        require(paymentToken.accepted, "TokenStore: token not accepted");
+        return _toGT(paymentToken, amount);
     }
 
     /**
-     * @dev Get the USDT amount for a given GT amount
+     * @dev Get the payment token amount for a given GT amount
+     * @param token Payment token
      * @param gtAmount Amount of GT tokens
-     * @return usdtAmount Equivalent USDT amount
+     * @return amount Equivalent amount of the payment token
      */
-    function getUSDTAmount(
+    function getTokenAmount(
+        address token,
         uint256 gtAmount
-    ) external view returns (uint256 usdtAmount) {
-        return (gtAmount * (10 ** USDT_DECIMALS)) / gtPerUsdt;
+    ) external view returns (uint256 amount) {
+        PaymentToken storage paymentToken = paymentTokens[token];
+        require(paymentToken.accepted, "TokenStore: token not accepted");
+        return
+            (gtAmount * (10 ** paymentToken.decimals)) /
+            paymentToken.gtPerToken;
+    }
+
+    /**
+     * @dev Get all accepted payment tokens
+     * @return tokens Payment token addresses
+     */
+    function getPaymentTokens()
+        external
+        view
+        returns (address[] memory tokens)
+    {
+        return paymentTokenList;
+    }
+
+    /**
+     * @dev Accept a new payment token (admin only)
+     * @param token Address of the ERC-20 payment token
+     * @param gtPerToken GT per whole payment token
+     */
+    function addPaymentToken(
+        address token,
+        uint256 gtPerToken
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _addPaymentToken(token, gtPerToken);
+    }
+
+    /**
+     * @dev Update the GT rate of a payment token (admin only)
+     * @param token Payment token
+     * @param gtPerToken New GT per whole payment token
+     */
+    function setPaymentTokenRate(
+        address token,
+        uint256 gtPerToken
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        PaymentToken storage paymentToken = paymentTokens[token];
+        require(paymentToken.accepted, "TokenStore: token not accepted");
+        require(gtPerToken > 0, "TokenStore: rate must be greater than 0");
+
+        emit PaymentTokenRateUpdated(token, paymentToken.gtPerToken, gtPerToken);
+        paymentToken.gtPerToken = gtPerToken;
+    }
+
+    /**
+     * @dev Stop accepting a payment token (admin only)
+     * @dev Balances already received stay withdrawable
+     * @param token Payment token
+     */
+    function removePaymentToken(
+        address token
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            paymentTokens[token].accepted,
+            "TokenStore: token not accepted"
+        );
+
+        paymentTokens[token].accepted = false;
+
+        uint256 length = paymentTokenList.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (paymentTokenList[i] == token) {
+                paymentTokenList[i] = paymentTokenList[length - 1];
+                paymentTokenList.pop();
+                break;
+            }
+        }
+
+        emit PaymentTokenRemoved(token);
     }
 
     /**
-     * @dev Withdraw USDT from contract (owner only)
-     * @param to Address to send USDT to
-     * @param amount Amount of USDT to withdraw
+     * @dev Withdraw received payment tokens from contract (owner only)
+     * @param token Payment token to withdraw
+     * @param to Address to send tokens to
+     * @param amount Amount to withdraw
      */
-    function withdrawUSDT(
+    function withdrawPayments(
+        address token,
         address to,
         uint256 amount
     ) external onlyRole(DEFAULT_ADMIN_ROLE) {
@@ -133,25 +566,204 @@ contract TokenStore is AccessControl, Pausable, ReentrancyGuard {
         );
         require(amount > 0, "TokenStore: amount must be greater than 0");
         require(
-            amount <= usdtToken.balanceOf(address(this)),
-            "TokenStore: insufficient USDT balance"
+            amount <= IERC20(token).balanceOf(address(this)),
+            "TokenStore: insufficient token balance"
+        );
+        _checkReserve(token, amount);
+
+        IERC20(token).safeTransfer(to, amount);
+    }
+
+    /**
+     * @dev Register a payment token, reading its decimals from the token
+     * @param token Address of the ERC-20 payment token
+     * @param gtPerToken GT per whole payment token
+     */
+    function _addPaymentToken(address token, uint256 gtPerToken) internal {
+        require(token != address(0), "TokenStore: invalid token address");
+        require(gtPerToken > 0, "TokenStore: rate must be greater than 0");
+        require(
+            !paymentTokens[token].accepted,
+            "TokenStore: token already accepted"
+        );
+
+        uint8 tokenDecimals = IERC20Metadata(token).decimals();
+        paymentTokens[token] = PaymentToken({
+            accepted: true,
+            decimals: tokenDecimals,
+            gtPerToken: gtPerToken,
+            totalReceived: paymentTokens[token].totalReceived
+        });
+        paymentTokenList.push(token);
+
+        emit PaymentTokenAdded(token, tokenDecimals, gtPerToken);
+    }
+
+    /**
+     * @dev Revert if withdrawing amount would leave less than the required reserve
+     * @param token Token being withdrawn
+     * @param amount Amount to withdraw
+     */
+    function _checkReserve(address token, uint256 amount) internal view {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        require(
+            amount <= balance &&
+                balance - amount >= getRequiredReserve(token),
+            "TokenStore: withdrawal breaks reserve ratio"
+        );
+    }
+
+    /**
+     * @dev Split a redemption into the payout and the fee
+     * @param paymentToken Registry entry of the payment token
+     * @param gtAmount Amount of GT to redeem
+     * @return amountOut Payment token paid out after the fee
+     * @return fee Payment token kept as the redemption fee
+     */
+    function _quoteRedeem(
+        PaymentToken storage paymentToken,
+        uint256 gtAmount
+    ) internal view returns (uint256 amountOut, uint256 fee) {
+        uint256 gross = (gtAmount * (10 ** paymentToken.decimals)) /
+            paymentToken.gtPerToken;
+        fee = (gross * redemptionFeeBps) / BASIS_POINTS;
+        amountOut = gross - fee;
+    }
+
+    /**
+     * @dev Mint GT for an ETH purchase and record it
+     * @param buyer Address receiving the GT
+     * @param ethIn ETH kept for the purchase
+     * @param gtOut GT to mint
+     */
+    function _purchaseWithETH(
+        address buyer,
+        uint256 ethIn,
+        uint256 gtOut
+    ) internal {
+        gameToken.mint(buyer, gtOut);
+
+        totalPurchases++;
+        totalEthReceived += ethIn;
+
+        emit Purchase(buyer, address(0), ethIn, gtOut);
+    }
+
+    /**
+     * @dev Read the ETH/USD price, rejecting missing, stale or jumpy answers
+     * @return price Feed answer, in the feed's decimals
+     */
+    function _ethPrice() internal view returns (uint256 price) {
+        require(
+            address(ethUsdFeed) != address(0),
+            "TokenStore: ETH purchases disabled"
         );
 
+        (uint80 roundId, int256 answer, , uint256 updatedAt, ) = ethUsdFeed
+            .latestRoundData();
+        require(answer > 0, "TokenStore: invalid price");
         require(
-            usdtToken.transfer(to, amount),
-            "TokenStore: USDT transfer failed"
+            updatedAt > 0 && block.timestamp - updatedAt <= priceMaxAge,
+            "TokenStore: stale price"
         );
+        price = uint256(answer);
+
+        if (maxPriceDeviationBps > 0 && roundId > 1) {
+            // The previous round may not exist (e.g. across feed phases)
+            try ethUsdFeed.getRoundData(roundId - 1) returns (
+                uint80,
+                int256 previousAnswer,
+                uint256,
+                uint256,
+                uint80
+            ) {
+                if (previousAnswer > 0) {
+                    uint256 previous = uint256(previousAnswer);
+                    uint256 delta = price > previous
+                        ? price - previous
+                        : previous - price;
+                    require(
+                        delta * BASIS_POINTS <= previous * maxPriceDeviationBps,
+                        "TokenStore: price deviation too large"
+                    );
+                }
+            } catch {
+                // No previous round to compare against, price the latest one
+            }
+        }
+    }
+
+    /**
+     * @dev Convert ETH to GT: ethAmount * price * gtPerUsd / (1e18 * 10^feedDecimals)
+     */
+    function _ethToGT(
+        uint256 ethAmount,
+        uint256 price
+    ) internal view returns (uint256 gtAmount) {
+        return
+            (ethAmount * price * gtPerUsd) /
+            (1 ether * (10 ** ethUsdFeed.decimals()));
+    }
+
+    /**
+     * @dev Convert GT to ETH, rounding up so the store is never short-changed
+     */
+    function _gtToEth(
+        uint256 gtAmount,
+        uint256 price
+    ) internal view returns (uint256 ethAmount) {
+        uint256 numerator = gtAmount * 1 ether * (10 ** ethUsdFeed.decimals());
+        uint256 denominator = price * gtPerUsd;
+        return (numerator + denominator - 1) / denominator;
+    }
+
+    /**
+     * @dev Convert a payment token amount to GT at the token's rate
+     * @param paymentToken Registry entry of the payment token
+     * @param amount Amount of the payment token
+     * @return gtAmount Equivalent GT amount
+     */
+    function _toGT(
+        PaymentToken storage paymentToken,
+        uint256 amount
+    ) internal view returns (uint256 gtAmount) {
+        return (amount * paymentToken.gtPerToken) / (10 ** paymentToken.decimals);
+    }
+
+    /**
+     * @dev Set the ERC-2771 forwarder trusted to relay purchases
+     * @param forwarder Forwarder address, or address(0) to disable relaying
+     */
+    function setTrustedForwarder(
+        address forwarder
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit TrustedForwarderUpdated(_forwarder, forwarder);
+        _forwarder = forwarder;
     }
 
     /**
-     * @dev Pause all purchases. Only callable by accounts with PAUSER_ROLE
+     * @dev Forwarder currently trusted to relay calls
+     */
+    function trustedForwarder() public view override returns (address) {
+        return _forwarder;
+    }
+
+    /**
+     * @dev Only the admin (the timelock once deployed) can upgrade the implementation
+     */
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    /**
+     * @dev Pause all purchases and redemptions. Only callable by accounts with PAUSER_ROLE
      */
     function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
-     * @dev Unpause all purchases. Only callable by accounts with PAUSER_ROLE
+     * @dev Unpause all purchases and redemptions. Only callable by accounts with PAUSER_ROLE
      */
     function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
@@ -173,13 +785,16 @@ contract TokenStore is AccessControl, Pausable, ReentrancyGuard {
             "TokenStore: cannot withdraw to zero address"
         );
         require(amount > 0, "TokenStore: amount must be greater than 0");
+        _checkReserve(tokenAddress, amount);
 
-        IERC20(tokenAddress).transfer(to, amount);
+        IERC20(tokenAddress).safeTransfer(to, amount);
         emit EmergencyWithdraw(tokenAddress, to, amount);
     }
 
     /**
      * @dev Emergency function to withdraw ETH stuck in contract
+     * @dev Sends with a plain call and checks it, so contract recipients such
+     *      as a multisig or the timelock aren't held to a 2300 gas stipend
      * @param to Address to send ETH to
      * @param amount Amount of ETH to withdraw
      */
@@ -203,20 +818,43 @@ contract TokenStore is AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @dev Get contract statistics
+     * @dev Amounts received per token are in paymentTokens(token).totalReceived
      * @return _totalPurchases Total number of purchases
-     * @return _totalUSDTReceived Total USDT received
-     * @return _gtPerUsdt Current conversion rate
+     * @return _paymentTokenCount Number of accepted payment tokens
      */
     function getStats()
         external
         view
-        returns (
-            uint256 _totalPurchases,
-            uint256 _totalUSDTReceived,
-            uint256 _gtPerUsdt
-        )
+        returns (uint256 _totalPurchases, uint256 _paymentTokenCount)
+    {
+        return (totalPurchases, paymentTokenList.length);
+    }
+
+    function _msgSender()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (address)
+    {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+
+    function _msgData()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (bytes calldata)
+    {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+
+    function _contextSuffixLength()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (uint256)
     {
-        return (totalPurchases, totalUSDTReceived, gtPerUsdt);
+        return ERC2771ContextUpgradeable._contextSuffixLength();
     }
 
     /**
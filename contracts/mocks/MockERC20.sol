@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title MockERC20
+ * @dev Mock payment token (e.g. USDC, DAI) with configurable decimals for testing
+ */
+contract MockERC20 is ERC20, Ownable {
+    uint8 private immutable _decimals;
+
+    /**
+     * @dev Constructor that gives the deployer an initial supply
+     * @param name Token name
+     * @param symbol Token symbol
+     * @param decimals_ Token decimals
+     * @param initialSupply Initial supply to mint to deployer
+     */
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply
+    ) ERC20(name, symbol) Ownable(msg.sender) {
+        _decimals = decimals_;
+        if (initialSupply > 0) {
+            _mint(msg.sender, initialSupply);
+        }
+    }
+
+    /**
+     * @dev Returns the number of decimals used to get its user representation
+     */
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Mint new tokens to specified address
+     * @param to Address to mint tokens to
+     * @param amount Amount of tokens to mint
+     */
+    function mint(address to, uint256 amount) external onlyOwner {
+        require(to != address(0), "MockERC20: cannot mint to zero address");
+        require(amount > 0, "MockERC20: amount must be greater than 0");
+
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {AggregatorV3Interface} from "../interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockPriceFeed
+ * @dev Chainlink-style price feed for local development and testing
+ * @dev Every update starts a new round, keeping earlier rounds queryable
+ */
+contract MockPriceFeed is AggregatorV3Interface, Ownable {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
+    uint8 private immutable _decimals;
+    string private _description;
+
+    uint80 public latestRound;
+    mapping(uint80 => Round) private rounds;
+
+    event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt);
+
+    /**
+     * @dev Constructor that publishes the first round
+     * @param decimals_ Decimals of the answer (Chainlink USD feeds use 8)
+     * @param description_ Feed description, e.g. "ETH / USD"
+     * @param initialAnswer First price
+     */
+    constructor(
+        uint8 decimals_,
+        string memory description_,
+        int256 initialAnswer
+    ) Ownable(msg.sender) {
+        _decimals = decimals_;
+        _description = description_;
+        _updateAnswer(initialAnswer, block.timestamp);
+    }
+
+    /**
+     * @dev Publish a new price
+     * @param answer New price
+     */
+    function updateAnswer(int256 answer) external onlyOwner {
+        _updateAnswer(answer, block.timestamp);
+    }
+
+    /**
+     * @dev Publish a new price with an explicit timestamp, e.g. to simulate a stale feed
+     * @param answer New price
+     * @param updatedAt Time the price was last updated
+     */
+    function updateRoundData(int256 answer, uint256 updatedAt) external onlyOwner {
+        _updateAnswer(answer, updatedAt);
+    }
+
+    function decimals() external view returns (uint8) {
+        return _decimals;
+    }
+
+    function description() external view returns (string memory) {
+        return _description;
+    }
+
+    function version() external pure returns (uint256) {
+        return 1;
+    }
+
+    function getRoundData(
+        uint80 roundId
+    ) public view returns (uint80, int256, uint256, uint256, uint80) {
+        Round storage round = rounds[roundId];
+        require(round.updatedAt > 0, "MockPriceFeed: no data present");
+        return (roundId, round.answer, round.updatedAt, round.updatedAt, roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return getRoundData(latestRound);
+    }
+
+    function _updateAnswer(int256 answer, uint256 updatedAt) internal {
+        latestRound++;
+        rounds[latestRound] = Round({answer: answer, updatedAt: updatedAt});
+        emit AnswerUpdated(answer, latestRound, updatedAt);
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {PlayGame} from "../PlayGame.sol";
+
+/**
+ * @title PlayGameV2
+ * @dev PlayGame upgrade used to test upgrades: appends a variable after
+ *      PlayGame's storage and sets it through a reinitializer (version 2 is
+ *      PlayGame's own initializeGameTypes)
+ */
+contract PlayGameV2 is PlayGame {
+    string public upgradeNote;
+
+    /**
+     * @dev Run once through upgradeToAndCall
+     * @param note Value for upgradeNote
+     */
+    function initializeV2(string calldata note) external reinitializer(3) {
+        upgradeNote = note;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
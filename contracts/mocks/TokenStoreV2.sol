@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {TokenStore} from "../TokenStore.sol";
+
+/**
+ * @title TokenStoreV2
+ * @dev TokenStore upgrade used to test upgrades
+ */
+contract TokenStoreV2 is TokenStore {
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Proxy} from "@openzeppelin/contracts/proxy/Proxy.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {StorageSlot} from "@openzeppelin/contracts/utils/StorageSlot.sol";
+import {IERC1967} from "@openzeppelin/contracts/interfaces/IERC1967.sol";
+
+/**
+ * @title GameProxy
+ * @dev ERC-1967 proxy in front of UUPS implementations (PlayGame, TokenStore)
+ * @dev Upgrade logic lives in the implementation (see UUPSUpgradeable), so the
+ *      proxy only stores the implementation address and delegates to it
+ * @dev Equivalent to OpenZeppelin's ERC1967Proxy, which needs solc 0.8.22
+ */
+contract GameProxy is Proxy, IERC1967 {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT =
+        0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @dev Point the proxy at its first implementation and initialize it
+     * @param implementation Implementation contract
+     * @param data Initializer call, delegated to the implementation
+     */
+    constructor(address implementation, bytes memory data) payable {
+        require(
+            implementation.code.length > 0,
+            "GameProxy: implementation is not a contract"
+        );
+
+        StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value = implementation;
+        emit Upgraded(implementation);
+
+        if (data.length > 0) {
+            Address.functionDelegateCall(implementation, data);
+        } else {
+            require(msg.value == 0, "GameProxy: value without initializer");
+        }
+    }
+
+    function _implementation() internal view override returns (address) {
+        return StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value;
+    }
+}
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {StorageSlot} from "@openzeppelin/contracts/utils/StorageSlot.sol";
+import {IERC1822Proxiable} from "@openzeppelin/contracts/interfaces/draft-IERC1822.sol";
+import {IERC1967} from "@openzeppelin/contracts/interfaces/IERC1967.sol";
+
+/**
+ * @title UUPSUpgradeable
+ * @dev Upgrade mechanism for implementations behind a GameProxy (UUPS, ERC-1822)
+ * @dev Mirrors OpenZeppelin's UUPSUpgradeable, which needs solc 0.8.22; the
+ *      storage slot and upgradeToAndCall() interface are the same
+ * @dev Inheriting contracts restrict upgrades by overriding _authorizeUpgrade()
+ */
+abstract contract UUPSUpgradeable is IERC1822Proxiable, IERC1967 {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT =
+        0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _self = address(this);
+
+    /**
+     * @dev Only allow calls made through an ERC-1967 proxy pointing at this implementation
+     */
+    modifier onlyProxy() {
+        require(
+            address(this) != _self && _getImplementation() == _self,
+            "UUPSUpgradeable: must be called through proxy"
+        );
+        _;
+    }
+
+    /**
+     * @dev Only allow calls made to the implementation directly
+     */
+    modifier notDelegated() {
+        require(
+            address(this) == _self,
+            "UUPSUpgradeable: must not be called through proxy"
+        );
+        _;
+    }
+
+    /**
+     * @dev ERC-1822 slot the implementation address is stored in; new
+     *      implementations must return it to be accepted by upgradeToAndCall()
+     */
+    function proxiableUUID() external view notDelegated returns (bytes32) {
+        return IMPLEMENTATION_SLOT;
+    }
+
+    /**
+     * @dev Switch the proxy to a new implementation, optionally calling it
+     * @param newImplementation UUPS implementation to upgrade to
+     * @param data Call to delegate to the new implementation, e.g. a reinitializer
+     */
+    function upgradeToAndCall(
+        address newImplementation,
+        bytes memory data
+    ) public payable virtual onlyProxy {
+        _authorizeUpgrade(newImplementation);
+
+        try IERC1822Proxiable(newImplementation).proxiableUUID() returns (bytes32 slot) {
+            require(
+                slot == IMPLEMENTATION_SLOT,
+                "UUPSUpgradeable: unsupported proxiableUUID"
+            );
+        } catch {
+            revert("UUPSUpgradeable: new implementation is not UUPS");
+        }
+
+        StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value = newImplementation;
+        emit Upgraded(newImplementation);
+
+        if (data.length > 0) {
+            Address.functionDelegateCall(newImplementation, data);
+        } else {
+            require(msg.value == 0, "UUPSUpgradeable: value without call");
+        }
+    }
+
+    /**
+     * @dev Revert unless msg.sender may upgrade the contract
+     * @param newImplementation Implementation being upgraded to
+     */
+    function _authorizeUpgrade(address newImplementation) internal virtual;
+
+    function _getImplementation() internal view returns (address) {
+        return StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value;
+    }
+}
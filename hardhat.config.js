@@ -13,6 +13,13 @@ module.exports = {
         runs: 200,
       },
       viaIR: true,
+      // storageLayout lets scripts/upgrade.js check upgrades are storage-compatible
+      outputSelection: {
+        "*": {
+          "*": ["abi", "evm.bytecode", "evm.deployedBytecode", "evm.methodIdentifiers", "metadata", "storageLayout"],
+          "": ["ast"],
+        },
+      },
     },
   },
   networks: {
@@ -2,7 +2,15 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const path = require('path');
+const { ethers } = require('ethers');
 const { v4: uuidv4 } = require('uuid');
+const { buildDomain, hashMove, recoverMoveSigner, recoverForfeitSigner } = require('./api/transcript');
+const { PLAYGAME_RECOVERY_ABI, createJournal, recoverMatches } = require('./api/match-journal');
+const { DEFAULT_RATING, rateGame } = require('./tools/glicko2');
+const { DEFAULT_GAME, getGame, listGames } = require('./web/game-rules');
+require('dotenv').config();
 
 const app = express();
 const server = http.createServer(app);
@@ -18,7 +26,7 @@ app.use(cors());
 app.use(express.json());
 
 // Game state
-const waitingPlayers = new Map(); // stake -> [players]
+const waitingPlayers = new Map(); // "gameType:moveSeconds/gameSeconds" -> [players]
 const activeMatches = new Map(); // matchId -> matchData
 const playerSessions = new Map(); // socketId -> playerData
 const preStakedPlayers = new Map(); // address -> {stake, timestamp, socketId}
@@ -26,65 +34,276 @@ const preStakedPlayers = new Map(); // address -> {stake, timestamp, socketId}
 // Timeout for refunding pre-staked amounts (5 minutes)
 const PRE_STAKE_TIMEOUT = 5 * 60 * 1000;
 
+// Chess-style time controls players pick at findMatch, in seconds: each
+// player has gameSeconds on their clock for the whole game and at most
+// moveSeconds for any one move. Running out of either loses the game.
+const DEFAULT_TIME_CONTROL = { moveSeconds: 60, gameSeconds: 10 * 60 };
+// Both clocks run out well inside PlayGame's refund timeout
+const MAX_GAME_SECONDS = 4 * 60 * 60;
+const clockTimers = new Map(); // matchId -> timeout for the player to move
+
+// How long a player who drops out of a match keeps their seat before the
+// match is forfeited to the opponent (1 minute unless configured)
+const RECONNECT_GRACE = parseInt(process.env.RECONNECT_GRACE_MS || 60000);
+const reconnectTimers = new Map(); // "matchId:symbol" -> timeout
+
+// Queues, matches and moves are journaled to disk so a restart can pick up
+// where the last process stopped (see recoverState)
+const journal = createJournal(
+    process.env.MATCHMAKING_JOURNAL || path.join(__dirname, 'data', 'matchmaking-journal.jsonl')
+);
+
+// PlayGame, when the chain is configured, to check reported matches and
+// reconcile recovered ones against
+const playGame = connectPlayGame();
+
+// EIP-712 domain players sign their moves under (must match the API gateway)
+const transcriptDomain = buildDomain(process.env.CHAIN_ID || 1337, process.env.PLAYGAME_ADDR);
+if (!process.env.PLAYGAME_ADDR) {
+    console.warn('⚠️  PLAYGAME_ADDR not set - signed moves cannot be verified');
+}
+
+// Sign-In-With-Ethereum (EIP-4361) message players sign to bind their wallet to a socket
+const SIGN_IN_DOMAIN = process.env.SIGN_IN_DOMAIN || 'localhost';
+const SIGN_IN_URI = process.env.SIGN_IN_URI || `http://${SIGN_IN_DOMAIN}`;
+const SIGN_IN_TTL = 5 * 60 * 1000; // A challenge must be signed within 5 minutes
+
+function buildSignInMessage(address, nonce, issuedAt) {
+    return [
+        `${SIGN_IN_DOMAIN} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        'Sign in to TriX matchmaking.',
+        '',
+        `URI: ${SIGN_IN_URI}`,
+        'Version: 1',
+        `Chain ID: ${transcriptDomain.chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(issuedAt).toISOString()}`,
+        `Expiration Time: ${new Date(issuedAt + SIGN_IN_TTL).toISOString()}`
+    ].join('\n');
+}
+
+// Wrap a handler that acts for a player so it only runs once the socket has
+// signed in, and gets the verified address instead of one from the payload
+function authenticated(socket, handler) {
+    return (data = {}) => {
+        const address = socket.data.address;
+        if (!address) {
+            socket.emit('authError', { message: 'Sign in with your wallet first' });
+            return;
+        }
+        return handler(address, data);
+    };
+}
+
+// Players are only matched with others playing the same game under the
+// same time control; stakes are matched by range within a queue
+function queueKey(gameType, { moveSeconds, gameSeconds }) {
+    return `${gameType}:${moveSeconds}/${gameSeconds}`;
+}
+
+// Whole-GT stakes a player accepts, from minStake/maxStake or a single exact
+// stake, or null if they don't make a usable range
+function parseStakeRange({ stake, minStake = stake, maxStake = minStake }) {
+    const min = parseInt(minStake);
+    const max = parseInt(maxStake);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+        return null;
+    }
+    return { minStake: min, maxStake: max };
+}
+
+// The stake two players agree on: the largest both accept, or null if
+// their ranges don't overlap
+function agreedStake(a, b) {
+    const stake = Math.min(a.maxStake, b.maxStake);
+    return stake >= Math.max(a.minStake, b.minStake) ? stake : null;
+}
+
+// Ranges /stats counts waiting players in: 1-9, 10-99, ... and 10000 up
+const STAKE_BUCKETS = [1, 10, 100, 1000, 10000];
+
+// Waiting players per stake bucket; a player counts in every bucket their range reaches
+function stakeBuckets(players) {
+    return STAKE_BUCKETS.map((minStake, i) => {
+        const maxStake = STAKE_BUCKETS[i + 1] ? STAKE_BUCKETS[i + 1] - 1 : null;
+        return {
+            range: maxStake ? `${minStake}-${maxStake}` : `${minStake}+`,
+            count: players.filter(player =>
+                player.maxStake >= minStake && (maxStake === null || player.minStake <= maxStake)
+            ).length
+        };
+    });
+}
+
+// The time control asked for at findMatch, the default when none was given,
+// or null if it isn't a usable one
+function parseTimeControl(timeControl) {
+    const { moveSeconds, gameSeconds } = { ...DEFAULT_TIME_CONTROL, ...timeControl };
+    if (!Number.isInteger(moveSeconds) || !Number.isInteger(gameSeconds) ||
+        moveSeconds < 1 || gameSeconds < moveSeconds || gameSeconds > MAX_GAME_SECONDS) {
+        return null;
+    }
+    return { moveSeconds, gameSeconds };
+}
+
+// Skill-based matching: players are paired with opponents rated within
+// RATING_WINDOW points of them, a window that widens by RATING_WINDOW_GROWTH
+// points for every second spent waiting
+const RATING_WINDOW = parseInt(process.env.RATING_WINDOW || 100);
+const RATING_WINDOW_GROWTH = parseFloat(process.env.RATING_WINDOW_GROWTH || 10);
+
+// Take the first player matching isPlayer out of whichever queue they wait in
+function removeFromQueue(isPlayer) {
+    for (const [key, players] of waitingPlayers.entries()) {
+        const index = players.findIndex(isPlayer);
+        if (index !== -1) {
+            const [player] = players.splice(index, 1);
+            if (players.length === 0) {
+                waitingPlayers.delete(key);
+            }
+            journal.dequeued(player.address);
+            return player;
+        }
+    }
+    return null;
+}
+
+// Take a player out of a queue they were picked from, dropping the queue once empty
+function takeFromQueue(key, player) {
+    const players = waitingPlayers.get(key);
+    players.splice(players.indexOf(player), 1);
+    if (players.length === 0) {
+        waitingPlayers.delete(key);
+    }
+    journal.dequeued(player.address);
+}
+
+// How far from their own rating a player accepts an opponent, after waiting since their timestamp
+function ratingWindow(player, now) {
+    return RATING_WINDOW + RATING_WINDOW_GROWTH * (now - player.timestamp) / 1000;
+}
+
+// Whether two players are rated close enough to be matched; the wider of
+// their two windows counts, so a long wait helps both sides
+function ratingsMatch(a, b, now) {
+    return Math.abs(a.rating.rating - b.rating.rating) <= Math.max(ratingWindow(a, now), ratingWindow(b, now));
+}
+
 // Matchmaking logic
 function findMatch(playerData) {
-    const { address, stake } = playerData;
-
-    // Check if there's a waiting player with the same stake
-    if (waitingPlayers.has(stake)) {
-        const waitingPlayer = waitingPlayers.get(stake).shift();
-
-        // If no more waiting players for this stake, remove the entry
-        if (waitingPlayers.get(stake).length === 0) {
-            waitingPlayers.delete(stake);
-        }
-
-        // Create match
-        const matchId = uuidv4();
-        const matchData = {
-            matchId,
-            player1: waitingPlayer.address,
-            player2: address,
-            stake: parseInt(stake),
-            status: 'CREATED',
-            board: Array(9).fill(''),
-            currentPlayer: 'X',
-            gameActive: false,
-            player1Staked: false,
-            player2Staked: false,
-            blockchainMatchId: null,
-            moves: [],
-            player1SocketId: waitingPlayer.socketId,
-            player2SocketId: playerData.socketId
-        };
+    const { address, minStake, maxStake, gameType, timeControl } = playerData;
+    const key = queueKey(gameType, timeControl);
+    const now = Date.now();
 
-        activeMatches.set(matchId, matchData);
+    // The longest waiting player with the same game and time control whose
+    // stake range overlaps and whose rating is close enough
+    const waitingPlayer = (waitingPlayers.get(key) || []).find(waiting =>
+        agreedStake(waiting, playerData) !== null && ratingsMatch(waiting, { ...playerData, timestamp: now }, now)
+    );
+    if (waitingPlayer) {
+        takeFromQueue(key, waitingPlayer);
+        return createMatch(waitingPlayer, playerData);
+    }
 
-        // Notify both players
-        const waitingSocket = playerSessions.get(waitingPlayer.socketId);
-        const currentSocket = playerSessions.get(playerData.socketId);
+    // Add player to waiting queue
+    if (!waitingPlayers.has(key)) {
+        waitingPlayers.set(key, []);
+    }
+    waitingPlayers.get(key).push({ ...playerData, timestamp: now });
+    journal.queued({ address, minStake, maxStake, gameType, timeControl, rating: playerData.rating, timestamp: now });
 
-        if (waitingSocket) {
-            waitingSocket.emit('matchFound', matchData);
-        }
+    console.log(`Player ${address} (rated ${Math.round(playerData.rating.rating)}) waiting for ${gameType} match ` +
+        `with stake ${minStake}-${maxStake}`);
+    return null;
+}
 
-        if (currentSocket) {
-            currentSocket.emit('matchFound', matchData);
-        }
+// Pair up waiting players whose rating windows have widened enough to
+// overlap; runs on a timer so nobody has to wait for a newcomer
+function sweepQueues() {
+    const now = Date.now();
+    for (const key of [...waitingPlayers.keys()]) {
+        let pair;
+        do {
+            const players = waitingPlayers.get(key) || [];
+            pair = null;
+            for (let i = 0; i < players.length && !pair; i++) {
+                const opponent = players.slice(i + 1).find(other =>
+                    agreedStake(players[i], other) !== null && ratingsMatch(players[i], other, now)
+                );
+                if (opponent) {
+                    pair = [players[i], opponent];
+                }
+            }
+            if (pair) {
+                pair.forEach(player => takeFromQueue(key, player));
+                createMatch(pair[0], pair[1]);
+            }
+        } while (pair);
+    }
+}
 
-        console.log(`Match created: ${matchId} between ${waitingPlayer.address} and ${address} with stake ${stake}`);
+// Start a match between a player who was waiting and the one who matched
+// them, at the stake they agree on, and tell both
+function createMatch(waitingPlayer, playerData) {
+    const { address, gameType, timeControl } = playerData;
+    const stake = agreedStake(waitingPlayer, playerData);
+    const matchId = uuidv4();
+    const matchData = {
+        matchId,
+        player1: waitingPlayer.address,
+        player2: address,
+        stake,
+        gameType,
+        timeControl,
+        ratings: { X: waitingPlayer.rating, O: playerData.rating }, // As matched; moved by settled results
+        clock: null, // Started once both players have staked
+        status: 'CREATED',
+        state: getGame(gameType).createState(), // board, and whose turn it is
+        gameActive: false,
+        player1Staked: false,
+        player2Staked: false,
+        blockchainMatchId: null,
+        moves: [],
+        player1SocketId: waitingPlayer.socketId,
+        player2SocketId: playerData.socketId
+    };
+
+    activeMatches.set(matchId, matchData);
+    journal.matchChanged(matchData);
 
-        return matchData;
-    } else {
-        // Add player to waiting queue
-        if (!waitingPlayers.has(stake)) {
-            waitingPlayers.set(stake, []);
-        }
-        waitingPlayers.get(stake).push(playerData);
+    // Notify both players
+    const waitingSocket = playerSessions.get(waitingPlayer.socketId);
+    const currentSocket = playerSessions.get(playerData.socketId);
 
-        console.log(`Player ${address} waiting for match with stake ${stake}`);
-        return null;
+    if (waitingSocket) {
+        waitingSocket.emit('matchFound', matchData);
     }
+
+    if (currentSocket) {
+        currentSocket.emit('matchFound', matchData);
+    }
+
+    console.log(`Match created: ${matchId} (${gameType}) between ${waitingPlayer.address} and ${address} with stake ${stake}`);
+
+    return matchData;
+}
+
+// Rating of a wallet from the leaderboard service, which rates settled
+// results; while it can't be reached everyone plays at the default rating
+async function lookupRating(address) {
+    const leaderboardUrl = process.env.LEADERBOARD_URL || `http://localhost:${process.env.LEADERBOARD_PORT || 3001}`;
+    try {
+        const response = await fetch(`${leaderboardUrl}/player/${address}`, { signal: AbortSignal.timeout(2000) });
+        const { rating } = await response.json();
+        if (rating && Number.isFinite(rating.rating) && Number.isFinite(rating.rd) && Number.isFinite(rating.volatility)) {
+            return { rating: rating.rating, rd: rating.rd, volatility: rating.volatility };
+        }
+    } catch (error) {
+        console.warn(`⚠️  No rating for ${address} from ${leaderboardUrl}: ${error.message}`);
+    }
+    return { ...DEFAULT_RATING };
 }
 
 // Socket.IO event handlers
@@ -94,10 +313,90 @@ io.on('connection', (socket) => {
     // Store player session
     playerSessions.set(socket.id, socket);
 
+    // Sign-in: the client asks for a challenge for its wallet and signs it; a
+    // fresh nonce is issued for every challenge and is good for one attempt
+    socket.on('requestChallenge', (data) => {
+        if (socket.data.address) {
+            socket.emit('authError', { message: `Already signed in as ${socket.data.address}` });
+            return;
+        }
+
+        let address;
+        try {
+            address = ethers.getAddress(data && data.address);
+        } catch (error) {
+            socket.emit('authError', { message: 'Invalid address' });
+            return;
+        }
+
+        const issuedAt = Date.now();
+        const message = buildSignInMessage(address, crypto.randomBytes(16).toString('hex'), issuedAt);
+        socket.data.challenge = { address, message, expiresAt: issuedAt + SIGN_IN_TTL };
+        socket.emit('authChallenge', { message });
+    });
+
+    socket.on('authenticate', (data) => {
+        const challenge = socket.data.challenge;
+        delete socket.data.challenge;
+
+        if (!challenge) {
+            socket.emit('authError', { message: 'Request a sign-in challenge first' });
+            return;
+        }
+        if (Date.now() > challenge.expiresAt) {
+            socket.emit('authError', { message: 'Sign-in challenge expired' });
+            return;
+        }
+
+        let signer = null;
+        try {
+            signer = ethers.verifyMessage(challenge.message, data && data.signature);
+        } catch (error) {
+            // Malformed signature, treated like a wrong one
+        }
+        if (signer !== challenge.address) {
+            socket.emit('authError', { message: 'Signature does not match the address' });
+            return;
+        }
+
+        // Every handler from here on acts for this address
+        socket.data.address = challenge.address;
+        console.log(`🔑 ${challenge.address} signed in on ${socket.id}`);
+        socket.emit('authenticated', { address: challenge.address });
+        resumeSessions(challenge.address, socket);
+    });
+
     // Handle pre-staking and matchmaking request
-    socket.on('findMatch', async (playerData) => {
+    socket.on('findMatch', authenticated(socket, async (address, playerData) => {
         try {
-            const { address, stake } = playerData;
+            const gameType = playerData.gameType || DEFAULT_GAME;
+
+            if (!getGame(gameType)) {
+                socket.emit('matchmakingStatus', {
+                    status: 'error',
+                    message: `Unknown game type ${gameType}. Available: ${listGames().join(', ')}`
+                });
+                return;
+            }
+
+            const timeControl = parseTimeControl(playerData.timeControl);
+            if (!timeControl) {
+                socket.emit('matchmakingStatus', {
+                    status: 'error',
+                    message: `Invalid time control: moveSeconds must be at least 1 and at most gameSeconds, ` +
+                        `and gameSeconds at most ${MAX_GAME_SECONDS}`
+                });
+                return;
+            }
+
+            const stakeRange = parseStakeRange(playerData);
+            if (!stakeRange) {
+                socket.emit('matchmakingStatus', {
+                    status: 'error',
+                    message: 'Invalid stake: send a stake, or minStake and maxStake, of at least 1 GT with minStake at most maxStake'
+                });
+                return;
+            }
 
             // Check if player already has a pre-stake
             if (preStakedPlayers.has(address)) {
@@ -110,14 +409,19 @@ io.on('connection', (socket) => {
 
             // Store pre-stake info
             preStakedPlayers.set(address, {
-                stake: parseInt(stake),
+                ...stakeRange,
                 timestamp: Date.now(),
                 socketId: socket.id
             });
 
+            // Players are matched by rating; a cancel while it was looked up wins
+            const rating = await lookupRating(address);
+            if (!preStakedPlayers.has(address)) {
+                return;
+            }
+
             // Add to waiting queue
-            playerData.socketId = socket.id;
-            const match = findMatch(playerData);
+            const match = findMatch({ address, ...stakeRange, gameType, timeControl, rating, socketId: socket.id });
 
             if (match) {
                 // Match found, both players notified
@@ -139,66 +443,89 @@ io.on('connection', (socket) => {
                 message: 'Failed to start matchmaking: ' + error.message
             });
         }
-    });
+    }));
 
     // Handle pre-stake confirmation (when player has already staked on-chain)
-    socket.on('preStakeConfirmed', (data) => {
-        const { address, stake } = data;
-
+    socket.on('preStakeConfirmed', authenticated(socket, (address, data) => {
         // Update pre-stake info to mark as confirmed
         if (preStakedPlayers.has(address)) {
             const preStake = preStakedPlayers.get(address);
             preStake.confirmed = true;
             preStake.blockchainMatchId = data.blockchainMatchId;
         }
-    });
+    }));
+
+    // Handle match creation (when Player 1 creates and stakes). Moves are
+    // signed for the on-chain match, so player 1 names it once, before the
+    // game starts; changing it later would void the moves already signed
+    socket.on('matchCreated', authenticated(socket, async (playerStaked, data) => {
+        const { matchId, blockchainMatchId } = data;
+        const match = playerMatch(matchId, playerStaked, 'matchCreated');
+        if (!match) return;
+
+        const reject = (reason) => {
+            console.log(`⚠️  Rejected matchCreated for match ${matchId} from ${playerStaked}: ${reason}`);
+        };
+        if (addressSymbol(match, playerStaked) !== 'X') {
+            return reject('only player 1 creates the match');
+        }
+        if (match.status !== 'CREATED' || match.blockchainMatchId) {
+            return reject(`on-chain match already set to ${match.blockchainMatchId}`);
+        }
 
-    // Handle match creation (when Player 1 creates and stakes)
-    socket.on('matchCreated', (data) => {
-        const { matchId, player1, player2, stake, playerStaked, blockchainMatchId } = data;
-        const match = activeMatches.get(matchId);
+        // Held while the chain is checked so a second report can't race this one
+        match.blockchainMatchId = blockchainMatchId;
+        const mismatch = await checkOnChainPlayers(match, blockchainMatchId);
+        if (mismatch) {
+            match.blockchainMatchId = null;
+            return reject(mismatch);
+        }
 
-        if (match) {
-            match.blockchainMatchId = blockchainMatchId;
+        // Mark that Player 1 has staked
+        match.player1Staked = true;
+        console.log(`✅ Player 1 (${playerStaked}) has staked in match ${matchId}`);
+        journal.matchChanged(match);
+    }));
 
-            // Mark that Player 1 has staked
-            if (playerStaked.toLowerCase() === match.player1.toLowerCase()) {
-                match.player1Staked = true;
-                console.log(`✅ Player 1 (${playerStaked}) has staked in match ${matchId}`);
-            }
-        }
-    });
+    // Handle notification to Player 2 (tell the opponent the match is created)
+    socket.on('notifyPlayer2', authenticated(socket, (address, data) => {
+        const match = playerMatch(data.matchId, address, 'notifyPlayer2');
+        if (!match) return;
 
-    // Handle notification to Player 2 (broadcast that match is created)
-    socket.on('notifyPlayer2', (data) => {
         console.log(`🎮 Notifying Player 2 about match created on-chain: ${data.matchId}`);
 
-        // Broadcast to the other player that match is created and they can stake
-        socket.broadcast.emit('matchCreatedOnChain', {
-            matchId: data.matchId,
-            blockchainMatchId: data.blockchainMatchId,
-            createdBy: data.createdBy
-        });
-    });
+        // Only the other player in the match can stake, so only they hear about it
+        const opponentSocket = playerSessions.get(seatSocketId(match, opponentOf(addressSymbol(match, address))));
+        if (opponentSocket) {
+            opponentSocket.emit('matchCreatedOnChain', {
+                matchId: data.matchId,
+                blockchainMatchId: data.blockchainMatchId,
+                createdBy: address
+            });
+        }
+    }));
 
     // Handle player staking confirmation (when Player 2 stakes)
-    socket.on('playerStaked', (data) => {
-        console.log(`💰 Player staked: ${data.player} in match ${data.matchId}`);
-
-        const match = activeMatches.get(data.matchId);
+    socket.on('playerStaked', authenticated(socket, (player, data) => {
+        const match = playerMatch(data.matchId, player, 'playerStaked');
         if (match) {
+            console.log(`💰 Player staked: ${player} in match ${data.matchId}`);
+
             // Mark that Player 2 has staked
-            if (data.player.toLowerCase() === match.player2.toLowerCase()) {
+            if (player.toLowerCase() === match.player2.toLowerCase()) {
                 match.player2Staked = true;
-                console.log(`✅ Player 2 (${data.player}) has staked in match ${data.matchId}`);
+                console.log(`✅ Player 2 (${player}) has staked in match ${data.matchId}`);
+                journal.matchChanged(match);
             }
 
-            // Check if both players have staked
-            if (match.player1Staked && match.player2Staked) {
+            // Check if both players have staked; a repeated notice doesn't restart the game or its clocks
+            if (match.player1Staked && match.player2Staked && match.status === 'CREATED') {
                 console.log(`🎮 Both players staked! Starting game for match ${data.matchId}`);
 
                 match.status = 'STAKED';
                 match.gameActive = true;
+                startClock(match);
+                journal.matchChanged(match);
 
                 // Get player sockets
                 const player1Socket = playerSessions.get(match.player1SocketId);
@@ -208,7 +535,11 @@ io.on('connection', (socket) => {
                     player1Socket.emit('gameStart', {
                         matchId: data.matchId,
                         symbol: 'X',
-                        isFirst: true
+                        isFirst: true,
+                        gameType: match.gameType,
+                        clock: clockView(match),
+                        transcriptDomain,
+                        lastMoveHash: ethers.ZeroHash
                     });
                 }
 
@@ -216,105 +547,157 @@ io.on('connection', (socket) => {
                     player2Socket.emit('gameStart', {
                         matchId: data.matchId,
                         symbol: 'O',
-                        isFirst: false
+                        isFirst: false,
+                        gameType: match.gameType,
+                        clock: clockView(match),
+                        transcriptDomain,
+                        lastMoveHash: ethers.ZeroHash
                     });
                 }
 
                 console.log(`🎮 Game started: ${data.matchId} with blockchain match: ${data.blockchainMatchId}`);
             }
         }
-    });
+    }));
 
     // Handle cancel matchmaking (refund pre-stake)
-    socket.on('cancelMatchmaking', (data) => {
-        const { address } = data;
-
+    socket.on('cancelMatchmaking', authenticated(socket, (address) => {
         if (preStakedPlayers.has(address)) {
             preStakedPlayers.delete(address);
 
             // Remove from waiting queue
-            for (const [stake, players] of waitingPlayers.entries()) {
-                const index = players.findIndex(p => p.address === address);
-                if (index !== -1) {
-                    players.splice(index, 1);
-                    if (players.length === 0) {
-                        waitingPlayers.delete(stake);
-                    }
-                    break;
-                }
-            }
+            removeFromQueue(p => p.address === address);
 
             socket.emit('matchmakingStatus', {
                 status: 'cancelled',
                 message: 'Matchmaking cancelled. Your stake will be refunded.'
             });
         }
-    });
+    }));
+
+    // Take a seat back after reconnecting. The signed-in wallet must play in
+    // the match, and this socket replaces any the seat was bound to, even one
+    // the server hasn't noticed is gone yet
+    socket.on('resumeMatch', authenticated(socket, (address, data) => {
+        const { matchId } = data;
+        const match = activeMatches.get(matchId);
 
-    // Handle game moves
+        if (!match) {
+            socket.emit('resumeRejected', { matchId, reason: 'Match not found' });
+            return;
+        }
+        const symbol = addressSymbol(match, address);
+        if (!symbol) {
+            socket.emit('resumeRejected', { matchId, reason: 'You are not a player in this match' });
+            return;
+        }
+        bindPlayer(match, symbol, socket);
+    }));
+
+    // Handle game moves. The symbol is worked out from the socket the move
+    // arrives on, never taken from the client, so nobody can move for their
+    // opponent; anything that isn't played gets a moveRejected back.
     socket.on('makeMove', (data) => {
-        const { matchId, row, col, symbol } = data;
+        const { matchId, row, col, signature } = data || {};
         const match = activeMatches.get(matchId);
 
-        if (match && match.gameActive) {
-            const index = row * 3 + col;
-
-            // Validate move
-            if (match.board[index] === '') {
-                match.board[index] = symbol;
-                match.moves.push({ row, col, symbol });
-
-                // Check for win
-                const isWin = checkWin(match.board, symbol);
-                if (isWin) {
-                    endGame(matchId, symbol); // Pass the winning symbol, not boolean
-                } else if (checkDraw(match.board)) {
-                    endGame(matchId, 'DRAW');
-                } else {
-                    // Switch turns
-                    match.currentPlayer = match.currentPlayer === 'X' ? 'O' : 'X';
-
-                    // Notify both players
-                    notifyPlayers(matchId, 'moveMade', { row, col, symbol, nextPlayer: match.currentPlayer });
-                }
-            }
+        const reject = (reason) => {
+            console.log(`⚠️  Rejected move in match ${matchId} from ${socket.id}: ${reason}`);
+            socket.emit('moveRejected', { matchId, row, col, reason });
+        };
+
+        if (!match) {
+            return reject('Match not found');
+        }
+        const symbol = playerSymbol(match, socket.id);
+        if (!symbol) {
+            return reject('You are not a player in this match');
+        }
+        if (!match.gameActive) {
+            return reject('Game is not in progress');
+        }
+        if (symbol !== match.state.turn) {
+            return reject('Not your turn');
+        }
+        if (timeLeft(match) <= 0) {
+            // Beat the clock timer to it; the move came in too late either way
+            flagTimeout(match);
+            return reject('Out of time');
+        }
+
+        // Validate move against the game's rules
+        const game = getGame(match.gameType);
+        const illegal = game.validateMove(match.state, { row, col });
+        if (illegal) {
+            return reject(`Move ${illegal}`);
+        }
+
+        const moveNumber = match.moves.length;
+        const player = symbol === 'X' ? match.player1 : match.player2;
+        const prevHash = lastMoveHash(match);
+        if (!isSignedMove(match, { moveNumber, row, col, player, prevHash }, signature)) {
+            return reject('Move is not signed by your wallet');
+        }
+
+        const move = { moveNumber, row, col, symbol, player, prevHash, signature };
+        chargeClock(match, symbol);
+        match.state = game.applyMove(match.state, { row, col });
+        match.moves.push(move);
+        journal.movePlayed(matchId, move, match.clock);
+
+        // Check for win or draw; the outcome is the winning symbol or 'DRAW'
+        const outcome = game.getOutcome(match.state);
+        if (outcome) {
+            endGame(matchId, outcome);
+        } else {
+            // Notify both players; applyMove already passed the turn on, and
+            // the clock now runs for the next player
+            scheduleClock(match);
+            notifyPlayers(matchId, 'moveMade', {
+                row,
+                col,
+                symbol,
+                nextPlayer: match.state.turn,
+                clock: clockView(match),
+                lastMoveHash: lastMoveHash(match)
+            });
         }
     });
 
-    // Handle forfeit
-    socket.on('forfeitMatch', (data) => {
-        const { matchId, address } = data;
+    // Handle forfeit; only a player in the match can forfeit it, for themselves
+    socket.on('forfeitMatch', authenticated(socket, (address, data) => {
+        const { matchId, signature } = data;
         const match = activeMatches.get(matchId);
+        const isPlayer = match && [match.player1, match.player2]
+            .some(player => player.toLowerCase() === address.toLowerCase());
 
-        if (match) {
-            const winner = address === match.player1 ? match.player2 : match.player1;
+        if (match && isPlayer) {
+            // A forfeit only counts if the forfeiting player signed it
+            if (!isSignedForfeit(match, address, signature)) {
+                console.log(`⚠️  Rejected unsigned forfeit in match ${matchId}`);
+                return;
+            }
+            match.forfeit = { player: address, signature };
+
+            // The opponent wins; endGame takes the winning symbol
+            const winner = address.toLowerCase() === match.player1.toLowerCase() ? 'O' : 'X';
             endGame(matchId, winner, 'FORFEIT');
         }
-    });
+    }));
 
     // Handle disconnect
     socket.on('disconnect', () => {
         console.log(`Player disconnected: ${socket.id}`);
 
         // Remove from waiting queue if applicable
-        for (const [stake, players] of waitingPlayers.entries()) {
-            const index = players.findIndex(p => p.socketId === socket.id);
-            if (index !== -1) {
-                players.splice(index, 1);
-                if (players.length === 0) {
-                    waitingPlayers.delete(stake);
-                }
-                break;
-            }
-        }
-
-        // Remove from active matches if applicable
-        for (const [matchId, match] of activeMatches.entries()) {
-            if (match.player1SocketId === socket.id || match.player2SocketId === socket.id) {
-                // Handle forfeit
-                const winner = match.player1SocketId === socket.id ? match.player2 : match.player1;
-                endGame(matchId, winner, 'DISCONNECT');
-                break;
+        removeFromQueue(p => p.socketId === socket.id);
+
+        // Players dropping out of a match keep their seat for a grace period
+        for (const match of activeMatches.values()) {
+            if (match.status === 'COMPLETED') continue;
+            const symbol = playerSymbol(match, socket.id);
+            if (symbol) {
+                startReconnectGrace(match, symbol);
             }
         }
 
@@ -330,59 +713,259 @@ io.on('connection', (socket) => {
     });
 });
 
-// Game logic functions
-function checkWin(board, symbol) {
-    const winConditions = [
-        [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-        [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
-        [0, 4, 8], [2, 4, 6] // Diagonals
-    ];
+// The symbol a socket plays in a match: X for player1, O for player2, null for anyone else
+function playerSymbol(match, socketId) {
+    if (socketId === match.player1SocketId) return 'X';
+    if (socketId === match.player2SocketId) return 'O';
+    return null;
+}
 
-    const hasWon = winConditions.some(condition => {
-        return condition.every(index => board[index] === symbol);
-    });
+// The symbol a wallet plays in a match, null if it isn't a player
+function addressSymbol(match, address) {
+    if (address.toLowerCase() === match.player1.toLowerCase()) return 'X';
+    if (address.toLowerCase() === match.player2.toLowerCase()) return 'O';
+    return null;
+}
 
-    console.log(`🔍 Checking win for ${symbol}:`, board, 'Result:', hasWon);
-    return hasWon;
+// The match a wallet reports on through event, or null if there is no such
+// match or the wallet doesn't play in it
+function playerMatch(matchId, address, event) {
+    const match = activeMatches.get(matchId);
+    if (!match) return null;
+    if (!addressSymbol(match, address)) {
+        console.log(`⚠️  Rejected ${event} for match ${matchId} from ${address}: not a player in this match`);
+        return null;
+    }
+    return match;
 }
 
-function checkDraw(board) {
-    return board.every(cell => cell !== '');
+// Why the on-chain match can't be this match's, or null if it can; only
+// checked when the chain is configured
+async function checkOnChainPlayers(match, blockchainMatchId) {
+    if (!playGame) return null;
+    try {
+        const { p1, p2 } = await playGame.getMatch(blockchainMatchId);
+        if (p1.toLowerCase() !== match.player1.toLowerCase() || p2.toLowerCase() !== match.player2.toLowerCase()) {
+            return `on-chain match ${blockchainMatchId} is between ${p1} and ${p2}`;
+        }
+        return null;
+    } catch (error) {
+        return `could not read on-chain match ${blockchainMatchId}: ${error.message}`;
+    }
 }
 
-function endGame(matchId, result, reason = 'NORMAL') {
-    const match = activeMatches.get(matchId);
-    if (!match) return;
+function opponentOf(symbol) {
+    return symbol === 'X' ? 'O' : 'X';
+}
 
-    match.status = 'COMPLETED';
-    match.gameActive = false;
-    match.result = result;
-    match.endReason = reason;
+function seatSocketId(match, symbol) {
+    return symbol === 'X' ? match.player1SocketId : match.player2SocketId;
+}
+
+// Clocks. match.clock holds what each player had left when the current turn
+// began and when that was; only the player to move has time running.
+function startClock(match) {
+    const budget = match.timeControl.gameSeconds * 1000;
+    match.clock = { remaining: { X: budget, O: budget }, turnStartedAt: Date.now() };
+    scheduleClock(match);
+}
+
+// Milliseconds the player to move has before they lose on time
+function timeLeft(match) {
+    if (!match.clock) return Infinity;
+    const elapsed = Date.now() - match.clock.turnStartedAt;
+    return Math.min(
+        match.timeControl.moveSeconds * 1000 - elapsed,
+        match.clock.remaining[match.state.turn] - elapsed
+    );
+}
+
+// Take the time a move used off its player's clock and start the next turn
+function chargeClock(match, symbol) {
+    if (!match.clock) return;
+    const now = Date.now();
+    match.clock.remaining[symbol] -= now - match.clock.turnStartedAt;
+    match.clock.turnStartedAt = now;
+}
+
+function scheduleClock(match) {
+    if (!match.clock) return;
+    clearTimeout(clockTimers.get(match.matchId));
+    clockTimers.set(match.matchId, setTimeout(() => flagTimeout(match), Math.max(0, timeLeft(match))).unref());
+}
+
+// Clocks as players see them: time left right now for both players, and for
+// the current move; clients count down from these
+function clockView(match) {
+    if (!match.clock) return null;
+    const turn = match.state.turn;
+    const elapsed = match.gameActive ? Date.now() - match.clock.turnStartedAt : 0;
+    const remaining = { ...match.clock.remaining };
+    remaining[turn] = Math.max(0, remaining[turn] - elapsed);
+    return {
+        timeControl: match.timeControl,
+        turn,
+        running: match.gameActive,
+        remaining,
+        moveRemaining: Math.max(0, match.timeControl.moveSeconds * 1000 - elapsed)
+    };
+}
+
+// The player to move ran out of time: they lose, and the server settles the
+// match itself since nobody holds a signature proving it
+function flagTimeout(match) {
+    if (activeMatches.get(match.matchId) !== match || !match.gameActive) return;
+
+    const symbol = match.state.turn;
+    match.timeout = { player: symbol === 'X' ? match.player1 : match.player2 };
+    console.log(`⏰ ${symbol} ran out of time in match ${match.matchId}`);
+    endGame(match.matchId, opponentOf(symbol), 'TIMEOUT');
+    settleMatch(match);
+}
+
+// Commit a result through the API gateway, which only accepts a timeout
+// from a caller presenting MATCHMAKING_API_KEY
+async function settleMatch(match) {
+    const apiKey = process.env.MATCHMAKING_API_KEY;
+    if (!apiKey || !match.blockchainMatchId) {
+        console.warn(`⚠️  Not settling match ${match.matchId}: ${apiKey ? 'no on-chain match' : 'MATCHMAKING_API_KEY not set'}`);
+        return;
+    }
+
+    const { winnerAddress, transcript } = gameEndPayload(match);
+    try {
+        const response = await fetch(`${process.env.API_URL || 'http://localhost:3000'}/match/result`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-matchmaking-key': apiKey },
+            body: JSON.stringify({ matchId: match.blockchainMatchId, winner: winnerAddress, transcript })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `API responded ${response.status}`);
+        }
 
+        console.log(`✅ Settled match ${match.matchId}: ${result.txHash}`);
+        notifyPlayers(match.matchId, 'matchSettled', {
+            matchId: match.matchId,
+            txHash: result.txHash,
+            winner: winnerAddress,
+            proposed: result.proposed,
+            disputeDeadline: result.disputeDeadline
+        });
+    } catch (error) {
+        console.error(`❌ Failed to settle match ${match.matchId}:`, error.message);
+    }
+}
+
+// Hash the next move signs as its prevHash: the last move played, zero before the first
+function lastMoveHash(match) {
+    const last = match.moves[match.moves.length - 1];
+    return last ? hashMove(transcriptDomain, { ...last, matchId: match.blockchainMatchId }) : ethers.ZeroHash;
+}
+
+// Signature checks
+function isSignedMove(match, move, signature) {
+    try {
+        const signer = recoverMoveSigner(transcriptDomain, { ...move, matchId: match.blockchainMatchId }, signature);
+        return signer.toLowerCase() === move.player.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+}
+
+function isSignedForfeit(match, player, signature) {
+    try {
+        const signer = recoverForfeitSigner(transcriptDomain, { matchId: match.blockchainMatchId, player }, signature);
+        return signer.toLowerCase() === player.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+}
+
+// Signed transcript the API gateway replays before committing a result
+function buildTranscript(match) {
+    return {
+        matchId: match.blockchainMatchId,
+        domain: transcriptDomain,
+        player1: match.player1,
+        player2: match.player2,
+        gameType: match.gameType,
+        moves: match.moves.map(({ moveNumber, row, col, player, prevHash, signature }) => ({
+            moveNumber, row, col, player, prevHash, signature
+        })),
+        forfeit: match.forfeit || null,
+        timeout: match.timeout || null
+    };
+}
+
+// What players get when a game ends, and again if they come back after a restart
+function gameEndPayload(match) {
     // Determine winner address
     let winnerAddress;
-    if (result === 'X') {
+    if (match.result === 'X') {
         winnerAddress = match.player1;
-    } else if (result === 'O') {
+    } else if (match.result === 'O') {
         winnerAddress = match.player2;
     } else {
         winnerAddress = null; // Draw
     }
 
-    // Notify both players
-    notifyPlayers(matchId, 'gameEnd', {
-        winner: result,
+    return {
+        winner: match.result,
         winnerAddress,
-        reason,
-        finalBoard: match.board
+        reason: match.endReason,
+        finalBoard: match.state.board,
+        transcript: buildTranscript(match),
+        ratingChanges: ratingChanges(match)
+    };
+}
+
+// What the result does to both ratings once it settles on-chain, where the
+// leaderboard service rates it the same way
+function ratingChanges(match) {
+    if (!match.ratings) return null;
+
+    const score = match.result === 'X' ? 1 : match.result === 'O' ? 0 : 0.5;
+    const [x, o] = rateGame(match.ratings.X, match.ratings.O, score);
+    const change = (before, after) => ({
+        before: Math.round(before.rating),
+        after: Math.round(after.rating),
+        change: Math.round(after.rating - before.rating)
     });
+    return { X: change(match.ratings.X, x), O: change(match.ratings.O, o) };
+}
+
+function endGame(matchId, result, reason = 'NORMAL') {
+    const match = activeMatches.get(matchId);
+    if (!match) return;
+
+    match.status = 'COMPLETED';
+    match.gameActive = false;
+    match.result = result;
+    match.endReason = reason;
+    journal.matchChanged(match);
 
-    console.log(`Game ended: ${matchId} - Winner: ${result}`);
+    for (const symbol of ['X', 'O']) {
+        clearTimeout(reconnectTimers.get(`${matchId}:${symbol}`));
+        reconnectTimers.delete(`${matchId}:${symbol}`);
+    }
+    clearTimeout(clockTimers.get(matchId));
+    clockTimers.delete(matchId);
+
+    // Notify both players
+    notifyPlayers(matchId, 'gameEnd', gameEndPayload(match));
 
-    // Clean up after some time
+    console.log(`Game ended: ${matchId} (${match.gameType}) - Winner: ${result}`);
+
+    scheduleCleanup(matchId);
+}
+
+// Forget a finished match after some time
+function scheduleCleanup(matchId) {
     setTimeout(() => {
         activeMatches.delete(matchId);
-    }, 60000); // 1 minute
+        journal.matchClosed(matchId);
+    }, 60000).unref(); // 1 minute
 }
 
 function notifyPlayers(matchId, event, data) {
@@ -401,7 +984,200 @@ function notifyPlayers(matchId, event, data) {
     }
 }
 
-// Clean up expired pre-stakes
+// Hold a seat for a player who dropped out of a match. If they aren't back
+// when the grace period ends the opponent wins, and the server settles it as
+// a timeout like flagTimeout does, unless the opponent is gone too: then
+// nobody wins by default and PlayGame refunds the match after its timeout, or
+// the first player back gets the win once the other's grace runs out
+function startReconnectGrace(match, symbol) {
+    const { matchId } = match;
+    const key = `${matchId}:${symbol}`;
+    clearTimeout(reconnectTimers.get(key));
+
+    const opponentSocket = playerSessions.get(seatSocketId(match, opponentOf(symbol)));
+    if (opponentSocket) {
+        opponentSocket.emit('opponentDisconnected', { matchId, symbol, reconnectBy: Date.now() + RECONNECT_GRACE });
+    }
+    console.log(`⏳ ${symbol} dropped out of match ${matchId}, holding the seat for ${RECONNECT_GRACE / 1000}s`);
+
+    reconnectTimers.set(key, setTimeout(() => {
+        reconnectTimers.delete(key);
+        if (activeMatches.get(matchId) !== match || match.status === 'COMPLETED' ||
+            playerSessions.has(seatSocketId(match, symbol))) {
+            return;
+        }
+        if (!playerSessions.has(seatSocketId(match, opponentOf(symbol)))) {
+            console.log(`⏳ Both players are gone from match ${matchId}, leaving it open`);
+            return;
+        }
+        match.timeout = { player: symbol === 'X' ? match.player1 : match.player2, reason: 'DISCONNECT' };
+        endGame(matchId, opponentOf(symbol), 'DISCONNECT');
+        settleMatch(match);
+    }, RECONNECT_GRACE).unref());
+}
+
+// Bind a signed-in socket to its seat in a match and send it the board and
+// whose turn it is, or the result if the game already ended
+function bindPlayer(match, symbol, socket) {
+    const { matchId } = match;
+    if (symbol === 'X') {
+        match.player1SocketId = socket.id;
+    } else {
+        match.player2SocketId = socket.id;
+    }
+    clearTimeout(reconnectTimers.get(`${matchId}:${symbol}`));
+    reconnectTimers.delete(`${matchId}:${symbol}`);
+
+    console.log(`🔄 ${socket.data.address} resumed match ${matchId} as ${symbol}`);
+    socket.emit('matchResumed', {
+        matchId,
+        blockchainMatchId: match.blockchainMatchId,
+        player1: match.player1,
+        player2: match.player2,
+        stake: match.stake,
+        gameType: match.gameType,
+        status: match.status,
+        gameActive: match.gameActive,
+        player1Staked: match.player1Staked,
+        player2Staked: match.player2Staked,
+        symbol,
+        state: match.state,
+        clock: clockView(match),
+        transcriptDomain,
+        lastMoveHash: lastMoveHash(match)
+    });
+
+    if (match.status === 'COMPLETED') {
+        socket.emit('gameEnd', gameEndPayload(match));
+        return;
+    }
+
+    // The opponent hears we're back; if they are the one missing, their grace starts now
+    const opponent = opponentOf(symbol);
+    const opponentSocket = playerSessions.get(seatSocketId(match, opponent));
+    if (opponentSocket) {
+        opponentSocket.emit('opponentReconnected', { matchId, symbol });
+    } else if (!reconnectTimers.has(`${matchId}:${opponent}`)) {
+        startReconnectGrace(match, opponent);
+    }
+}
+
+// Hand a player signing in the queue place and match seats held for their
+// address that no live socket holds, e.g. after a page reload or a restart
+function resumeSessions(address, socket) {
+    const preStake = preStakedPlayers.get(address);
+    if (preStake && !playerSessions.has(preStake.socketId)) {
+        preStake.socketId = socket.id;
+        for (const players of waitingPlayers.values()) {
+            const waiting = players.find(p => p.address.toLowerCase() === address.toLowerCase());
+            if (waiting) {
+                waiting.socketId = socket.id;
+            }
+        }
+        socket.emit('matchmakingStatus', {
+            status: 'waiting',
+            message: 'Searching for opponent... Your stake is held in escrow.'
+        });
+    }
+
+    for (const match of activeMatches.values()) {
+        const symbol = addressSymbol(match, address);
+        if (symbol && !playerSessions.has(seatSocketId(match, symbol))) {
+            bindPlayer(match, symbol, socket);
+        }
+    }
+}
+
+/**
+ * Rebuild the queues and matches from the journal after a restart. With a
+ * PlayGame contract every match is checked on-chain first: matches still
+ * waiting for stakes or being played resume, ones past their stake deadline
+ * or timeout are cancelled or refunded, and ones the chain already closed
+ * are dropped. Players pick theirs up again when they sign in.
+ * @param {ethers.Contract|null} playGame PlayGame with PLAYGAME_RECOVERY_ABI, connected to a signer to send refunds
+ * @returns {Promise<object[]>} outcome of every journaled match
+ */
+async function recoverState(playGame) {
+    const { queue, matches } = journal.replay();
+    const now = Date.now();
+
+    for (const entry of queue.values()) {
+        // Pre-stakes that ran out while the server was down are not brought back
+        if (now - entry.timestamp > PRE_STAKE_TIMEOUT || preStakedPlayers.has(entry.address)) {
+            continue;
+        }
+        // Entries journaled before time controls or ratings existed get the defaults,
+        entry.timeControl = entry.timeControl || DEFAULT_TIME_CONTROL;
+        entry.rating = entry.rating || { ...DEFAULT_RATING };
+        // and ones from before stake ranges queued for their exact stake
+        const { stake, ...rest } = entry;
+        const stakeRange = parseStakeRange(entry);
+        const key = queueKey(entry.gameType, entry.timeControl);
+        if (!waitingPlayers.has(key)) {
+            waitingPlayers.set(key, []);
+        }
+        waitingPlayers.get(key).push({ ...rest, ...stakeRange, socketId: null });
+        preStakedPlayers.set(entry.address, { ...stakeRange, timestamp: entry.timestamp, socketId: null });
+    }
+
+    const outcomes = playGame
+        ? await recoverMatches([...matches.values()], playGame)
+        : [...matches.values()].map(match => ({ match, action: 'resume', reason: 'no PlayGame to check against' }));
+
+    for (const { match, action, reason, txHash, error } of outcomes) {
+        if (error) {
+            // Stays in the journal so the next start tries again
+            console.error(`❌ Could not ${action} match ${match.matchId}: ${error}`);
+            continue;
+        }
+        console.log(`♻️  Match ${match.matchId}: ${action} (${reason})${txHash ? ` tx ${txHash}` : ''}`);
+        if (action !== 'resume') continue;
+
+        const game = getGame(match.gameType);
+        match.state = match.moves.reduce((state, { row, col }) => game.applyMove(state, { row, col }), game.createState());
+        match.player1SocketId = null;
+        match.player2SocketId = null;
+        activeMatches.set(match.matchId, match);
+        if (match.status === 'COMPLETED') {
+            scheduleCleanup(match.matchId);
+        } else if (match.gameActive) {
+            // Time the server was down is not charged to the player to move
+            match.timeControl = match.timeControl || DEFAULT_TIME_CONTROL;
+            if (match.clock) {
+                match.clock.turnStartedAt = now;
+                scheduleClock(match);
+            } else {
+                startClock(match);
+            }
+        }
+    }
+
+    // Start the new journal from the recovered state
+    const unresolved = outcomes.filter(outcome => outcome.error).map(outcome => outcome.match);
+    journal.compact({
+        queue: [...waitingPlayers.values()].flat().map(
+            ({ address, minStake, maxStake, gameType, timeControl, rating, timestamp }) => ({
+                address, minStake, maxStake, gameType, timeControl, rating, timestamp
+            })
+        ),
+        matches: [...activeMatches.values(), ...unresolved]
+    });
+
+    console.log(`♻️  Recovered ${preStakedPlayers.size} queued players and ${activeMatches.size} matches from ${journal.file}`);
+    return outcomes;
+}
+
+// PlayGame for checking and reconciling matches, when the chain is configured
+function connectPlayGame() {
+    if (!process.env.PLAYGAME_ADDR) {
+        return null;
+    }
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545');
+    const runner = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : provider;
+    return new ethers.Contract(process.env.PLAYGAME_ADDR, PLAYGAME_RECOVERY_ABI, runner);
+}
+
+// Clean up expired pre-stakes; the timer is unref'd so it never keeps the process alive by itself
 setInterval(() => {
     const now = Date.now();
     for (const [address, preStake] of preStakedPlayers.entries()) {
@@ -410,19 +1186,13 @@ setInterval(() => {
             preStakedPlayers.delete(address);
 
             // Remove from waiting queue
-            for (const [stake, players] of waitingPlayers.entries()) {
-                const index = players.findIndex(p => p.address === address);
-                if (index !== -1) {
-                    players.splice(index, 1);
-                    if (players.length === 0) {
-                        waitingPlayers.delete(stake);
-                    }
-                    break;
-                }
-            }
+            removeFromQueue(p => p.address === address);
         }
     }
-}, 30000); // Check every 30 seconds
+}, 30000).unref(); // Check every 30 seconds
+
+// Rating windows widen as players wait, so look for new pairs every second
+setInterval(sweepQueues, 1000).unref();
 
 // API endpoints
 app.get('/health', (req, res) => {
@@ -431,10 +1201,13 @@ app.get('/health', (req, res) => {
 
 app.get('/stats', (req, res) => {
     res.json({
-        waitingPlayers: Array.from(waitingPlayers.entries()).map(([stake, players]) => ({
-            stake,
-            count: players.length
+        waitingPlayers: Array.from(waitingPlayers.values()).map(players => ({
+            gameType: players[0].gameType,
+            timeControl: players[0].timeControl,
+            count: players.length,
+            byStake: stakeBuckets(players)
         })),
+        games: listGames(),
         activeMatches: activeMatches.size,
         connectedPlayers: playerSessions.size,
         preStakedPlayers: preStakedPlayers.size
@@ -479,13 +1252,22 @@ app.get('/leaderboard', (req, res) => {
     res.json(leaderboard);
 });
 
-// Start server
-const PORT = process.env.MATCHMAKING_PORT || 3002;
-server.listen(PORT, () => {
-    console.log(`🎮 TriX Matchmaking Server running on port ${PORT}`);
-    console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    console.log(`📈 Stats: http://localhost:${PORT}/stats`);
-    console.log(`🏆 Leaderboard: http://localhost:${PORT}/leaderboard`);
-});
+// Start server when run directly; tests require this module and listen on a port of their own
+if (require.main === module) {
+    const PORT = process.env.MATCHMAKING_PORT || 3002;
+
+    // Refuse to start on a journal that couldn't be recovered rather than drop what it holds
+    recoverState(playGame).then(() => {
+        server.listen(PORT, () => {
+            console.log(`🎮 TriX Matchmaking Server running on port ${PORT}`);
+            console.log(`📊 Health check: http://localhost:${PORT}/health`);
+            console.log(`📈 Stats: http://localhost:${PORT}/stats`);
+            console.log(`🏆 Leaderboard: http://localhost:${PORT}/leaderboard`);
+        });
+    }).catch(error => {
+        console.error('❌ Failed to recover matchmaking state:', error);
+        process.exit(1);
+    });
+}
 
-module.exports = { app, io, activeMatches, waitingPlayers };
+module.exports = { app, server, io, activeMatches, waitingPlayers, preStakedPlayers, recoverState };
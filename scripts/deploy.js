@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { deployProxy, getImplementationAddress, saveStorageLayout } = require("./proxy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -9,6 +10,7 @@ async function main() {
   const TOKEN_NAME = "TriX Game Token";
   const TOKEN_SYMBOL = "GT";
   const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1 million tokens
+  const MAX_SUPPLY = ethers.parseEther(process.env.MAX_SUPPLY || "100000000"); // hard cap, 100 million tokens
 
   // Deploy MockUSDT for local development
   console.log("1.5. Deploying MockUSDT for testing...");
@@ -17,39 +19,95 @@ async function main() {
   await mockUsdt.waitForDeployment();
   console.log("   MockUSDT deployed to:", await mockUsdt.getAddress());
 
+  // A second, 18-decimal payment token so the store's multi-currency path is exercised locally
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const mockDai = await MockERC20.deploy("Mock DAI", "DAI", 18, ethers.parseEther("1000000"));
+  await mockDai.waitForDeployment();
+  console.log("   MockDAI deployed to:", await mockDai.getAddress());
+
+  // Chainlink-style ETH/USD feed so GT can be bought with ETH locally
+  const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+  const priceFeed = await MockPriceFeed.deploy(8, "ETH / USD", 2000n * 10n ** 8n); // $2000
+  await priceFeed.waitForDeployment();
+  console.log("   MockPriceFeed deployed to:", await priceFeed.getAddress());
+
   const USDT_ADDRESS = await mockUsdt.getAddress();
   const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || deployer.address;
+  const DISPUTE_WINDOW = parseInt(process.env.DISPUTE_WINDOW || "0"); // seconds, 0 = instant payouts
+  const PLATFORM_FEE_BPS = parseInt(process.env.PLATFORM_FEE_BPS || "0"); // basis points, max 1000 (10%)
+  const REDEMPTION_FEE_BPS = parseInt(process.env.REDEMPTION_FEE_BPS || "0"); // basis points, max 1000 (10%)
+  const DAILY_REDEEM_LIMIT = ethers.parseEther(process.env.DAILY_REDEEM_LIMIT || "0"); // GT per address, 0 = unlimited
+  const GLOBAL_DAILY_REDEEM_LIMIT = ethers.parseEther(process.env.GLOBAL_DAILY_REDEEM_LIMIT || "0"); // GT overall, 0 = unlimited
+  const ETH_USD_FEED = process.env.ETH_USD_FEED; // defaults to the MockPriceFeed
+  const PRICE_MAX_AGE = parseInt(process.env.PRICE_MAX_AGE || "86400"); // seconds before a price is stale
+  const MAX_PRICE_DEVIATION_BPS = parseInt(process.env.MAX_PRICE_DEVIATION_BPS || "1000"); // 10% between rounds
+  const TOKENSTORE_MINT_QUOTA = ethers.parseEther(process.env.TOKENSTORE_MINT_QUOTA || "1000000"); // GT per window, 0 = unlimited
+  const MINT_QUOTA_WINDOW = parseInt(process.env.MINT_QUOTA_WINDOW || "86400"); // seconds
+  const TIMELOCK_DELAY = parseInt(process.env.TIMELOCK_DELAY || "86400"); // seconds admin calls wait once scheduled
+  const TIMELOCK_PROPOSER = process.env.TIMELOCK_PROPOSER || deployer.address; // schedules, cancels and executes
 
   console.log("\n=== Deploying TriX Smart Contracts ===\n");
 
   // 1. Deploy GameToken
   console.log("1. Deploying GameToken...");
   const GameToken = await ethers.getContractFactory("GameToken");
-  const gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL);
+  const gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL, MAX_SUPPLY);
   await gameToken.waitForDeployment();
   console.log("   GameToken deployed to:", await gameToken.getAddress());
   console.log("   Initial supply:", ethers.formatEther(INITIAL_SUPPLY), "GT");
+  console.log("   Max supply:", ethers.formatEther(MAX_SUPPLY), "GT");
 
-  // 2. Deploy TokenStore  
+  // 2. Deploy TokenStore behind an upgradeable (UUPS) proxy
   console.log("\n2. Deploying TokenStore...");
-  const TokenStore = await ethers.getContractFactory("TokenStore");
   const GT_PER_USDT = ethers.parseEther("1"); // 1:1 conversion rate (1e18)
-  const tokenStore = await TokenStore.deploy(
+  const tokenStore = await deployProxy("TokenStore", [
     USDT_ADDRESS,
     await gameToken.getAddress(),
     GT_PER_USDT
-  );
-  await tokenStore.waitForDeployment();
-  console.log("   TokenStore deployed to:", await tokenStore.getAddress());
+  ]);
+  const tokenStoreImplementation = await getImplementationAddress(await tokenStore.getAddress());
+  await saveStorageLayout("TokenStore", tokenStoreImplementation);
+  console.log("   TokenStore proxy deployed to:", await tokenStore.getAddress());
+  console.log("   TokenStore implementation:", tokenStoreImplementation);
   console.log("   USDT Address:", USDT_ADDRESS);
   console.log("   GT per USDT:", ethers.formatEther(GT_PER_USDT));
 
-  // 3. Deploy PlayGame
+  const GT_PER_DAI = ethers.parseEther("1");
+  await tokenStore.addPaymentToken(await mockDai.getAddress(), GT_PER_DAI);
+  console.log("   ✓ Accepted DAI at", ethers.formatEther(GT_PER_DAI), "GT per DAI");
+
+  const GT_PER_USD = ethers.parseEther("1");
+  const ethUsdFeed = ETH_USD_FEED || await priceFeed.getAddress();
+  await tokenStore.setEthPriceFeed(ethUsdFeed, GT_PER_USD, PRICE_MAX_AGE, MAX_PRICE_DEVIATION_BPS);
+  console.log("   ✓ Enabled ETH purchases through feed", ethUsdFeed);
+
+  // 3. Deploy PlayGame behind an upgradeable (UUPS) proxy
   console.log("\n3. Deploying PlayGame...");
-  const PlayGame = await ethers.getContractFactory("PlayGame");
-  const playGame = await PlayGame.deploy(await gameToken.getAddress());
-  await playGame.waitForDeployment();
-  console.log("   PlayGame deployed to:", await playGame.getAddress());
+  const playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+  const playGameImplementation = await getImplementationAddress(await playGame.getAddress());
+  await saveStorageLayout("PlayGame", playGameImplementation);
+  console.log("   PlayGame proxy deployed to:", await playGame.getAddress());
+  console.log("   PlayGame implementation:", playGameImplementation);
+
+  // 3.5. Deploy GameForwarder for gasless (ERC-2771) staking and purchases
+  console.log("\n3.5. Deploying GameForwarder...");
+  const GameForwarder = await ethers.getContractFactory("GameForwarder");
+  const forwarder = await GameForwarder.deploy();
+  await forwarder.waitForDeployment();
+  console.log("   GameForwarder deployed to:", await forwarder.getAddress());
+
+  // 3.6. Deploy GameTimelock, which takes over DEFAULT_ADMIN_ROLE once setup is done
+  console.log("\n3.6. Deploying GameTimelock...");
+  const GameTimelock = await ethers.getContractFactory("GameTimelock");
+  const timelock = await GameTimelock.deploy(
+    TIMELOCK_DELAY,
+    [TIMELOCK_PROPOSER],
+    [TIMELOCK_PROPOSER],
+    ethers.ZeroAddress
+  );
+  await timelock.waitForDeployment();
+  console.log("   GameTimelock deployed to:", await timelock.getAddress());
+  console.log(`   Min delay: ${TIMELOCK_DELAY}s, proposer/executor: ${TIMELOCK_PROPOSER}`);
 
   // 4. Setup roles and permissions
   console.log("\n4. Setting up roles and permissions...");
@@ -58,12 +116,68 @@ async function main() {
   const MINTER_ROLE = await gameToken.MINTER_ROLE();
   await gameToken.grantRole(MINTER_ROLE, await tokenStore.getAddress());
   console.log("   ✓ Granted MINTER_ROLE to TokenStore");
+  if (TOKENSTORE_MINT_QUOTA > 0n) {
+    await gameToken.setMintQuota(await tokenStore.getAddress(), TOKENSTORE_MINT_QUOTA, MINT_QUOTA_WINDOW);
+    console.log(`   ✓ Limited TokenStore minting to ${ethers.formatEther(TOKENSTORE_MINT_QUOTA)} GT per ${MINT_QUOTA_WINDOW}s`);
+  }
+
+  // The constructor made the deployer a minter with no quota; only the store mints from here on
+  await gameToken.renounceRole(MINTER_ROLE, deployer.address);
+  console.log("   ✓ Renounced deployer's MINTER_ROLE on GameToken");
 
   // Grant OPERATOR_ROLE to deployer (will be transferred to actual API Gateway)
   const OPERATOR_ROLE = await playGame.OPERATOR_ROLE();
   await playGame.grantRole(OPERATOR_ROLE, deployer.address);
   console.log("   ✓ Granted OPERATOR_ROLE to deployer");
 
+  // Platform fee on winnings goes to the treasury
+  await playGame.setTreasury(TREASURY_ADDRESS);
+  console.log("   ✓ Set PlayGame fee treasury to", TREASURY_ADDRESS);
+  if (PLATFORM_FEE_BPS > 0) {
+    await playGame.updatePlatformFee(PLATFORM_FEE_BPS);
+    console.log(`   ✓ Set platform fee to ${PLATFORM_FEE_BPS / 100}%`);
+  }
+
+  // GT redemptions back into payment tokens
+  if (REDEMPTION_FEE_BPS > 0) {
+    await tokenStore.setRedemptionFee(REDEMPTION_FEE_BPS);
+    console.log(`   ✓ Set redemption fee to ${REDEMPTION_FEE_BPS / 100}%`);
+  }
+  if (DAILY_REDEEM_LIMIT > 0n || GLOBAL_DAILY_REDEEM_LIMIT > 0n) {
+    await tokenStore.setRedemptionLimits(DAILY_REDEEM_LIMIT, GLOBAL_DAILY_REDEEM_LIMIT);
+    console.log(
+      `   ✓ Set daily redeem limits to ${ethers.formatEther(DAILY_REDEEM_LIMIT)} GT per address,`,
+      `${ethers.formatEther(GLOBAL_DAILY_REDEEM_LIMIT)} GT overall (0 = unlimited)`
+    );
+  }
+
+  // Trust the forwarder so relayed calls act for the signing player
+  await playGame.setTrustedForwarder(await forwarder.getAddress());
+  await tokenStore.setTrustedForwarder(await forwarder.getAddress());
+  console.log("   ✓ Set GameForwarder as trusted forwarder on PlayGame and TokenStore");
+
+  // Results become proposals that players can dispute to ARBITER_ROLE (deployer by default)
+  const ARBITER_ROLE = await playGame.ARBITER_ROLE();
+  if (DISPUTE_WINDOW > 0) {
+    await playGame.setDisputeWindow(DISPUTE_WINDOW);
+    console.log(`   ✓ Set result dispute window to ${DISPUTE_WINDOW}s`);
+  }
+
+  // Game types beyond tic-tac-toe (type 0); names must match the rules in web/game-rules.js
+  const TIMEOUT_DURATION = await playGame.TIMEOUT_DURATION();
+  for (const name of ["tictactoe4x4", "gomoku", "ultimate"]) {
+    await playGame.registerGameType(name, 1, 0, TIMEOUT_DURATION);
+  }
+  console.log("   ✓ Registered game types tictactoe4x4, gomoku and ultimate");
+
+  // Hand admin to the timelock last: from here on privileged calls go through scripts/timelock.js
+  const DEFAULT_ADMIN_ROLE = await gameToken.DEFAULT_ADMIN_ROLE();
+  for (const contract of [gameToken, tokenStore, playGame]) {
+    await contract.grantRole(DEFAULT_ADMIN_ROLE, await timelock.getAddress());
+    await contract.renounceRole(DEFAULT_ADMIN_ROLE, deployer.address);
+  }
+  console.log("   ✓ Transferred DEFAULT_ADMIN_ROLE on GameToken, TokenStore and PlayGame to GameTimelock");
+
   // 5. Verify initial setup
   console.log("\n5. Verifying initial setup...");
 
@@ -73,9 +187,17 @@ async function main() {
   const tokenStoreMinterRole = await gameToken.hasRole(MINTER_ROLE, await tokenStore.getAddress());
   console.log("   TokenStore has MINTER_ROLE:", tokenStoreMinterRole);
 
+  const deployerMinterRole = await gameToken.hasRole(MINTER_ROLE, deployer.address);
+  console.log("   Deployer has MINTER_ROLE:", deployerMinterRole);
+
   const playGameOperatorRole = await playGame.hasRole(OPERATOR_ROLE, deployer.address);
   console.log("   Deployer has OPERATOR_ROLE:", playGameOperatorRole);
 
+  const timelockIsAdmin = await gameToken.hasRole(DEFAULT_ADMIN_ROLE, await timelock.getAddress());
+  const deployerIsAdmin = await gameToken.hasRole(DEFAULT_ADMIN_ROLE, deployer.address);
+  console.log("   GameTimelock has DEFAULT_ADMIN_ROLE:", timelockIsAdmin);
+  console.log("   Deployer has DEFAULT_ADMIN_ROLE:", deployerIsAdmin);
+
   // 6. Output deployment summary
   console.log("\n=== Deployment Summary ===");
   console.log("Network:", network.name);
@@ -84,8 +206,13 @@ async function main() {
   console.log("TokenStore:", await tokenStore.getAddress());
   console.log("PlayGame:", await playGame.getAddress());
   console.log("MockUSDT:", await mockUsdt.getAddress());
+  console.log("MockDAI:", await mockDai.getAddress());
+  console.log("ETH/USD Feed:", ethUsdFeed);
+  console.log("GameForwarder:", await forwarder.getAddress());
+  console.log("GameTimelock:", await timelock.getAddress());
   console.log("Treasury Address:", TREASURY_ADDRESS);
   console.log("Initial GT Supply:", ethers.formatEther(INITIAL_SUPPLY));
+  console.log("Max GT Supply:", ethers.formatEther(MAX_SUPPLY));
 
   // 7. Save deployment addresses for verification
   const deploymentInfo = {
@@ -95,18 +222,38 @@ async function main() {
       GameToken: await gameToken.getAddress(),
       TokenStore: await tokenStore.getAddress(),
       PlayGame: await playGame.getAddress(),
-      MockUSDT: await mockUsdt.getAddress()
+      MockUSDT: await mockUsdt.getAddress(),
+      MockDAI: await mockDai.getAddress(),
+      EthUsdFeed: ethUsdFeed,
+      GameForwarder: await forwarder.getAddress(),
+      TokenStoreImplementation: tokenStoreImplementation,
+      PlayGameImplementation: playGameImplementation,
+      GameTimelock: await timelock.getAddress()
     },
     configuration: {
       USDT_ADDRESS: USDT_ADDRESS,
       TREASURY_ADDRESS: TREASURY_ADDRESS,
       INITIAL_SUPPLY: INITIAL_SUPPLY.toString(),
+      MAX_SUPPLY: MAX_SUPPLY.toString(),
+      TOKENSTORE_MINT_QUOTA: TOKENSTORE_MINT_QUOTA.toString(),
+      MINT_QUOTA_WINDOW: MINT_QUOTA_WINDOW,
       TOKEN_NAME: TOKEN_NAME,
-      TOKEN_SYMBOL: TOKEN_SYMBOL
+      TOKEN_SYMBOL: TOKEN_SYMBOL,
+      DISPUTE_WINDOW: DISPUTE_WINDOW,
+      PLATFORM_FEE_BPS: PLATFORM_FEE_BPS,
+      REDEMPTION_FEE_BPS: REDEMPTION_FEE_BPS,
+      DAILY_REDEEM_LIMIT: DAILY_REDEEM_LIMIT.toString(),
+      GLOBAL_DAILY_REDEEM_LIMIT: GLOBAL_DAILY_REDEEM_LIMIT.toString(),
+      PRICE_MAX_AGE: PRICE_MAX_AGE,
+      MAX_PRICE_DEVIATION_BPS: MAX_PRICE_DEVIATION_BPS,
+      TIMELOCK_DELAY: TIMELOCK_DELAY,
+      TIMELOCK_PROPOSER: TIMELOCK_PROPOSER
     },
     roles: {
       MINTER_ROLE: MINTER_ROLE,
-      OPERATOR_ROLE: OPERATOR_ROLE
+      OPERATOR_ROLE: OPERATOR_ROLE,
+      ARBITER_ROLE: ARBITER_ROLE,
+      DEFAULT_ADMIN_ROLE: DEFAULT_ADMIN_ROLE
     },
     deploymentTime: new Date().toISOString()
   };
@@ -126,7 +273,8 @@ async function main() {
   console.log("\n=== Next Steps ===");
   console.log("1. Verify contracts on Etherscan (if on public network)");
   console.log("2. Transfer OPERATOR_ROLE to your API Gateway service");
-  console.log("3. Update USDT_ADDRESS for mainnet deployment");
+  console.log("   (admin changes now go through: HARDHAT_NETWORK=<network> node scripts/timelock.js schedule ...)");
+  console.log("3. Update USDT_ADDRESS and payment tokens for mainnet deployment");
   console.log("4. Set up monitoring and alerting");
   console.log("5. Test the complete flow on testnet first");
 
@@ -136,6 +284,7 @@ async function main() {
 
 # ==== BLOCKCHAIN CONFIGURATION ====
 RPC_URL=http://127.0.0.1:8545
+CHAIN_ID=${(await ethers.provider.getNetwork()).chainId}
 PRIVATE_KEY=${process.env.PRIVATE_KEY || ''}
 
 # ==== CONTRACT ADDRESSES ====
@@ -143,10 +292,17 @@ GAMETOKEN_ADDR=${await gameToken.getAddress()}
 TOKENSTORE_ADDR=${await tokenStore.getAddress()}
 PLAYGAME_ADDR=${await playGame.getAddress()}
 MOCKUSDT_ADDR=${await mockUsdt.getAddress()}
+MOCKDAI_ADDR=${await mockDai.getAddress()}
+ETH_USD_FEED=${ethUsdFeed}
+FORWARDER_ADDR=${await forwarder.getAddress()}
+TIMELOCK_ADDR=${await timelock.getAddress()}
 
 # ==== API CONFIGURATION ====
 PORT=3000
 LEADERBOARD_PORT=3001
+API_URL=http://localhost:3000
+# Shared by the API and the matchmaking server, which settles timeout forfeits
+MATCHMAKING_API_KEY=${process.env.MATCHMAKING_API_KEY || ethers.hexlify(ethers.randomBytes(32))}
 
 # ==== TREASURY CONFIGURATION ====
 TREASURY_ADDRESS=${TREASURY_ADDRESS}
@@ -159,7 +315,11 @@ TREASURY_ADDRESS=${TREASURY_ADDRESS}
     gameToken: await gameToken.getAddress(),
     tokenStore: await tokenStore.getAddress(),
     playGame: await playGame.getAddress(),
-    mockUsdt: await mockUsdt.getAddress()
+    mockUsdt: await mockUsdt.getAddress(),
+    mockDai: await mockDai.getAddress(),
+    ethUsdFeed,
+    forwarder: await forwarder.getAddress(),
+    timelock: await timelock.getAddress()
   };
 }
 
@@ -0,0 +1,170 @@
+/**
+ * Helpers for the UUPS-upgradeable contracts (PlayGame, TokenStore).
+ *
+ * Each contract is deployed as an implementation behind a GameProxy. The
+ * storage layout of every implementation deployed is recorded in
+ * deployments/storage-layouts-<network>.json so scripts/upgrade.js can check
+ * a new implementation against the one the proxy currently runs.
+ */
+const hre = require("hardhat");
+const fs = require("fs");
+
+const { ethers } = hre;
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Deploy an implementation and a GameProxy initialized with args
+ * @param {string} name Contract name, e.g. "PlayGame"
+ * @param {Array} args Arguments for initialize()
+ * @returns {Promise<ethers.Contract>} The implementation's interface at the proxy address
+ */
+async function deployProxy(name, args = []) {
+  const Implementation = await ethers.getContractFactory(name);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+
+  const GameProxy = await ethers.getContractFactory("GameProxy");
+  const proxy = await GameProxy.deploy(
+    await implementation.getAddress(),
+    Implementation.interface.encodeFunctionData("initialize", args)
+  );
+  await proxy.waitForDeployment();
+
+  return Implementation.attach(await proxy.getAddress());
+}
+
+/**
+ * Read the implementation a proxy currently delegates to
+ * @param {string} proxyAddress GameProxy address
+ * @returns {Promise<string>} Implementation address
+ */
+async function getImplementationAddress(proxyAddress) {
+  const slot = await ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  return ethers.getAddress(ethers.dataSlice(slot, 12));
+}
+
+/**
+ * Storage layout of a compiled contract, from the Hardhat build info
+ * @param {string} name Contract name
+ */
+async function getStorageLayout(name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const layout = buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+  if (!layout) {
+    throw new Error(`No storage layout for ${name}, check outputSelection in hardhat.config.js`);
+  }
+  return layout;
+}
+
+// Describe a type without the AST ids solc embeds in type names, which change between builds
+function describeType(types, typeId) {
+  const type = types[typeId];
+  if (type.encoding === "mapping") {
+    return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+  }
+  if (type.members) {
+    const members = type.members.map(
+      (member) => `${member.label}@${member.slot}:${member.offset} ${describeType(types, member.type)}`
+    );
+    return `${type.label} { ${members.join("; ")} }`;
+  }
+  if (type.base) {
+    return `${type.label} of ${describeType(types, type.base)} (${type.numberOfBytes} bytes)`;
+  }
+  return `${type.label} (${type.numberOfBytes} bytes)`;
+}
+
+/**
+ * Check that a new implementation keeps every existing variable where it was
+ * New variables may only use slots the old layout left free, normally by
+ * being appended after the existing ones
+ * @param {object} oldLayout Layout of the implementation being replaced
+ * @param {object} newLayout Layout of the new implementation
+ * @returns {string[]} Incompatibilities found, empty if the upgrade is safe
+ */
+function compareStorageLayouts(oldLayout, newLayout) {
+  const errors = [];
+  const position = (variable) => `slot ${variable.slot} offset ${variable.offset}`;
+
+  for (const oldVar of oldLayout.storage) {
+    const newVar = newLayout.storage.find(
+      (candidate) => candidate.slot === oldVar.slot && candidate.offset === oldVar.offset
+    );
+    if (!newVar) {
+      errors.push(`${oldVar.label} (${position(oldVar)}) was removed or moved`);
+      continue;
+    }
+    if (newVar.label !== oldVar.label) {
+      errors.push(`${oldVar.label} (${position(oldVar)}) was replaced by ${newVar.label}`);
+      continue;
+    }
+
+    const oldType = describeType(oldLayout.types, oldVar.type);
+    const newType = describeType(newLayout.types, newVar.type);
+    if (oldType !== newType) {
+      errors.push(`${oldVar.label} changed type from ${oldType} to ${newType}`);
+    }
+  }
+
+  // Variables with new labels must not overlap slots the old layout used
+  const usedSlots = new Set(oldLayout.storage.map((variable) => variable.slot));
+  for (const newVar of newLayout.storage) {
+    const existing = oldLayout.storage.some((oldVar) => oldVar.label === newVar.label);
+    if (!existing && usedSlots.has(newVar.slot)) {
+      errors.push(`${newVar.label} (${position(newVar)}) overlaps existing storage`);
+    }
+  }
+
+  return errors;
+}
+
+function layoutsPath() {
+  return `deployments/storage-layouts-${hre.network.name}.json`;
+}
+
+function loadStorageLayouts() {
+  if (!fs.existsSync(layoutsPath())) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(layoutsPath(), "utf8"));
+}
+
+/**
+ * Record the layout of a deployed implementation for later upgrade checks
+ * @param {string} name Contract name
+ * @param {string} implementationAddress Deployed implementation
+ */
+async function saveStorageLayout(name, implementationAddress) {
+  const layouts = loadStorageLayouts();
+  layouts[implementationAddress.toLowerCase()] = {
+    contract: name,
+    storageLayout: await getStorageLayout(name)
+  };
+
+  if (!fs.existsSync("deployments")) {
+    fs.mkdirSync("deployments");
+  }
+  fs.writeFileSync(layoutsPath(), JSON.stringify(layouts, null, 2));
+}
+
+/**
+ * Layout recorded for a deployed implementation, if any
+ * @param {string} implementationAddress Deployed implementation
+ */
+function loadStorageLayout(implementationAddress) {
+  const entry = loadStorageLayouts()[implementationAddress.toLowerCase()];
+  return entry ? entry.storageLayout : null;
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  deployProxy,
+  getImplementationAddress,
+  getStorageLayout,
+  compareStorageLayouts,
+  saveStorageLayout,
+  loadStorageLayout
+};
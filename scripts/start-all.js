@@ -117,6 +117,9 @@ MOCKUSDT_ADDR=
 # ==== API CONFIGURATION ====
 PORT=3000
 LEADERBOARD_PORT=3001
+API_URL=http://localhost:3000
+# Shared secret the matchmaking server settles timeout forfeits with
+MATCHMAKING_API_KEY=
 
 # ==== TREASURY CONFIGURATION ====
 TREASURY_ADDRESS=
@@ -0,0 +1,187 @@
+/**
+ * Queue, execute and cancel privileged calls through GameTimelock.
+ *
+ * DEFAULT_ADMIN_ROLE on GameToken, TokenStore and PlayGame belongs to the
+ * timelock after deploy.js, so admin calls are scheduled here, wait out the
+ * timelock's min delay and are then executed by a proposer.
+ *
+ * Usage (addresses come from the .env written by deploy.js):
+ *   HARDHAT_NETWORK=localhost node scripts/timelock.js schedule <contract> <method> [args...]
+ *   HARDHAT_NETWORK=localhost node scripts/timelock.js execute <operationId>
+ *   HARDHAT_NETWORK=localhost node scripts/timelock.js cancel <operationId>
+ *   HARDHAT_NETWORK=localhost node scripts/timelock.js list
+ *
+ * <contract> is GameToken, TokenStore, PlayGame or GameTimelock. Arguments
+ * named like MINTER_ROLE are resolved to the role hash on the target, and
+ * arguments starting with "[" are parsed as JSON arrays.
+ *
+ * Example:
+ *   node scripts/timelock.js schedule TokenStore withdrawPayments 0xUsdt 0xTreasury 1000000
+ */
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+
+const TARGETS = {
+  GameToken: "GAMETOKEN_ADDR",
+  TokenStore: "TOKENSTORE_ADDR",
+  PlayGame: "PLAYGAME_ADDR",
+  GameTimelock: "TIMELOCK_ADDR"
+};
+
+const OPERATION_STATES = ["unset", "waiting", "ready", "done"];
+
+const queuePath = `deployments/timelock-${network.name}.json`;
+
+function loadQueue() {
+  if (!fs.existsSync(queuePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(queuePath, "utf8"));
+}
+
+function saveQueue(queue) {
+  if (!fs.existsSync("deployments")) {
+    fs.mkdirSync("deployments");
+  }
+  fs.writeFileSync(queuePath, JSON.stringify(queue, null, 2));
+}
+
+function requireAddress(envName) {
+  const address = process.env[envName];
+  if (!address) {
+    throw new Error(`${envName} is not set, run scripts/deploy.js first`);
+  }
+  return address;
+}
+
+async function getTimelock() {
+  return ethers.getContractAt("GameTimelock", requireAddress("TIMELOCK_ADDR"));
+}
+
+async function resolveArg(target, arg) {
+  if (/^[A-Z_]+_ROLE$/.test(arg) && target.interface.hasFunction(arg)) {
+    return target[arg]();
+  }
+  if (arg.startsWith("[")) {
+    return JSON.parse(arg);
+  }
+  return arg;
+}
+
+function formatTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+async function schedule(contractName, method, rawArgs) {
+  if (!TARGETS[contractName]) {
+    throw new Error(`Unknown contract ${contractName}, expected one of ${Object.keys(TARGETS).join(", ")}`);
+  }
+  if (!method) {
+    throw new Error("Missing method name");
+  }
+
+  const timelock = await getTimelock();
+  const target = await ethers.getContractAt(contractName, requireAddress(TARGETS[contractName]));
+  const args = await Promise.all(rawArgs.map((arg) => resolveArg(target, arg)));
+  const data = target.interface.encodeFunctionData(method, args);
+
+  const predecessor = ethers.ZeroHash;
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const delay = await timelock.getMinDelay();
+  const targetAddress = await target.getAddress();
+  const id = await timelock.hashOperation(targetAddress, 0, data, predecessor, salt);
+
+  const tx = await timelock.schedule(targetAddress, 0, data, predecessor, salt, delay);
+  await tx.wait();
+  const readyAt = await timelock.getTimestamp(id);
+
+  const queue = loadQueue();
+  queue[id] = {
+    contract: contractName,
+    target: targetAddress,
+    method,
+    args: args.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+    data,
+    predecessor,
+    salt,
+    readyAt: readyAt.toString()
+  };
+  saveQueue(queue);
+
+  console.log(`⏳ Scheduled ${contractName}.${method}(${rawArgs.join(", ")})`);
+  console.log(`   Operation: ${id}`);
+  console.log(`   Ready at:  ${formatTime(readyAt)} (${delay}s delay)`);
+}
+
+async function execute(id) {
+  const queue = loadQueue();
+  const op = queue[id];
+  if (!op) {
+    throw new Error(`Unknown operation ${id}, see the list command`);
+  }
+
+  const timelock = await getTimelock();
+  const tx = await timelock.execute(op.target, 0, op.data, op.predecessor, op.salt);
+  await tx.wait();
+
+  console.log(`✅ Executed ${op.contract}.${op.method}(${op.args.join(", ")})`);
+  console.log(`   Transaction: ${tx.hash}`);
+}
+
+async function cancel(id) {
+  const queue = loadQueue();
+  const timelock = await getTimelock();
+  const tx = await timelock.cancel(id);
+  await tx.wait();
+
+  delete queue[id];
+  saveQueue(queue);
+
+  console.log(`🛑 Cancelled operation ${id}`);
+}
+
+async function list() {
+  const queue = loadQueue();
+  const timelock = await getTimelock();
+  const ids = Object.keys(queue);
+
+  console.log(`⏱️  GameTimelock min delay: ${await timelock.getMinDelay()}s`);
+  if (ids.length === 0) {
+    console.log("   No operations scheduled from this machine");
+    return;
+  }
+
+  for (const id of ids) {
+    const op = queue[id];
+    const state = OPERATION_STATES[Number(await timelock.getOperationState(id))];
+    console.log(`\n   ${id}`);
+    console.log(`   ${op.contract}.${op.method}(${op.args.join(", ")})`);
+    console.log(`   State: ${state === "unset" ? "cancelled" : state}, ready at ${formatTime(op.readyAt)}`);
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case "schedule":
+      return schedule(args[0], args[1], args.slice(2));
+    case "execute":
+      return execute(args[0]);
+    case "cancel":
+      return cancel(args[0]);
+    case "list":
+      return list();
+    default:
+      console.log("Usage: node scripts/timelock.js <schedule|execute|cancel|list> ...");
+      console.log("See the top of scripts/timelock.js for details.");
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("❌ Timelock command failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,96 @@
+/**
+ * Upgrade PlayGame or TokenStore to the currently compiled implementation.
+ *
+ * Checks the new implementation's storage layout against the one the proxy
+ * runs now, deploys it, then upgrades the proxy. When the admin role sits with
+ * GameTimelock (the default after deploy.js) the upgrade is printed as a
+ * scripts/timelock.js command instead, to be scheduled and executed later.
+ *
+ * Usage (proxy addresses come from the .env written by deploy.js):
+ *   HARDHAT_NETWORK=localhost node scripts/upgrade.js <PlayGame|TokenStore> [--dry-run]
+ *
+ * --dry-run only runs the storage layout check.
+ */
+const { ethers } = require("hardhat");
+const {
+  getImplementationAddress,
+  getStorageLayout,
+  compareStorageLayouts,
+  saveStorageLayout,
+  loadStorageLayout
+} = require("./proxy");
+
+const PROXIES = {
+  PlayGame: "PLAYGAME_ADDR",
+  TokenStore: "TOKENSTORE_ADDR"
+};
+
+async function main() {
+  const [name, ...flags] = process.argv.slice(2);
+  const dryRun = flags.includes("--dry-run");
+
+  if (!PROXIES[name]) {
+    console.log("Usage: node scripts/upgrade.js <PlayGame|TokenStore> [--dry-run]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const proxyAddress = process.env[PROXIES[name]];
+  if (!proxyAddress) {
+    throw new Error(`${PROXIES[name]} is not set, run scripts/deploy.js first`);
+  }
+
+  console.log(`🔍 Checking ${name} upgrade for proxy ${proxyAddress}`);
+  const currentImplementation = await getImplementationAddress(proxyAddress);
+  console.log(`   Current implementation: ${currentImplementation}`);
+
+  const oldLayout = loadStorageLayout(currentImplementation);
+  if (!oldLayout) {
+    throw new Error(`No storage layout recorded for ${currentImplementation}, cannot check compatibility`);
+  }
+
+  const errors = compareStorageLayouts(oldLayout, await getStorageLayout(name));
+  if (errors.length > 0) {
+    console.error("❌ New implementation is not storage-compatible:");
+    errors.forEach((error) => console.error(`   - ${error}`));
+    process.exitCode = 1;
+    return;
+  }
+  console.log("   ✓ Storage layout is compatible");
+
+  if (dryRun) {
+    return;
+  }
+
+  const Implementation = await ethers.getContractFactory(name);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  await saveStorageLayout(name, implementationAddress);
+  console.log(`🚀 Deployed new implementation: ${implementationAddress}`);
+
+  // A PlayGame from before the game type registry needs tic-tac-toe registered as type 0
+  const registersGameTypes = name === "PlayGame" && !oldLayout.storage.some((variable) => variable.label === "gameTypeCount");
+  const call = registersGameTypes ? Implementation.interface.encodeFunctionData("initializeGameTypes") : "0x";
+  if (registersGameTypes) {
+    console.log("   Registering tic-tac-toe as game type 0 with the upgrade");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const proxy = Implementation.attach(proxyAddress);
+  if (await proxy.hasRole(await proxy.DEFAULT_ADMIN_ROLE(), signer.address)) {
+    const tx = await proxy.upgradeToAndCall(implementationAddress, call);
+    await tx.wait();
+    console.log(`✅ Upgraded ${name} to ${implementationAddress}`);
+  } else {
+    console.log("⏳ Admin is the timelock, schedule the upgrade with:");
+    console.log(`   node scripts/timelock.js schedule ${name} upgradeToAndCall ${implementationAddress} ${call}`);
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:", error.message);
+    process.exit(1);
+  });
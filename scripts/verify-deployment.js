@@ -1,27 +1,35 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const fs = require("fs");
 
 async function main() {
     console.log("🔍 TriX Deployment Verification Script");
     console.log("=====================================\n");
 
-    // Load deployment addresses
+    // Load the deployment scripts/deploy.js saved for this network
+    const deploymentPath = `deployments/${network.name}.json`;
     let deploymentData;
     try {
-        deploymentData = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"));
-        console.log("📄 Loaded deployment information from deployment-info.json");
+        deploymentData = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+        console.log(`📄 Loaded deployment information from ${deploymentPath}`);
     } catch (error) {
-        console.error("❌ Could not load deployment-info.json. Please deploy contracts first.");
+        console.error(`❌ Could not load ${deploymentPath}. Please deploy contracts first.`);
         process.exit(1);
     }
 
-    const { gameToken, tokenStore, playGame, network, deployer } = deploymentData;
+    const { deployer } = deploymentData;
+    const {
+        GameToken: gameToken,
+        TokenStore: tokenStore,
+        PlayGame: playGame,
+        GameTimelock: timelock
+    } = deploymentData.contracts;
 
-    console.log(`📶 Network: ${network}`);
+    console.log(`📶 Network: ${deploymentData.network}`);
     console.log(`👤 Deployer: ${deployer}`);
     console.log(`🪙 GameToken: ${gameToken}`);
     console.log(`🏪 TokenStore: ${tokenStore}`);
-    console.log(`🎮 PlayGame: ${playGame}\n`);
+    console.log(`🎮 PlayGame: ${playGame}`);
+    console.log(`⏱️  GameTimelock: ${timelock || "not deployed"}\n`);
 
     // Get contract instances
     const GameToken = await ethers.getContractAt("GameToken", gameToken);
@@ -36,11 +44,13 @@ async function main() {
     const gtSymbol = await GameToken.symbol();
     const gtDecimals = await GameToken.decimals();
     const gtTotalSupply = await GameToken.totalSupply();
+    const gtMaxSupply = await GameToken.maxSupply();
 
     console.log(`  ✓ Name: ${gtName}`);
     console.log(`  ✓ Symbol: ${gtSymbol}`);
     console.log(`  ✓ Decimals: ${gtDecimals}`);
     console.log(`  ✓ Total Supply: ${ethers.formatEther(gtTotalSupply)} GT`);
+    console.log(`  ✓ Max Supply: ${ethers.formatEther(gtMaxSupply)} GT (${ethers.formatEther(gtMaxSupply - gtTotalSupply)} GT left to mint)`);
 
     // Check roles
     const MINTER_ROLE = await GameToken.MINTER_ROLE();
@@ -48,24 +58,39 @@ async function main() {
     const DEFAULT_ADMIN_ROLE = await GameToken.DEFAULT_ADMIN_ROLE();
 
     const isMinter = await GameToken.hasRole(MINTER_ROLE, tokenStore);
+    const deployerIsMinter = await GameToken.hasRole(MINTER_ROLE, deployer);
     const isPauser = await GameToken.hasRole(PAUSER_ROLE, deployer);
     const isAdmin = await GameToken.hasRole(DEFAULT_ADMIN_ROLE, deployer);
 
     console.log(`  ✓ TokenStore has MINTER_ROLE: ${isMinter}`);
+    console.log(`  ✓ Deployer has MINTER_ROLE: ${deployerIsMinter}`);
     console.log(`  ✓ Deployer has PAUSER_ROLE: ${isPauser}`);
     console.log(`  ✓ Deployer has ADMIN_ROLE: ${isAdmin}`);
 
+    // Mint quotas for every current minter
+    const grants = await GameToken.queryFilter(GameToken.filters.RoleGranted(MINTER_ROLE));
+    const minters = [...new Set(grants.map((event) => event.args.account))];
+    for (const minter of minters) {
+        if (!(await GameToken.hasRole(MINTER_ROLE, minter))) continue;
+
+        const [limit, window, remaining] = await GameToken.getMintQuota(minter);
+        if (limit === 0n) {
+            console.log(`  ✓ Minter ${minter}: unlimited`);
+        } else {
+            console.log(`  ✓ Minter ${minter}: ${ethers.formatEther(remaining)} of ${ethers.formatEther(limit)} GT remaining per ${window}s`);
+        }
+    }
+
     // Verify TokenStore
     console.log("\n🏪 TokenStore Verification:");
     const tsGameToken = await TokenStore.gameToken();
-    const tsUsdtToken = await TokenStore.usdtToken();
-    const tsTreasury = await TokenStore.treasuryAddress();
-    const tsDecimalAdj = await TokenStore.DECIMAL_ADJUSTMENT();
+    const tsPaymentTokens = await TokenStore.getPaymentTokens();
 
     console.log(`  ✓ GameToken Address: ${tsGameToken}`);
-    console.log(`  ✓ USDT Token Address: ${tsUsdtToken}`);
-    console.log(`  ✓ Treasury Address: ${tsTreasury}`);
-    console.log(`  ✓ Decimal Adjustment: ${tsDecimalAdj}`);
+    for (const token of tsPaymentTokens) {
+        const { decimals, gtPerToken } = await TokenStore.paymentTokens(token);
+        console.log(`  ✓ Payment Token: ${token} (${decimals} decimals, ${ethers.formatEther(gtPerToken)} GT per token)`);
+    }
 
     // Check TokenStore roles
     const tsOperatorRole = await TokenStore.OPERATOR_ROLE();
@@ -87,22 +112,31 @@ async function main() {
     const pgBasisPoints = await PlayGame.BASIS_POINTS();
 
     console.log(`  ✓ GameToken Address: ${pgGameToken}`);
-    console.log(`  ✓ Platform Fee: ${pgPlatformFee / 100}% (${pgPlatformFee} basis points)`);
+    console.log(`  ✓ Platform Fee: ${Number(pgPlatformFee) / 100}% (${pgPlatformFee} basis points)`);
     console.log(`  ✓ Basis Points Denominator: ${pgBasisPoints}`);
 
     // Check PlayGame roles
-    const pgApiGatewayRole = await PlayGame.API_GATEWAY_ROLE();
+    const pgOperatorRole = await PlayGame.OPERATOR_ROLE();
     const pgPauserRole = await PlayGame.PAUSER_ROLE();
     const pgDefaultAdminRole = await PlayGame.DEFAULT_ADMIN_ROLE();
 
-    const pgIsApiGateway = await PlayGame.hasRole(pgApiGatewayRole, deployer);
+    const pgIsOperator = await PlayGame.hasRole(pgOperatorRole, deployer);
     const pgIsPauser = await PlayGame.hasRole(pgPauserRole, deployer);
     const pgIsAdmin = await PlayGame.hasRole(pgDefaultAdminRole, deployer);
 
-    console.log(`  ✓ Deployer has API_GATEWAY_ROLE: ${pgIsApiGateway}`);
+    console.log(`  ✓ Deployer has OPERATOR_ROLE: ${pgIsOperator}`);
     console.log(`  ✓ Deployer has PAUSER_ROLE: ${pgIsPauser}`);
     console.log(`  ✓ Deployer has ADMIN_ROLE: ${pgIsAdmin}`);
 
+    // Registered game types
+    const gameTypeCount = await PlayGame.gameTypeCount();
+    console.log(`  ✓ Game Types: ${gameTypeCount}`);
+    for (let id = 0n; id < gameTypeCount; id++) {
+        const game = await PlayGame.getGameType(id);
+        const maxStake = game.maxStake > 0n ? `${ethers.formatEther(game.maxStake)} GT` : "no max";
+        console.log(`    - ${id}: ${game.name} (${ethers.formatEther(game.minStake)} GT - ${maxStake}, timeout ${game.timeout}s, ${game.active ? "active" : "inactive"})`);
+    }
+
     // Cross-contract verification
     console.log("\n🔗 Cross-Contract Verification:");
 
@@ -131,13 +165,33 @@ async function main() {
     ]);
 
     console.log(`  ✓ TokenStore - Total Purchases: ${gtStats[0]}`);
-    console.log(`  ✓ TokenStore - Total USDT Received: ${ethers.formatUnits(gtStats[1], 6)} USDT`);
-    console.log(`  ✓ TokenStore - Treasury Address: ${gtStats[2]}`);
+    console.log(`  ✓ TokenStore - Payment Tokens: ${gtStats[1]}`);
+    for (const token of tsPaymentTokens) {
+        const { decimals, totalReceived } = await TokenStore.paymentTokens(token);
+        console.log(`  ✓ TokenStore - Received ${ethers.formatUnits(totalReceived, decimals)} of ${token}`);
+    }
 
     const pgStats = await PlayGame.getStats();
     console.log(`  ✓ PlayGame - Total Matches: ${pgStats[0]}`);
     console.log(`  ✓ PlayGame - Total Staked: ${ethers.formatEther(pgStats[1])} GT`);
     console.log(`  ✓ PlayGame - Total Payouts: ${ethers.formatEther(pgStats[2])} GT`);
+    console.log(`  ✓ PlayGame - Total Fees Collected: ${ethers.formatEther(pgStats[4])} GT`);
+    console.log(`  ✓ PlayGame - Fee Treasury: ${await PlayGame.treasury()}`);
+    for (let id = 0n; id < gameTypeCount; id++) {
+        const [matches, volume] = await PlayGame.gameTypeStats(id);
+        console.log(`  ✓ PlayGame - Game ${id}: ${matches} matches, ${ethers.formatEther(volume)} GT staked`);
+    }
+
+    // Admin handover
+    if (timelock) {
+        console.log("\n⏱️  GameTimelock Verification:");
+        const Timelock = await ethers.getContractAt("GameTimelock", timelock);
+        console.log(`  ✓ Min Delay: ${await Timelock.getMinDelay()}s`);
+        for (const [name, contract] of [["GameToken", GameToken], ["TokenStore", TokenStore], ["PlayGame", PlayGame]]) {
+            const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+            console.log(`  ✓ ${name} admin is timelock: ${await contract.hasRole(adminRole, timelock)}, deployer: ${await contract.hasRole(adminRole, deployer)}`);
+        }
+    }
 
     console.log("\n✅ Deployment Verification Complete!");
     console.log("🚀 All contracts are properly deployed and configured.");
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const GameRules = require("../web/game-rules");
+
+describe("Shared game rules", function () {
+  const game = GameRules.getGame("tictactoe");
+
+  // Play cells given as [row, col] from a fresh game, alternating X and O
+  function play(cells, rules = game) {
+    return cells.reduce((state, [row, col]) => rules.applyMove(state, { row, col }), rules.createState());
+  }
+
+  describe("Registry", function () {
+    it("Should default to tic-tac-toe", function () {
+      expect(GameRules.DEFAULT_GAME).to.equal("tictactoe");
+      expect(GameRules.getGame()).to.equal(game);
+      expect(GameRules.listGames()).to.deep.equal(["tictactoe", "tictactoe4x4", "gomoku", "ultimate"]);
+    });
+
+    it("Should return null for games without rules", function () {
+      expect(GameRules.getGame("chess")).to.equal(null);
+    });
+
+    it("Should not take inherited object properties for games", function () {
+      for (const name of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+        expect(GameRules.getGame(name)).to.equal(null);
+      }
+    });
+
+    it("Should load as a browser global without module.exports", function () {
+      const source = fs.readFileSync(path.join(__dirname, "../web/game-rules.js"), "utf8");
+      const window = {};
+      window.self = window;
+      vm.runInNewContext(source, window);
+
+      const browserGame = window.GameRules.getGame();
+      expect(browserGame.getOutcome(browserGame.createState())).to.equal(null);
+    });
+  });
+
+  describe("State", function () {
+    it("Should start with an empty board and X to move", function () {
+      const state = game.createState();
+      expect(state.board).to.deep.equal(Array(9).fill(""));
+      expect(state.turn).to.equal("X");
+      expect(state.moveCount).to.equal(0);
+    });
+
+    it("Should map between cell indexes and row/col moves", function () {
+      expect(game.toIndex({ row: 2, col: 1 })).to.equal(7);
+      expect(game.toMove(5)).to.deep.equal({ row: 1, col: 2 });
+    });
+
+    it("Should apply a move without changing the previous state", function () {
+      const before = game.createState();
+      const after = game.applyMove(before, { row: 1, col: 1 });
+
+      expect(before.board[4]).to.equal("");
+      expect(after.board[4]).to.equal("X");
+      expect(after.turn).to.equal("O");
+      expect(after.moveCount).to.equal(1);
+    });
+  });
+
+  describe("Legal moves", function () {
+    it("Should list every empty cell", function () {
+      expect(game.legalMoves(game.createState())).to.have.length(9);
+
+      const moves = game.legalMoves(play([[0, 0], [1, 1]]));
+      expect(moves).to.have.length(7);
+      expect(moves).to.not.deep.include({ row: 0, col: 0 });
+      expect(moves).to.deep.include({ row: 2, col: 2 });
+    });
+
+    it("Should have no legal moves once the game is over", function () {
+      expect(game.legalMoves(play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]))).to.deep.equal([]);
+    });
+
+    it("Should reject moves off the board", function () {
+      const state = game.createState();
+      for (const move of [{ row: -1, col: 0 }, { row: 0, col: 3 }, { row: 1.5, col: 0 }, { row: "1", col: 1 }, {}]) {
+        expect(game.validateMove(state, move)).to.equal("is off the board");
+      }
+    });
+
+    it("Should reject a move on an occupied cell", function () {
+      const state = play([[0, 0]]);
+
+      expect(game.validateMove(state, { row: 0, col: 0 })).to.equal("targets an occupied cell");
+      expect(() => game.applyMove(state, { row: 0, col: 0 })).to.throw("Move 1 targets an occupied cell");
+    });
+
+    it("Should reject moves after the game ended", function () {
+      const state = play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+
+      expect(game.validateMove(state, { row: 2, col: 2 })).to.equal("is played after the game ended");
+    });
+  });
+
+  describe("Outcome", function () {
+    it("Should have no result mid-game", function () {
+      expect(game.getOutcome(play([[0, 0], [1, 1], [2, 2]]))).to.equal(null);
+    });
+
+    it("Should detect rows, columns and diagonals", function () {
+      expect(game.getOutcome(play([[1, 0], [0, 0], [1, 1], [0, 1], [1, 2]]))).to.equal("X");
+      expect(game.getOutcome(play([[0, 0], [0, 2], [1, 0], [1, 2], [2, 1], [2, 2]]))).to.equal("O");
+      expect(game.getOutcome(play([[0, 0], [0, 1], [1, 1], [0, 2], [2, 2]]))).to.equal("X");
+      expect(game.getOutcome(play([[0, 0], [0, 2], [0, 1], [1, 1], [2, 2], [2, 0]]))).to.equal("O");
+    });
+
+    it("Should detect a draw on a full board", function () {
+      // X O X / X O O / O X X
+      const state = play([[0, 0], [0, 1], [0, 2], [1, 1], [1, 0], [1, 2], [2, 1], [2, 0], [2, 2]]);
+      expect(game.getOutcome(state)).to.equal("DRAW");
+    });
+
+    it("Should count a win on the last cell as a win", function () {
+      // X O X / O O X / O X X, the right column completed on the final move
+      const state = play([[0, 0], [0, 1], [0, 2], [1, 0], [1, 2], [1, 1], [2, 1], [2, 0], [2, 2]]);
+      expect(state.board.every((cell) => cell !== "")).to.equal(true);
+      expect(game.getOutcome(state)).to.equal("X");
+    });
+  });
+
+  describe("k in a row variants", function () {
+    const fourByFour = GameRules.getGame("tictactoe4x4");
+    const gomoku = GameRules.getGame("gomoku");
+
+    it("Should size boards from rows and cols", function () {
+      expect(fourByFour.createState().board).to.have.length(16);
+      expect(gomoku.createState().board).to.have.length(225);
+      expect(gomoku.toMove(gomoku.toIndex({ row: 14, col: 3 }))).to.deep.equal({ row: 14, col: 3 });
+      expect(gomoku.validateMove(gomoku.createState(), { row: 15, col: 0 })).to.equal("is off the board");
+    });
+
+    it("Should need four in a row on 4x4", function () {
+      const three = [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [1, 2]];
+      expect(fourByFour.getOutcome(play(three, fourByFour))).to.equal(null);
+      expect(fourByFour.getOutcome(play([...three, [0, 3]], fourByFour))).to.equal("X");
+    });
+
+    it("Should need five in a row for gomoku, in any direction", function () {
+      // X on the anti-diagonal from (4, 10) down to (8, 6), O on row 0
+      const cells = [];
+      for (let i = 0; i < 5; i++) {
+        cells.push([4 + i, 10 - i], [0, i * 2]);
+      }
+      expect(gomoku.getOutcome(play(cells.slice(0, 8), gomoku))).to.equal(null);
+      expect(gomoku.getOutcome(play(cells.slice(0, 9), gomoku))).to.equal("X");
+    });
+  });
+
+  describe("Ultimate tic-tac-toe", function () {
+    const ultimate = GameRules.getGame("ultimate");
+
+    it("Should allow any cell for the first move", function () {
+      expect(ultimate.legalMoves(ultimate.createState())).to.have.length(81);
+    });
+
+    it("Should send the opponent to the small board matching the cell played", function () {
+      // Top middle cell of the top left small board sends O to the top middle small board
+      const state = play([[0, 1]], ultimate);
+      expect(state.next).to.equal(1);
+
+      const moves = ultimate.legalMoves(state);
+      expect(moves).to.have.length(9);
+      expect(moves.every(({ row, col }) => row < 3 && col >= 3 && col < 6)).to.equal(true);
+      expect(ultimate.validateMove(state, { row: 4, col: 4 })).to.equal("is outside the small board it was sent to");
+    });
+
+    it("Should win a small board and then let players sent there play anywhere", function () {
+      // X takes the top row of the top left small board; every O reply is in
+      // the top left cell of its small board, sending X straight back
+      const state = play([[1, 1], [3, 3], [0, 1], [0, 3], [0, 2], [0, 6], [0, 0]], ultimate);
+      expect(state.boards[0]).to.equal("X");
+      expect(state.next).to.equal(null);
+      expect(ultimate.getOutcome(state)).to.equal(null);
+
+      // O was sent to the finished top left small board, so it may play in any other
+      expect(ultimate.validateMove(state, { row: 2, col: 2 })).to.equal("targets a finished small board");
+      expect(ultimate.legalMoves(state).every(({ row, col }) => row >= 3 || col >= 3)).to.equal(true);
+    });
+
+    it("Should win the game with three small boards in a line", function () {
+      const state = ultimate.createState();
+      state.boards = ["X", "X", "", "O", "O", "", "", "", ""];
+      state.next = 2;
+
+      // Completing the top right small board also completes the top row of boards
+      state.board[ultimate.toIndex({ row: 0, col: 6 })] = "X";
+      state.board[ultimate.toIndex({ row: 0, col: 7 })] = "X";
+      const won = ultimate.applyMove(state, { row: 0, col: 8 });
+      expect(won.boards[2]).to.equal("X");
+      expect(ultimate.getOutcome(won)).to.equal("X");
+      expect(ultimate.legalMoves(won)).to.deep.equal([]);
+    });
+
+    it("Should draw once every small board is finished without a line", function () {
+      const state = ultimate.createState();
+      state.boards = ["X", "O", "X", "X", "O", "O", "O", "X", "DRAW"];
+      expect(ultimate.getOutcome(state)).to.equal("DRAW");
+    });
+  });
+});
@@ -14,13 +14,14 @@ describe("GameToken", function () {
   const TOKEN_NAME = "TriX Game Token";
   const TOKEN_SYMBOL = "GT";
   const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1 million tokens
+  const MAX_SUPPLY = ethers.parseEther("100000000");
   const DECIMALS = 18;
 
   beforeEach(async function () {
     [owner, minter, pauser, user1, user2, ...addrs] = await ethers.getSigners();
 
     GameToken = await ethers.getContractFactory("GameToken");
-    gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL);
+    gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL, MAX_SUPPLY);
     await gameToken.waitForDeployment();
   });
 
@@ -59,10 +60,10 @@ describe("GameToken", function () {
       expect(await gameToken.balanceOf(user1.address)).to.equal(mintAmount);
     });
 
-    it("Should emit TokensMinted event", async function () {
+    it("Should emit Minted event", async function () {
       const mintAmount = ethers.parseEther("1000");
       await expect(gameToken.mint(user1.address, mintAmount))
-        .to.emit(gameToken, "TokensMinted")
+        .to.emit(gameToken, "Minted")
         .withArgs(user1.address, mintAmount);
     });
 
@@ -239,8 +240,7 @@ describe("GameToken", function () {
     it("Should allow admin to recover tokens", async function () {
       // Create a mock token for testing
       const MockToken = await ethers.getContractFactory("MockERC20");
-      const mockToken = await MockToken.deploy("Mock", "MOCK", 18);
-      await mockToken.mint(owner.address, ethers.parseEther("1000"));
+      const mockToken = await MockToken.deploy("Mock", "MOCK", 18, ethers.parseEther("1000"));
 
       // Transfer some tokens to the GameToken contract by mistake
       await mockToken.transfer(await gameToken.getAddress(), ethers.parseEther("100"));
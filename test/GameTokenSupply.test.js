@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("GameToken supply cap and mint quotas", function () {
+  let GameToken;
+  let gameToken;
+  let owner;
+  let minter;
+  let user;
+
+  const MAX_SUPPLY = ethers.parseEther("1000");
+  const DAY = 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, minter, user] = await ethers.getSigners();
+
+    GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(ethers.parseEther("100"), "TriX Game Token", "GT", MAX_SUPPLY);
+    await gameToken.waitForDeployment();
+    await gameToken.grantRole(await gameToken.MINTER_ROLE(), minter.address);
+  });
+
+  describe("Max supply", function () {
+    it("Should expose the cap", async function () {
+      expect(await gameToken.maxSupply()).to.equal(MAX_SUPPLY);
+    });
+
+    it("Should reject an initial supply above the cap", async function () {
+      await expect(GameToken.deploy(MAX_SUPPLY + 1n, "TriX Game Token", "GT", MAX_SUPPLY))
+        .to.be.revertedWith("GameToken: initial supply exceeds max supply");
+      await expect(GameToken.deploy(0, "TriX Game Token", "GT", 0))
+        .to.be.revertedWith("GameToken: max supply must be greater than 0");
+    });
+
+    it("Should mint up to the cap and no further", async function () {
+      await gameToken.connect(minter).mint(user.address, ethers.parseEther("900"));
+      expect(await gameToken.totalSupply()).to.equal(MAX_SUPPLY);
+
+      await expect(gameToken.connect(minter).mint(user.address, 1))
+        .to.be.revertedWith("GameToken: max supply exceeded");
+    });
+
+    it("Should free room under the cap when tokens are burned", async function () {
+      await gameToken.connect(minter).mint(user.address, ethers.parseEther("900"));
+      await gameToken.connect(user).burn(ethers.parseEther("10"));
+
+      await gameToken.connect(minter).mint(user.address, ethers.parseEther("10"));
+      expect(await gameToken.totalSupply()).to.equal(MAX_SUPPLY);
+    });
+  });
+
+  describe("Mint quotas", function () {
+    const LIMIT = ethers.parseEther("100");
+
+    beforeEach(async function () {
+      await gameToken.setMintQuota(minter.address, LIMIT, DAY);
+    });
+
+    it("Should report unlimited for minters without a quota", async function () {
+      const [limit, window, remaining] = await gameToken.getMintQuota(owner.address);
+      expect(limit).to.equal(0);
+      expect(window).to.equal(0);
+      expect(remaining).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should emit MintQuotaUpdated", async function () {
+      await expect(gameToken.setMintQuota(minter.address, LIMIT * 2n, DAY * 2))
+        .to.emit(gameToken, "MintQuotaUpdated")
+        .withArgs(minter.address, LIMIT * 2n, DAY * 2);
+    });
+
+    it("Should cap minting within the window", async function () {
+      await gameToken.connect(minter).mint(user.address, ethers.parseEther("60"));
+      expect((await gameToken.getMintQuota(minter.address))[2]).to.equal(ethers.parseEther("40"));
+
+      await expect(gameToken.connect(minter).mint(user.address, ethers.parseEther("41")))
+        .to.be.revertedWith("GameToken: mint quota exceeded");
+    });
+
+    it("Should refill over the rolling window", async function () {
+      await gameToken.connect(minter).mint(user.address, LIMIT);
+
+      await time.increase(DAY / 2);
+      const [, , remaining] = await gameToken.getMintQuota(minter.address);
+      expect(remaining).to.be.closeTo(ethers.parseEther("50"), ethers.parseEther("0.01"));
+
+      await time.increase(DAY);
+      expect((await gameToken.getMintQuota(minter.address))[2]).to.equal(LIMIT);
+    });
+
+    it("Should not limit other minters", async function () {
+      await gameToken.mint(user.address, ethers.parseEther("500"));
+      expect(await gameToken.balanceOf(user.address)).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should lift the quota when the limit is set to 0", async function () {
+      await expect(gameToken.setMintQuota(minter.address, 0, DAY))
+        .to.emit(gameToken, "MintQuotaUpdated")
+        .withArgs(minter.address, 0, 0);
+
+      await gameToken.connect(minter).mint(user.address, ethers.parseEther("500"));
+    });
+
+    it("Should validate quota settings", async function () {
+      await expect(gameToken.setMintQuota(ethers.ZeroAddress, LIMIT, DAY))
+        .to.be.revertedWith("GameToken: invalid minter address");
+      await expect(gameToken.setMintQuota(minter.address, LIMIT, 0))
+        .to.be.revertedWith("GameToken: window must be greater than 0");
+    });
+
+    it("Should only let the admin set quotas", async function () {
+      await expect(gameToken.connect(minter).setMintQuota(minter.address, 0, 0))
+        .to.be.revertedWithCustomError(gameToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should hold purchases through the TokenStore to its quota", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdt = await MockERC20.deploy("Mock USDT", "USDT", 6, ethers.parseUnits("1000", 6));
+      const tokenStore = await deployProxy("TokenStore", [await usdt.getAddress(), await gameToken.getAddress(), ethers.parseEther("1")]);
+      await gameToken.grantRole(await gameToken.MINTER_ROLE(), await tokenStore.getAddress());
+      await gameToken.setMintQuota(await tokenStore.getAddress(), LIMIT, DAY);
+      await usdt.approve(await tokenStore.getAddress(), ethers.MaxUint256);
+
+      await tokenStore.buy(await usdt.getAddress(), ethers.parseUnits("100", 6), 0);
+      await expect(tokenStore.buy(await usdt.getAddress(), ethers.parseUnits("1", 6), 0))
+        .to.be.revertedWith("GameToken: mint quota exceeded");
+    });
+  });
+});
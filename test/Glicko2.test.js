@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { DEFAULT_RATING, rate, rateGame } = require("../tools/glicko2");
+
+describe("Glicko-2 ratings", function () {
+  it("Should reproduce the worked example from Glickman's paper", function () {
+    const player = { rating: 1500, rd: 200, volatility: 0.06 };
+    const rated = rate(player, [
+      { opponent: { rating: 1400, rd: 30 }, score: 1 },
+      { opponent: { rating: 1550, rd: 100 }, score: 0 },
+      { opponent: { rating: 1700, rd: 300 }, score: 0 },
+    ]);
+
+    expect(rated.rating).to.be.closeTo(1464.06, 0.01);
+    expect(rated.rd).to.be.closeTo(151.52, 0.01);
+    expect(rated.volatility).to.be.closeTo(0.05999, 0.00001);
+  });
+
+  it("Should move two new players apart by the same amount after a win", function () {
+    const [winner, loser] = rateGame(DEFAULT_RATING, DEFAULT_RATING, 1);
+
+    expect(winner.rating).to.be.above(1500);
+    expect(winner.rating - 1500).to.be.closeTo(1500 - loser.rating, 1e-9);
+    expect(winner.rd).to.be.below(DEFAULT_RATING.rd);
+    expect(loser.rd).to.equal(winner.rd);
+  });
+
+  it("Should leave equal players level after a draw", function () {
+    const [player1, player2] = rateGame(DEFAULT_RATING, DEFAULT_RATING, 0.5);
+
+    expect(player1.rating).to.be.closeTo(1500, 1e-9);
+    expect(player2.rating).to.be.closeTo(1500, 1e-9);
+  });
+
+  it("Should reward an upset more than an expected win", function () {
+    const strong = { rating: 1800, rd: 80, volatility: 0.06 };
+    const weak = { rating: 1500, rd: 80, volatility: 0.06 };
+
+    const [expectedWin] = rateGame(strong, weak, 1);
+    const [, upset] = rateGame(strong, weak, 0);
+    expect(upset.rating - weak.rating).to.be.above(expectedWin.rating - strong.rating);
+  });
+
+  it("Should move a settled rating less than an uncertain one", function () {
+    const settled = { rating: 1500, rd: 50, volatility: 0.06 };
+
+    const [settledAfter, newAfter] = rateGame(settled, DEFAULT_RATING, 0);
+    expect(1500 - settledAfter.rating).to.be.below(newAfter.rating - 1500);
+  });
+
+  it("Should only grow the uncertainty of a player who sat a period out", function () {
+    const player = { rating: 1620, rd: 100, volatility: 0.06 };
+
+    const rested = rate(player, []);
+    expect(rested.rating).to.equal(1620);
+    expect(rested.rd).to.be.above(100);
+    expect(rate(DEFAULT_RATING, []).rd).to.equal(DEFAULT_RATING.rd);
+  });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProxy } = require("../scripts/proxy");
+const {
+  PLAYGAME_RECOVERY_ABI,
+  createJournal,
+  reconcileMatch,
+  recoverMatches,
+} = require("../api/match-journal");
+
+describe("Matchmaking journal", function () {
+  let directory;
+  let journal;
+
+  const PLAYER1 = "0x00000000000000000000000000000000000000A1";
+  const PLAYER2 = "0x00000000000000000000000000000000000000B2";
+
+  function journaledMatch(matchId, fields = {}) {
+    return {
+      matchId,
+      player1: PLAYER1,
+      player2: PLAYER2,
+      stake: 100,
+      gameType: "tictactoe",
+      status: "CREATED",
+      gameActive: false,
+      player1Staked: false,
+      player2Staked: false,
+      blockchainMatchId: null,
+      moves: [],
+      ...fields,
+    };
+  }
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "trix-journal-"));
+    journal = createJournal(path.join(directory, "nested", "journal.jsonl"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("Replay", function () {
+    it("Should start empty when there is no journal yet", function () {
+      const { queue, matches } = journal.replay();
+      expect(queue.size).to.equal(0);
+      expect(matches.size).to.equal(0);
+    });
+
+    it("Should rebuild queues, matches and moves from the records", function () {
+      journal.queued({ address: PLAYER1, stake: 100, gameType: "tictactoe", timestamp: 1 });
+      journal.queued({ address: PLAYER2, stake: 50, gameType: "gomoku", timestamp: 2 });
+      journal.dequeued(PLAYER1);
+
+      journal.matchChanged({ ...journaledMatch("m1"), player1SocketId: "socket-1", state: { board: [] } });
+      journal.matchChanged(journaledMatch("m1", { blockchainMatchId: ethers.id("m1"), status: "STAKED" }));
+      journal.movePlayed("m1", { moveNumber: 0, row: 1, col: 1, symbol: "X", player: PLAYER1, signature: "0x01" });
+      journal.matchChanged(journaledMatch("m2"));
+      journal.matchClosed("m2");
+
+      const { queue, matches } = journal.replay();
+      expect([...queue.keys()]).to.deep.equal([PLAYER2]);
+      expect(queue.get(PLAYER2)).to.include({ stake: 50, gameType: "gomoku" });
+
+      expect([...matches.keys()]).to.deep.equal(["m1"]);
+      const match = matches.get("m1");
+      expect(match).to.include({ status: "STAKED", blockchainMatchId: ethers.id("m1") });
+      expect(match.moves).to.have.length(1);
+      expect(match).to.not.have.any.keys("player1SocketId", "state");
+    });
+
+    it("Should keep the time control and the clocks after the latest move", function () {
+      const timeControl = { moveSeconds: 60, gameSeconds: 600 };
+      journal.matchChanged(journaledMatch("m1", {
+        status: "STAKED",
+        timeControl,
+        clock: { remaining: { X: 600000, O: 600000 }, turnStartedAt: 1 },
+      }));
+      const clock = { remaining: { X: 595000, O: 600000 }, turnStartedAt: 5001 };
+      journal.movePlayed("m1", { moveNumber: 0, row: 1, col: 1, symbol: "X", player: PLAYER1, signature: "0x01" }, clock);
+
+      const match = journal.replay().matches.get("m1");
+      expect(match.timeControl).to.deep.equal(timeControl);
+      expect(match.clock).to.deep.equal(clock);
+    });
+
+    it("Should skip a torn last record but refuse corruption elsewhere", function () {
+      journal.queued({ address: PLAYER1, stake: 100, gameType: "tictactoe", timestamp: 1 });
+      fs.appendFileSync(journal.file, '{"type":"dequeued","addr');
+
+      expect(journal.replay().queue.has(PLAYER1)).to.equal(true);
+
+      fs.appendFileSync(journal.file, "\n");
+      journal.dequeued(PLAYER1);
+      expect(() => journal.replay()).to.throw("Corrupt journal record on line 2");
+    });
+
+    it("Should compact the journal down to the given state", function () {
+      const match = journaledMatch("m1", { status: "STAKED", gameActive: true });
+      match.moves.push({ moveNumber: 0, row: 0, col: 0, symbol: "X", player: PLAYER1, signature: "0x01" });
+      journal.matchChanged(journaledMatch("m0"));
+      journal.matchChanged(match);
+      journal.movePlayed("m1", match.moves[0]);
+
+      journal.compact({
+        queue: [{ address: PLAYER2, stake: 5, gameType: "tictactoe", timestamp: 3 }],
+        matches: [match],
+      });
+
+      const records = journal.read();
+      expect(records.map((record) => record.type)).to.deep.equal(["journal", "queued", "match", "move"]);
+      const { queue, matches } = journal.replay();
+      expect([...queue.keys()]).to.deep.equal([PLAYER2]);
+      expect([...matches.keys()]).to.deep.equal(["m1"]);
+      expect(matches.get("m1").moves).to.deep.equal(match.moves);
+      expect(fs.existsSync(`${journal.file}.tmp`)).to.equal(false);
+    });
+  });
+
+  describe("Reconciling with PlayGame", function () {
+    let gameToken;
+    let playGame;
+    let recovery;
+    let owner;
+    let operator;
+    let player1;
+    let player2;
+
+    const STAKE = ethers.parseEther("100");
+    let matchCount = 0;
+
+    // Create a match on-chain and the journaled match it belongs to
+    async function createMatch(stakers = []) {
+      const matchId = `recovered-${++matchCount}`;
+      const blockchainMatchId = ethers.id(matchId);
+      await playGame.connect(operator)["createMatch(bytes32,address,address,uint256)"](
+        blockchainMatchId, player1.address, player2.address, STAKE
+      );
+      for (const staker of stakers) {
+        await playGame.connect(staker).stake(blockchainMatchId);
+      }
+      return journaledMatch(matchId, { player1: player1.address, player2: player2.address, blockchainMatchId });
+    }
+
+    async function status(match) {
+      return Number((await playGame.getMatch(match.blockchainMatchId)).status);
+    }
+
+    beforeEach(async function () {
+      [owner, operator, player1, player2] = await ethers.getSigners();
+
+      const GameToken = await ethers.getContractFactory("GameToken");
+      gameToken = await GameToken.deploy(ethers.parseEther("1000000"), "TriX Game Token", "GT", ethers.parseEther("100000000"));
+      await gameToken.waitForDeployment();
+
+      playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+      await playGame.grantRole(await playGame.OPERATOR_ROLE(), operator.address);
+
+      for (const player of [player1, player2]) {
+        await gameToken.transfer(player.address, ethers.parseEther("1000"));
+        await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+      }
+
+      // The matchmaking server only knows the calls in PLAYGAME_RECOVERY_ABI
+      recovery = new ethers.Contract(await playGame.getAddress(), PLAYGAME_RECOVERY_ABI, owner);
+    });
+
+    it("Should resume matches still waiting for stakes or being played", async function () {
+      const waiting = await createMatch([player1]);
+      const playing = await createMatch([player1, player2]);
+
+      const outcomes = await recoverMatches([waiting, playing], recovery);
+      expect(outcomes.map(({ action }) => action)).to.deep.equal(["resume", "resume"]);
+
+      // Stakes that landed while the server was down are picked up
+      expect(waiting).to.include({ player1Staked: true, player2Staked: false, status: "CREATED", gameActive: false });
+      expect(playing).to.include({ player1Staked: true, player2Staked: true, status: "STAKED", gameActive: true });
+    });
+
+    it("Should cancel matches past their stake deadline and refund who staked", async function () {
+      const match = await createMatch([player1]);
+      await time.increase(await playGame.STAKE_TIMEOUT());
+      const before = await gameToken.balanceOf(player1.address);
+
+      const [outcome] = await recoverMatches([match], recovery);
+      expect(outcome.action).to.equal("cancel");
+      expect(outcome.txHash).to.be.a("string");
+      expect(await status(match)).to.equal(7); // CANCELLED
+      expect(await gameToken.balanceOf(player1.address)).to.equal(before + STAKE);
+    });
+
+    it("Should refund staked matches that timed out", async function () {
+      const match = await createMatch([player1, player2]);
+      match.moves.push({ moveNumber: 0, row: 1, col: 1 });
+      await time.increase(await playGame.TIMEOUT_DURATION());
+
+      const [outcome] = await recoverMatches([match], recovery);
+      expect(outcome.action).to.equal("refund");
+      expect(await status(match)).to.equal(3); // REFUNDED
+    });
+
+    it("Should drop matches the chain never saw or already closed", async function () {
+      const offChain = journaledMatch("never-created");
+      const settled = await createMatch([player1, player2]);
+      await playGame.connect(operator).commitResult(settled.blockchainMatchId, player1.address);
+      const unknown = journaledMatch("unknown", { blockchainMatchId: ethers.id("unknown") });
+
+      const outcomes = await recoverMatches([offChain, settled, unknown], recovery);
+      expect(outcomes.map(({ action }) => action)).to.deep.equal(["drop", "drop", "drop"]);
+      expect(outcomes[1].reason).to.equal("already SETTLED on-chain");
+    });
+
+    it("Should report refunds it could not send", async function () {
+      const match = await createMatch([player1]);
+      await time.increase(await playGame.STAKE_TIMEOUT());
+
+      // Without a signer the refund can't be sent and the match stays open
+      const [outcome] = await recoverMatches([match], recovery.connect(ethers.provider));
+      expect(outcome.action).to.equal("cancel");
+      expect(outcome.error).to.be.a("string");
+      expect(await status(match)).to.equal(0); // CREATED
+    });
+
+    it("Should keep a finished game whose result was not committed", function () {
+      const onChain = { matchId: ethers.id("m"), status: 1n, stakeDeadline: 0n };
+      const outcome = reconcileMatch(journaledMatch("m", { status: "COMPLETED" }), onChain, { now: 10, canRefund: false });
+      expect(outcome).to.deep.equal({ action: "resume", reason: "result not committed yet" });
+    });
+  });
+});
@@ -0,0 +1,998 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { io: connectClient } = require("socket.io-client");
+const { MOVE_TYPES, FORFEIT_TYPES, hashMove, verifyTranscript } = require("../api/transcript");
+const { DEFAULT_RATING, rateGame } = require("../tools/glicko2");
+const { deployProxy } = require("../scripts/proxy");
+
+// The server journals to this file instead of data/ when it is required below
+const JOURNAL = path.join(os.tmpdir(), `trix-matchmaking-${process.pid}.jsonl`);
+process.env.MATCHMAKING_JOURNAL = JOURNAL;
+// Players who drop out of a match keep their seat this long
+const GRACE = 200;
+process.env.RECONNECT_GRACE_MS = String(GRACE);
+// Rating windows widen fast enough to watch
+const WINDOW_GROWTH = 1000;
+process.env.RATING_WINDOW_GROWTH = String(WINDOW_GROWTH);
+const {
+  server,
+  io,
+  activeMatches,
+  waitingPlayers,
+  preStakedPlayers,
+  recoverState,
+} = require("../matchmaking-server");
+
+describe("Matchmaking server", function () {
+  let url;
+  let clients;
+  let leaderboard;
+  let stakeCount = 0;
+  // Ratings the stub leaderboard service hands out, by lowercased address
+  const ratings = new Map();
+
+  // Resolve with the next payload of an event on a client
+  function next(client, event) {
+    return new Promise((resolve) => client.once(event, resolve));
+  }
+
+  // Players waiting in a queue for exactly this stake
+  function waitingFor(stake, key = "tictactoe:60/600") {
+    return (waitingPlayers.get(key) || []).filter((p) => p.minStake === stake && p.maxStake === stake);
+  }
+
+  async function connect() {
+    const client = connectClient(url, { transports: ["websocket"], forceNew: true });
+    clients.push(client);
+    await next(client, "connect");
+    return client;
+  }
+
+  // Run the sign-in handshake for wallet on client; resolves with authenticated or authError
+  async function signIn(client, wallet) {
+    const challenge = next(client, "authChallenge");
+    client.emit("requestChallenge", { address: wallet.address });
+    const { message } = await challenge;
+
+    const reply = Promise.race([
+      next(client, "authenticated").then((data) => ({ event: "authenticated", ...data })),
+      next(client, "authError").then((data) => ({ event: "authError", ...data })),
+    ]);
+    client.emit("authenticate", { signature: await wallet.signMessage(message) });
+    return reply;
+  }
+
+  // A fresh wallet signed in on its own socket
+  async function connectPlayer() {
+    const player = { wallet: ethers.Wallet.createRandom(), client: await connect() };
+    await signIn(player.client, player.wallet);
+    return player;
+  }
+
+  // Match two fresh wallets and run the staking handshake until both get gameStart
+  async function startMatch(gameType, timeControl) {
+    const player1 = await connectPlayer();
+    const player2 = await connectPlayer();
+    const stake = 1000 + ++stakeCount;
+
+    const waiting = next(player1.client, "matchmakingStatus");
+    player1.client.emit("findMatch", { stake, gameType, timeControl });
+    await waiting;
+
+    const found = next(player1.client, "matchFound");
+    player2.client.emit("findMatch", { stake, gameType, timeControl });
+    const { matchId } = await found;
+
+    const blockchainMatchId = ethers.id(matchId);
+    const createdOnChain = next(player2.client, "matchCreatedOnChain");
+    const started = [next(player1.client, "gameStart"), next(player2.client, "gameStart")];
+    player1.client.emit("matchCreated", { matchId, blockchainMatchId });
+    player1.client.emit("notifyPlayer2", { matchId, blockchainMatchId });
+    await createdOnChain;
+    player2.client.emit("playerStaked", { matchId });
+    const [{ transcriptDomain, clock }] = await Promise.all(started);
+
+    return { matchId, blockchainMatchId, domain: transcriptDomain, clock, player1, player2 };
+  }
+
+  // Hash of the last move played in a match, which the next move signs as its prevHash
+  function lastMoveHash(match) {
+    const { moves } = activeMatches.get(match.matchId);
+    const last = moves[moves.length - 1];
+    return last ? hashMove(match.domain, { ...last, matchId: match.blockchainMatchId }) : ethers.ZeroHash;
+  }
+
+  // Sign the next move of a match as wallet; cells a uint8 can't hold are signed as 0
+  function signMove(match, wallet, row, col, prevHash = lastMoveHash(match)) {
+    return wallet.signTypedData(match.domain, MOVE_TYPES, {
+      matchId: match.blockchainMatchId,
+      moveNumber: activeMatches.get(match.matchId).moves.length,
+      row: Number.isInteger(row) && row >= 0 && row < 256 ? row : 0,
+      col: Number.isInteger(col) && col >= 0 && col < 256 ? col : 0,
+      player: wallet.address,
+      prevHash,
+    });
+  }
+
+  // Sign the next move as wallet and send it from client. Resolves with the
+  // moveRejected sent back, or with moveMade once both players have seen it
+  // so the broadcast can't be mistaken for the reply to a later move
+  async function move(match, client, wallet, row, col, extra = {}) {
+    const signature = await signMove(match, wallet, row, col);
+
+    const reply = Promise.race([
+      Promise.all([next(match.player1.client, "moveMade"), next(match.player2.client, "moveMade")])
+        .then(([data]) => ({ event: "moveMade", ...data })),
+      next(client, "moveRejected").then((data) => ({ event: "moveRejected", ...data })),
+    ]);
+    client.emit("makeMove", { matchId: match.matchId, row, col, signature, ...extra });
+    return reply;
+  }
+
+  before(async function () {
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+
+    leaderboard = http.createServer((req, res) => {
+      const address = req.url.split("/").pop().toLowerCase();
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ address, rating: ratings.get(address) || { ...DEFAULT_RATING, games: 0 } }));
+    });
+    await new Promise((resolve) => leaderboard.listen(0, resolve));
+    process.env.LEADERBOARD_URL = `http://localhost:${leaderboard.address().port}`;
+  });
+
+  beforeEach(function () {
+    clients = [];
+  });
+
+  afterEach(function () {
+    clients.forEach((client) => client.disconnect());
+  });
+
+  after(function () {
+    io.close();
+    leaderboard.close();
+    delete process.env.LEADERBOARD_URL;
+    fs.rmSync(JOURNAL, { force: true });
+  });
+
+  describe("Move enforcement", function () {
+    it("Should play a move from the player whose turn it is", async function () {
+      const match = await startMatch();
+      const opponentSees = next(match.player2.client, "moveMade");
+
+      const reply = await move(match, match.player1.client, match.player1.wallet, 1, 1);
+      expect(reply.event).to.equal("moveMade");
+      expect(reply).to.include({ row: 1, col: 1, symbol: "X", nextPlayer: "O" });
+      expect(await opponentSees).to.include({ row: 1, col: 1, symbol: "X" });
+    });
+
+    it("Should only take a move that signs the last move's hash", async function () {
+      const match = await startMatch();
+      const first = await move(match, match.player1.client, match.player1.wallet, 1, 1);
+      expect(first.lastMoveHash).to.equal(lastMoveHash(match));
+
+      // Signed as if the game had just started
+      const rejected = next(match.player2.client, "moveRejected");
+      const signature = await signMove(match, match.player2.wallet, 0, 0, ethers.ZeroHash);
+      match.player2.client.emit("makeMove", { matchId: match.matchId, row: 0, col: 0, signature });
+      expect(await rejected).to.include({ reason: "Move is not signed by your wallet" });
+
+      const reply = await move(match, match.player2.client, match.player2.wallet, 0, 0);
+      expect(reply.event).to.equal("moveMade");
+      expect(activeMatches.get(match.matchId).moves[1].prevHash).to.equal(first.lastMoveHash);
+    });
+
+    it("Should take the symbol from the socket rather than the move", async function () {
+      const match = await startMatch();
+
+      // Player 2 claims to be X on X's turn
+      const reply = await move(match, match.player2.client, match.player2.wallet, 0, 0, { symbol: "X" });
+      expect(reply).to.include({ event: "moveRejected", reason: "Not your turn" });
+      expect(activeMatches.get(match.matchId).moves).to.have.length(0);
+    });
+
+    it("Should reject a move out of turn", async function () {
+      const match = await startMatch();
+      await move(match, match.player1.client, match.player1.wallet, 0, 0);
+
+      const reply = await move(match, match.player1.client, match.player1.wallet, 0, 1);
+      expect(reply).to.include({ event: "moveRejected", reason: "Not your turn", row: 0, col: 1 });
+      expect(activeMatches.get(match.matchId).state.turn).to.equal("O");
+    });
+
+    it("Should reject a move from a socket outside the match", async function () {
+      const match = await startMatch();
+      const intruder = await connect();
+
+      const reply = await move(match, intruder, match.player1.wallet, 0, 0, { symbol: "X" });
+      expect(reply).to.include({ event: "moveRejected", reason: "You are not a player in this match" });
+      expect(activeMatches.get(match.matchId).moves).to.have.length(0);
+    });
+
+    it("Should reject moves off the board", async function () {
+      const match = await startMatch();
+
+      for (const [row, col] of [[3, 0], [0, -1], ["1", 1], [1.5, 0], [undefined, 2]]) {
+        const reply = await move(match, match.player1.client, match.player1.wallet, row, col);
+        expect(reply).to.include({ event: "moveRejected", reason: "Move is off the board" });
+      }
+      expect(activeMatches.get(match.matchId).moves).to.have.length(0);
+    });
+
+    it("Should reject a move on an occupied cell", async function () {
+      const match = await startMatch();
+      await move(match, match.player1.client, match.player1.wallet, 2, 2);
+
+      const reply = await move(match, match.player2.client, match.player2.wallet, 2, 2);
+      expect(reply).to.include({ event: "moveRejected", reason: "Move targets an occupied cell" });
+    });
+
+    it("Should reject a move the player did not sign", async function () {
+      const match = await startMatch();
+
+      // Player 1's socket sends a move signed by the opponent's wallet
+      const reply = await move(match, match.player1.client, match.player2.wallet, 0, 0);
+      expect(reply).to.include({ event: "moveRejected", reason: "Move is not signed by your wallet" });
+
+      const unsigned = next(match.player1.client, "moveRejected");
+      match.player1.client.emit("makeMove", { matchId: match.matchId, row: 0, col: 0 });
+      expect(await unsigned).to.include({ reason: "Move is not signed by your wallet" });
+    });
+
+    it("Should reject moves for unknown matches and after the game ended", async function () {
+      const match = await startMatch();
+
+      const unknown = await move(match, match.player1.client, match.player1.wallet, 0, 0, { matchId: "no-such-match" });
+      expect(unknown).to.include({ event: "moveRejected", reason: "Match not found" });
+
+      const gameEnd = next(match.player1.client, "gameEnd");
+      for (const [player, row, col] of [[match.player1, 0, 0], [match.player2, 1, 0], [match.player1, 0, 1], [match.player2, 1, 1]]) {
+        await move(match, player.client, player.wallet, row, col);
+      }
+
+      // Finish with the winning move, which ends the game instead of a moveMade, then try to keep playing
+      const signature = await signMove(match, match.player1.wallet, 0, 2);
+      match.player1.client.emit("makeMove", { matchId: match.matchId, row: 0, col: 2, signature });
+      expect(await gameEnd).to.include({ winner: "X" });
+
+      const late = await move(match, match.player2.client, match.player2.wallet, 2, 2);
+      expect(late).to.include({ event: "moveRejected", reason: "Game is not in progress" });
+    });
+
+    it("Should enforce the rules of the match's game type", async function () {
+      const match = await startMatch("ultimate");
+      await move(match, match.player1.client, match.player1.wallet, 0, 1);
+
+      const reply = await move(match, match.player2.client, match.player2.wallet, 4, 4);
+      expect(reply).to.include({ event: "moveRejected", reason: "Move is outside the small board it was sent to" });
+      expect((await move(match, match.player2.client, match.player2.wallet, 0, 4)).event).to.equal("moveMade");
+    });
+  });
+
+  describe("Wallet sign-in", function () {
+    it("Should bind the address proven by a signed challenge to the socket", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const client = await connect();
+
+      const challenge = next(client, "authChallenge");
+      client.emit("requestChallenge", { address: wallet.address.toLowerCase() });
+      const { message } = await challenge;
+      expect(message).to.match(/^localhost wants you to sign in with your Ethereum account:\n0x/);
+      expect(message).to.include(wallet.address);
+      expect(message).to.match(/\nNonce: [0-9a-f]{32}\n/);
+
+      const authenticated = next(client, "authenticated");
+      client.emit("authenticate", { signature: await wallet.signMessage(message) });
+      expect(await authenticated).to.deep.equal({ address: wallet.address });
+    });
+
+    it("Should refuse player actions before sign-in", async function () {
+      const client = await connect();
+      const wallet = ethers.Wallet.createRandom();
+
+      for (const event of ["findMatch", "cancelMatchmaking", "playerStaked", "forfeitMatch"]) {
+        const refused = next(client, "authError");
+        client.emit(event, { address: wallet.address, stake: 5 });
+        expect(await refused).to.deep.equal({ message: "Sign in with your wallet first" });
+      }
+      expect([...waitingPlayers.values()].flat().some((p) => p.address === wallet.address)).to.equal(false);
+    });
+
+    it("Should reject a challenge signed by another wallet", async function () {
+      const client = await connect();
+      const victim = ethers.Wallet.createRandom();
+
+      const challenge = next(client, "authChallenge");
+      client.emit("requestChallenge", { address: victim.address });
+      const { message } = await challenge;
+
+      const rejected = next(client, "authError");
+      client.emit("authenticate", { signature: await ethers.Wallet.createRandom().signMessage(message) });
+      expect(await rejected).to.deep.equal({ message: "Signature does not match the address" });
+
+      const refused = next(client, "authError");
+      client.emit("findMatch", { stake: 5 });
+      expect(await refused).to.deep.equal({ message: "Sign in with your wallet first" });
+    });
+
+    it("Should issue a fresh nonce per challenge and accept each signature once", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const first = await connect();
+
+      const challenge = next(first, "authChallenge");
+      first.emit("requestChallenge", { address: wallet.address });
+      const { message } = await challenge;
+      const signature = await wallet.signMessage(message);
+      first.emit("authenticate", { signature });
+      await next(first, "authenticated");
+
+      // Replaying the signature on another socket fails against that socket's own challenge
+      const second = await connect();
+      const secondChallenge = next(second, "authChallenge");
+      second.emit("requestChallenge", { address: wallet.address });
+      expect((await secondChallenge).message).to.not.equal(message);
+
+      const replayed = next(second, "authError");
+      second.emit("authenticate", { signature });
+      expect(await replayed).to.deep.equal({ message: "Signature does not match the address" });
+
+      // The challenge was used up by that attempt
+      const spent = next(second, "authError");
+      second.emit("authenticate", { signature });
+      expect(await spent).to.deep.equal({ message: "Request a sign-in challenge first" });
+    });
+
+    it("Should queue the signed-in address whatever the payload says", async function () {
+      const player = await connectPlayer();
+      const victim = ethers.Wallet.createRandom();
+
+      const waiting = next(player.client, "matchmakingStatus");
+      player.client.emit("findMatch", { address: victim.address, stake: 7777 });
+      await waiting;
+
+      expect(waitingFor(7777).map((p) => p.address)).to.deep.equal([player.wallet.address]);
+
+      // Someone else can't cancel it by naming the address either
+      const other = await connectPlayer();
+      other.client.emit("cancelMatchmaking", { address: player.wallet.address });
+      const roundTrip = next(other.client, "authError");
+      other.client.emit("requestChallenge", { address: other.wallet.address });
+      expect((await roundTrip).message).to.equal(`Already signed in as ${other.wallet.address}`);
+      expect(waitingFor(7777)).to.have.length(1);
+
+      const cancelled = next(player.client, "matchmakingStatus");
+      player.client.emit("cancelMatchmaking");
+      expect((await cancelled).status).to.equal("cancelled");
+      expect(waitingFor(7777)).to.have.length(0);
+    });
+
+    it("Should only let players forfeit for themselves", async function () {
+      const match = await startMatch();
+
+      // An outsider signed in with their own wallet can't end the match
+      const outsider = await connectPlayer();
+      const outsiderSignature = await outsider.wallet.signTypedData(match.domain, FORFEIT_TYPES, {
+        matchId: match.blockchainMatchId,
+        player: outsider.wallet.address,
+      });
+      outsider.client.emit("forfeitMatch", { matchId: match.matchId, signature: outsiderSignature });
+
+      // Player 1 naming player 2 in the payload still forfeits as player 1
+      const signature = await match.player1.wallet.signTypedData(match.domain, FORFEIT_TYPES, {
+        matchId: match.blockchainMatchId,
+        player: match.player1.wallet.address,
+      });
+      const gameEnd = next(match.player2.client, "gameEnd");
+      match.player1.client.emit("forfeitMatch", { matchId: match.matchId, address: match.player2.wallet.address, signature });
+
+      const result = await gameEnd;
+      expect(result).to.include({ winner: "O", reason: "FORFEIT", winnerAddress: match.player2.wallet.address });
+      expect(result.transcript.forfeit.player).to.equal(match.player1.wallet.address);
+    });
+
+    it("Should only take on-chain match reports from the match's players", async function () {
+      const match = await startMatch();
+      const outsider = await connectPlayer();
+
+      outsider.client.emit("matchCreated", { matchId: match.matchId, blockchainMatchId: ethers.id("elsewhere") });
+      outsider.client.emit("playerStaked", { matchId: match.matchId });
+      // Handlers run in order, so once this is answered the reports above were handled
+      const roundTrip = next(outsider.client, "resumeRejected");
+      outsider.client.emit("resumeMatch", { matchId: match.matchId });
+      await roundTrip;
+
+      expect(activeMatches.get(match.matchId).blockchainMatchId).to.equal(match.blockchainMatchId);
+    });
+
+    it("Should take the on-chain match from player 1 once, before the game starts", async function () {
+      const player1 = await connectPlayer();
+      const player2 = await connectPlayer();
+      const stake = 1000 + ++stakeCount;
+
+      const waiting = next(player1.client, "matchmakingStatus");
+      player1.client.emit("findMatch", { stake });
+      await waiting;
+      const found = next(player1.client, "matchFound");
+      player2.client.emit("findMatch", { stake });
+      const { matchId } = await found;
+
+      // Handlers run in order, so once this is answered the reports before it were handled
+      async function roundTrip(client) {
+        const reply = next(client, "resumeRejected");
+        client.emit("resumeMatch", { matchId: "no-such-match" });
+        await reply;
+      }
+
+      player2.client.emit("matchCreated", { matchId, blockchainMatchId: ethers.id("player2") });
+      await roundTrip(player2.client);
+      expect(activeMatches.get(matchId).blockchainMatchId).to.equal(null);
+
+      player1.client.emit("matchCreated", { matchId, blockchainMatchId: ethers.id(matchId) });
+      player1.client.emit("matchCreated", { matchId, blockchainMatchId: ethers.id("again") });
+      await roundTrip(player1.client);
+      expect(activeMatches.get(matchId)).to.include({ blockchainMatchId: ethers.id(matchId), player1Staked: true });
+    });
+
+    it("Should not let the on-chain match change mid-game", async function () {
+      const match = await startMatch();
+      expect(await move(match, match.player1.client, match.player1.wallet, 0, 0)).to.include({ event: "moveMade" });
+
+      match.player1.client.emit("matchCreated", { matchId: match.matchId, blockchainMatchId: ethers.id("elsewhere") });
+      expect(await move(match, match.player2.client, match.player2.wallet, 1, 1)).to.include({ event: "moveMade" });
+      expect(activeMatches.get(match.matchId).blockchainMatchId).to.equal(match.blockchainMatchId);
+    });
+
+    it("Should only tell the opponent that the match was created on-chain", async function () {
+      const player1 = await connectPlayer();
+      const player2 = await connectPlayer();
+      const bystander = await connectPlayer();
+      const stake = 1000 + ++stakeCount;
+
+      const waiting = next(player1.client, "matchmakingStatus");
+      player1.client.emit("findMatch", { stake });
+      await waiting;
+      const found = next(player1.client, "matchFound");
+      player2.client.emit("findMatch", { stake });
+      const { matchId } = await found;
+
+      let overheard = false;
+      bystander.client.on("matchCreatedOnChain", () => {
+        overheard = true;
+      });
+      bystander.client.emit("notifyPlayer2", { matchId, blockchainMatchId: ethers.id("elsewhere") });
+
+      const createdOnChain = next(player2.client, "matchCreatedOnChain");
+      player1.client.emit("notifyPlayer2", { matchId, blockchainMatchId: ethers.id(matchId) });
+      expect(await createdOnChain).to.deep.equal({
+        matchId,
+        blockchainMatchId: ethers.id(matchId),
+        createdBy: player1.wallet.address,
+      });
+
+      const roundTrip = next(bystander.client, "resumeRejected");
+      bystander.client.emit("resumeMatch", { matchId });
+      await roundTrip;
+      expect(overheard).to.equal(false);
+    });
+  });
+
+  describe("Reconnecting", function () {
+    function sleep(ms) {
+      return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    // Sign a player's wallet in on a new socket and ask for their seat back
+    async function resume(player, matchId) {
+      const client = await connect();
+      await signIn(client, player.wallet);
+      const resumed = next(client, "matchResumed");
+      client.emit("resumeMatch", { matchId });
+      return { wallet: player.wallet, client, resumed: await resumed };
+    }
+
+    it("Should hold a dropped player's seat and let them resume the match", async function () {
+      const match = await startMatch();
+      await move(match, match.player1.client, match.player1.wallet, 1, 1);
+
+      const dropped = next(match.player2.client, "opponentDisconnected");
+      match.player1.client.disconnect();
+      expect(await dropped).to.include({ matchId: match.matchId, symbol: "X" });
+
+      const reconnected = next(match.player2.client, "opponentReconnected");
+      const player1 = await resume(match.player1, match.matchId);
+      await reconnected;
+      expect(player1.resumed).to.include({ matchId: match.matchId, symbol: "X", gameActive: true });
+      expect(player1.resumed.state.board[4]).to.equal("X");
+      expect(player1.resumed.state.turn).to.equal("O");
+
+      // Past the grace period the match is still on, played from the new socket
+      await sleep(GRACE * 2);
+      const resumed = { ...match, player1 };
+      await move(resumed, match.player2.client, match.player2.wallet, 0, 0);
+      const reply = await move(resumed, player1.client, player1.wallet, 2, 2);
+      expect(reply).to.include({ event: "moveMade", symbol: "X" });
+      expect(activeMatches.get(match.matchId).status).to.equal("STAKED");
+    });
+
+    it("Should forfeit the match to the opponent once the grace period runs out", async function () {
+      const match = await startMatch();
+      const ended = next(match.player1.client, "gameEnd");
+      const started = Date.now();
+      match.player2.client.disconnect();
+
+      const result = await ended;
+      expect(Date.now() - started).to.be.at.least(GRACE - 20);
+      expect(result).to.include({ winner: "X", reason: "DISCONNECT", winnerAddress: match.player1.wallet.address });
+    });
+
+    it("Should settle the forfeit on-chain through the API once the grace period runs out", async function () {
+      const [owner] = await ethers.getSigners();
+      const GameToken = await ethers.getContractFactory("GameToken");
+      const gameToken = await GameToken.deploy(ethers.parseEther("1000000"), "TriX Game Token", "GT", ethers.parseEther("100000000"));
+      const playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+
+      // Stands in for the API gateway: replay the transcript against the
+      // players on-chain, then commit the result it proves
+      const api = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", async () => {
+          const { matchId, winner, transcript } = JSON.parse(body);
+          const onChain = await playGame.getMatch(matchId);
+          const verification = verifyTranscript(transcript, {
+            matchId,
+            domain: transcript.domain,
+            player1: onChain.p1,
+            player2: onChain.p2,
+            allowTimeout: req.headers["x-matchmaking-key"] === "test-matchmaking-key",
+          });
+          res.setHeader("Content-Type", "application/json");
+          if (!verification.valid || verification.winner.toLowerCase() !== winner.toLowerCase()) {
+            res.statusCode = 400;
+            res.end(JSON.stringify({ error: verification.error || "Claimed result does not match the transcript" }));
+            return;
+          }
+          const tx = await playGame.commitResult(matchId, winner);
+          res.end(JSON.stringify({ txHash: tx.hash, proposed: false }));
+        });
+      });
+      await new Promise((resolve) => api.listen(0, resolve));
+      process.env.API_URL = `http://localhost:${api.address().port}`;
+      process.env.MATCHMAKING_API_KEY = "test-matchmaking-key";
+
+      try {
+        const match = await startMatch();
+        const stake = ethers.parseEther(String(activeMatches.get(match.matchId).stake));
+        await playGame.createMatch(match.blockchainMatchId, match.player1.wallet.address, match.player2.wallet.address, stake);
+        for (const player of [match.player1, match.player2]) {
+          const wallet = player.wallet.connect(ethers.provider);
+          await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+          await gameToken.transfer(wallet.address, stake);
+          await gameToken.connect(wallet).approve(await playGame.getAddress(), stake);
+          await playGame.connect(wallet).stake(match.blockchainMatchId);
+        }
+
+        // X drops out while it is O's turn, so no clock would ever flag them
+        await move(match, match.player1.client, match.player1.wallet, 1, 1);
+        const settled = next(match.player2.client, "matchSettled");
+        match.player1.client.disconnect();
+
+        expect(await settled).to.include({ matchId: match.matchId, winner: match.player2.wallet.address });
+        expect((await playGame.getMatch(match.blockchainMatchId)).status).to.equal(2); // SETTLED
+        expect(await gameToken.balanceOf(match.player2.wallet.address)).to.equal(stake * 2n);
+      } finally {
+        delete process.env.API_URL;
+        delete process.env.MATCHMAKING_API_KEY;
+        api.close();
+      }
+    });
+
+    it("Should move the seat to the newest socket of the same wallet", async function () {
+      const match = await startMatch();
+
+      // The first socket is still connected as far as the server knows
+      const player1 = await resume(match.player1, match.matchId);
+      const stale = await move({ ...match, player1 }, match.player1.client, match.player1.wallet, 0, 0);
+      expect(stale).to.include({ event: "moveRejected", reason: "You are not a player in this match" });
+
+      // Dropping the old socket no longer affects the match
+      match.player1.client.disconnect();
+      await sleep(GRACE * 2);
+      expect(activeMatches.get(match.matchId).status).to.equal("STAKED");
+    });
+
+    it("Should only resume matches the wallet plays in", async function () {
+      const match = await startMatch();
+      const outsider = await connectPlayer();
+
+      const rejected = next(outsider.client, "resumeRejected");
+      outsider.client.emit("resumeMatch", { matchId: match.matchId });
+      expect(await rejected).to.include({ matchId: match.matchId, reason: "You are not a player in this match" });
+
+      const unknown = next(outsider.client, "resumeRejected");
+      outsider.client.emit("resumeMatch", { matchId: "no-such-match" });
+      expect((await unknown).reason).to.equal("Match not found");
+
+      const client = await connect();
+      const refused = next(client, "authError");
+      client.emit("resumeMatch", { matchId: match.matchId });
+      expect((await refused).message).to.equal("Sign in with your wallet first");
+    });
+
+    it("Should leave a match open while both players are gone", async function () {
+      const match = await startMatch();
+      match.player1.client.disconnect();
+      match.player2.client.disconnect();
+      await sleep(GRACE * 2);
+      expect(activeMatches.get(match.matchId).status).to.equal("STAKED");
+
+      // The first player back wins once the other's grace runs out
+      const player1 = await resume(match.player1, match.matchId);
+      const result = await next(player1.client, "gameEnd");
+      expect(result).to.include({ winner: "X", reason: "DISCONNECT" });
+    });
+  });
+
+  describe("Clocks", function () {
+    function sleep(ms) {
+      return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    it("Should start both clocks with the game and only run the mover's", async function () {
+      const match = await startMatch(undefined, { moveSeconds: 30, gameSeconds: 120 });
+      expect(match.clock).to.deep.include({
+        timeControl: { moveSeconds: 30, gameSeconds: 120 },
+        turn: "X",
+        running: true,
+      });
+      // The clock may have ticked a millisecond by the time gameStart went out
+      expect(match.clock.remaining.X).to.be.closeTo(120000, 50);
+      expect(match.clock.remaining.O).to.equal(120000);
+
+      await sleep(100);
+      const { clock } = await move(match, match.player1.client, match.player1.wallet, 1, 1);
+      expect(clock.turn).to.equal("O");
+      expect(clock.remaining.X).to.be.within(119000, 119900);
+      expect(clock.remaining.O).to.be.closeTo(120000, 50);
+      expect(clock.moveRemaining).to.be.closeTo(30000, 50);
+    });
+
+    it("Should only match players on the same time control", async function () {
+      const stake = 1000 + ++stakeCount;
+      const blitz = await connectPlayer();
+      const standard = await connectPlayer();
+
+      const blitzQueued = next(blitz.client, "matchmakingStatus");
+      blitz.client.emit("findMatch", { stake, timeControl: { moveSeconds: 10, gameSeconds: 180 } });
+      expect((await blitzQueued).status).to.equal("waiting");
+      const standardQueued = next(standard.client, "matchmakingStatus");
+      standard.client.emit("findMatch", { stake });
+      expect((await standardQueued).status).to.equal("waiting");
+
+      expect(waitingFor(stake, "tictactoe:10/180")).to.have.length(1);
+      expect(waitingFor(stake)).to.have.length(1);
+      for (const player of [blitz, standard]) {
+        const cancelled = next(player.client, "matchmakingStatus");
+        player.client.emit("cancelMatchmaking");
+        await cancelled;
+      }
+    });
+
+    it("Should reject time controls it can't run", async function () {
+      const player = await connectPlayer();
+      for (const timeControl of [
+        { moveSeconds: 0, gameSeconds: 60 },
+        { moveSeconds: 90, gameSeconds: 60 },
+        { moveSeconds: 1.5, gameSeconds: 60 },
+        { moveSeconds: 60, gameSeconds: 24 * 60 * 60 },
+      ]) {
+        const status = next(player.client, "matchmakingStatus");
+        player.client.emit("findMatch", { stake: 5, timeControl });
+        const { status: result, message } = await status;
+        expect(result).to.equal("error");
+        expect(message).to.match(/^Invalid time control/);
+      }
+      expect(preStakedPlayers.has(player.wallet.address)).to.equal(false);
+    });
+
+    it("Should give the game to the opponent when a move takes too long", async function () {
+      const match = await startMatch(undefined, { moveSeconds: 1, gameSeconds: 60 });
+      await move(match, match.player1.client, match.player1.wallet, 1, 1);
+
+      const started = Date.now();
+      const ended = next(match.player1.client, "gameEnd");
+      const result = await ended;
+      expect(Date.now() - started).to.be.at.least(900);
+      expect(result).to.include({ winner: "X", reason: "TIMEOUT", winnerAddress: match.player1.wallet.address });
+      expect(result.transcript.timeout).to.deep.equal({ player: match.player2.wallet.address });
+      expect(result.transcript.moves).to.have.length(1);
+    });
+
+    it("Should flag a player who runs out of time for the whole game", async function () {
+      const match = await startMatch(undefined, { moveSeconds: 1, gameSeconds: 2 });
+
+      // X uses most of two moves' worth, O answers at once
+      await sleep(700);
+      await move(match, match.player1.client, match.player1.wallet, 1, 1);
+      await move(match, match.player2.client, match.player2.wallet, 0, 0);
+      await sleep(700);
+      const { clock } = await move(match, match.player1.client, match.player1.wallet, 2, 2);
+      expect(clock.remaining.X).to.be.below(700);
+
+      const ended = next(match.player2.client, "gameEnd");
+      await move(match, match.player2.client, match.player2.wallet, 0, 1);
+      const started = Date.now();
+      const result = await ended;
+
+      // Flagged on the game clock, well before the per-move limit
+      expect(Date.now() - started).to.be.below(900);
+      expect(result).to.include({ winner: "O", reason: "TIMEOUT" });
+      expect(result.transcript.timeout.player).to.equal(match.player1.wallet.address);
+    });
+
+    it("Should settle a timeout through the API with the matchmaking key", async function () {
+      let settlement;
+      const received = new Promise((resolve) => {
+        settlement = http.createServer((req, res) => {
+          let body = "";
+          req.on("data", (chunk) => (body += chunk));
+          req.on("end", () => {
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({ txHash: "0x1234", proposed: false }));
+            resolve({ url: req.url, key: req.headers["x-matchmaking-key"], body: JSON.parse(body) });
+          });
+        });
+      });
+      await new Promise((resolve) => settlement.listen(0, resolve));
+      process.env.API_URL = `http://localhost:${settlement.address().port}`;
+      process.env.MATCHMAKING_API_KEY = "test-matchmaking-key";
+
+      try {
+        const match = await startMatch(undefined, { moveSeconds: 1, gameSeconds: 60 });
+        const settled = next(match.player2.client, "matchSettled");
+
+        const request = await received;
+        expect(request.url).to.equal("/match/result");
+        expect(request.key).to.equal("test-matchmaking-key");
+        expect(request.body).to.include({
+          matchId: match.blockchainMatchId,
+          winner: match.player2.wallet.address,
+        });
+        expect(request.body.transcript.timeout.player).to.equal(match.player1.wallet.address);
+        expect(await settled).to.include({ matchId: match.matchId, txHash: "0x1234" });
+      } finally {
+        delete process.env.API_URL;
+        delete process.env.MATCHMAKING_API_KEY;
+        settlement.close();
+      }
+    });
+  });
+
+  describe("Stake ranges", function () {
+    let rangeCount = 0;
+
+    // Stakes no other test plays for
+    function freshStake() {
+      return 20000 + 100 * ++rangeCount;
+    }
+
+    // Queue a player for a stake range and wait until they are told where they stand
+    async function queue(player, payload) {
+      const status = next(player.client, "matchmakingStatus");
+      player.client.emit("findMatch", payload);
+      return status;
+    }
+
+    async function cancel(player) {
+      const cancelled = next(player.client, "matchmakingStatus");
+      player.client.emit("cancelMatchmaking");
+      await cancelled;
+    }
+
+    it("Should match overlapping ranges at the largest stake both accept", async function () {
+      const stake = freshStake();
+      const player1 = await connectPlayer();
+      const player2 = await connectPlayer();
+
+      expect((await queue(player1, { minStake: stake, maxStake: stake + 20 })).status).to.equal("waiting");
+      const found = [next(player1.client, "matchFound"), next(player2.client, "matchFound")];
+      expect((await queue(player2, { minStake: stake + 10, maxStake: stake + 50 })).status).to.equal("matched");
+
+      for (const match of await Promise.all(found)) {
+        expect(match).to.include({ player1: player1.wallet.address, stake: stake + 20 });
+      }
+    });
+
+    it("Should match an exact stake with a range that contains it", async function () {
+      const stake = freshStake();
+      const ranged = await connectPlayer();
+      const exact = await connectPlayer();
+
+      await queue(ranged, { minStake: stake - 50, maxStake: stake + 50 });
+      const found = next(ranged.client, "matchFound");
+      await queue(exact, { stake });
+      expect((await found).stake).to.equal(stake);
+    });
+
+    it("Should keep players whose ranges don't overlap apart", async function () {
+      const stake = freshStake();
+      const low = await connectPlayer();
+      const high = await connectPlayer();
+
+      expect((await queue(low, { minStake: stake, maxStake: stake + 10 })).status).to.equal("waiting");
+      expect((await queue(high, { minStake: stake + 11, maxStake: stake + 20 })).status).to.equal("waiting");
+      await cancel(low);
+      await cancel(high);
+    });
+
+    it("Should reject stake ranges it can't match", async function () {
+      const player = await connectPlayer();
+      for (const payload of [{ minStake: 10, maxStake: 5 }, { minStake: 0, maxStake: 5 }, { maxStake: 5 }, {}]) {
+        const { status, message } = await queue(player, payload);
+        expect(status).to.equal("error");
+        expect(message).to.match(/^Invalid stake/);
+      }
+      expect(preStakedPlayers.has(player.wallet.address)).to.equal(false);
+    });
+
+    it("Should report queue depth by stake bucket in /stats", async function () {
+      // A time control of its own keeps other tests' players out of this queue
+      const timeControl = { moveSeconds: 7, gameSeconds: 77 };
+      const player1 = await connectPlayer();
+      const player2 = await connectPlayer();
+      await queue(player1, { minStake: 5, maxStake: 50, timeControl });
+      await queue(player2, { minStake: 80, maxStake: 200, timeControl });
+
+      const stats = await (await fetch(`${url}/stats`)).json();
+      const entry = stats.waitingPlayers.find((queued) => queued.timeControl.gameSeconds === 77);
+      expect(entry).to.deep.include({ gameType: "tictactoe", timeControl, count: 2 });
+      expect(entry.byStake).to.deep.equal([
+        { range: "1-9", count: 1 },
+        { range: "10-99", count: 2 },
+        { range: "100-999", count: 1 },
+        { range: "1000-9999", count: 0 },
+        { range: "10000+", count: 0 },
+      ]);
+
+      await cancel(player1);
+      await cancel(player2);
+    });
+  });
+
+  describe("Skill-based matching", function () {
+    it("Should keep players rated far apart waiting until the window widens", async function () {
+      const stake = 1000 + ++stakeCount;
+      const strong = await connectPlayer();
+      const weak = await connectPlayer();
+      ratings.set(strong.wallet.address.toLowerCase(), { rating: 2000, rd: 60, volatility: 0.06, games: 40 });
+      ratings.set(weak.wallet.address.toLowerCase(), { rating: 1500, rd: 60, volatility: 0.06, games: 40 });
+
+      const strongQueued = next(strong.client, "matchmakingStatus");
+      strong.client.emit("findMatch", { stake });
+      expect((await strongQueued).status).to.equal("waiting");
+      const waitingSince = Date.now();
+
+      const weakQueued = next(weak.client, "matchmakingStatus");
+      const found = next(weak.client, "matchFound");
+      weak.client.emit("findMatch", { stake });
+      expect((await weakQueued).status).to.equal("waiting");
+
+      // 500 points apart only fit once the window has grown from 100
+      const match = await found;
+      expect(Date.now() - waitingSince).to.be.at.least(((500 - 100) / WINDOW_GROWTH) * 1000);
+      expect(match).to.include({ player1: strong.wallet.address, player2: weak.wallet.address });
+      expect(match.ratings.X.rating).to.equal(2000);
+      expect(match.ratings.O.rating).to.equal(1500);
+    });
+
+    it("Should report the rating changes of the result in gameEnd", async function () {
+      const match = await startMatch();
+      const signature = await match.player2.wallet.signTypedData(match.domain, FORFEIT_TYPES, {
+        matchId: match.blockchainMatchId,
+        player: match.player2.wallet.address,
+      });
+      const ended = next(match.player1.client, "gameEnd");
+      match.player2.client.emit("forfeitMatch", { matchId: match.matchId, signature });
+
+      const { ratingChanges } = await ended;
+      const [winner, loser] = rateGame(DEFAULT_RATING, DEFAULT_RATING, 1);
+      expect(ratingChanges.X).to.deep.equal({
+        before: 1500,
+        after: Math.round(winner.rating),
+        change: Math.round(winner.rating - 1500),
+      });
+      expect(ratingChanges.O).to.deep.equal({
+        before: 1500,
+        after: Math.round(loser.rating),
+        change: Math.round(loser.rating - 1500),
+      });
+    });
+  });
+
+  describe("Restart recovery", function () {
+    // Forget everything held in memory, as a restart would, and rebuild it from the journal
+    function restart() {
+      activeMatches.clear();
+      waitingPlayers.clear();
+      preStakedPlayers.clear();
+      return recoverState(null);
+    }
+
+    // Sign a player's wallet in again on a new socket; resolves with the new
+    // client and the first payload of event sent on sign-in
+    async function reconnect(player, event = "matchResumed") {
+      const client = await connect();
+      const sent = next(client, event);
+      await signIn(client, player.wallet);
+      return { wallet: player.wallet, client, sent: await sent };
+    }
+
+    it("Should resume a game in progress for players who sign in again", async function () {
+      const match = await startMatch();
+      await move(match, match.player1.client, match.player1.wallet, 1, 1);
+      await move(match, match.player2.client, match.player2.wallet, 0, 0);
+
+      await restart();
+      const recovered = activeMatches.get(match.matchId);
+      expect(recovered.moves).to.have.length(2);
+      expect(recovered.state.board[4]).to.equal("X");
+      expect(recovered.state.board[0]).to.equal("O");
+      expect(recovered.state.turn).to.equal("X");
+
+      const player1 = await reconnect(match.player1);
+      const player2 = await reconnect(match.player2);
+      expect(player1.sent).to.include({ matchId: match.matchId, symbol: "X", gameActive: true, status: "STAKED" });
+      expect(player1.sent.state.board).to.deep.equal(recovered.state.board);
+      expect(player2.sent.symbol).to.equal("O");
+
+      // Play goes on from the new sockets, and the old ones are no longer in the match
+      const resumed = { ...match, player1, player2 };
+      const reply = await move(resumed, player1.client, player1.wallet, 2, 2);
+      expect(reply).to.include({ event: "moveMade", symbol: "X", nextPlayer: "O" });
+
+      const stale = await move(resumed, match.player2.client, match.player2.wallet, 0, 1);
+      expect(stale).to.include({ event: "moveRejected", reason: "You are not a player in this match" });
+    });
+
+    it("Should put queued players back in line", async function () {
+      const waiting = await connectPlayer();
+      const queued = next(waiting.client, "matchmakingStatus");
+      waiting.client.emit("findMatch", { stake: 4242 });
+      await queued;
+
+      await restart();
+      expect(waitingFor(4242)).to.have.length(1);
+      expect(preStakedPlayers.has(waiting.wallet.address)).to.equal(true);
+
+      const back = await reconnect(waiting, "matchmakingStatus");
+      expect(back.sent.status).to.equal("waiting");
+
+      const opponent = await connectPlayer();
+      const found = next(back.client, "matchFound");
+      opponent.client.emit("findMatch", { stake: 4242 });
+      expect((await found).player1).to.equal(waiting.wallet.address);
+    });
+
+    it("Should hand the result of a finished game to players who come back", async function () {
+      const match = await startMatch();
+      const signature = await match.player2.wallet.signTypedData(match.domain, FORFEIT_TYPES, {
+        matchId: match.blockchainMatchId,
+        player: match.player2.wallet.address,
+      });
+      const ended = next(match.player1.client, "gameEnd");
+      match.player2.client.emit("forfeitMatch", { matchId: match.matchId, signature });
+      await ended;
+
+      await restart();
+      const player1 = await reconnect(match.player1, "gameEnd");
+      expect(player1.sent).to.include({ winner: "X", reason: "FORFEIT", winnerAddress: match.player1.wallet.address });
+      expect(player1.sent.transcript.forfeit.signature).to.equal(signature);
+    });
+  });
+});
@@ -1,8 +1,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
 
 describe("PlayGame", function () {
-  let GameToken, PlayGame;
+  let GameToken;
   let gameToken, playGame;
   let owner, apiGateway, player1, player2, player3;
   let addrs;
@@ -10,23 +12,32 @@ describe("PlayGame", function () {
   const TOKEN_NAME = "TriX Game Token";
   const TOKEN_SYMBOL = "GT";
   const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const MAX_SUPPLY = ethers.parseEther("100000000");
   const STAKE_AMOUNT = ethers.parseEther("100");
+  const MATCH_ID = ethers.id("match-1");
+
+  // Match statuses, in PlayGame.MatchStatus order
+  const CREATED = 0;
+  const STAKED = 1;
+  const SETTLED = 2;
+  const REFUNDED = 3;
+  const DRAWN = 4;
+  const CANCELLED = 7;
 
   beforeEach(async function () {
     [owner, apiGateway, player1, player2, player3, ...addrs] = await ethers.getSigners();
 
     // Deploy GameToken
     GameToken = await ethers.getContractFactory("GameToken");
-    gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL);
+    gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL, MAX_SUPPLY);
     await gameToken.waitForDeployment();
 
     // Deploy PlayGame
-    PlayGame = await ethers.getContractFactory("PlayGame");
-    playGame = await PlayGame.deploy(await gameToken.getAddress());
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
     await playGame.waitForDeployment();
 
-    // Grant API_GATEWAY_ROLE to apiGateway
-    await playGame.grantRole(await playGame.API_GATEWAY_ROLE(), apiGateway.address);
+    // The API gateway creates and settles matches as an operator
+    await playGame.grantRole(await playGame.OPERATOR_ROLE(), apiGateway.address);
 
     // Mint GT tokens to players for testing
     await gameToken.mint(player1.address, ethers.parseEther("1000"));
@@ -39,6 +50,16 @@ describe("PlayGame", function () {
     await gameToken.connect(player3).approve(await playGame.getAddress(), ethers.parseEther("1000"));
   });
 
+  async function createMatch(matchId = MATCH_ID, p1 = player1, p2 = player2) {
+    await playGame.connect(apiGateway).createMatch(matchId, p1.address, p2.address, STAKE_AMOUNT);
+  }
+
+  async function createStakedMatch(matchId = MATCH_ID) {
+    await createMatch(matchId);
+    await playGame.connect(player1).stake(matchId);
+    await playGame.connect(player2).stake(matchId);
+  }
+
   describe("Deployment", function () {
     it("Should set the correct GameToken address", async function () {
       expect(await playGame.gameToken()).to.equal(await gameToken.getAddress());
@@ -46,260 +67,344 @@ describe("PlayGame", function () {
 
     it("Should grant roles to owner", async function () {
       expect(await playGame.hasRole(await playGame.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
-      expect(await playGame.hasRole(await playGame.API_GATEWAY_ROLE(), owner.address)).to.equal(true);
+      expect(await playGame.hasRole(await playGame.OPERATOR_ROLE(), owner.address)).to.equal(true);
       expect(await playGame.hasRole(await playGame.PAUSER_ROLE(), owner.address)).to.equal(true);
+      expect(await playGame.hasRole(await playGame.ARBITER_ROLE(), owner.address)).to.equal(true);
     });
 
-    it("Should set initial platform fee to 5%", async function () {
-      expect(await playGame.platformFeePercentage()).to.equal(500); // 5% in basis points
+    it("Should grant only the operator role to the API gateway", async function () {
+      expect(await playGame.hasRole(await playGame.OPERATOR_ROLE(), apiGateway.address)).to.equal(true);
+      expect(await playGame.hasRole(await playGame.DEFAULT_ADMIN_ROLE(), apiGateway.address)).to.equal(false);
+      expect(await playGame.hasRole(await playGame.PAUSER_ROLE(), apiGateway.address)).to.equal(false);
+      expect(await playGame.hasRole(await playGame.ARBITER_ROLE(), apiGateway.address)).to.equal(false);
+    });
+
+    it("Should start with no platform fee and the deployer as treasury", async function () {
+      expect(await playGame.platformFeePercentage()).to.equal(0);
+      expect(await playGame.treasury()).to.equal(owner.address);
     });
   });
 
   describe("Match Creation", function () {
     it("Should create a match successfully", async function () {
-      const initialBalance = await gameToken.balanceOf(player1.address);
-
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
+      await createMatch();
 
-      const match = await playGame.getMatch(1);
-      expect(match.matchId).to.equal(1);
-      expect(match.player1).to.equal(player1.address);
-      expect(match.player2).to.equal(ethers.ZeroAddress);
-      expect(match.stakeAmount).to.equal(STAKE_AMOUNT);
-      expect(match.totalStake).to.equal(STAKE_AMOUNT);
-      expect(match.status).to.equal(0); // Pending
-      expect(match.winner).to.equal(ethers.ZeroAddress);
+      const match = await playGame.getMatch(MATCH_ID);
+      expect(match.matchId).to.equal(MATCH_ID);
+      expect(match.p1).to.equal(player1.address);
+      expect(match.p2).to.equal(player2.address);
+      expect(match.stake).to.equal(STAKE_AMOUNT);
+      expect(match.status).to.equal(CREATED);
+      expect(match.p1Staked).to.equal(false);
+      expect(match.p2Staked).to.equal(false);
 
-      // Check that tokens were transferred
-      expect(await gameToken.balanceOf(player1.address)).to.equal(initialBalance - STAKE_AMOUNT);
-      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(STAKE_AMOUNT);
+      // Nothing is escrowed until the players stake
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(0);
     });
 
     it("Should emit MatchCreated event", async function () {
-      await expect(playGame.connect(player1).createMatch(STAKE_AMOUNT))
+      await expect(playGame.connect(apiGateway).createMatch(MATCH_ID, player1.address, player2.address, STAKE_AMOUNT))
         .to.emit(playGame, "MatchCreated")
-        .withArgs(1, player1.address, STAKE_AMOUNT);
+        .withArgs(MATCH_ID, player1.address, player2.address, STAKE_AMOUNT);
+    });
+
+    it("Should not let a non-operator create a match", async function () {
+      await expect(playGame.connect(player1).createMatch(MATCH_ID, player1.address, player2.address, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
     });
 
     it("Should not create match with zero stake", async function () {
-      await expect(playGame.connect(player1).createMatch(0))
-        .to.be.revertedWith("PlayGame: stake amount must be greater than 0");
+      await expect(playGame.connect(apiGateway).createMatch(MATCH_ID, player1.address, player2.address, 0))
+        .to.be.revertedWith("PlayGame: stake must be greater than 0");
     });
 
-    it("Should not create match with insufficient balance", async function () {
-      const largeStake = ethers.parseEther("2000");
-      await expect(playGame.connect(player1).createMatch(largeStake))
-        .to.be.revertedWith("PlayGame: insufficient GT balance");
+    it("Should not create a match against yourself", async function () {
+      await expect(playGame.connect(apiGateway).createMatch(MATCH_ID, player1.address, player1.address, STAKE_AMOUNT))
+        .to.be.revertedWith("PlayGame: players must be different");
     });
 
-    it("Should not create match with insufficient allowance", async function () {
-      await gameToken.connect(player1).approve(await playGame.getAddress(), 0);
-      await expect(playGame.connect(player1).createMatch(STAKE_AMOUNT))
-        .to.be.revertedWith("PlayGame: insufficient GT allowance");
+    it("Should not reuse a match ID", async function () {
+      await createMatch();
+      await expect(createMatch(MATCH_ID, player1, player3))
+        .to.be.revertedWith("PlayGame: match already exists");
     });
 
-    it("Should increment match counter", async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
-      expect(await playGame.getCurrentMatchId()).to.equal(1);
+    it("Should count created matches", async function () {
+      await createMatch();
+      expect((await playGame.getStats())[0]).to.equal(1);
 
-      await playGame.connect(player2).createMatch(STAKE_AMOUNT);
-      expect(await playGame.getCurrentMatchId()).to.equal(2);
+      await createMatch(ethers.id("match-2"), player2, player3);
+      expect((await playGame.getStats())[0]).to.equal(2);
     });
   });
 
-  describe("Match Joining", function () {
+  describe("Staking", function () {
     beforeEach(async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
+      await createMatch();
     });
 
-    it("Should allow player to join match", async function () {
+    it("Should take the stake from each player", async function () {
       const initialBalance = await gameToken.balanceOf(player2.address);
 
-      await playGame.connect(player2).joinMatch(1);
+      await playGame.connect(player1).stake(MATCH_ID);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(CREATED);
+
+      await playGame.connect(player2).stake(MATCH_ID);
 
-      const match = await playGame.getMatch(1);
-      expect(match.player2).to.equal(player2.address);
-      expect(match.totalStake).to.equal(STAKE_AMOUNT * 2n);
-      expect(match.status).to.equal(1); // Active
+      const match = await playGame.getMatch(MATCH_ID);
+      expect(match.p1Staked).to.equal(true);
+      expect(match.p2Staked).to.equal(true);
+      expect(match.status).to.equal(STAKED);
+      expect(match.startTime).to.be.gt(0);
 
       // Check that tokens were transferred
       expect(await gameToken.balanceOf(player2.address)).to.equal(initialBalance - STAKE_AMOUNT);
       expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(STAKE_AMOUNT * 2n);
     });
 
-    it("Should emit PlayerJoined event", async function () {
-      await expect(playGame.connect(player2).joinMatch(1))
-        .to.emit(playGame, "PlayerJoined")
-        .withArgs(1, player2.address);
+    it("Should emit Staked event", async function () {
+      await expect(playGame.connect(player2).stake(MATCH_ID))
+        .to.emit(playGame, "Staked")
+        .withArgs(MATCH_ID, player2.address, STAKE_AMOUNT);
     });
 
-    it("Should not allow player to join their own match", async function () {
-      await expect(playGame.connect(player1).joinMatch(1))
-        .to.be.revertedWith("PlayGame: cannot join own match");
+    it("Should not let a player stake twice", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await expect(playGame.connect(player1).stake(MATCH_ID))
+        .to.be.revertedWith("PlayGame: player 1 already staked");
     });
 
-    it("Should not allow joining non-existent match", async function () {
-      await expect(playGame.connect(player2).joinMatch(999))
+    it("Should not let a non-participant stake", async function () {
+      await expect(playGame.connect(player3).stake(MATCH_ID))
+        .to.be.revertedWith("PlayGame: not a participant");
+    });
+
+    it("Should not allow staking on a non-existent match", async function () {
+      await expect(playGame.connect(player2).stake(ethers.id("no-such-match")))
         .to.be.revertedWith("PlayGame: match does not exist");
     });
 
-    it("Should not allow joining completed match", async function () {
-      await playGame.connect(player2).joinMatch(1);
-      await playGame.connect(apiGateway).completeMatch(1, player1.address);
+    it("Should not allow staking on a settled match", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+      await playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address);
 
-      await expect(playGame.connect(player3).joinMatch(1))
-        .to.be.revertedWith("PlayGame: match not available");
+      await expect(playGame.connect(player2).stake(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not available for staking");
     });
 
-    it("Should not allow joining with insufficient balance", async function () {
-      const stakeAmount = ethers.parseEther("500");
-      await playGame.connect(player1).createMatch(stakeAmount);
+    it("Should not allow staking after the stake deadline", async function () {
+      await time.increase(await playGame.STAKE_TIMEOUT());
+
+      await expect(playGame.connect(player1).stake(MATCH_ID))
+        .to.be.revertedWith("PlayGame: stake deadline passed");
+    });
 
-      // Reduce player2's balance and allowance for this test
+    it("Should not allow staking with insufficient balance", async function () {
       const balance = await gameToken.balanceOf(player2.address);
       await gameToken.connect(player2).transfer(owner.address, balance);
 
-      await expect(playGame.connect(player2).joinMatch(1))
+      await expect(playGame.connect(player2).stake(MATCH_ID))
         .to.be.revertedWith("PlayGame: insufficient GT balance");
     });
+
+    it("Should not allow staking with insufficient allowance", async function () {
+      await gameToken.connect(player2).approve(await playGame.getAddress(), 0);
+
+      await expect(playGame.connect(player2).stake(MATCH_ID))
+        .to.be.revertedWith("PlayGame: insufficient GT allowance");
+    });
   });
 
   describe("Match Completion", function () {
     beforeEach(async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
-      await playGame.connect(player2).joinMatch(1);
+      await createStakedMatch();
     });
 
     it("Should complete match and pay winner", async function () {
       const initialWinnerBalance = await gameToken.balanceOf(player1.address);
-      const totalStake = STAKE_AMOUNT * 2n;
-      const platformFee = (totalStake * 500n) / 10000n; // 5% fee
-      const winnerPayout = totalStake - platformFee;
 
-      await playGame.connect(apiGateway).completeMatch(1, player1.address);
+      await playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address);
+
+      const match = await playGame.getMatch(MATCH_ID);
+      expect(match.status).to.equal(SETTLED);
 
-      const match = await playGame.getMatch(1);
-      expect(match.status).to.equal(2); // Completed
-      expect(match.winner).to.equal(player1.address);
-      expect(match.completedAt).to.be.gt(0);
+      // No fee by default, so the winner takes the whole pot
+      expect(await gameToken.balanceOf(player1.address)).to.equal(initialWinnerBalance + STAKE_AMOUNT * 2n);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(0);
+    });
 
-      // Check winner received payout
-      expect(await gameToken.balanceOf(player1.address)).to.equal(initialWinnerBalance + winnerPayout);
+    it("Should emit Settled event", async function () {
+      await expect(playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address))
+        .to.emit(playGame, "Settled")
+        .withArgs(MATCH_ID, player1.address, STAKE_AMOUNT * 2n);
     });
 
-    it("Should emit MatchCompleted event", async function () {
-      const totalStake = STAKE_AMOUNT * 2n;
-      const platformFee = (totalStake * 500n) / 10000n;
-      const winnerPayout = totalStake - platformFee;
+    it("Should send the platform fee to the treasury", async function () {
+      const feeMatch = ethers.id("fee-match");
+      await playGame.updatePlatformFee(500); // 5%
+      await createStakedMatch(feeMatch);
+
+      const pot = STAKE_AMOUNT * 2n;
+      const fee = (pot * 500n) / 10000n;
+      const treasuryBalance = await gameToken.balanceOf(owner.address);
 
-      await expect(playGame.connect(apiGateway).completeMatch(1, player1.address))
-        .to.emit(playGame, "MatchCompleted")
-        .withArgs(1, player1.address, winnerPayout);
+      await expect(playGame.connect(apiGateway).commitResult(feeMatch, player2.address))
+        .to.emit(playGame, "PlatformFeeCollected")
+        .withArgs(feeMatch, owner.address, fee)
+        .and.to.emit(playGame, "Settled")
+        .withArgs(feeMatch, player2.address, pot - fee);
+
+      expect(await gameToken.balanceOf(owner.address)).to.equal(treasuryBalance + fee);
     });
 
-    it("Should not allow non-API Gateway to complete match", async function () {
-      await expect(playGame.connect(player1).completeMatch(1, player1.address))
+    it("Should return both stakes on a draw", async function () {
+      await expect(playGame.connect(apiGateway).commitDraw(MATCH_ID))
+        .to.emit(playGame, "Drawn")
+        .withArgs(MATCH_ID, player1.address, player2.address, STAKE_AMOUNT);
+
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(DRAWN);
+      expect(await gameToken.balanceOf(player1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await gameToken.balanceOf(player2.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should not allow non-operator to complete match", async function () {
+      await expect(playGame.connect(player1).commitResult(MATCH_ID, player1.address))
         .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should not complete inactive match", async function () {
-      await expect(playGame.connect(apiGateway).completeMatch(1, player1.address))
-        .to.not.be.reverted;
+    it("Should not complete a settled match", async function () {
+      await playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address);
 
       // Try to complete again
-      await expect(playGame.connect(apiGateway).completeMatch(1, player1.address))
-        .to.be.revertedWith("PlayGame: match not active");
+      await expect(playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address))
+        .to.be.revertedWith("PlayGame: match not staked");
     });
 
     it("Should not set invalid winner", async function () {
-      await expect(playGame.connect(apiGateway).completeMatch(1, player3.address))
+      await expect(playGame.connect(apiGateway).commitResult(MATCH_ID, player3.address))
         .to.be.revertedWith("PlayGame: invalid winner");
     });
 
     it("Should not set zero address as winner", async function () {
-      await expect(playGame.connect(apiGateway).completeMatch(1, ethers.ZeroAddress))
+      await expect(playGame.connect(apiGateway).commitResult(MATCH_ID, ethers.ZeroAddress))
         .to.be.revertedWith("PlayGame: invalid winner");
     });
   });
 
   describe("Match Cancellation", function () {
     beforeEach(async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
+      await createMatch();
+      await playGame.connect(player1).stake(MATCH_ID);
     });
 
-    it("Should allow player1 to cancel pending match", async function () {
+    it("Should let a player cancel and refund whoever staked", async function () {
       const initialBalance = await gameToken.balanceOf(player1.address);
 
-      await playGame.connect(player1).cancelMatch(1);
+      await playGame.connect(player2).cancelMatch(MATCH_ID);
 
-      const match = await playGame.getMatch(1);
-      expect(match.status).to.equal(3); // Cancelled
-      expect(match.completedAt).to.be.gt(0);
-
-      // Check refund
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(CANCELLED);
       expect(await gameToken.balanceOf(player1.address)).to.equal(initialBalance + STAKE_AMOUNT);
     });
 
-    it("Should allow admin to cancel pending match", async function () {
-      await playGame.connect(owner).cancelMatch(1);
+    it("Should emit MatchCancelled and Refunded events", async function () {
+      await expect(playGame.connect(player1).cancelMatch(MATCH_ID))
+        .to.emit(playGame, "MatchCancelled")
+        .withArgs(MATCH_ID, player1.address)
+        .and.to.emit(playGame, "Refunded")
+        .withArgs(MATCH_ID, player1.address, STAKE_AMOUNT);
+    });
+
+    it("Should only let others cancel after the stake deadline", async function () {
+      await expect(playGame.connect(player3).cancelMatch(MATCH_ID))
+        .to.be.revertedWith("PlayGame: stake deadline not reached");
+
+      await time.increase(await playGame.STAKE_TIMEOUT());
+      await playGame.connect(player3).cancelMatch(MATCH_ID);
 
-      const match = await playGame.getMatch(1);
-      expect(match.status).to.equal(3); // Cancelled
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(CANCELLED);
     });
 
-    it("Should emit MatchCancelled and StakeRefunded events", async function () {
-      await expect(playGame.connect(player1).cancelMatch(1))
-        .to.emit(playGame, "MatchCancelled")
-        .withArgs(1, player1.address, ethers.ZeroAddress)
-        .and.to.emit(playGame, "StakeRefunded")
-        .withArgs(1, player1.address, STAKE_AMOUNT);
+    it("Should not cancel a fully staked match", async function () {
+      await playGame.connect(player2).stake(MATCH_ID);
+
+      await expect(playGame.connect(player1).cancelMatch(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not cancellable");
     });
+  });
 
-    it("Should not allow non-player1 to cancel match", async function () {
-      await expect(playGame.connect(player2).cancelMatch(1))
-        .to.be.revertedWith("PlayGame: not authorized to cancel");
+  describe("Refunds", function () {
+    beforeEach(async function () {
+      await createStakedMatch();
     });
 
-    it("Should not cancel active match", async function () {
-      await playGame.connect(player2).joinMatch(1);
+    it("Should refund both players once the match times out", async function () {
+      expect(await playGame.canRefund(MATCH_ID)).to.equal(false);
+      await expect(playGame.connect(player1).refund(MATCH_ID))
+        .to.be.revertedWith("PlayGame: refund timeout not reached");
 
-      await expect(playGame.connect(player1).cancelMatch(1))
-        .to.be.revertedWith("PlayGame: match cannot be cancelled");
+      await time.increase(await playGame.TIMEOUT_DURATION());
+      expect(await playGame.canRefund(MATCH_ID)).to.equal(true);
+
+      await expect(playGame.connect(player3).refund(MATCH_ID))
+        .to.emit(playGame, "Refunded")
+        .withArgs(MATCH_ID, player1.address, STAKE_AMOUNT)
+        .and.to.emit(playGame, "Refunded")
+        .withArgs(MATCH_ID, player2.address, STAKE_AMOUNT);
+
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(REFUNDED);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(0);
+    });
+
+    it("Should not refund a settled match", async function () {
+      await playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address);
+      await time.increase(await playGame.TIMEOUT_DURATION());
+
+      await expect(playGame.refund(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not eligible for refund");
     });
   });
 
   describe("Match Queries", function () {
+    const MATCH_2 = ethers.id("match-2");
+    const MATCH_3 = ethers.id("match-3");
+
     beforeEach(async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
-      await playGame.connect(player2).createMatch(STAKE_AMOUNT);
-      await playGame.connect(player3).createMatch(STAKE_AMOUNT);
+      await createMatch(MATCH_ID, player1, player2);
+      await createMatch(MATCH_2, player2, player3);
+      await createMatch(MATCH_3, player3, player1);
     });
 
     it("Should get match details", async function () {
-      const match = await playGame.getMatch(1);
-      expect(match.matchId).to.equal(1);
-      expect(match.player1).to.equal(player1.address);
-      expect(match.status).to.equal(0); // Pending
+      const match = await playGame.getMatch(MATCH_2);
+      expect(match.matchId).to.equal(MATCH_2);
+      expect(match.p1).to.equal(player2.address);
+      expect(match.status).to.equal(CREATED);
     });
 
     it("Should get player matches", async function () {
-      const playerMatches = await playGame.getPlayerMatches(player1.address);
-      expect(playerMatches.length).to.equal(1);
-      expect(playerMatches[0]).to.equal(1n);
+      expect(await playGame.getPlayerMatchCount(player1.address)).to.equal(2);
+      expect(await playGame.getPlayerMatches(player1.address, 0, 10)).to.deep.equal([MATCH_ID, MATCH_3]);
+      expect(await playGame.getPlayerMatches(player1.address, 1, 10)).to.deep.equal([MATCH_3]);
     });
 
     it("Should get pending matches", async function () {
-      const pendingMatches = await playGame.getPendingMatches(10);
-      expect(pendingMatches.length).to.equal(3);
-      expect(pendingMatches).to.include(1n);
-      expect(pendingMatches).to.include(2n);
-      expect(pendingMatches).to.include(3n);
+      expect(await playGame.getPendingMatchCount()).to.equal(3);
+      const pendingMatches = await playGame.getPendingMatches(0, 10);
+      expect([...pendingMatches]).to.have.members([MATCH_ID, MATCH_2, MATCH_3]);
     });
 
     it("Should limit pending matches", async function () {
-      const pendingMatches = await playGame.getPendingMatches(2);
+      const pendingMatches = await playGame.getPendingMatches(0, 2);
       expect(pendingMatches.length).to.equal(2);
     });
+
+    it("Should drop fully staked matches from pending", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+
+      expect([...(await playGame.getPendingMatches(0, 10))]).to.have.members([MATCH_2, MATCH_3]);
+    });
   });
 
   describe("Platform Fee Management", function () {
@@ -311,7 +416,7 @@ describe("PlayGame", function () {
     it("Should emit PlatformFeeUpdated event", async function () {
       await expect(playGame.updatePlatformFee(300))
         .to.emit(playGame, "PlatformFeeUpdated")
-        .withArgs(500, 300);
+        .withArgs(0, 300);
     });
 
     it("Should not allow non-admin to update fee", async function () {
@@ -337,27 +442,29 @@ describe("PlayGame", function () {
     });
 
     it("Should not allow operations when paused", async function () {
+      await createMatch();
       await playGame.pause();
 
-      await expect(playGame.connect(player1).createMatch(STAKE_AMOUNT))
-        .to.be.reverted;
+      await expect(createMatch(ethers.id("match-2")))
+        .to.be.revertedWithCustomError(playGame, "EnforcedPause");
+      await expect(playGame.connect(player1).stake(MATCH_ID))
+        .to.be.revertedWithCustomError(playGame, "EnforcedPause");
     });
   });
 
   describe("Emergency Functions", function () {
-    it("Should allow admin to withdraw GT tokens", async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
+    it("Should allow admin to withdraw stray GT tokens", async function () {
+      await gameToken.connect(player3).transfer(await playGame.getAddress(), STAKE_AMOUNT);
 
-      await playGame.emergencyWithdrawGT(player1.address, STAKE_AMOUNT);
-      expect(await gameToken.balanceOf(player1.address)).to.equal(ethers.parseEther("1000"));
+      await playGame.emergencyWithdrawGT(player3.address, STAKE_AMOUNT);
+      expect(await gameToken.balanceOf(player3.address)).to.equal(ethers.parseEther("1000"));
     });
 
-    it("Should emit EmergencyWithdraw event", async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
+    it("Should not withdraw escrowed stakes", async function () {
+      await createStakedMatch();
 
-      await expect(playGame.emergencyWithdrawGT(player1.address, STAKE_AMOUNT))
-        .to.emit(playGame, "EmergencyWithdraw")
-        .withArgs(await gameToken.getAddress(), player1.address, STAKE_AMOUNT);
+      await expect(playGame.emergencyWithdrawGT(owner.address, STAKE_AMOUNT))
+        .to.be.revertedWith("PlayGame: amount exceeds unescrowed balance");
     });
 
     it("Should not allow non-admin to withdraw", async function () {
@@ -368,40 +475,31 @@ describe("PlayGame", function () {
 
   describe("Statistics", function () {
     it("Should return correct statistics", async function () {
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
-      await playGame.connect(player2).joinMatch(1);
-      await playGame.connect(apiGateway).completeMatch(1, player1.address);
+      await createStakedMatch();
+      await playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address);
 
       const stats = await playGame.getStats();
       expect(stats[0]).to.equal(1); // totalMatches
-      expect(stats[1]).to.equal(STAKE_AMOUNT * 2n); // totalStaked
-      expect(stats[2]).to.be.gt(0); // totalPayouts
-      expect(stats[3]).to.equal(500); // platformFeePercentage
-    });
-  });
-
-  describe("Reentrancy Protection", function () {
-    it("Should prevent reentrant calls", async function () {
-      await expect(playGame.connect(player1).createMatch(STAKE_AMOUNT)).to.not.be.reverted;
+      expect(stats[2]).to.equal(STAKE_AMOUNT * 2n); // totalPayouts
+      expect(stats[3]).to.equal(0); // platformFeePercentage
+      expect(stats[4]).to.equal(0); // totalFeesCollected
     });
   });
 
   describe("Complete Match Lifecycle", function () {
     it("Should handle complete match lifecycle", async function () {
       // 1. Create match
-      await playGame.connect(player1).createMatch(STAKE_AMOUNT);
-      expect(await playGame.getCurrentMatchId()).to.equal(1);
-
-      // 2. Join match
-      await playGame.connect(player2).joinMatch(1);
-      const match = await playGame.getMatch(1);
-      expect(match.status).to.equal(1); // Active
-
-      // 3. Complete match
-      await playGame.connect(apiGateway).completeMatch(1, player1.address);
-      const completedMatch = await playGame.getMatch(1);
-      expect(completedMatch.status).to.equal(2); // Completed
-      expect(completedMatch.winner).to.equal(player1.address);
+      await createMatch();
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(CREATED);
+
+      // 2. Both players stake
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STAKED);
+
+      // 3. Settle the result
+      await playGame.connect(apiGateway).commitResult(MATCH_ID, player1.address);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(SETTLED);
 
       // 4. Verify statistics
       const stats = await playGame.getStats();
@@ -0,0 +1,279 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("PlayGame dispute window", function () {
+  let gameToken;
+  let playGame;
+  let owner;
+  let operator;
+  let arbiter;
+  let player1;
+  let player2;
+  let other;
+
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const MAX_SUPPLY = ethers.parseEther("100000000");
+  const STAKE = ethers.parseEther("100");
+  const DISPUTE_WINDOW = 60 * 60; // 1 hour
+  const MATCH_ID = ethers.id("dispute-match-1");
+
+  const STATUS = { SETTLED: 2, REFUNDED: 3, DRAWN: 4, PROPOSED: 5, DISPUTED: 6 };
+
+  beforeEach(async function () {
+    [owner, operator, arbiter, player1, player2, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(INITIAL_SUPPLY, "TriX Game Token", "GT", MAX_SUPPLY);
+    await gameToken.waitForDeployment();
+
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+    await playGame.waitForDeployment();
+
+    await playGame.grantRole(await playGame.OPERATOR_ROLE(), operator.address);
+    await playGame.grantRole(await playGame.ARBITER_ROLE(), arbiter.address);
+    await playGame.setDisputeWindow(DISPUTE_WINDOW);
+
+    for (const player of [player1, player2]) {
+      await gameToken.transfer(player.address, ethers.parseEther("1000"));
+      await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+    }
+
+    await playGame.connect(operator).createMatch(MATCH_ID, player1.address, player2.address, STAKE);
+    await playGame.connect(player1).stake(MATCH_ID);
+    await playGame.connect(player2).stake(MATCH_ID);
+  });
+
+  describe("Configuration", function () {
+    it("Should settle immediately when the window is zero", async function () {
+      await playGame.setDisputeWindow(0);
+
+      await expect(playGame.connect(operator).commitResult(MATCH_ID, player1.address))
+        .to.emit(playGame, "Settled")
+        .withArgs(MATCH_ID, player1.address, STAKE * 2n);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STATUS.SETTLED);
+    });
+
+    it("Should emit DisputeWindowUpdated", async function () {
+      await expect(playGame.setDisputeWindow(120))
+        .to.emit(playGame, "DisputeWindowUpdated")
+        .withArgs(DISPUTE_WINDOW, 120);
+    });
+
+    it("Should not allow a window longer than the maximum", async function () {
+      const max = await playGame.MAX_DISPUTE_WINDOW();
+      await expect(playGame.setDisputeWindow(max + 1n))
+        .to.be.revertedWith("PlayGame: dispute window too long");
+    });
+
+    it("Should not allow non-admin to set the window", async function () {
+      await expect(playGame.connect(operator).setDisputeWindow(0))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Without a challenge", function () {
+    it("Should propose the result instead of paying out", async function () {
+      const tx = playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+      await expect(tx).to.emit(playGame, "ResultProposed");
+      await expect(tx).to.not.emit(playGame, "Settled");
+
+      const proposal = await playGame.proposals(MATCH_ID);
+      expect(proposal.winner).to.equal(player1.address);
+      expect(proposal.disputeDeadline).to.equal((await time.latest()) + DISPUTE_WINDOW);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STATUS.PROPOSED);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(STAKE * 2n);
+    });
+
+    it("Should not finalize before the window has passed", async function () {
+      await playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+
+      await expect(playGame.connect(other).finalizeResult(MATCH_ID))
+        .to.be.revertedWith("PlayGame: dispute window still open");
+    });
+
+    it("Should let anyone finalize after the window", async function () {
+      await playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+      await time.increase(DISPUTE_WINDOW);
+
+      const before = await gameToken.balanceOf(player1.address);
+      await expect(playGame.connect(other).finalizeResult(MATCH_ID))
+        .to.emit(playGame, "Settled")
+        .withArgs(MATCH_ID, player1.address, STAKE * 2n);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(before + STAKE * 2n);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STATUS.SETTLED);
+    });
+
+    it("Should finalize a proposed draw by returning stakes", async function () {
+      await playGame.connect(operator).commitDraw(MATCH_ID);
+      await time.increase(DISPUTE_WINDOW);
+
+      await expect(playGame.connect(other).finalizeResult(MATCH_ID))
+        .to.emit(playGame, "Drawn")
+        .withArgs(MATCH_ID, player1.address, player2.address, STAKE);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STATUS.DRAWN);
+    });
+
+    it("Should not allow finalizing twice", async function () {
+      await playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+      await time.increase(DISPUTE_WINDOW);
+      await playGame.finalizeResult(MATCH_ID);
+
+      await expect(playGame.finalizeResult(MATCH_ID))
+        .to.be.revertedWith("PlayGame: no proposed result");
+    });
+
+    it("Should keep the proposal's deadline when the window changes", async function () {
+      await playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+      await playGame.setDisputeWindow(await playGame.MAX_DISPUTE_WINDOW());
+      await time.increase(DISPUTE_WINDOW);
+
+      await expect(playGame.finalizeResult(MATCH_ID)).to.emit(playGame, "Settled");
+    });
+
+    it("Should not allow the operator to overwrite a proposal", async function () {
+      await playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+
+      await expect(playGame.connect(operator).commitResult(MATCH_ID, player2.address))
+        .to.be.revertedWith("PlayGame: match not staked");
+    });
+  });
+
+  describe("With a challenge", function () {
+    const EVIDENCE = ethers.toUtf8Bytes('{"moves":[]}');
+
+    beforeEach(async function () {
+      await playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+    });
+
+    it("Should let a player dispute with evidence", async function () {
+      await expect(playGame.connect(player2).disputeResult(MATCH_ID, EVIDENCE))
+        .to.emit(playGame, "ResultDisputed")
+        .withArgs(MATCH_ID, player2.address, ethers.keccak256(EVIDENCE), EVIDENCE);
+
+      const proposal = await playGame.proposals(MATCH_ID);
+      expect(proposal.disputedBy).to.equal(player2.address);
+      expect(proposal.evidenceHash).to.equal(ethers.keccak256(EVIDENCE));
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STATUS.DISPUTED);
+    });
+
+    it("Should let a player flag the result without evidence", async function () {
+      await expect(playGame.connect(player2).disputeResult(MATCH_ID, "0x"))
+        .to.emit(playGame, "ResultDisputed");
+    });
+
+    it("Should allow disputes while paused", async function () {
+      await playGame.pause();
+
+      await expect(playGame.connect(player2).disputeResult(MATCH_ID, "0x"))
+        .to.emit(playGame, "ResultDisputed");
+    });
+
+    it("Should not let outsiders dispute", async function () {
+      await expect(playGame.connect(other).disputeResult(MATCH_ID, "0x"))
+        .to.be.revertedWith("PlayGame: not a player in this match");
+    });
+
+    it("Should not allow disputes after the window", async function () {
+      await time.increase(DISPUTE_WINDOW);
+
+      await expect(playGame.connect(player2).disputeResult(MATCH_ID, "0x"))
+        .to.be.revertedWith("PlayGame: dispute window closed");
+    });
+
+    it("Should block finalization of a disputed result", async function () {
+      await playGame.connect(player2).disputeResult(MATCH_ID, EVIDENCE);
+      await time.increase(DISPUTE_WINDOW);
+
+      await expect(playGame.finalizeResult(MATCH_ID))
+        .to.be.revertedWith("PlayGame: no proposed result");
+    });
+
+    it("Should let the arbiter overturn the proposed winner", async function () {
+      await playGame.connect(player2).disputeResult(MATCH_ID, EVIDENCE);
+
+      const before = await gameToken.balanceOf(player2.address);
+      await expect(playGame.connect(arbiter).resolveDispute(MATCH_ID, player2.address))
+        .to.emit(playGame, "DisputeResolved")
+        .withArgs(MATCH_ID, arbiter.address, player2.address)
+        .and.to.emit(playGame, "Settled")
+        .withArgs(MATCH_ID, player2.address, STAKE * 2n);
+
+      expect(await gameToken.balanceOf(player2.address)).to.equal(before + STAKE * 2n);
+    });
+
+    it("Should let the arbiter resolve to a draw", async function () {
+      await playGame.connect(player2).disputeResult(MATCH_ID, EVIDENCE);
+
+      await expect(playGame.connect(arbiter).resolveDispute(MATCH_ID, ethers.ZeroAddress))
+        .to.emit(playGame, "Drawn");
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STATUS.DRAWN);
+    });
+
+    it("Should not let the arbiter pick a non-player", async function () {
+      await playGame.connect(player2).disputeResult(MATCH_ID, EVIDENCE);
+
+      await expect(playGame.connect(arbiter).resolveDispute(MATCH_ID, other.address))
+        .to.be.revertedWith("PlayGame: invalid winner");
+    });
+
+    it("Should not let others resolve disputes", async function () {
+      await playGame.connect(player2).disputeResult(MATCH_ID, EVIDENCE);
+
+      await expect(playGame.connect(operator).resolveDispute(MATCH_ID, player1.address))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not resolve a match that isn't disputed", async function () {
+      await expect(playGame.connect(arbiter).resolveDispute(MATCH_ID, player1.address))
+        .to.be.revertedWith("PlayGame: match not disputed");
+    });
+  });
+
+  describe("Without an arbiter", function () {
+    let arbitrationEnds;
+
+    beforeEach(async function () {
+      await playGame.connect(operator).commitResult(MATCH_ID, player1.address);
+      await playGame.connect(player2).disputeResult(MATCH_ID, "0x");
+
+      const { disputeDeadline } = await playGame.proposals(MATCH_ID);
+      arbitrationEnds = disputeDeadline + (await playGame.ARBITRATION_TIMEOUT());
+    });
+
+    it("Should not refund a disputed match while the arbiter has time", async function () {
+      await time.increaseTo(arbitrationEnds - 10n);
+
+      expect(await playGame.canRefund(MATCH_ID)).to.equal(false);
+      await expect(playGame.connect(player2).refund(MATCH_ID))
+        .to.be.revertedWith("PlayGame: refund timeout not reached");
+    });
+
+    it("Should refund both stakes once the arbitration timeout has passed", async function () {
+      await time.increaseTo(arbitrationEnds);
+      expect(await playGame.canRefund(MATCH_ID)).to.equal(true);
+
+      const p1Before = await gameToken.balanceOf(player1.address);
+      const p2Before = await gameToken.balanceOf(player2.address);
+      await expect(playGame.connect(player2).refund(MATCH_ID))
+        .to.emit(playGame, "Refunded")
+        .withArgs(MATCH_ID, player1.address, STAKE);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(p1Before + STAKE);
+      expect(await gameToken.balanceOf(player2.address)).to.equal(p2Before + STAKE);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(STATUS.REFUNDED);
+      expect(await playGame.totalEscrowed()).to.equal(0);
+    });
+
+    it("Should let a late arbiter resolve until someone refunds", async function () {
+      await time.increaseTo(arbitrationEnds);
+
+      await expect(playGame.connect(arbiter).resolveDispute(MATCH_ID, player2.address))
+        .to.emit(playGame, "Settled");
+      await expect(playGame.refund(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not eligible for refund");
+    });
+  });
+});
@@ -0,0 +1,390 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("PlayGame escrow", function () {
+  let gameToken;
+  let playGame;
+  let owner;
+  let operator;
+  let player1;
+  let player2;
+  let other;
+
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const MAX_SUPPLY = ethers.parseEther("100000000");
+  const STAKE = ethers.parseEther("100");
+  const MATCH_ID = ethers.id("escrow-match-1");
+
+  beforeEach(async function () {
+    [owner, operator, player1, player2, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(INITIAL_SUPPLY, "TriX Game Token", "GT", MAX_SUPPLY);
+    await gameToken.waitForDeployment();
+
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+    await playGame.waitForDeployment();
+
+    await playGame.grantRole(await playGame.OPERATOR_ROLE(), operator.address);
+
+    for (const player of [player1, player2]) {
+      await gameToken.transfer(player.address, ethers.parseEther("1000"));
+      await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+    }
+
+    await playGame.connect(operator).createMatch(MATCH_ID, player1.address, player2.address, STAKE);
+  });
+
+  describe("Draw settlement", function () {
+    beforeEach(async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+    });
+
+    it("Should return each player's stake", async function () {
+      const p1Before = await gameToken.balanceOf(player1.address);
+      const p2Before = await gameToken.balanceOf(player2.address);
+
+      await playGame.connect(operator).commitDraw(MATCH_ID);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(p1Before + STAKE);
+      expect(await gameToken.balanceOf(player2.address)).to.equal(p2Before + STAKE);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(0);
+    });
+
+    it("Should mark the match as drawn and emit Drawn", async function () {
+      await expect(playGame.connect(operator).commitDraw(MATCH_ID))
+        .to.emit(playGame, "Drawn")
+        .withArgs(MATCH_ID, player1.address, player2.address, STAKE);
+
+      const match = await playGame.getMatch(MATCH_ID);
+      expect(match.status).to.equal(4); // DRAWN
+    });
+
+    it("Should count returned stakes as payouts", async function () {
+      await playGame.connect(operator).commitDraw(MATCH_ID);
+
+      const [, totalStaked, totalPayouts] = await playGame.getStats();
+      expect(totalPayouts).to.equal(totalStaked);
+    });
+
+    it("Should not allow non-operator to commit a draw", async function () {
+      await expect(playGame.connect(other).commitDraw(MATCH_ID))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not allow a draw after the match is settled", async function () {
+      await playGame.connect(operator).commitDraw(MATCH_ID);
+
+      await expect(playGame.connect(operator).commitDraw(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not staked");
+      await expect(playGame.connect(operator).commitResult(MATCH_ID, player1.address))
+        .to.be.revertedWith("PlayGame: match not staked");
+    });
+  });
+
+  describe("Platform fee", function () {
+    const FEE_BPS = 500; // 5%
+
+    it("Should default to no fee with the deployer as treasury", async function () {
+      expect(await playGame.platformFeePercentage()).to.equal(0);
+      expect(await playGame.treasury()).to.equal(owner.address);
+    });
+
+    it("Should let admin update the fee", async function () {
+      await expect(playGame.updatePlatformFee(FEE_BPS))
+        .to.emit(playGame, "PlatformFeeUpdated")
+        .withArgs(0, FEE_BPS);
+      expect(await playGame.platformFeePercentage()).to.equal(FEE_BPS);
+    });
+
+    it("Should not allow a fee above the cap", async function () {
+      await expect(playGame.updatePlatformFee(1001))
+        .to.be.revertedWith("PlayGame: fee cannot exceed 10%");
+    });
+
+    it("Should not allow non-admin to change fee or treasury", async function () {
+      await expect(playGame.connect(operator).updatePlatformFee(FEE_BPS))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+      await expect(playGame.connect(operator).setTreasury(other.address))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let admin set the treasury", async function () {
+      await expect(playGame.setTreasury(other.address))
+        .to.emit(playGame, "TreasuryUpdated")
+        .withArgs(owner.address, other.address);
+      await expect(playGame.setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWith("PlayGame: invalid treasury address");
+    });
+
+    it("Should send the fee to the treasury and the rest to the winner", async function () {
+      const feeMatchId = ethers.id("escrow-fee-match");
+      await playGame.updatePlatformFee(FEE_BPS);
+      await playGame.setTreasury(other.address);
+      await playGame.connect(operator).createMatch(feeMatchId, player1.address, player2.address, STAKE);
+      await playGame.connect(player1).stake(feeMatchId);
+      await playGame.connect(player2).stake(feeMatchId);
+
+      const fee = (STAKE * 2n * BigInt(FEE_BPS)) / 10000n;
+      const before = await gameToken.balanceOf(player1.address);
+
+      await expect(playGame.connect(operator).commitResult(feeMatchId, player1.address))
+        .to.emit(playGame, "PlatformFeeCollected")
+        .withArgs(feeMatchId, other.address, fee)
+        .and.to.emit(playGame, "Settled")
+        .withArgs(feeMatchId, player1.address, STAKE * 2n - fee);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(before + STAKE * 2n - fee);
+      expect(await gameToken.balanceOf(other.address)).to.equal(fee);
+
+      const [, , totalPayouts, platformFee, totalFeesCollected] = await playGame.getStats();
+      expect(totalPayouts).to.equal(STAKE * 2n - fee);
+      expect(platformFee).to.equal(FEE_BPS);
+      expect(totalFeesCollected).to.equal(fee);
+    });
+
+    it("Should use the fee in effect when the match was created", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+      await playGame.updatePlatformFee(FEE_BPS);
+
+      expect((await playGame.getMatch(MATCH_ID)).feeBps).to.equal(0);
+      await expect(playGame.connect(operator).commitResult(MATCH_ID, player1.address))
+        .to.emit(playGame, "Settled")
+        .withArgs(MATCH_ID, player1.address, STAKE * 2n)
+        .and.not.to.emit(playGame, "PlatformFeeCollected");
+    });
+
+    it("Should not take a fee from drawn matches", async function () {
+      const drawMatchId = ethers.id("escrow-fee-draw");
+      await playGame.updatePlatformFee(FEE_BPS);
+      await playGame.connect(operator).createMatch(drawMatchId, player1.address, player2.address, STAKE);
+      await playGame.connect(player1).stake(drawMatchId);
+      await playGame.connect(player2).stake(drawMatchId);
+
+      await expect(playGame.connect(operator).commitDraw(drawMatchId))
+        .to.emit(playGame, "Drawn")
+        .withArgs(drawMatchId, player1.address, player2.address, STAKE)
+        .and.not.to.emit(playGame, "PlatformFeeCollected");
+    });
+  });
+
+  describe("Match index", function () {
+    const OTHER_MATCH_ID = ethers.id("escrow-match-2");
+    const THIRD_MATCH_ID = ethers.id("escrow-match-3");
+
+    beforeEach(async function () {
+      await playGame.connect(operator).createMatch(OTHER_MATCH_ID, player1.address, other.address, STAKE);
+      await playGame.connect(operator).createMatch(THIRD_MATCH_ID, player2.address, other.address, STAKE);
+    });
+
+    it("Should list a player's matches in creation order", async function () {
+      expect(await playGame.getPlayerMatchCount(player1.address)).to.equal(2);
+      expect(await playGame.getPlayerMatches(player1.address, 0, 10))
+        .to.deep.equal([MATCH_ID, OTHER_MATCH_ID]);
+      expect(await playGame.getPlayerMatches(other.address, 0, 10))
+        .to.deep.equal([OTHER_MATCH_ID, THIRD_MATCH_ID]);
+    });
+
+    it("Should paginate a player's matches", async function () {
+      expect(await playGame.getPlayerMatches(player1.address, 1, 10)).to.deep.equal([OTHER_MATCH_ID]);
+      expect(await playGame.getPlayerMatches(player1.address, 0, 1)).to.deep.equal([MATCH_ID]);
+      expect(await playGame.getPlayerMatches(player1.address, 2, 10)).to.deep.equal([]);
+      expect(await playGame.getPlayerMatches(player1.address, 1, ethers.MaxUint256))
+        .to.deep.equal([OTHER_MATCH_ID]);
+    });
+
+    it("Should list matches waiting for stakes", async function () {
+      expect(await playGame.getPendingMatchCount()).to.equal(3);
+      expect([...(await playGame.getPendingMatches(0, 10))])
+        .to.have.members([MATCH_ID, OTHER_MATCH_ID, THIRD_MATCH_ID]);
+    });
+
+    it("Should keep a half-staked match pending", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+
+      expect(await playGame.getPendingMatches(0, 10)).to.include(MATCH_ID);
+    });
+
+    it("Should drop a match from pending once both players stake", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+
+      expect(await playGame.getPendingMatchCount()).to.equal(2);
+      expect([...(await playGame.getPendingMatches(0, 10))])
+        .to.have.members([OTHER_MATCH_ID, THIRD_MATCH_ID]);
+      expect(await playGame.getPendingMatches(1, 1)).to.have.lengthOf(1);
+    });
+
+    it("Should empty the pending list as matches fill up", async function () {
+      await gameToken.transfer(other.address, ethers.parseEther("1000"));
+      await gameToken.connect(other).approve(await playGame.getAddress(), ethers.MaxUint256);
+
+      await playGame.connect(player2).stake(THIRD_MATCH_ID);
+      await playGame.connect(other).stake(THIRD_MATCH_ID);
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+      await playGame.connect(player1).stake(OTHER_MATCH_ID);
+      await playGame.connect(other).stake(OTHER_MATCH_ID);
+
+      expect(await playGame.getPendingMatchCount()).to.equal(0);
+      expect(await playGame.getPendingMatches(0, 10)).to.deep.equal([]);
+    });
+  });
+
+  describe("Cancellation", function () {
+    const CANCELLED = 7;
+
+    it("Should set a stake deadline on creation", async function () {
+      const match = await playGame.getMatch(MATCH_ID);
+      const timeout = await playGame.STAKE_TIMEOUT();
+      expect(match.stakeDeadline).to.equal(BigInt(await time.latest()) + timeout);
+    });
+
+    it("Should refund player 1 when player 2 never stakes", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      const before = await gameToken.balanceOf(player1.address);
+
+      await expect(playGame.connect(player1).cancelMatch(MATCH_ID))
+        .to.emit(playGame, "MatchCancelled")
+        .withArgs(MATCH_ID, player1.address)
+        .and.to.emit(playGame, "Refunded")
+        .withArgs(MATCH_ID, player1.address, STAKE);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(before + STAKE);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(CANCELLED);
+      const [, totalStaked] = await playGame.getStats();
+      expect(totalStaked).to.equal(0);
+    });
+
+    it("Should let either player cancel before anyone stakes", async function () {
+      await expect(playGame.connect(player2).cancelMatch(MATCH_ID))
+        .to.emit(playGame, "MatchCancelled")
+        .and.not.to.emit(playGame, "Refunded");
+    });
+
+    it("Should not let outsiders cancel before the deadline", async function () {
+      await expect(playGame.connect(other).cancelMatch(MATCH_ID))
+        .to.be.revertedWith("PlayGame: stake deadline not reached");
+    });
+
+    it("Should let anyone cancel after the deadline", async function () {
+      await playGame.connect(player2).stake(MATCH_ID);
+      await time.increase(await playGame.STAKE_TIMEOUT());
+
+      const before = await gameToken.balanceOf(player2.address);
+      await expect(playGame.connect(other).cancelMatch(MATCH_ID))
+        .to.emit(playGame, "MatchCancelled")
+        .withArgs(MATCH_ID, other.address);
+      expect(await gameToken.balanceOf(player2.address)).to.equal(before + STAKE);
+    });
+
+    it("Should not accept stakes after the deadline", async function () {
+      await time.increase(await playGame.STAKE_TIMEOUT());
+
+      await expect(playGame.connect(player1).stake(MATCH_ID))
+        .to.be.revertedWith("PlayGame: stake deadline passed");
+    });
+
+    it("Should drop a cancelled match from the pending index", async function () {
+      await playGame.connect(player1).cancelMatch(MATCH_ID);
+
+      expect(await playGame.getPendingMatchCount()).to.equal(0);
+    });
+
+    it("Should not cancel a fully staked match", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+
+      await expect(playGame.connect(player1).cancelMatch(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not cancellable");
+    });
+
+    it("Should not cancel twice or stake into a cancelled match", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player1).cancelMatch(MATCH_ID);
+
+      await expect(playGame.connect(player1).cancelMatch(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not cancellable");
+      await expect(playGame.connect(player2).stake(MATCH_ID))
+        .to.be.revertedWith("PlayGame: match not available for staking");
+    });
+  });
+
+  describe("Pre-stakes", function () {
+    const DEPOSIT = ethers.parseEther("250");
+
+    beforeEach(async function () {
+      await playGame.connect(player1).depositPreStake(DEPOSIT);
+    });
+
+    it("Should escrow a deposit to the player", async function () {
+      const [preStake, matchStake] = await playGame.getEscrow(player1.address);
+      expect(preStake).to.equal(DEPOSIT);
+      expect(matchStake).to.equal(0);
+      expect(await playGame.totalEscrowed()).to.equal(DEPOSIT);
+    });
+
+    it("Should stake from the pre-stake before the wallet", async function () {
+      const walletBefore = await gameToken.balanceOf(player1.address);
+      await playGame.connect(player1).stake(MATCH_ID);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(walletBefore);
+      const [preStake, matchStake] = await playGame.getEscrow(player1.address);
+      expect(preStake).to.equal(DEPOSIT - STAKE);
+      expect(matchStake).to.equal(STAKE);
+      expect(await playGame.totalEscrowed()).to.equal(DEPOSIT);
+    });
+
+    it("Should only refund what the player deposited", async function () {
+      await expect(playGame.connect(operator).refundPreStake(player1.address, DEPOSIT))
+        .to.emit(playGame, "Refunded")
+        .withArgs(ethers.ZeroHash, player1.address, DEPOSIT);
+
+      await expect(playGame.connect(operator).refundPreStake(player1.address, 1))
+        .to.be.revertedWith("PlayGame: amount exceeds pre-stake");
+      await expect(playGame.connect(operator).refundPreStake(player2.address, 1))
+        .to.be.revertedWith("PlayGame: amount exceeds pre-stake");
+    });
+
+    it("Should not refund a pre-stake that is locked in a match", async function () {
+      await playGame.connect(player1).stake(MATCH_ID);
+
+      await expect(playGame.connect(operator).refundPreStake(player1.address, DEPOSIT))
+        .to.be.revertedWith("PlayGame: amount exceeds pre-stake");
+    });
+
+    it("Should let the player withdraw their own pre-stake", async function () {
+      const before = await gameToken.balanceOf(player1.address);
+      await playGame.connect(player1).withdrawPreStake(DEPOSIT);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(before + DEPOSIT);
+      expect(await playGame.totalEscrowed()).to.equal(0);
+    });
+
+    it("Should not let others refund pre-stakes", async function () {
+      await expect(playGame.connect(other).refundPreStake(player1.address, DEPOSIT))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only let the admin withdraw GT that isn't escrowed", async function () {
+      const surplus = ethers.parseEther("5");
+      await gameToken.transfer(await playGame.getAddress(), surplus);
+
+      await expect(playGame.emergencyWithdrawGT(owner.address, surplus + 1n))
+        .to.be.revertedWith("PlayGame: amount exceeds unescrowed balance");
+      await playGame.emergencyWithdrawGT(owner.address, surplus);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(DEPOSIT);
+    });
+  });
+
+  it("Should not allow a draw before both players stake", async function () {
+    await playGame.connect(player1).stake(MATCH_ID);
+
+    await expect(playGame.connect(operator).commitDraw(MATCH_ID))
+      .to.be.revertedWith("PlayGame: match not staked");
+  });
+});
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("PlayGame game types", function () {
+  let gameToken;
+  let playGame;
+  let owner;
+  let operator;
+  let player1;
+  let player2;
+
+  const STAKE = ethers.parseEther("100");
+  const HOUR = 60 * 60;
+  const CONNECT4 = 1;
+
+  let matchCount = 0;
+
+  // Create a match of the given game type under a fresh ID
+  async function createMatch(gameType, stake = STAKE) {
+    const matchId = ethers.id(`game-type-match-${++matchCount}`);
+    await playGame.connect(operator)["createMatch(bytes32,address,address,uint256,uint256)"](
+      matchId, player1.address, player2.address, stake, gameType
+    );
+    return matchId;
+  }
+
+  beforeEach(async function () {
+    [owner, operator, player1, player2] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(ethers.parseEther("1000000"), "TriX Game Token", "GT", ethers.parseEther("100000000"));
+    await gameToken.waitForDeployment();
+
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+    await playGame.grantRole(await playGame.OPERATOR_ROLE(), operator.address);
+
+    for (const player of [player1, player2]) {
+      await gameToken.transfer(player.address, ethers.parseEther("1000"));
+      await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+    }
+
+    await playGame.registerGameType("connect4", ethers.parseEther("10"), ethers.parseEther("500"), 2 * HOUR);
+  });
+
+  describe("Registry", function () {
+    it("Should register tic-tac-toe as type 0 on initialize", async function () {
+      const game = await playGame.getGameType(0);
+      expect(game.name).to.equal("tictactoe");
+      expect(game.minStake).to.equal(1);
+      expect(game.maxStake).to.equal(0);
+      expect(game.timeout).to.equal(await playGame.TIMEOUT_DURATION());
+      expect(game.active).to.equal(true);
+    });
+
+    it("Should number new game types in order and emit GameTypeRegistered", async function () {
+      expect(await playGame.gameTypeCount()).to.equal(2);
+
+      await expect(playGame.registerGameType("checkers", ethers.parseEther("1"), 0, HOUR))
+        .to.emit(playGame, "GameTypeRegistered")
+        .withArgs(2, "checkers", ethers.parseEther("1"), 0, HOUR);
+      expect((await playGame.getGameType(2)).name).to.equal("checkers");
+    });
+
+    it("Should validate game type settings", async function () {
+      await expect(playGame.registerGameType("", 1, 0, HOUR))
+        .to.be.revertedWith("PlayGame: game type name required");
+      await expect(playGame.registerGameType("chess", 0, 0, HOUR))
+        .to.be.revertedWith("PlayGame: min stake must be greater than 0");
+      await expect(playGame.registerGameType("chess", 10, 5, HOUR))
+        .to.be.revertedWith("PlayGame: max stake below min stake");
+      await expect(playGame.registerGameType("chess", 1, 0, 0))
+        .to.be.revertedWith("PlayGame: timeout must be greater than 0");
+      await expect(playGame.updateGameType(5, 1, 0, HOUR, true))
+        .to.be.revertedWith("PlayGame: unknown game type");
+    });
+
+    it("Should only let the admin register and update game types", async function () {
+      await expect(playGame.connect(operator).registerGameType("chess", 1, 0, HOUR))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+      await expect(playGame.connect(operator).updateGameType(CONNECT4, 1, 0, HOUR, false))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Creating matches", function () {
+    it("Should record the game type of each match", async function () {
+      const matchId = await createMatch(CONNECT4);
+
+      expect(await playGame.matchGameType(matchId)).to.equal(CONNECT4);
+    });
+
+    it("Should emit MatchCreated and MatchGameType", async function () {
+      const matchId = ethers.id("game-type-events");
+
+      await expect(playGame.connect(operator)["createMatch(bytes32,address,address,uint256,uint256)"](
+        matchId, player1.address, player2.address, STAKE, CONNECT4
+      ))
+        .to.emit(playGame, "MatchCreated")
+        .withArgs(matchId, player1.address, player2.address, STAKE)
+        .and.to.emit(playGame, "MatchGameType")
+        .withArgs(matchId, CONNECT4);
+    });
+
+    it("Should create tic-tac-toe matches without a game type", async function () {
+      const matchId = ethers.id("default-game-type");
+      await playGame.connect(operator)["createMatch(bytes32,address,address,uint256)"](
+        matchId, player1.address, player2.address, STAKE
+      );
+
+      expect(await playGame.matchGameType(matchId)).to.equal(0);
+    });
+
+    it("Should enforce the game's stake bounds", async function () {
+      await expect(createMatch(CONNECT4, ethers.parseEther("9")))
+        .to.be.revertedWith("PlayGame: stake below game minimum");
+      await expect(createMatch(CONNECT4, ethers.parseEther("501")))
+        .to.be.revertedWith("PlayGame: stake above game maximum");
+
+      await createMatch(CONNECT4, ethers.parseEther("10"));
+      await createMatch(CONNECT4, ethers.parseEther("500"));
+    });
+
+    it("Should reject unknown and deactivated game types", async function () {
+      await expect(createMatch(7)).to.be.revertedWith("PlayGame: game type not active");
+
+      await expect(playGame.updateGameType(CONNECT4, ethers.parseEther("10"), 0, HOUR, false))
+        .to.emit(playGame, "GameTypeUpdated")
+        .withArgs(CONNECT4, ethers.parseEther("10"), 0, HOUR, false);
+      await expect(createMatch(CONNECT4)).to.be.revertedWith("PlayGame: game type not active");
+    });
+
+    it("Should let matches already created play out after a game type is deactivated", async function () {
+      const matchId = await createMatch(CONNECT4);
+      await playGame.updateGameType(CONNECT4, ethers.parseEther("10"), 0, HOUR, false);
+
+      await playGame.connect(player1).stake(matchId);
+      await playGame.connect(player2).stake(matchId);
+      await expect(playGame.connect(operator).commitResult(matchId, player1.address))
+        .to.emit(playGame, "Settled");
+    });
+  });
+
+  describe("Timeouts", function () {
+    it("Should refund after the game type's timeout", async function () {
+      const matchId = await createMatch(CONNECT4);
+      await playGame.connect(player1).stake(matchId);
+      await playGame.connect(player2).stake(matchId);
+
+      await time.increase(2 * HOUR - 10);
+      expect(await playGame.canRefund(matchId)).to.equal(false);
+      await expect(playGame.refund(matchId)).to.be.revertedWith("PlayGame: refund timeout not reached");
+
+      await time.increase(10);
+      expect(await playGame.canRefund(matchId)).to.equal(true);
+      await expect(playGame.refund(matchId)).to.emit(playGame, "Refunded");
+    });
+
+    it("Should keep the 24 hour timeout for tic-tac-toe", async function () {
+      const matchId = await createMatch(0);
+      await playGame.connect(player1).stake(matchId);
+      await playGame.connect(player2).stake(matchId);
+
+      await time.increase(2 * HOUR);
+      expect(await playGame.canRefund(matchId)).to.equal(false);
+
+      await time.increase(22 * HOUR);
+      expect(await playGame.canRefund(matchId)).to.equal(true);
+    });
+
+    it("Should apply an updated timeout to running matches", async function () {
+      const matchId = await createMatch(CONNECT4);
+      await playGame.connect(player1).stake(matchId);
+      await playGame.connect(player2).stake(matchId);
+
+      await playGame.updateGameType(CONNECT4, ethers.parseEther("10"), 0, HOUR, true);
+      await time.increase(HOUR);
+      expect(await playGame.canRefund(matchId)).to.equal(true);
+    });
+  });
+
+  describe("Per-game stats", function () {
+    it("Should count matches and staked volume per game type", async function () {
+      const connect4Match = await createMatch(CONNECT4);
+      await createMatch(CONNECT4);
+      const tictactoeMatch = await createMatch(0, ethers.parseEther("5"));
+
+      await playGame.connect(player1).stake(connect4Match);
+      await playGame.connect(player2).stake(connect4Match);
+      await playGame.connect(player1).stake(tictactoeMatch);
+
+      const connect4 = await playGame.gameTypeStats(CONNECT4);
+      expect(connect4.matches).to.equal(2);
+      expect(connect4.volume).to.equal(STAKE * 2n);
+
+      const tictactoe = await playGame.gameTypeStats(0);
+      expect(tictactoe.matches).to.equal(1);
+      expect(tictactoe.volume).to.equal(ethers.parseEther("5"));
+
+      expect((await playGame.getStats())[0]).to.equal(3);
+    });
+  });
+});
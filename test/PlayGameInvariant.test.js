@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+// Random stake/settle/refund sequences, checking after every step that the
+// contract holds exactly the GT escrowed to players.
+describe("PlayGame escrow invariant", function () {
+  let gameToken;
+  let playGame;
+  let operator;
+  let treasury;
+  let players;
+
+  const SEEDS = [1, 7, 42];
+  const STEPS = 80;
+  const STAKES = [ethers.parseEther("10"), ethers.parseEther("25"), ethers.parseEther("100")];
+
+  // Small deterministic PRNG so a failing seed can be replayed
+  function createRandom(seed) {
+    let state = seed;
+    return (max) => {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return Math.floor(state / 65536) % max;
+    };
+  }
+
+  async function attempt(promise) {
+    try {
+      await (await promise).wait();
+    } catch (error) {
+      if (!error.message.includes("PlayGame:")) throw error;
+    }
+  }
+
+  async function expectFullyEscrowed() {
+    let sum = 0n;
+    for (const player of players) {
+      const [preStake, matchStake] = await playGame.getEscrow(player.address);
+      sum += preStake + matchStake;
+    }
+
+    const totalEscrowed = await playGame.totalEscrowed();
+    expect(totalEscrowed).to.equal(sum);
+    expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(totalEscrowed);
+  }
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [, operator, treasury] = signers;
+    players = signers.slice(3, 7);
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(ethers.parseEther("1000000"), "TriX Game Token", "GT", ethers.parseEther("100000000"));
+    await gameToken.waitForDeployment();
+
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+    await playGame.waitForDeployment();
+
+    await playGame.grantRole(await playGame.OPERATOR_ROLE(), operator.address);
+    await playGame.setTreasury(treasury.address);
+    await playGame.updatePlatformFee(250);
+
+    for (const player of players) {
+      await gameToken.transfer(player.address, ethers.parseEther("10000"));
+      await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  for (const seed of SEEDS) {
+    it(`Should keep the GT balance equal to escrow (seed ${seed})`, async function () {
+      const random = createRandom(seed);
+      const pick = (list) => list[random(list.length)];
+      const matchIds = [];
+
+      for (let step = 0; step < STEPS; step++) {
+        const player = pick(players);
+        // Favour recent matches so most get staked and settled
+        const matchId = matchIds.length > 0 ? pick(matchIds.slice(-3)) : ethers.ZeroHash;
+
+        switch (random(12)) {
+          case 0:
+            await attempt(playGame.connect(player).depositPreStake(pick(STAKES)));
+            break;
+          case 1:
+            await attempt(playGame.connect(player).withdrawPreStake(pick(STAKES)));
+            break;
+          case 2:
+            await attempt(playGame.connect(operator).refundPreStake(player.address, pick(STAKES)));
+            break;
+          case 3: {
+            const opponent = pick(players.filter((p) => p !== player));
+            const id = ethers.id(`invariant-${seed}-${step}`);
+            await attempt(
+              playGame.connect(operator).createMatch(id, player.address, opponent.address, pick(STAKES))
+            );
+            matchIds.push(id);
+            break;
+          }
+          case 4:
+          case 10:
+          case 11: {
+            const match = await playGame.getMatch(matchId);
+            const stakerAddress = match.p1Staked ? match.p2 : match.p1;
+            const staker = players.find((p) => p.address === stakerAddress) || player;
+            await attempt(playGame.connect(staker).stake(matchId));
+            break;
+          }
+          case 5: {
+            const match = await playGame.getMatch(matchId);
+            await attempt(playGame.connect(operator).commitResult(matchId, random(2) === 0 ? match.p1 : match.p2));
+            break;
+          }
+          case 6:
+            await attempt(playGame.connect(operator).commitDraw(matchId));
+            break;
+          case 7:
+            await attempt(playGame.connect(player).cancelMatch(matchId));
+            break;
+          case 8:
+            await attempt(playGame.connect(player).refund(matchId));
+            break;
+          case 9:
+            // Mostly short waits, sometimes long enough to expire stakes and matches
+            await time.increase(random(4) === 0 ? await playGame.TIMEOUT_DURATION() : 15 * 60);
+            break;
+        }
+
+        await expectFullyEscrowed();
+      }
+    });
+  }
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("Staking with permit", function () {
+  let gameToken;
+  let playGame;
+  let operator;
+  let player1;
+  let player2;
+  let other;
+
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const MAX_SUPPLY = ethers.parseEther("100000000");
+  const STAKE = ethers.parseEther("100");
+  const MATCH_ID = ethers.id("permit-match-1");
+
+  const PERMIT_TYPES = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  async function signPermit(signer, spender, value, deadline) {
+    const domain = {
+      name: await gameToken.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await gameToken.getAddress(),
+    };
+    const permit = {
+      owner: signer.address,
+      spender,
+      value,
+      nonce: await gameToken.nonces(signer.address),
+      deadline,
+    };
+    return ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, permit));
+  }
+
+  beforeEach(async function () {
+    [, operator, player1, player2, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(INITIAL_SUPPLY, "TriX Game Token", "GT", MAX_SUPPLY);
+    await gameToken.waitForDeployment();
+
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+    await playGame.waitForDeployment();
+
+    await playGame.grantRole(await playGame.OPERATOR_ROLE(), operator.address);
+
+    for (const player of [player1, player2]) {
+      await gameToken.transfer(player.address, ethers.parseEther("1000"));
+    }
+
+    await playGame.connect(operator).createMatch(MATCH_ID, player1.address, player2.address, STAKE);
+  });
+
+  describe("GameToken permit", function () {
+    it("Should set an allowance from a signature", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, other.address, STAKE, deadline);
+
+      await gameToken.connect(other).permit(player1.address, other.address, STAKE, deadline, v, r, s);
+
+      expect(await gameToken.allowance(player1.address, other.address)).to.equal(STAKE);
+      expect(await gameToken.nonces(player1.address)).to.equal(1);
+    });
+
+    it("Should reject an expired permit", async function () {
+      const deadline = (await time.latest()) - 1;
+      const { v, r, s } = await signPermit(player1, other.address, STAKE, deadline);
+
+      await expect(gameToken.permit(player1.address, other.address, STAKE, deadline, v, r, s))
+        .to.be.revertedWith("GameToken: permit expired");
+    });
+
+    it("Should reject a permit signed by someone else", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(other, other.address, STAKE, deadline);
+
+      await expect(gameToken.permit(player1.address, other.address, STAKE, deadline, v, r, s))
+        .to.be.revertedWith("GameToken: invalid permit signature");
+    });
+
+    it("Should not accept the same permit twice", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, other.address, STAKE, deadline);
+      await gameToken.permit(player1.address, other.address, STAKE, deadline, v, r, s);
+
+      await expect(gameToken.permit(player1.address, other.address, STAKE, deadline, v, r, s))
+        .to.be.revertedWith("GameToken: invalid permit signature");
+    });
+  });
+
+  describe("stakeWithPermit", function () {
+    it("Should stake in one transaction without a prior approve", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, await playGame.getAddress(), STAKE, deadline);
+
+      await expect(playGame.connect(player1).stakeWithPermit(MATCH_ID, deadline, v, r, s))
+        .to.emit(playGame, "Staked")
+        .withArgs(MATCH_ID, player1.address, STAKE);
+
+      expect((await playGame.getMatch(MATCH_ID)).p1Staked).to.equal(true);
+      expect(await gameToken.allowance(player1.address, await playGame.getAddress())).to.equal(0);
+    });
+
+    it("Should activate the match once both players stake with permits", async function () {
+      const deadline = (await time.latest()) + 3600;
+      for (const player of [player1, player2]) {
+        const { v, r, s } = await signPermit(player, await playGame.getAddress(), STAKE, deadline);
+        await playGame.connect(player).stakeWithPermit(MATCH_ID, deadline, v, r, s);
+      }
+
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(1); // STAKED
+    });
+
+    it("Should still stake when the permit was already used", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, await playGame.getAddress(), STAKE, deadline);
+      await gameToken.connect(other).permit(player1.address, await playGame.getAddress(), STAKE, deadline, v, r, s);
+
+      await expect(playGame.connect(player1).stakeWithPermit(MATCH_ID, deadline, v, r, s))
+        .to.emit(playGame, "Staked");
+    });
+
+    it("Should fail without a valid permit or allowance", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, await playGame.getAddress(), STAKE - 1n, deadline);
+
+      await expect(playGame.connect(player1).stakeWithPermit(MATCH_ID, deadline, v, r, s))
+        .to.be.revertedWith("PlayGame: insufficient GT allowance");
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+const {
+  FORWARD_REQUEST_TYPES,
+  buildForwarderDomain,
+  createRateLimiter,
+  createRelayer,
+} = require("../api/relay");
+
+describe("Meta-transaction relaying", function () {
+  let gameToken;
+  let mockUsdt;
+  let tokenStore;
+  let playGame;
+  let forwarder;
+  let relayerWallet;
+  let player1;
+  let player2;
+  let other;
+  let relayer;
+
+  const STAKE = ethers.parseEther("100");
+  const MATCH_ID = ethers.id("relay-match-1");
+  const GAS = 300000n;
+
+  async function signRequest(signer, target, data, overrides = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = buildForwarderDomain(chainId, await forwarder.getAddress());
+    const request = {
+      from: signer.address,
+      to: await target.getAddress(),
+      value: 0n,
+      gas: GAS,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: BigInt((await time.latest()) + 3600),
+      data,
+      ...overrides,
+    };
+    const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+    return { request, signature };
+  }
+
+  async function relay(request, signature) {
+    const validation = await relayer.validate(request, signature);
+    if (!validation.valid) return validation;
+    await (await relayer.submit(validation.request, signature)).wait();
+    return validation;
+  }
+
+  beforeEach(async function () {
+    [, relayerWallet, player1, player2, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(ethers.parseEther("1000000"), "TriX Game Token", "GT", ethers.parseEther("100000000"));
+    await gameToken.waitForDeployment();
+
+    const MockUSDT = await ethers.getContractFactory("MockUSDT");
+    mockUsdt = await MockUSDT.deploy(ethers.parseUnits("1000000", 6));
+    await mockUsdt.waitForDeployment();
+
+    tokenStore = await deployProxy("TokenStore", [await mockUsdt.getAddress(), await gameToken.getAddress(), ethers.parseEther("1")]);
+    await tokenStore.waitForDeployment();
+    await gameToken.grantRole(await gameToken.MINTER_ROLE(), await tokenStore.getAddress());
+
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+    await playGame.waitForDeployment();
+
+    const GameForwarder = await ethers.getContractFactory("GameForwarder");
+    forwarder = await GameForwarder.deploy();
+    await forwarder.waitForDeployment();
+
+    await playGame.setTrustedForwarder(await forwarder.getAddress());
+    await tokenStore.setTrustedForwarder(await forwarder.getAddress());
+
+    for (const player of [player1, player2]) {
+      await gameToken.transfer(player.address, ethers.parseEther("1000"));
+      await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+    }
+    await playGame.createMatch(MATCH_ID, player1.address, player2.address, STAKE);
+
+    relayer = createRelayer({
+      forwarder: forwarder.connect(relayerWallet),
+      targets: {
+        [await playGame.getAddress()]: playGame.interface,
+        [await tokenStore.getAddress()]: tokenStore.interface,
+      },
+      rateLimit: { max: 2, windowMs: 60 * 1000 },
+    });
+  });
+
+  describe("GameForwarder", function () {
+    it("Should stake on behalf of the signer", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+
+      await expect(forwarder.connect(relayerWallet).execute(request, signature))
+        .to.emit(playGame, "Staked")
+        .withArgs(MATCH_ID, player1.address, STAKE);
+      expect(await forwarder.nonces(player1.address)).to.equal(1);
+    });
+
+    it("Should reject a request signed by someone else", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(other, playGame, data, { from: player1.address });
+
+      expect(await forwarder.verify(request, signature)).to.equal(false);
+      await expect(forwarder.execute(request, signature))
+        .to.be.revertedWith("GameForwarder: invalid signature");
+    });
+
+    it("Should not replay a request", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+      await forwarder.execute(request, signature);
+
+      await expect(forwarder.execute(request, signature))
+        .to.be.revertedWithCustomError(forwarder, "InvalidAccountNonce");
+    });
+
+    it("Should bubble up the target's revert reason", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(other, playGame, data);
+
+      await expect(forwarder.execute(request, signature))
+        .to.be.revertedWith("PlayGame: not a participant");
+    });
+
+    it("Should not be trusted once the admin removes it", async function () {
+      await playGame.setTrustedForwarder(ethers.ZeroAddress);
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+
+      // Without ERC-2771 trust the forwarder itself is the caller
+      await expect(forwarder.execute(request, signature))
+        .to.be.revertedWith("PlayGame: not a participant");
+    });
+  });
+
+  describe("API relayer", function () {
+    it("Should relay a stake without the player spending ETH", async function () {
+      const ethBefore = await ethers.provider.getBalance(player1.address);
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+
+      const result = await relay(request, signature);
+
+      expect(result.functionName).to.equal("stake");
+      expect((await playGame.getMatch(MATCH_ID)).p1Staked).to.equal(true);
+      expect(await ethers.provider.getBalance(player1.address)).to.equal(ethBefore);
+    });
+
+    it("Should relay a purchase", async function () {
+      const usdtAmount = ethers.parseUnits("10", 6);
+      await mockUsdt.transfer(player2.address, usdtAmount);
+      await mockUsdt.connect(player2).approve(await tokenStore.getAddress(), usdtAmount);
+      const gtBefore = await gameToken.balanceOf(player2.address);
+
+      const data = tokenStore.interface.encodeFunctionData("buy", [await mockUsdt.getAddress(), usdtAmount, 0n]);
+      const { request, signature } = await signRequest(player2, tokenStore, data);
+      await relay(request, signature);
+
+      expect(await gameToken.balanceOf(player2.address)).to.equal(gtBefore + ethers.parseEther("10"));
+    });
+
+    it("Should refuse functions outside the allowlist", async function () {
+      const data = playGame.interface.encodeFunctionData("cancelMatch", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+
+      const result = await relayer.validate(request, signature);
+      expect(result).to.deep.include({ valid: false, status: 403, error: "function not relayable" });
+    });
+
+    it("Should refuse contracts outside the allowlist", async function () {
+      const data = gameToken.interface.encodeFunctionData("transfer", [other.address, 1n]);
+      const { request, signature } = await signRequest(player1, gameToken, data);
+
+      const result = await relayer.validate(request, signature);
+      expect(result).to.deep.include({ valid: false, status: 403, error: "target contract not relayable" });
+    });
+
+    it("Should refuse requests asking for too much gas", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data, { gas: 5000000n });
+
+      const result = await relayer.validate(request, signature);
+      expect(result).to.deep.include({ valid: false, status: 400 });
+    });
+
+    it("Should refuse a forged signature", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(other, playGame, data, { from: player1.address });
+
+      const result = await relayer.validate(request, signature);
+      expect(result).to.deep.include({ valid: false, status: 401 });
+    });
+
+    it("Should refuse an expired request", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+      await time.increase(3601);
+
+      const result = await relayer.validate(request, signature);
+      expect(result).to.deep.include({ valid: false, error: "request expired or nonce already used" });
+    });
+
+    it("Should rate limit each signer", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [MATCH_ID]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+
+      expect((await relayer.validate(request, signature)).valid).to.equal(true);
+      expect((await relayer.validate(request, signature)).valid).to.equal(true);
+      expect(await relayer.validate(request, signature)).to.deep.include({ valid: false, status: 429 });
+    });
+
+    it("Should not submit a call that would revert", async function () {
+      const data = playGame.interface.encodeFunctionData("stake", [ethers.id("no-such-match")]);
+      const { request, signature } = await signRequest(player1, playGame, data);
+      const validation = await relayer.validate(request, signature);
+
+      await expect(relayer.submit(validation.request, signature))
+        .to.be.rejectedWith("PlayGame: match does not exist");
+      expect(await forwarder.nonces(player1.address)).to.equal(0);
+    });
+  });
+
+  describe("Rate limiter", function () {
+    it("Should reset after the window", function () {
+      const hit = createRateLimiter({ max: 1, windowMs: 1000 });
+
+      expect(hit(player1.address, 0)).to.equal(true);
+      expect(hit(player1.address, 500)).to.equal(false);
+      expect(hit(player2.address, 500)).to.equal(true);
+      expect(hit(player1.address, 1000)).to.equal(true);
+    });
+  });
+});
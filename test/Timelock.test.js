@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("GameTimelock admin", function () {
+  let gameToken;
+  let usdt;
+  let tokenStore;
+  let playGame;
+  let timelock;
+  let deployer;
+  let proposer;
+  let recipient;
+  let other;
+
+  const DELAY = 2 * 24 * 60 * 60;
+  let DEFAULT_ADMIN_ROLE;
+
+  // Schedules a call on target through the timelock and returns the arguments
+  // execute() needs
+  async function schedule(target, method, args, salt = ethers.ZeroHash) {
+    const call = [
+      await target.getAddress(),
+      0,
+      target.interface.encodeFunctionData(method, args),
+      ethers.ZeroHash,
+      salt
+    ];
+    await timelock.connect(proposer).schedule(...call, DELAY);
+    return call;
+  }
+
+  beforeEach(async function () {
+    [deployer, proposer, recipient, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(ethers.parseEther("1000"), "TriX Game Token", "GT", ethers.parseEther("100000000"));
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdt = await MockERC20.deploy("Mock USDT", "USDT", 6, ethers.parseUnits("1000", 6));
+
+    tokenStore = await deployProxy("TokenStore", [await usdt.getAddress(), await gameToken.getAddress(), ethers.parseEther("1")]);
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+
+    const GameTimelock = await ethers.getContractFactory("GameTimelock");
+    timelock = await GameTimelock.deploy(DELAY, [proposer.address], [proposer.address], ethers.ZeroAddress);
+    await timelock.waitForDeployment();
+
+    // Same handover as scripts/deploy.js
+    DEFAULT_ADMIN_ROLE = await gameToken.DEFAULT_ADMIN_ROLE();
+    for (const contract of [gameToken, tokenStore, playGame]) {
+      await contract.grantRole(DEFAULT_ADMIN_ROLE, await timelock.getAddress());
+      await contract.renounceRole(DEFAULT_ADMIN_ROLE, deployer.address);
+    }
+
+    // Funds sitting in each contract that only the admin can move
+    await usdt.transfer(await gameToken.getAddress(), ethers.parseUnits("10", 6));
+    await usdt.transfer(await tokenStore.getAddress(), ethers.parseUnits("10", 6));
+    await gameToken.transfer(await playGame.getAddress(), ethers.parseEther("10"));
+  });
+
+  describe("Direct admin path", function () {
+    it("Should reject emergencyRecoverTokens on GameToken", async function () {
+      await expect(gameToken.emergencyRecoverTokens(await usdt.getAddress(), deployer.address, 1))
+        .to.be.revertedWithCustomError(gameToken, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, DEFAULT_ADMIN_ROLE);
+    });
+
+    it("Should reject withdrawals from TokenStore", async function () {
+      await expect(tokenStore.withdrawPayments(await usdt.getAddress(), deployer.address, 1))
+        .to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
+      await expect(tokenStore.emergencyWithdraw(await usdt.getAddress(), deployer.address, 1))
+        .to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject emergencyWithdrawGT on PlayGame", async function () {
+      await expect(playGame.emergencyWithdrawGT(deployer.address, 1))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject role grants", async function () {
+      const MINTER_ROLE = await gameToken.MINTER_ROLE();
+
+      for (const contract of [gameToken, tokenStore, playGame]) {
+        await expect(contract.grantRole(DEFAULT_ADMIN_ROLE, deployer.address))
+          .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      }
+      await expect(gameToken.grantRole(MINTER_ROLE, other.address))
+        .to.be.revertedWithCustomError(gameToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should leave the timelock as the only admin", async function () {
+      for (const contract of [gameToken, tokenStore, playGame]) {
+        expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, await timelock.getAddress())).to.equal(true);
+        expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.equal(false);
+      }
+    });
+  });
+
+  describe("Scheduled operations", function () {
+    it("Should execute once the delay has passed", async function () {
+      const call = await schedule(tokenStore, "setReserveRatio", [0]);
+      await time.increase(DELAY);
+
+      await timelock.connect(proposer).execute(...call);
+      expect(await tokenStore.reserveRatioBps()).to.equal(0);
+    });
+
+    it("Should not execute before the delay", async function () {
+      const call = await schedule(gameToken, "emergencyRecoverTokens", [await usdt.getAddress(), recipient.address, 1]);
+      await time.increase(DELAY - 10);
+
+      await expect(timelock.connect(proposer).execute(...call))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+    });
+
+    it("Should move funds out of each contract after the delay", async function () {
+      const calls = [
+        await schedule(gameToken, "emergencyRecoverTokens", [await usdt.getAddress(), recipient.address, ethers.parseUnits("10", 6)]),
+        await schedule(playGame, "emergencyWithdrawGT", [recipient.address, ethers.parseEther("10")])
+      ];
+      await time.increase(DELAY);
+
+      for (const call of calls) {
+        await timelock.connect(proposer).execute(...call);
+      }
+      expect(await usdt.balanceOf(recipient.address)).to.equal(ethers.parseUnits("10", 6));
+      expect(await gameToken.balanceOf(recipient.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should grant roles after the delay", async function () {
+      const MINTER_ROLE = await gameToken.MINTER_ROLE();
+      const call = await schedule(gameToken, "grantRole", [MINTER_ROLE, await tokenStore.getAddress()]);
+      await time.increase(DELAY);
+
+      await timelock.connect(proposer).execute(...call);
+      expect(await gameToken.hasRole(MINTER_ROLE, await tokenStore.getAddress())).to.equal(true);
+    });
+
+    it("Should not execute a cancelled operation", async function () {
+      const call = await schedule(playGame, "emergencyWithdrawGT", [recipient.address, 1]);
+      const id = await timelock.hashOperation(...call);
+
+      await expect(timelock.connect(proposer).cancel(id))
+        .to.emit(timelock, "Cancelled")
+        .withArgs(id);
+      await time.increase(DELAY);
+
+      await expect(timelock.connect(proposer).execute(...call))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+    });
+
+    it("Should only let proposers schedule, cancel and execute", async function () {
+      const data = tokenStore.interface.encodeFunctionData("setReserveRatio", [0]);
+      await expect(timelock.connect(other).schedule(await tokenStore.getAddress(), 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+
+      const call = await schedule(tokenStore, "setReserveRatio", [0]);
+      await time.increase(DELAY);
+      await expect(timelock.connect(other).cancel(await timelock.hashOperation(...call)))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await expect(timelock.connect(other).execute(...call))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not allow scheduling with less than the min delay", async function () {
+      const data = tokenStore.interface.encodeFunctionData("setReserveRatio", [0]);
+
+      await expect(timelock.connect(proposer).schedule(await tokenStore.getAddress(), 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY - 1))
+        .to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+    });
+  });
+
+  it("Should keep pausing instant for the pauser", async function () {
+    await gameToken.pause();
+    await tokenStore.pause();
+    await playGame.pause();
+
+    expect(await gameToken.paused()).to.equal(true);
+    expect(await tokenStore.paused()).to.equal(true);
+    expect(await playGame.paused()).to.equal(true);
+  });
+});
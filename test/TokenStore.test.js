@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployProxy } = require("../scripts/proxy");
 
 describe("TokenStore", function () {
   let GameToken, TokenStore, MockUSDT;
@@ -9,33 +10,29 @@ describe("TokenStore", function () {
 
   const TOKEN_NAME = "TriX Game Token";
   const TOKEN_SYMBOL = "GT";
-  const USDT_NAME = "Tether USD";
-  const USDT_SYMBOL = "USDT";
   const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const MAX_SUPPLY = ethers.parseEther("100000000");
   const USDT_DECIMALS = 6;
   const GT_DECIMALS = 18;
   const DECIMAL_ADJUSTMENT = 10 ** (GT_DECIMALS - USDT_DECIMALS);
+  const GT_PER_USDT = ethers.parseEther("1");
 
   beforeEach(async function () {
     [owner, treasury, buyer, user1, user2, ...addrs] = await ethers.getSigners();
 
     // Deploy GameToken
     GameToken = await ethers.getContractFactory("GameToken");
-    gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL);
+    gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL, MAX_SUPPLY);
     await gameToken.waitForDeployment();
 
     // Deploy Mock USDT
     MockUSDT = await ethers.getContractFactory("MockUSDT");
-    mockUSDT = await MockUSDT.deploy();
+    mockUSDT = await MockUSDT.deploy(0);
     await mockUSDT.waitForDeployment();
 
     // Deploy TokenStore
     TokenStore = await ethers.getContractFactory("TokenStore");
-    tokenStore = await TokenStore.deploy(
-      await gameToken.getAddress(),
-      await mockUSDT.getAddress(),
-      treasury.address
-    );
+    tokenStore = await deployProxy("TokenStore", [await mockUSDT.getAddress(), await gameToken.getAddress(), GT_PER_USDT]);
     await tokenStore.waitForDeployment();
 
     // Grant MINTER_ROLE to TokenStore
@@ -48,8 +45,7 @@ describe("TokenStore", function () {
   describe("Deployment", function () {
     it("Should set the correct addresses", async function () {
       expect(await tokenStore.gameToken()).to.equal(await gameToken.getAddress());
-      expect(await tokenStore.usdtToken()).to.equal(await mockUSDT.getAddress());
-      expect(await tokenStore.treasuryAddress()).to.equal(treasury.address);
+      expect(await tokenStore.getPaymentTokens()).to.deep.equal([await mockUSDT.getAddress()]);
     });
 
     it("Should grant roles to owner", async function () {
@@ -59,10 +55,15 @@ describe("TokenStore", function () {
     });
 
     it("Should set correct conversion constants", async function () {
-      expect(await tokenStore.CONVERSION_RATE()).to.equal(1);
-      expect(await tokenStore.USDT_DECIMALS()).to.equal(USDT_DECIMALS);
+      const usdt = await tokenStore.paymentTokens(await mockUSDT.getAddress());
+      expect(usdt.gtPerToken).to.equal(GT_PER_USDT);
+      expect(usdt.decimals).to.equal(USDT_DECIMALS);
       expect(await tokenStore.GT_DECIMALS()).to.equal(GT_DECIMALS);
-      expect(await tokenStore.DECIMAL_ADJUSTMENT()).to.equal(DECIMAL_ADJUSTMENT);
+    });
+
+    it("Should not initialize twice", async function () {
+      await expect(tokenStore.initialize(await mockUSDT.getAddress(), await gameToken.getAddress(), GT_PER_USDT))
+        .to.be.revertedWithCustomError(tokenStore, "InvalidInitialization");
     });
   });
 
@@ -77,48 +78,48 @@ describe("TokenStore", function () {
       const expectedGTAmount = usdtAmount * BigInt(DECIMAL_ADJUSTMENT);
 
       const initialBuyerGT = await gameToken.balanceOf(buyer.address);
-      const initialTreasuryUSDT = await mockUSDT.balanceOf(treasury.address);
 
-      await tokenStore.connect(buyer).purchaseTokens(usdtAmount);
+      await tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), usdtAmount, 0);
 
       expect(await gameToken.balanceOf(buyer.address)).to.equal(initialBuyerGT + expectedGTAmount);
-      expect(await mockUSDT.balanceOf(treasury.address)).to.equal(initialTreasuryUSDT + usdtAmount);
+      expect(await mockUSDT.balanceOf(await tokenStore.getAddress())).to.equal(usdtAmount);
     });
 
-    it("Should emit TokensPurchased event", async function () {
+    it("Should emit Purchase event", async function () {
       const usdtAmount = ethers.parseUnits("100", USDT_DECIMALS);
       const expectedGTAmount = usdtAmount * BigInt(DECIMAL_ADJUSTMENT);
 
-      await expect(tokenStore.connect(buyer).purchaseTokens(usdtAmount))
-        .to.emit(tokenStore, "TokensPurchased");
+      await expect(tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), usdtAmount, 0))
+        .to.emit(tokenStore, "Purchase")
+        .withArgs(buyer.address, await mockUSDT.getAddress(), usdtAmount, expectedGTAmount);
     });
 
     it("Should update purchase statistics", async function () {
       const usdtAmount = ethers.parseUnits("100", USDT_DECIMALS);
 
-      await tokenStore.connect(buyer).purchaseTokens(usdtAmount);
+      await tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), usdtAmount, 0);
 
       const stats = await tokenStore.getStats();
       expect(stats[0]).to.equal(1); // totalPurchases
-      expect(stats[1]).to.equal(usdtAmount); // totalUSDTReceived
+      expect((await tokenStore.paymentTokens(await mockUSDT.getAddress())).totalReceived).to.equal(usdtAmount);
     });
 
     it("Should not purchase with zero amount", async function () {
-      await expect(tokenStore.connect(buyer).purchaseTokens(0))
+      await expect(tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), 0, 0))
         .to.be.revertedWith("TokenStore: amount must be greater than 0");
     });
 
     it("Should not purchase with insufficient USDT balance", async function () {
       const usdtAmount = ethers.parseUnits("20000", USDT_DECIMALS);
-      await expect(tokenStore.connect(buyer).purchaseTokens(usdtAmount))
-        .to.be.revertedWith("TokenStore: insufficient USDT balance");
+      await expect(tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), usdtAmount, 0))
+        .to.be.revertedWith("TokenStore: insufficient token balance");
     });
 
     it("Should not purchase with insufficient USDT allowance", async function () {
       const usdtAmount = ethers.parseUnits("100", USDT_DECIMALS);
       await mockUSDT.connect(buyer).approve(await tokenStore.getAddress(), 0);
-      await expect(tokenStore.connect(buyer).purchaseTokens(usdtAmount))
-        .to.be.revertedWith("TokenStore: insufficient USDT allowance");
+      await expect(tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), usdtAmount, 0))
+        .to.be.revertedWith("TokenStore: insufficient token allowance");
     });
   });
 
@@ -127,20 +128,20 @@ describe("TokenStore", function () {
       const usdtAmount = ethers.parseUnits("100", USDT_DECIMALS);
       const expectedGTAmount = usdtAmount * BigInt(DECIMAL_ADJUSTMENT);
 
-      expect(await tokenStore.getGTAmount(usdtAmount)).to.equal(expectedGTAmount);
+      expect(await tokenStore.getGTAmount(await mockUSDT.getAddress(), usdtAmount)).to.equal(expectedGTAmount);
     });
 
     it("Should calculate correct USDT amount for GT", async function () {
       const gtAmount = ethers.parseUnits("100", GT_DECIMALS);
       const expectedUSDTAmount = gtAmount / BigInt(DECIMAL_ADJUSTMENT);
 
-      expect(await tokenStore.getUSDTAmount(gtAmount)).to.equal(expectedUSDTAmount);
+      expect(await tokenStore.getTokenAmount(await mockUSDT.getAddress(), gtAmount)).to.equal(expectedUSDTAmount);
     });
 
     it("Should handle decimal precision correctly", async function () {
       const usdtAmount = ethers.parseUnits("1.5", USDT_DECIMALS);
-      const gtAmount = await tokenStore.getGTAmount(usdtAmount);
-      const backToUSDT = await tokenStore.getUSDTAmount(gtAmount);
+      const gtAmount = await tokenStore.getGTAmount(await mockUSDT.getAddress(), usdtAmount);
+      const backToUSDT = await tokenStore.getTokenAmount(await mockUSDT.getAddress(), gtAmount);
 
       // Should be close to original amount (within rounding)
       expect(backToUSDT).to.be.closeTo(usdtAmount, ethers.parseUnits("0.1", USDT_DECIMALS));
@@ -148,28 +149,32 @@ describe("TokenStore", function () {
   });
 
   describe("Treasury Management", function () {
-    it("Should allow admin to update treasury address", async function () {
-      const newTreasury = user1.address;
-      await tokenStore.updateTreasury(newTreasury);
-      expect(await tokenStore.treasuryAddress()).to.equal(newTreasury);
+    const usdtAmount = ethers.parseUnits("100", USDT_DECIMALS);
+
+    beforeEach(async function () {
+      await mockUSDT.connect(buyer).approve(await tokenStore.getAddress(), usdtAmount);
+      await tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), usdtAmount, 0);
+    });
+
+    it("Should keep payments backing outstanding GT in reserve", async function () {
+      await expect(tokenStore.withdrawPayments(await mockUSDT.getAddress(), treasury.address, usdtAmount))
+        .to.be.revertedWith("TokenStore: withdrawal breaks reserve ratio");
     });
 
-    it("Should emit TreasuryUpdated event", async function () {
-      const newTreasury = user1.address;
-      await expect(tokenStore.updateTreasury(newTreasury))
-        .to.emit(tokenStore, "TreasuryUpdated")
-        .withArgs(treasury.address, newTreasury);
+    it("Should allow admin to withdraw payments above the reserve to the treasury", async function () {
+      await tokenStore.setReserveRatio(5000);
+      await tokenStore.withdrawPayments(await mockUSDT.getAddress(), treasury.address, usdtAmount / 2n);
+      expect(await mockUSDT.balanceOf(treasury.address)).to.equal(usdtAmount / 2n);
     });
 
-    it("Should not allow non-admin to update treasury", async function () {
-      const newTreasury = user1.address;
-      await expect(tokenStore.connect(user1).updateTreasury(newTreasury))
+    it("Should not allow non-admin to withdraw payments", async function () {
+      await expect(tokenStore.connect(user1).withdrawPayments(await mockUSDT.getAddress(), user1.address, 1))
         .to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should not set treasury to zero address", async function () {
-      await expect(tokenStore.updateTreasury(ethers.ZeroAddress))
-        .to.be.revertedWith("TokenStore: invalid treasury address");
+    it("Should not withdraw to zero address", async function () {
+      await expect(tokenStore.withdrawPayments(await mockUSDT.getAddress(), ethers.ZeroAddress, 1))
+        .to.be.revertedWith("TokenStore: cannot withdraw to zero address");
     });
   });
 
@@ -188,7 +193,7 @@ describe("TokenStore", function () {
       await tokenStore.pause();
       await mockUSDT.connect(buyer).approve(await tokenStore.getAddress(), ethers.parseUnits("100", USDT_DECIMALS));
 
-      await expect(tokenStore.connect(buyer).purchaseTokens(ethers.parseUnits("100", USDT_DECIMALS)))
+      await expect(tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), ethers.parseUnits("100", USDT_DECIMALS), 0))
         .to.be.reverted;
     });
   });
@@ -239,26 +244,43 @@ describe("TokenStore", function () {
       await tokenStore.emergencyWithdrawETH(user1.address, ethers.parseEther("1"));
       expect(await ethers.provider.getBalance(user1.address)).to.be.gt(0);
     });
+
+    it("Should withdraw ETH to a contract that needs more than the 2300 gas stipend", async function () {
+      // A proxy's receive delegates to its implementation, which no stipend covers
+      const recipient = await deployProxy("TokenStore", [await mockUSDT.getAddress(), await gameToken.getAddress(), GT_PER_USDT]);
+      await owner.sendTransaction({ to: await tokenStore.getAddress(), value: ethers.parseEther("1") });
+
+      await tokenStore.emergencyWithdrawETH(await recipient.getAddress(), ethers.parseEther("1"));
+      expect(await ethers.provider.getBalance(await recipient.getAddress())).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should revert when the ETH recipient rejects it", async function () {
+      await owner.sendTransaction({ to: await tokenStore.getAddress(), value: ethers.parseEther("1") });
+
+      await expect(tokenStore.emergencyWithdrawETH(await mockUSDT.getAddress(), ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(tokenStore, "FailedCall");
+    });
   });
 
   describe("Statistics", function () {
     it("Should return correct statistics", async function () {
       await mockUSDT.connect(buyer).approve(await tokenStore.getAddress(), ethers.parseUnits("1000", USDT_DECIMALS));
 
-      await tokenStore.connect(buyer).purchaseTokens(ethers.parseUnits("100", USDT_DECIMALS));
-      await tokenStore.connect(buyer).purchaseTokens(ethers.parseUnits("200", USDT_DECIMALS));
+      await tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), ethers.parseUnits("100", USDT_DECIMALS), 0);
+      await tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), ethers.parseUnits("200", USDT_DECIMALS), 0);
 
       const stats = await tokenStore.getStats();
       expect(stats[0]).to.equal(2); // totalPurchases
-      expect(stats[1]).to.equal(ethers.parseUnits("300", USDT_DECIMALS)); // totalUSDTReceived
-      expect(stats[2]).to.equal(treasury.address); // treasuryAddress
+      expect(stats[1]).to.equal(1); // paymentTokenCount
+      expect((await tokenStore.paymentTokens(await mockUSDT.getAddress())).totalReceived)
+        .to.equal(ethers.parseUnits("300", USDT_DECIMALS));
     });
   });
 
   describe("Reentrancy Protection", function () {
     it("Should prevent reentrant calls to purchase", async function () {
       await mockUSDT.connect(buyer).approve(await tokenStore.getAddress(), ethers.parseUnits("100", USDT_DECIMALS));
-      await expect(tokenStore.connect(buyer).purchaseTokens(ethers.parseUnits("100", USDT_DECIMALS))).to.not.be.reverted;
+      await expect(tokenStore.connect(buyer).buy(await mockUSDT.getAddress(), ethers.parseUnits("100", USDT_DECIMALS), 0)).to.not.be.reverted;
     });
   });
 });
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("TokenStore ETH purchases", function () {
+  let gameToken;
+  let usdt;
+  let feed;
+  let tokenStore;
+  let buyer;
+  let other;
+
+  const ETH_PRICE = 2000n * 10n ** 8n; // $2000, 8-decimal feed
+  const ONE_TO_ONE = ethers.parseEther("1");
+  const MAX_AGE = 3600;
+  const MAX_DEVIATION_BPS = 1000; // 10%
+
+  beforeEach(async function () {
+    [, buyer, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(0, "TriX Game Token", "GT", ethers.parseEther("100000000"));
+    await gameToken.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdt = await MockERC20.deploy("Mock USDT", "USDT", 6, 0);
+
+    const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    feed = await MockPriceFeed.deploy(8, "ETH / USD", ETH_PRICE);
+    await feed.waitForDeployment();
+
+    tokenStore = await deployProxy("TokenStore", [await usdt.getAddress(), await gameToken.getAddress(), ONE_TO_ONE]);
+    await tokenStore.waitForDeployment();
+    await gameToken.grantRole(await gameToken.MINTER_ROLE(), await tokenStore.getAddress());
+
+    await tokenStore.setEthPriceFeed(await feed.getAddress(), ONE_TO_ONE, MAX_AGE, MAX_DEVIATION_BPS);
+  });
+
+  describe("Pricing", function () {
+    it("Should quote GT for ETH at the feed price", async function () {
+      expect(await tokenStore.getGTAmountForETH(ethers.parseEther("0.5"))).to.equal(ethers.parseEther("1000"));
+      expect(await tokenStore.getETHAmount(ethers.parseEther("100"))).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should round the ETH price of GT up", async function () {
+      await feed.updateAnswer(2100n * 10n ** 8n - 1n);
+
+      const ethIn = await tokenStore.getETHAmount(ethers.parseEther("1"));
+      expect(await tokenStore.getGTAmountForETH(ethIn)).to.be.gte(ethers.parseEther("1"));
+    });
+
+    it("Should reject a stale price", async function () {
+      await time.increase(MAX_AGE + 1);
+
+      await expect(tokenStore.connect(buyer).buyWithETH(0, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("TokenStore: stale price");
+    });
+
+    it("Should reject a non-positive price", async function () {
+      await feed.updateAnswer(0);
+
+      await expect(tokenStore.getGTAmountForETH(ethers.parseEther("1")))
+        .to.be.revertedWith("TokenStore: invalid price");
+    });
+
+    it("Should reject a jump from the previous round", async function () {
+      await feed.updateAnswer(ETH_PRICE * 12n / 10n);
+
+      await expect(tokenStore.connect(buyer).buyWithETH(0, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("TokenStore: price deviation too large");
+
+      // Accepted again once the feed settles
+      await feed.updateAnswer(ETH_PRICE * 125n / 100n);
+      await tokenStore.connect(buyer).buyWithETH(0, { value: ethers.parseEther("1") });
+      expect(await gameToken.balanceOf(buyer.address)).to.equal(ethers.parseEther("2500"));
+    });
+
+    it("Should be disabled without a price feed", async function () {
+      await tokenStore.setEthPriceFeed(ethers.ZeroAddress, 0, 0, 0);
+
+      await expect(tokenStore.connect(buyer).buyWithETH(0, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("TokenStore: ETH purchases disabled");
+    });
+
+    it("Should only let the admin set the price feed", async function () {
+      await expect(tokenStore.connect(other).setEthPriceFeed(await feed.getAddress(), ONE_TO_ONE, MAX_AGE, 0))
+        .to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Buying", function () {
+    it("Should mint GT for all the ETH sent", async function () {
+      const value = ethers.parseEther("0.25");
+
+      await expect(tokenStore.connect(buyer).buyWithETH(0, { value }))
+        .to.emit(tokenStore, "Purchase")
+        .withArgs(buyer.address, ethers.ZeroAddress, value, ethers.parseEther("500"));
+
+      expect(await gameToken.balanceOf(buyer.address)).to.equal(ethers.parseEther("500"));
+      expect(await ethers.provider.getBalance(await tokenStore.getAddress())).to.equal(value);
+      expect(await tokenStore.totalEthReceived()).to.equal(value);
+    });
+
+    it("Should enforce the minimum GT out", async function () {
+      await expect(tokenStore.connect(buyer).buyWithETH(ethers.parseEther("2001"), { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("TokenStore: GT out below minimum");
+    });
+
+    it("Should refund ETH sent above the price of an exact GT amount", async function () {
+      const gtAmount = ethers.parseEther("100");
+      const price = await tokenStore.getETHAmount(gtAmount);
+
+      await expect(tokenStore.connect(buyer).buyExactGTWithETH(gtAmount, { value: ethers.parseEther("1") }))
+        .to.changeEtherBalances([buyer, tokenStore], [-price, price]);
+      expect(await gameToken.balanceOf(buyer.address)).to.equal(gtAmount);
+    });
+
+    it("Should reject too little ETH for an exact GT amount", async function () {
+      await expect(tokenStore.connect(buyer).buyExactGTWithETH(ethers.parseEther("100"), { value: ethers.parseEther("0.01") }))
+        .to.be.revertedWith("TokenStore: insufficient ETH sent");
+    });
+
+    it("Should not back redemptions with ETH", async function () {
+      await tokenStore.connect(buyer).buyWithETH(0, { value: ethers.parseEther("1") });
+      await gameToken.connect(buyer).approve(await tokenStore.getAddress(), ethers.MaxUint256);
+
+      await expect(tokenStore.connect(buyer).redeem(await usdt.getAddress(), ethers.parseEther("10"), 0))
+        .to.be.revertedWith("TokenStore: insufficient reserve");
+    });
+  });
+});
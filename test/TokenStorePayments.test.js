@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("TokenStore payment tokens", function () {
+  let gameToken;
+  let usdt;
+  let dai;
+  let tokenStore;
+  let owner;
+  let buyer;
+  let other;
+
+  const ONE_TO_ONE = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [owner, buyer, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(0, "TriX Game Token", "GT", ethers.parseEther("100000000"));
+    await gameToken.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdt = await MockERC20.deploy("Mock USDT", "USDT", 6, ethers.parseUnits("1000000", 6));
+    dai = await MockERC20.deploy("Mock DAI", "DAI", 18, ethers.parseEther("1000000"));
+
+    tokenStore = await deployProxy("TokenStore", [await usdt.getAddress(), await gameToken.getAddress(), ONE_TO_ONE]);
+    await tokenStore.waitForDeployment();
+    await gameToken.grantRole(await gameToken.MINTER_ROLE(), await tokenStore.getAddress());
+
+    for (const token of [usdt, dai]) {
+      await token.transfer(buyer.address, ethers.parseUnits("1000", await token.decimals()));
+      await token.connect(buyer).approve(await tokenStore.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Registry", function () {
+    it("Should accept the constructor's token with its decimals", async function () {
+      const entry = await tokenStore.paymentTokens(await usdt.getAddress());
+      expect(entry.accepted).to.equal(true);
+      expect(entry.decimals).to.equal(6);
+      expect(entry.gtPerToken).to.equal(ONE_TO_ONE);
+      expect(await tokenStore.getPaymentTokens()).to.deep.equal([await usdt.getAddress()]);
+    });
+
+    it("Should let the admin add a token", async function () {
+      await expect(tokenStore.addPaymentToken(await dai.getAddress(), ONE_TO_ONE))
+        .to.emit(tokenStore, "PaymentTokenAdded")
+        .withArgs(await dai.getAddress(), 18, ONE_TO_ONE);
+
+      expect((await tokenStore.paymentTokens(await dai.getAddress())).decimals).to.equal(18);
+      expect(await tokenStore.getPaymentTokens()).to.have.lengthOf(2);
+    });
+
+    it("Should not add a token twice", async function () {
+      await expect(tokenStore.addPaymentToken(await usdt.getAddress(), ONE_TO_ONE))
+        .to.be.revertedWith("TokenStore: token already accepted");
+    });
+
+    it("Should not let non-admins manage tokens", async function () {
+      await expect(tokenStore.connect(other).addPaymentToken(await dai.getAddress(), ONE_TO_ONE))
+        .to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
+      await expect(tokenStore.connect(other).setPaymentTokenRate(await usdt.getAddress(), 1))
+        .to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should update a token's rate", async function () {
+      await expect(tokenStore.setPaymentTokenRate(await usdt.getAddress(), ONE_TO_ONE * 2n))
+        .to.emit(tokenStore, "PaymentTokenRateUpdated")
+        .withArgs(await usdt.getAddress(), ONE_TO_ONE, ONE_TO_ONE * 2n);
+
+      expect(await tokenStore.getGTAmount(await usdt.getAddress(), ethers.parseUnits("5", 6)))
+        .to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should stop accepting a removed token", async function () {
+      await tokenStore.addPaymentToken(await dai.getAddress(), ONE_TO_ONE);
+      await expect(tokenStore.removePaymentToken(await usdt.getAddress()))
+        .to.emit(tokenStore, "PaymentTokenRemoved");
+
+      expect(await tokenStore.getPaymentTokens()).to.deep.equal([await dai.getAddress()]);
+      await expect(tokenStore.connect(buyer).buy(await usdt.getAddress(), 1000000, 0))
+        .to.be.revertedWith("TokenStore: token not accepted");
+    });
+  });
+
+  describe("Buying", function () {
+    beforeEach(async function () {
+      // 1 DAI buys 2 GT
+      await tokenStore.addPaymentToken(await dai.getAddress(), ONE_TO_ONE * 2n);
+    });
+
+    it("Should convert 6-decimal tokens to GT", async function () {
+      const amount = ethers.parseUnits("25", 6);
+
+      await expect(tokenStore.connect(buyer).buy(await usdt.getAddress(), amount, 0))
+        .to.emit(tokenStore, "Purchase")
+        .withArgs(buyer.address, await usdt.getAddress(), amount, ethers.parseEther("25"));
+
+      expect(await gameToken.balanceOf(buyer.address)).to.equal(ethers.parseEther("25"));
+    });
+
+    it("Should convert 18-decimal tokens at their own rate", async function () {
+      await tokenStore.connect(buyer).buy(await dai.getAddress(), ethers.parseEther("25"), 0);
+
+      expect(await gameToken.balanceOf(buyer.address)).to.equal(ethers.parseEther("50"));
+      expect((await tokenStore.paymentTokens(await dai.getAddress())).totalReceived)
+        .to.equal(ethers.parseEther("25"));
+    });
+
+    it("Should enforce the minimum GT out", async function () {
+      const amount = ethers.parseEther("10");
+      const quote = await tokenStore.getGTAmount(await dai.getAddress(), amount);
+      await tokenStore.setPaymentTokenRate(await dai.getAddress(), ONE_TO_ONE);
+
+      await expect(tokenStore.connect(buyer).buy(await dai.getAddress(), amount, quote))
+        .to.be.revertedWith("TokenStore: GT out below minimum");
+    });
+
+    it("Should reject tokens that aren't registered", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const unknown = await MockERC20.deploy("Unknown", "UNK", 18, 0);
+
+      await expect(tokenStore.connect(buyer).buy(await unknown.getAddress(), 1, 0))
+        .to.be.revertedWith("TokenStore: token not accepted");
+    });
+
+    it("Should reject amounts worth no GT", async function () {
+      await tokenStore.setPaymentTokenRate(await usdt.getAddress(), 1);
+
+      await expect(tokenStore.connect(buyer).buy(await usdt.getAddress(), 1, 0))
+        .to.be.revertedWith("TokenStore: amount too small");
+    });
+
+    it("Should quote token amounts for GT", async function () {
+      expect(await tokenStore.getTokenAmount(await usdt.getAddress(), ethers.parseEther("3")))
+        .to.equal(ethers.parseUnits("3", 6));
+      expect(await tokenStore.getTokenAmount(await dai.getAddress(), ethers.parseEther("3")))
+        .to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should let the admin withdraw received tokens", async function () {
+      await tokenStore.connect(buyer).buy(await dai.getAddress(), ethers.parseEther("10"), 0);
+      // Payments back the GT sold until the reserve requirement is lowered
+      await tokenStore.setReserveRatio(0);
+
+      await tokenStore.withdrawPayments(await dai.getAddress(), other.address, ethers.parseEther("10"));
+      expect(await dai.balanceOf(other.address)).to.equal(ethers.parseEther("10"));
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/proxy");
+
+describe("TokenStore redemption", function () {
+  let gameToken;
+  let usdt;
+  let dai;
+  let tokenStore;
+  let owner;
+  let player;
+  let other;
+
+  const ONE_TO_ONE = ethers.parseEther("1");
+  const usdtUnits = (amount) => ethers.parseUnits(amount, 6);
+
+  async function buy(signer, token, amount) {
+    await tokenStore.connect(signer).buy(await token.getAddress(), amount, 0);
+  }
+
+  beforeEach(async function () {
+    [owner, player, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(0, "TriX Game Token", "GT", ethers.parseEther("100000000"));
+    await gameToken.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdt = await MockERC20.deploy("Mock USDT", "USDT", 6, usdtUnits("1000000"));
+    dai = await MockERC20.deploy("Mock DAI", "DAI", 18, ethers.parseEther("1000000"));
+
+    tokenStore = await deployProxy("TokenStore", [await usdt.getAddress(), await gameToken.getAddress(), ONE_TO_ONE]);
+    await tokenStore.waitForDeployment();
+    await tokenStore.addPaymentToken(await dai.getAddress(), ONE_TO_ONE);
+    await gameToken.grantRole(await gameToken.MINTER_ROLE(), await tokenStore.getAddress());
+
+    for (const signer of [player, other]) {
+      for (const token of [usdt, dai]) {
+        await token.transfer(signer.address, ethers.parseUnits("1000", await token.decimals()));
+        await token.connect(signer).approve(await tokenStore.getAddress(), ethers.MaxUint256);
+      }
+      await gameToken.connect(signer).approve(await tokenStore.getAddress(), ethers.MaxUint256);
+    }
+
+    await buy(player, usdt, usdtUnits("100"));
+  });
+
+  describe("Redeeming", function () {
+    it("Should burn GT and pay out the payment token", async function () {
+      const usdtBefore = await usdt.balanceOf(player.address);
+
+      await expect(tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("40"), 0))
+        .to.emit(tokenStore, "Redemption")
+        .withArgs(player.address, await usdt.getAddress(), ethers.parseEther("40"), usdtUnits("40"), 0);
+
+      expect(await gameToken.balanceOf(player.address)).to.equal(ethers.parseEther("60"));
+      expect(await gameToken.totalSupply()).to.equal(ethers.parseEther("60"));
+      expect(await usdt.balanceOf(player.address)).to.equal(usdtBefore + usdtUnits("40"));
+      expect(await tokenStore.outstandingLiability(await usdt.getAddress())).to.equal(usdtUnits("60"));
+    });
+
+    it("Should keep the redemption fee in the store", async function () {
+      await tokenStore.setRedemptionFee(250); // 2.5%
+
+      const [amountOut, fee] = await tokenStore.getRedeemAmount(await usdt.getAddress(), ethers.parseEther("40"));
+      expect(amountOut).to.equal(usdtUnits("39"));
+      expect(fee).to.equal(usdtUnits("1"));
+
+      await tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("40"), amountOut);
+
+      expect(await usdt.balanceOf(await tokenStore.getAddress())).to.equal(usdtUnits("61"));
+      // Only GT still in circulation is backed
+      expect(await tokenStore.outstandingLiability(await usdt.getAddress())).to.equal(usdtUnits("60"));
+    });
+
+    it("Should enforce the minimum amount out", async function () {
+      await tokenStore.setRedemptionFee(100);
+
+      await expect(tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("10"), usdtUnits("10")))
+        .to.be.revertedWith("TokenStore: amount out below minimum");
+    });
+
+    it("Should require GT approval for the burn", async function () {
+      await gameToken.connect(player).approve(await tokenStore.getAddress(), 0);
+
+      await expect(tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("10"), 0))
+        .to.be.revertedWith("GameToken: burn amount exceeds allowance");
+    });
+
+    it("Should not pay out more than the store holds", async function () {
+      // GT bought with USDT can't drain a DAI reserve that doesn't exist
+      await expect(tokenStore.connect(player).redeem(await dai.getAddress(), ethers.parseEther("10"), 0))
+        .to.be.revertedWith("TokenStore: insufficient reserve");
+    });
+
+    it("Should only pay out against the liability of the token asked for", async function () {
+      // DAI sent straight to the store backs no GT
+      await dai.transfer(await tokenStore.getAddress(), ethers.parseEther("1000"));
+      await buy(other, dai, ethers.parseEther("20"));
+
+      await expect(tokenStore.connect(player).redeem(await dai.getAddress(), ethers.parseEther("30"), 0))
+        .to.be.revertedWith("TokenStore: redemption exceeds token liability");
+
+      await tokenStore.connect(player).redeem(await dai.getAddress(), ethers.parseEther("20"), 0);
+      expect(await tokenStore.outstandingLiability(await dai.getAddress())).to.equal(0);
+      await expect(tokenStore.connect(other).redeem(await dai.getAddress(), ethers.parseEther("1"), 0))
+        .to.be.revertedWith("TokenStore: redemption exceeds token liability");
+
+      // The USDT sold to player still backs their remaining GT
+      expect(await tokenStore.outstandingLiability(await usdt.getAddress())).to.equal(usdtUnits("100"));
+    });
+
+    it("Should not redeem while paused", async function () {
+      await tokenStore.pause();
+
+      await expect(tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("10"), 0))
+        .to.be.revertedWithCustomError(tokenStore, "EnforcedPause");
+    });
+
+    it("Should cap the redemption fee", async function () {
+      await expect(tokenStore.setRedemptionFee(1001))
+        .to.be.revertedWith("TokenStore: fee cannot exceed 10%");
+      await expect(tokenStore.connect(other).setRedemptionFee(100))
+        .to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Daily limits", function () {
+    beforeEach(async function () {
+      await buy(other, usdt, usdtUnits("100"));
+      await tokenStore.setRedemptionLimits(ethers.parseEther("50"), ethers.parseEther("80"));
+    });
+
+    it("Should cap each address per day", async function () {
+      await tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("30"), 0);
+      expect(await tokenStore.getRedeemableToday(player.address)).to.equal(ethers.parseEther("20"));
+
+      await expect(tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("21"), 0))
+        .to.be.revertedWith("TokenStore: daily redeem limit exceeded");
+    });
+
+    it("Should cap all addresses together per day", async function () {
+      await tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("50"), 0);
+      expect(await tokenStore.getRedeemableToday(other.address)).to.equal(ethers.parseEther("30"));
+
+      await expect(tokenStore.connect(other).redeem(await usdt.getAddress(), ethers.parseEther("40"), 0))
+        .to.be.revertedWith("TokenStore: global daily redeem limit exceeded");
+    });
+
+    it("Should reset the next day", async function () {
+      await tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("50"), 0);
+      await time.increase(24 * 60 * 60);
+
+      await tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("50"), 0);
+      expect(await gameToken.balanceOf(player.address)).to.equal(0);
+    });
+
+    it("Should report unlimited when no limits are set", async function () {
+      await tokenStore.setRedemptionLimits(0, 0);
+
+      expect(await tokenStore.getRedeemableToday(player.address)).to.equal(ethers.MaxUint256);
+    });
+  });
+
+  describe("Reserve ratio", function () {
+    it("Should block withdrawals that dip into the reserve", async function () {
+      await expect(tokenStore.withdrawPayments(await usdt.getAddress(), owner.address, 1))
+        .to.be.revertedWith("TokenStore: withdrawal breaks reserve ratio");
+      await expect(tokenStore.emergencyWithdraw(await usdt.getAddress(), owner.address, 1))
+        .to.be.revertedWith("TokenStore: withdrawal breaks reserve ratio");
+    });
+
+    it("Should release the reserve as GT is redeemed", async function () {
+      await tokenStore.setRedemptionFee(1000);
+      await tokenStore.connect(player).redeem(await usdt.getAddress(), ethers.parseEther("50"), 0);
+
+      // 5 USDT fee is free to withdraw, the 50 USDT behind unredeemed GT is not
+      await tokenStore.withdrawPayments(await usdt.getAddress(), owner.address, usdtUnits("5"));
+      await expect(tokenStore.withdrawPayments(await usdt.getAddress(), owner.address, 1))
+        .to.be.revertedWith("TokenStore: withdrawal breaks reserve ratio");
+    });
+
+    it("Should allow withdrawing down to a lower ratio", async function () {
+      await expect(tokenStore.setReserveRatio(4000))
+        .to.emit(tokenStore, "ReserveRatioUpdated")
+        .withArgs(10000, 4000);
+
+      await tokenStore.withdrawPayments(await usdt.getAddress(), owner.address, usdtUnits("60"));
+      expect(await tokenStore.getRequiredReserve(await usdt.getAddress())).to.equal(usdtUnits("40"));
+      await expect(tokenStore.withdrawPayments(await usdt.getAddress(), owner.address, 1))
+        .to.be.revertedWith("TokenStore: withdrawal breaks reserve ratio");
+    });
+
+    it("Should not allow a ratio above 100%", async function () {
+      await expect(tokenStore.setReserveRatio(10001))
+        .to.be.revertedWith("TokenStore: ratio cannot exceed 100%");
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  MOVE_TYPES,
+  FORFEIT_TYPES,
+  buildDomain,
+  hashMove,
+  verifyTranscript,
+} = require("../api/transcript");
+
+describe("Signed move transcripts", function () {
+  let player1;
+  let player2;
+  let other;
+  let domain;
+  let expected;
+
+  const MATCH_ID = ethers.id("transcript-match-1");
+  const PLAYGAME_ADDR = "0x000000000000000000000000000000000000dEaD";
+
+  async function signMove(signer, moveNumber, row, col, prevHash = ethers.ZeroHash, matchId = MATCH_ID) {
+    const move = { matchId, moveNumber, row, col, player: signer.address, prevHash };
+    const signature = await signer.signTypedData(domain, MOVE_TYPES, move);
+    return { moveNumber, row, col, player: signer.address, prevHash, signature };
+  }
+
+  // Hash of the last of moves, which the next move signs as its prevHash
+  function lastHash(moves) {
+    const last = moves[moves.length - 1];
+    return last ? hashMove(domain, { ...last, matchId: MATCH_ID }) : ethers.ZeroHash;
+  }
+
+  // Cells are [row, col]; X (player1) moves on even move numbers
+  async function play(cells) {
+    const moves = [];
+    for (let i = 0; i < cells.length; i++) {
+      const signer = i % 2 === 0 ? player1 : player2;
+      moves.push(await signMove(signer, i, cells[i][0], cells[i][1], lastHash(moves)));
+    }
+    return moves;
+  }
+
+  beforeEach(async function () {
+    [player1, player2, other] = await ethers.getSigners();
+    domain = buildDomain(1337, PLAYGAME_ADDR);
+    expected = { matchId: MATCH_ID, domain, player1: player1.address, player2: player2.address };
+  });
+
+  it("Should replay a won game to the winner", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(true);
+    expect(verification.result).to.equal("X");
+    expect(verification.winner).to.equal(player1.address);
+  });
+
+  it("Should replay a full board without a line to a draw", async function () {
+    const moves = await play([
+      [0, 0], [0, 1], [0, 2],
+      [1, 1], [1, 0], [1, 2],
+      [2, 1], [2, 0], [2, 2],
+    ]);
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(true);
+    expect(verification.result).to.equal("DRAW");
+    expect(verification.winner).to.equal(null);
+  });
+
+  it("Should reject an unfinished game", async function () {
+    const moves = await play([[0, 0], [1, 0]]);
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("transcript does not reach a final result");
+  });
+
+  it("Should award the game to the opponent of a signed forfeit", async function () {
+    const moves = await play([[0, 0]]);
+    const signature = await player1.signTypedData(domain, FORFEIT_TYPES, {
+      matchId: MATCH_ID,
+      player: player1.address,
+    });
+
+    const verification = verifyTranscript({ moves, forfeit: { player: player1.address, signature } }, expected);
+    expect(verification.valid).to.equal(true);
+    expect(verification.winner).to.equal(player2.address);
+    expect(verification.reason).to.equal("FORFEIT");
+  });
+
+  it("Should reject a forfeit signed by someone else", async function () {
+    const signature = await player2.signTypedData(domain, FORFEIT_TYPES, {
+      matchId: MATCH_ID,
+      player: player1.address,
+    });
+
+    const verification = verifyTranscript({ moves: [], forfeit: { player: player1.address, signature } }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("forfeit has an invalid signature");
+  });
+
+  it("Should award the game to the opponent of a timeout vouched for by the matchmaking server", async function () {
+    const moves = await play([[0, 0]]);
+    const transcript = { moves, timeout: { player: player2.address } };
+
+    const verification = verifyTranscript(transcript, { ...expected, allowTimeout: true });
+    expect(verification.valid).to.equal(true);
+    expect(verification.result).to.equal("X");
+    expect(verification.winner).to.equal(player1.address);
+    expect(verification.reason).to.equal("TIMEOUT");
+
+    // Nothing signed proves a timeout, so anyone else's claim is refused
+    expect(verifyTranscript(transcript, expected).error).to.equal(
+      "timeouts are only accepted from the matchmaking server"
+    );
+  });
+
+  it("Should reject a timeout by the player who was not on the move", async function () {
+    const moves = await play([[0, 0]]);
+
+    const verification = verifyTranscript(
+      { moves, timeout: { player: player1.address } },
+      { ...expected, allowTimeout: true }
+    );
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("timeout is not by the player whose turn it was");
+  });
+
+  it("Should award the game to the opponent of a player who disconnected, whoever was on the move", async function () {
+    const moves = await play([[0, 0]]);
+    const transcript = { moves, timeout: { player: player1.address, reason: "DISCONNECT" } };
+
+    const verification = verifyTranscript(transcript, { ...expected, allowTimeout: true });
+    expect(verification.valid).to.equal(true);
+    expect(verification.result).to.equal("O");
+    expect(verification.winner).to.equal(player2.address);
+    expect(verification.reason).to.equal("DISCONNECT");
+
+    expect(verifyTranscript(transcript, expected).error).to.equal(
+      "timeouts are only accepted from the matchmaking server"
+    );
+  });
+
+  it("Should reject a disconnect by someone outside the match", async function () {
+    const verification = verifyTranscript(
+      { moves: [], timeout: { player: other.address, reason: "DISCONNECT" } },
+      { ...expected, allowTimeout: true }
+    );
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("timeout is not by a player in this match");
+  });
+
+  it("Should reject a move signed by someone other than the player", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+    const forged = await signMove(other, 4, 0, 2, moves[4].prevHash);
+    moves[4] = { ...forged, player: player1.address };
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 4 has an invalid signature");
+  });
+
+  it("Should reject moves signed for a different match", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1]]);
+    moves.push(await signMove(player1, 4, 0, 2, lastHash(moves), ethers.id("another-match")));
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 4 has an invalid signature");
+  });
+
+  it("Should reject moves signed for a different contract", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+    const otherDomain = buildDomain(1337, other.address);
+
+    const verification = verifyTranscript({ moves }, { ...expected, domain: otherDomain });
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 0 has an invalid signature");
+  });
+
+  it("Should reject a move that doesn't follow the move before it", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+    moves[2] = await signMove(player1, 2, 0, 1);
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 2 does not follow the move before it");
+  });
+
+  it("Should not let a player splice the opponent's signed moves into a different game", async function () {
+    const played = await play([[2, 2], [1, 0], [2, 1], [1, 1], [0, 0], [1, 2]]);
+    expect(verifyTranscript({ moves: played }, expected).winner).to.equal(player2.address);
+
+    // Player 1 signs a game of their own around player 2's moves, which still
+    // sign the hashes of the moves player 1 really played
+    const moves = [];
+    for (const [i, [row, col]] of [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]].entries()) {
+      moves.push(i % 2 === 0
+        ? await signMove(player1, i, row, col, lastHash(moves))
+        : { ...played[i], prevHash: lastHash(moves) });
+    }
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 1 has an invalid signature");
+  });
+
+  it("Should reject a move on an occupied cell", async function () {
+    const moves = await play([[0, 0], [0, 0]]);
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 1 targets an occupied cell");
+  });
+
+  it("Should replay a transcript with the rules of its game type", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [1, 2], [0, 3]]);
+
+    const verification = verifyTranscript({ moves }, { ...expected, gameType: "tictactoe4x4" });
+    expect(verification.valid).to.equal(true);
+    expect(verification.result).to.equal("X");
+    expect(verification.board).to.have.length(16);
+
+    // Under 3x3 rules the top row already won on move 4
+    expect(verifyTranscript({ moves }, expected).error).to.equal("move 5 played after the game ended");
+  });
+
+  it("Should reject a transcript for a game type without rules", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+
+    const verification = verifyTranscript({ moves }, { ...expected, gameType: "chess" });
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("no rules for game type chess");
+  });
+
+  it("Should reject a move out of turn", async function () {
+    const moves = [await signMove(player2, 0, 0, 0)];
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 0 is not by the player whose turn it was");
+  });
+
+  it("Should reject moves after the game has ended", async function () {
+    const moves = await play([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [2, 2]]);
+
+    const verification = verifyTranscript({ moves }, expected);
+    expect(verification.valid).to.equal(false);
+    expect(verification.error).to.equal("move 5 played after the game ended");
+  });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployProxy,
+  getImplementationAddress,
+  getStorageLayout,
+  compareStorageLayouts
+} = require("../scripts/proxy");
+
+describe("Upgradeable proxies", function () {
+  let gameToken;
+  let usdt;
+  let tokenStore;
+  let playGame;
+  let owner;
+  let player1;
+  let player2;
+  let other;
+
+  const STAKE = ethers.parseEther("100");
+  const MATCH_ID = ethers.id("upgrade-match-1");
+
+  async function deployImplementation(name) {
+    const Implementation = await ethers.getContractFactory(name);
+    const implementation = await Implementation.deploy();
+    await implementation.waitForDeployment();
+    return implementation;
+  }
+
+  beforeEach(async function () {
+    [owner, player1, player2, other] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    gameToken = await GameToken.deploy(ethers.parseEther("1000000"), "TriX Game Token", "GT", ethers.parseEther("100000000"));
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdt = await MockERC20.deploy("Mock USDT", "USDT", 6, ethers.parseUnits("1000000", 6));
+
+    tokenStore = await deployProxy("TokenStore", [await usdt.getAddress(), await gameToken.getAddress(), ethers.parseEther("1")]);
+    playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+    await gameToken.grantRole(await gameToken.MINTER_ROLE(), await tokenStore.getAddress());
+
+    for (const player of [player1, player2]) {
+      await gameToken.transfer(player.address, ethers.parseEther("1000"));
+      await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Initialization", function () {
+    it("Should initialize the proxy once", async function () {
+      expect(await playGame.gameToken()).to.equal(await gameToken.getAddress());
+      expect(await tokenStore.reserveRatioBps()).to.equal(10000);
+
+      await expect(playGame.initialize(await gameToken.getAddress()))
+        .to.be.revertedWithCustomError(playGame, "InvalidInitialization");
+    });
+
+    it("Should lock the implementation itself", async function () {
+      const implementation = await ethers.getContractAt("PlayGame", await getImplementationAddress(await playGame.getAddress()));
+
+      await expect(implementation.initialize(await gameToken.getAddress()))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+      await expect(implementation.upgradeToAndCall(await implementation.getAddress(), "0x"))
+        .to.be.revertedWith("UUPSUpgradeable: must be called through proxy");
+    });
+  });
+
+  describe("Upgrading PlayGame mid-match", function () {
+    let v2;
+
+    beforeEach(async function () {
+      await playGame.createMatch(MATCH_ID, player1.address, player2.address, STAKE);
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+      await playGame.connect(player1).depositPreStake(ethers.parseEther("50"));
+
+      v2 = await deployImplementation("PlayGameV2");
+    });
+
+    it("Should keep escrow and match state across the upgrade", async function () {
+      const proxyAddress = await playGame.getAddress();
+
+      await expect(playGame.upgradeToAndCall(await v2.getAddress(), v2.interface.encodeFunctionData("initializeV2", ["draws"])))
+        .to.emit(playGame, "Upgraded")
+        .withArgs(await v2.getAddress());
+
+      const upgraded = await ethers.getContractAt("PlayGameV2", proxyAddress);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.upgradeNote()).to.equal("draws");
+      expect(await getImplementationAddress(proxyAddress)).to.equal(await v2.getAddress());
+
+      const match = await upgraded.getMatch(MATCH_ID);
+      expect(match.status).to.equal(1); // STAKED
+      expect(await upgraded.totalEscrowed()).to.equal(STAKE * 2n + ethers.parseEther("50"));
+      expect(await upgraded.getEscrow(player1.address)).to.deep.equal([ethers.parseEther("50"), STAKE]);
+      expect(await gameToken.balanceOf(proxyAddress)).to.equal(STAKE * 2n + ethers.parseEther("50"));
+    });
+
+    it("Should settle the match after the upgrade", async function () {
+      await playGame.upgradeToAndCall(await v2.getAddress(), "0x");
+      const balanceBefore = await gameToken.balanceOf(player2.address);
+
+      await expect(playGame.commitResult(MATCH_ID, player2.address))
+        .to.emit(playGame, "Settled")
+        .withArgs(MATCH_ID, player2.address, STAKE * 2n);
+
+      expect(await gameToken.balanceOf(player2.address)).to.equal(balanceBefore + STAKE * 2n);
+      expect(await playGame.totalEscrowed()).to.equal(ethers.parseEther("50"));
+      await playGame.connect(player1).withdrawPreStake(ethers.parseEther("50"));
+      expect(await playGame.totalEscrowed()).to.equal(0);
+    });
+
+    it("Should keep roles so only the admin can upgrade", async function () {
+      await expect(playGame.connect(other).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+
+      await playGame.upgradeToAndCall(await v2.getAddress(), "0x");
+      expect(await playGame.hasRole(await playGame.OPERATOR_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should reject implementations that can't be upgraded again", async function () {
+      await expect(playGame.upgradeToAndCall(await gameToken.getAddress(), "0x"))
+        .to.be.revertedWith("UUPSUpgradeable: new implementation is not UUPS");
+    });
+
+    it("Should upgrade through the timelock once it is admin", async function () {
+      const DELAY = 24 * 60 * 60;
+      const GameTimelock = await ethers.getContractFactory("GameTimelock");
+      const timelock = await GameTimelock.deploy(DELAY, [owner.address], [owner.address], ethers.ZeroAddress);
+      const DEFAULT_ADMIN_ROLE = await playGame.DEFAULT_ADMIN_ROLE();
+      await playGame.grantRole(DEFAULT_ADMIN_ROLE, await timelock.getAddress());
+      await playGame.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+
+      await expect(playGame.upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+
+      const call = [
+        await playGame.getAddress(),
+        0,
+        playGame.interface.encodeFunctionData("upgradeToAndCall", [await v2.getAddress(), "0x"]),
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      ];
+      await timelock.schedule(...call, DELAY);
+      await time.increase(DELAY);
+      await timelock.execute(...call);
+
+      expect(await getImplementationAddress(await playGame.getAddress())).to.equal(await v2.getAddress());
+      await playGame.commitResult(MATCH_ID, player1.address);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(2); // SETTLED
+    });
+  });
+
+  describe("Upgrading PlayGame from before the game type registry", function () {
+    // Put the proxy's storage back the way a pre-registry PlayGame left it: no game types
+    async function clearGameTypes(proxyAddress) {
+      const { storage } = await getStorageLayout("PlayGame");
+      const slotOf = (label) => BigInt(storage.find((variable) => variable.label === label).slot);
+      const gameType0 = BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [0, slotOf("_gameTypes")])));
+
+      const slots = [slotOf("gameTypeCount")];
+      for (let member = 0n; member < 5n; member++) {
+        slots.push(gameType0 + member);
+      }
+      for (const slot of slots) {
+        await ethers.provider.send("hardhat_setStorageAt", [proxyAddress, ethers.toQuantity(slot), ethers.ZeroHash]);
+      }
+    }
+
+    beforeEach(async function () {
+      await clearGameTypes(await playGame.getAddress());
+    });
+
+    it("Should not create matches while type 0 is missing", async function () {
+      expect(await playGame.gameTypeCount()).to.equal(0);
+      await expect(playGame.createMatch(MATCH_ID, player1.address, player2.address, STAKE))
+        .to.be.revertedWith("PlayGame: game type not active");
+    });
+
+    it("Should register tic-tac-toe with the upgrade and create matches again", async function () {
+      const implementation = await deployImplementation("PlayGame");
+      await expect(playGame.upgradeToAndCall(await implementation.getAddress(), implementation.interface.encodeFunctionData("initializeGameTypes")))
+        .to.emit(playGame, "GameTypeRegistered")
+        .withArgs(0, "tictactoe", 1, 0, await playGame.TIMEOUT_DURATION());
+
+      expect(await playGame.gameTypeCount()).to.equal(1);
+      await expect(playGame.createMatch(MATCH_ID, player1.address, player2.address, STAKE))
+        .to.emit(playGame, "MatchGameType")
+        .withArgs(MATCH_ID, 0);
+      await playGame.connect(player1).stake(MATCH_ID);
+      await playGame.connect(player2).stake(MATCH_ID);
+      expect((await playGame.getMatch(MATCH_ID)).status).to.equal(1); // STAKED
+
+      await expect(playGame.initializeGameTypes())
+        .to.be.revertedWithCustomError(playGame, "InvalidInitialization");
+    });
+
+    it("Should leave the registry alone on proxies that already have it", async function () {
+      const fresh = await deployProxy("PlayGame", [await gameToken.getAddress()]);
+      await expect(fresh.initializeGameTypes()).to.not.emit(fresh, "GameTypeRegistered");
+      expect(await fresh.gameTypeCount()).to.equal(1);
+    });
+
+    it("Should only let the admin register the game types", async function () {
+      await expect(playGame.connect(other).initializeGameTypes())
+        .to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Upgrading TokenStore", function () {
+    it("Should keep the payment registry and reserve", async function () {
+      await usdt.approve(await tokenStore.getAddress(), ethers.MaxUint256);
+      await tokenStore.buy(await usdt.getAddress(), ethers.parseUnits("25", 6), 0);
+
+      const v2 = await deployImplementation("TokenStoreV2");
+      await tokenStore.upgradeToAndCall(await v2.getAddress(), "0x");
+      const upgraded = await ethers.getContractAt("TokenStoreV2", await tokenStore.getAddress());
+
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.getPaymentTokens()).to.deep.equal([await usdt.getAddress()]);
+      expect(await upgraded.outstandingLiability(await usdt.getAddress())).to.equal(ethers.parseUnits("25", 6));
+
+      await upgraded.buy(await usdt.getAddress(), ethers.parseUnits("5", 6), 0);
+      expect(await gameToken.balanceOf(owner.address)).to.equal(ethers.parseEther("998030"));
+    });
+  });
+
+  describe("Storage layout check", function () {
+    it("Should accept implementations that only append storage", async function () {
+      expect(compareStorageLayouts(await getStorageLayout("PlayGame"), await getStorageLayout("PlayGameV2"))).to.deep.equal([]);
+      expect(compareStorageLayouts(await getStorageLayout("TokenStore"), await getStorageLayout("TokenStoreV2"))).to.deep.equal([]);
+    });
+
+    it("Should reject reordered, retyped or removed variables", async function () {
+      const layout = await getStorageLayout("PlayGame");
+
+      const reordered = structuredClone(layout);
+      [reordered.storage[0].slot, reordered.storage[1].slot] = [reordered.storage[1].slot, reordered.storage[0].slot];
+      expect(compareStorageLayouts(layout, reordered)).to.not.be.empty;
+
+      const retyped = structuredClone(layout);
+      const treasury = retyped.storage.find((variable) => variable.label === "treasury");
+      treasury.type = "t_uint256";
+      expect(compareStorageLayouts(layout, retyped)).to.deep.equal([
+        "treasury changed type from address (20 bytes) to uint256 (32 bytes)"
+      ]);
+
+      const removed = structuredClone(layout);
+      removed.storage = removed.storage.filter((variable) => variable.label !== "disputeWindow");
+      expect(compareStorageLayouts(layout, removed)).to.include.members([
+        `disputeWindow (slot ${layout.storage.find((v) => v.label === "disputeWindow").slot} offset 0) was removed or moved`
+      ]);
+    });
+
+    it("Should reject one contract's layout for another", async function () {
+      expect(compareStorageLayouts(await getStorageLayout("PlayGame"), await getStorageLayout("TokenStore"))).to.not.be.empty;
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployProxy } = require("../../scripts/proxy");
 
 describe("End-to-End Integration Tests", function () {
     let GameToken, TokenStore, PlayGame;
@@ -9,10 +10,24 @@ describe("End-to-End Integration Tests", function () {
     let addrs;
 
     const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1M GT
+    const MAX_SUPPLY = ethers.parseEther("100000000");
     const TOKEN_NAME = "TriX Game Token";
     const TOKEN_SYMBOL = "GT";
     const USDT_DECIMALS = 6;
+    const GT_PER_USDT = ethers.parseEther("1");
     const STAKE_AMOUNT = ethers.parseEther("100");
+    const PLATFORM_FEE = 500n; // 5%
+
+    let matchCount = 0;
+
+    // Create a match through the API gateway and have both players stake for it
+    async function startMatch(p1, p2) {
+        const matchId = ethers.id(`e2e-match-${++matchCount}`);
+        await playGame.connect(apiGateway).createMatch(matchId, p1.address, p2.address, STAKE_AMOUNT);
+        await playGame.connect(p1).stake(matchId);
+        await playGame.connect(p2).stake(matchId);
+        return matchId;
+    }
 
     before(async function () {
         [owner, treasury, apiGateway, player1, player2, player3, ...addrs] = await ethers.getSigners();
@@ -21,35 +36,33 @@ describe("End-to-End Integration Tests", function () {
 
         // Deploy GameToken
         GameToken = await ethers.getContractFactory("GameToken");
-        gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL);
+        gameToken = await GameToken.deploy(INITIAL_SUPPLY, TOKEN_NAME, TOKEN_SYMBOL, MAX_SUPPLY);
         await gameToken.waitForDeployment();
         console.log("GameToken deployed to:", await gameToken.getAddress());
 
         // Deploy Mock USDT
         const MockUSDT = await ethers.getContractFactory("MockUSDT");
-        mockUSDT = await MockUSDT.deploy();
+        mockUSDT = await MockUSDT.deploy(0);
         await mockUSDT.waitForDeployment();
         console.log("MockUSDT deployed to:", await mockUSDT.getAddress());
 
         // Deploy TokenStore
         TokenStore = await ethers.getContractFactory("TokenStore");
-        tokenStore = await TokenStore.deploy(
-            await gameToken.getAddress(),
-            await mockUSDT.getAddress(),
-            treasury.address
-        );
+        tokenStore = await deployProxy("TokenStore", [await mockUSDT.getAddress(), await gameToken.getAddress(), GT_PER_USDT]);
         await tokenStore.waitForDeployment();
         console.log("TokenStore deployed to:", await tokenStore.getAddress());
 
         // Deploy PlayGame
         PlayGame = await ethers.getContractFactory("PlayGame");
-        playGame = await PlayGame.deploy(await gameToken.getAddress());
+        playGame = await deployProxy("PlayGame", [await gameToken.getAddress()]);
         await playGame.waitForDeployment();
         console.log("PlayGame deployed to:", await playGame.getAddress());
 
         // Setup roles and permissions
         await gameToken.grantRole(await gameToken.MINTER_ROLE(), await tokenStore.getAddress());
-        await playGame.grantRole(await playGame.API_GATEWAY_ROLE(), apiGateway.address);
+        await playGame.grantRole(await playGame.OPERATOR_ROLE(), apiGateway.address);
+        await playGame.setTreasury(treasury.address);
+        await playGame.updatePlatformFee(PLATFORM_FEE);
 
         console.log("Setup complete. Starting E2E tests...");
     });
@@ -75,15 +88,15 @@ describe("End-to-End Integration Tests", function () {
 
             // Step 3: Purchase GT tokens with USDT
             const usdtToPurchase = ethers.parseUnits("200", USDT_DECIMALS); // 200 USDT
-            await tokenStore.connect(player1).purchaseTokens(usdtToPurchase);
-            await tokenStore.connect(player2).purchaseTokens(usdtToPurchase);
+            await tokenStore.connect(player1).buy(await mockUSDT.getAddress(), usdtToPurchase, 0);
+            await tokenStore.connect(player2).buy(await mockUSDT.getAddress(), usdtToPurchase, 0);
 
             const expectedGT = usdtToPurchase * BigInt(10 ** (18 - USDT_DECIMALS)); // Convert to 18 decimals
 
             console.log("✓ Step 3: Purchased GT tokens");
             console.log(`  Player1 GT balance: ${ethers.formatEther(await gameToken.balanceOf(player1.address))}`);
             console.log(`  Player2 GT balance: ${ethers.formatEther(await gameToken.balanceOf(player2.address))}`);
-            console.log(`  Treasury USDT balance: ${ethers.formatUnits(await mockUSDT.balanceOf(treasury.address), USDT_DECIMALS)}`);
+            console.log(`  TokenStore USDT balance: ${ethers.formatUnits(await mockUSDT.balanceOf(await tokenStore.getAddress()), USDT_DECIMALS)}`);
 
             // Verify GT balances
             expect(await gameToken.balanceOf(player1.address)).to.equal(expectedGT);
@@ -95,33 +108,33 @@ describe("End-to-End Integration Tests", function () {
 
             console.log("✓ Step 4: Approved GT spending for PlayGame");
 
-            // Step 5: Create a match
-            const tx1 = await playGame.connect(player1).createMatch(STAKE_AMOUNT);
-            const receipt1 = await tx1.wait();
-            const matchId = 1; // First match
+            // Step 5: API Gateway creates a match for the two players
+            const matchId = ethers.id(`e2e-match-${++matchCount}`);
+            await playGame.connect(apiGateway).createMatch(matchId, player1.address, player2.address, STAKE_AMOUNT);
 
-            console.log("✓ Step 5: Player1 created match");
+            console.log("✓ Step 5: API Gateway created match");
             console.log(`  Match ID: ${matchId}`);
             console.log(`  Stake Amount: ${ethers.formatEther(STAKE_AMOUNT)} GT`);
 
-            // Step 6: Player2 joins the match
-            await playGame.connect(player2).joinMatch(matchId);
+            // Step 6: Both players stake
+            await playGame.connect(player1).stake(matchId);
+            await playGame.connect(player2).stake(matchId);
 
-            console.log("✓ Step 6: Player2 joined match");
+            console.log("✓ Step 6: Both players staked");
 
             // Verify match state
             const match = await playGame.getMatch(matchId);
-            expect(match.status).to.equal(1); // Active
-            expect(match.player1).to.equal(player1.address);
-            expect(match.player2).to.equal(player2.address);
-            expect(match.totalStake).to.equal(STAKE_AMOUNT * 2n);
+            expect(match.status).to.equal(1); // STAKED
+            expect(match.p1).to.equal(player1.address);
+            expect(match.p2).to.equal(player2.address);
+            expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(STAKE_AMOUNT * 2n);
 
-            console.log(`  Match Status: Active`);
-            console.log(`  Total Stake: ${ethers.formatEther(match.totalStake)} GT`);
+            console.log(`  Match Status: Staked`);
+            console.log(`  Total Stake: ${ethers.formatEther(STAKE_AMOUNT * 2n)} GT`);
 
-            // Step 7: API Gateway completes the match (Player1 wins)
+            // Step 7: API Gateway commits the result (Player1 wins)
             const balanceBeforeWin = await gameToken.balanceOf(player1.address);
-            await playGame.connect(apiGateway).completeMatch(matchId, player1.address);
+            await playGame.connect(apiGateway).commitResult(matchId, player1.address);
 
             console.log("✓ Step 7: Match completed - Player1 wins");
 
@@ -131,7 +144,7 @@ describe("End-to-End Integration Tests", function () {
 
             // Calculate expected payout (total stake minus 5% platform fee)
             const totalStake = STAKE_AMOUNT * 2n;
-            const platformFee = (totalStake * 500n) / 10000n; // 5% fee
+            const platformFee = (totalStake * PLATFORM_FEE) / 10000n; // 5% fee
             const expectedPayout = totalStake - platformFee;
             const actualPayout = balanceAfterWin - balanceBeforeWin;
 
@@ -141,8 +154,8 @@ describe("End-to-End Integration Tests", function () {
             console.log(`  Platform fee: ${ethers.formatEther(platformFee)} GT`);
 
             expect(actualPayout).to.equal(expectedPayout);
-            expect(matchAfter.status).to.equal(2); // Completed
-            expect(matchAfter.winner).to.equal(player1.address);
+            expect(await gameToken.balanceOf(treasury.address)).to.equal(platformFee);
+            expect(matchAfter.status).to.equal(2); // SETTLED
 
             console.log("=== Complete User Journey Successful! ===\n");
         });
@@ -159,22 +172,25 @@ describe("End-to-End Integration Tests", function () {
             const usdtAmount = ethers.parseUnits("200", USDT_DECIMALS);
             await mockUSDT.mint(player3.address, usdtAmount);
             await mockUSDT.connect(player3).approve(await tokenStore.getAddress(), usdtAmount);
-            await tokenStore.connect(player3).purchaseTokens(usdtAmount);
+            await tokenStore.connect(player3).buy(await mockUSDT.getAddress(), usdtAmount, 0);
 
-            // Create 3 matches
-            await playGame.connect(player1).createMatch(STAKE_AMOUNT);
-            await playGame.connect(player2).createMatch(STAKE_AMOUNT);
-            await playGame.connect(player3).createMatch(STAKE_AMOUNT);
+            // Player2 lost their stake in the first match, top them up
+            await tokenStore.connect(player2).buy(await mockUSDT.getAddress(), usdtAmount, 0);
 
-            // Join matches
-            await playGame.connect(player2).joinMatch(2);
-            await playGame.connect(player3).joinMatch(3);
-            await playGame.connect(player1).joinMatch(4);
+            // Create and stake 3 matches
+            const match1 = await startMatch(player1, player2);
+            const match2 = await startMatch(player2, player3);
+            const match3 = await startMatch(player3, player1);
+            expect(await playGame.getPendingMatchCount()).to.equal(0);
 
             // Complete all matches
-            await playGame.connect(apiGateway).completeMatch(2, player1.address);
-            await playGame.connect(apiGateway).completeMatch(3, player2.address);
-            await playGame.connect(apiGateway).completeMatch(4, player3.address);
+            await playGame.connect(apiGateway).commitResult(match1, player1.address);
+            await playGame.connect(apiGateway).commitResult(match2, player2.address);
+            await playGame.connect(apiGateway).commitResult(match3, player3.address);
+
+            for (const matchId of [match1, match2, match3]) {
+                expect((await playGame.getMatch(matchId)).status).to.equal(2); // SETTLED
+            }
 
             console.log("✓ Multiple concurrent matches handled successfully");
         });
@@ -182,17 +198,21 @@ describe("End-to-End Integration Tests", function () {
 
     describe("Error Scenarios and Edge Cases", function () {
         it("Should handle insufficient funds gracefully", async function () {
-            // Try to create match with insufficient GT
+            // Try to stake for a match with insufficient GT
+            const matchId = ethers.id("e2e-expensive-match");
+            await playGame.connect(apiGateway).createMatch(matchId, player1.address, player2.address, ethers.parseEther("10000"));
             await expect(
-                playGame.connect(player1).createMatch(ethers.parseEther("10000"))
+                playGame.connect(player1).stake(matchId)
             ).to.be.revertedWith("PlayGame: insufficient GT balance");
         });
 
         it("Should prevent unauthorized match completion", async function () {
-            await playGame.connect(player1).createMatch(STAKE_AMOUNT);
+            await gameToken.connect(player1).approve(await playGame.getAddress(), STAKE_AMOUNT);
+            await gameToken.connect(player2).approve(await playGame.getAddress(), STAKE_AMOUNT);
+            const matchId = await startMatch(player1, player2);
 
             await expect(
-                playGame.connect(player1).completeMatch(5, player1.address)
+                playGame.connect(player1).commitResult(matchId, player1.address)
             ).to.be.revertedWithCustomError(playGame, "AccessControlUnauthorizedAccount");
         });
 
@@ -208,11 +228,11 @@ describe("End-to-End Integration Tests", function () {
             ).to.be.reverted;
 
             await expect(
-                tokenStore.connect(player1).purchaseTokens(ethers.parseUnits("1", USDT_DECIMALS))
+                tokenStore.connect(player1).buy(await mockUSDT.getAddress(), ethers.parseUnits("1", USDT_DECIMALS), 0)
             ).to.be.reverted;
 
             await expect(
-                playGame.connect(player1).createMatch(STAKE_AMOUNT)
+                playGame.connect(apiGateway).createMatch(ethers.id("e2e-paused-match"), player1.address, player2.address, STAKE_AMOUNT)
             ).to.be.reverted;
 
             // Unpause
@@ -231,9 +251,9 @@ describe("End-to-End Integration Tests", function () {
                 gameToken.connect(player1).mint(player1.address, ethers.parseEther("1000"))
             ).to.be.revertedWithCustomError(gameToken, "AccessControlUnauthorizedAccount");
 
-            // Non-admin cannot update treasury
+            // Non-admin cannot withdraw payments
             await expect(
-                tokenStore.connect(player1).updateTreasury(player1.address)
+                tokenStore.connect(player1).withdrawPayments(await mockUSDT.getAddress(), player1.address, 1)
             ).to.be.revertedWithCustomError(tokenStore, "AccessControlUnauthorizedAccount");
 
             // Non-admin cannot update platform fee
@@ -251,17 +271,17 @@ describe("End-to-End Integration Tests", function () {
             ).to.be.revertedWith("GameToken: cannot mint to zero address");
 
             await expect(
-                tokenStore.updateTreasury(ethers.ZeroAddress)
-            ).to.be.revertedWith("TokenStore: treasury cannot be zero address");
+                playGame.setTreasury(ethers.ZeroAddress)
+            ).to.be.revertedWith("PlayGame: invalid treasury address");
 
             // Zero amount validations
             await expect(
-                tokenStore.connect(player1).purchaseTokens(0)
+                tokenStore.connect(player1).buy(await mockUSDT.getAddress(), 0, 0)
             ).to.be.revertedWith("TokenStore: amount must be greater than 0");
 
             await expect(
-                playGame.connect(player1).createMatch(0)
-            ).to.be.revertedWith("PlayGame: stake amount must be greater than 0");
+                playGame.connect(apiGateway).createMatch(ethers.id("e2e-free-match"), player1.address, player2.address, 0)
+            ).to.be.revertedWith("PlayGame: stake must be greater than 0");
 
             console.log("✓ Input parameter validation verified");
         });
@@ -0,0 +1,120 @@
+// Glicko-2 player ratings (Glickman, "Example of the Glicko-2 system").
+// A rating is { rating, rd, volatility } on the familiar 1500-centred scale:
+// rd is how unsure the rating is and volatility how erratic the player's
+// results have been. TriX rates every settled match as its own rating
+// period, so ratings move after each game rather than in batches.
+
+// Where every wallet starts: average, and as unsure as a rating gets
+const DEFAULT_RATING = { rating: 1500, rd: 350, volatility: 0.06 };
+
+// Constrains how fast volatility changes; 0.3 to 1.2 are sensible
+const TAU = 0.5;
+// Ratio between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+    return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+// New volatility from the estimated improvement delta and variance v (step 5)
+function nextVolatility(phi, sigma, delta, v, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return ex * (delta * delta - phi * phi - v - ex) / (2 * d * d) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) {
+            k++;
+        }
+        B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+/**
+ * Rate a player over one rating period.
+ * @param {object} player { rating, rd, volatility }
+ * @param {object[]} results [{ opponent: { rating, rd }, score }] score 1 for a win, 0.5 a draw, 0 a loss
+ * @param {object} [options] { tau }
+ * @returns {object} the player's new { rating, rd, volatility }
+ */
+function rate(player, results, { tau = TAU } = {}) {
+    const mu = (player.rating - 1500) / SCALE;
+    const phi = player.rd / SCALE;
+    const sigma = player.volatility;
+
+    // Sitting a period out only makes the rating less certain
+    if (results.length === 0) {
+        const rd = Math.min(Math.sqrt(phi * phi + sigma * sigma) * SCALE, DEFAULT_RATING.rd);
+        return { rating: player.rating, rd, volatility: sigma };
+    }
+
+    const games = results.map(({ opponent, score }) => {
+        const opponentMu = (opponent.rating - 1500) / SCALE;
+        const opponentPhi = opponent.rd / SCALE;
+        return { score, g: g(opponentPhi), E: expectedScore(mu, opponentMu, opponentPhi) };
+    });
+
+    const v = 1 / games.reduce((sum, game) => sum + game.g * game.g * game.E * (1 - game.E), 0);
+    const improvement = games.reduce((sum, game) => sum + game.g * (game.score - game.E), 0);
+    const delta = v * improvement;
+
+    const volatility = nextVolatility(phi, sigma, delta, v, tau);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return {
+        rating: newMu * SCALE + 1500,
+        rd: Math.min(newPhi * SCALE, DEFAULT_RATING.rd),
+        volatility
+    };
+}
+
+/**
+ * Rate both players of a single game.
+ * @param {object} player1 { rating, rd, volatility }
+ * @param {object} player2 { rating, rd, volatility }
+ * @param {number} score player1's score: 1 for a win, 0.5 a draw, 0 a loss
+ * @returns {object[]} [player1's new rating, player2's new rating]
+ */
+function rateGame(player1, player2, score) {
+    return [
+        rate(player1, [{ opponent: player2, score }]),
+        rate(player2, [{ opponent: player1, score: 1 - score }])
+    ];
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    rate,
+    rateGame
+};
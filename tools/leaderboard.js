@@ -1,6 +1,7 @@
 const express = require('express');
 const { ethers } = require('ethers');
 const cors = require('cors');
+const { DEFAULT_RATING, rateGame } = require('./glicko2');
 require('dotenv').config();
 
 const app = express();
@@ -14,6 +15,10 @@ app.use(express.json());
 let events = [];
 let playerStats = {};
 let purchaseStats = {};
+let paymentTokenInfo = {}; // token address -> { symbol, decimals }
+let gameStats = {}; // game type id -> { name, matches, wins, draws, gtWagered, feesPaid }
+let matchGameTypes = {}; // matchId -> game type id
+let ratings = {}; // lowercased address -> { rating, rd, volatility, games }, Glicko-2 from settled results
 
 // Global variables
 let provider;
@@ -23,17 +28,22 @@ let contracts = {};
 const ABIS = {
     ERC20: [
         "function balanceOf(address) view returns (uint256)",
+        "function symbol() view returns (string)",
+        "function decimals() view returns (uint8)",
         "event Transfer(address indexed,address indexed,uint256)"
     ],
     TokenStore: [
-        "event Purchase(address indexed,uint256,uint256)"
+        "event Purchase(address indexed buyer,address indexed token,uint256 amount,uint256 gtOut)"
     ],
     PlayGame: [
         "event MatchCreated(bytes32 indexed,address indexed,address indexed,uint256)",
         "event Staked(bytes32 indexed,address indexed,uint256)",
-        "event Settled(bytes32 indexed,address indexed,uint256)",
+        "event Settled(bytes32 indexed matchId,address indexed winner,uint256 payout)",
         "event Refunded(bytes32 indexed,address indexed,uint256)",
-        "function getMatch(bytes32) view returns (tuple(bytes32,address,address,uint256,uint8,uint256,bool,bool))"
+        "event Drawn(bytes32 indexed matchId,address indexed p1,address indexed p2,uint256 refundEach)",
+        "function getMatch(bytes32) view returns (tuple(bytes32,address,address,uint256,uint8,uint256,bool,bool,uint256,uint256))",
+        "function matchGameType(bytes32) view returns (uint256)",
+        "function getGameType(uint256) view returns (tuple(string name,uint256 minStake,uint256 maxStake,uint256 timeout,bool active))"
     ]
 };
 
@@ -101,25 +111,18 @@ async function loadHistoricalEvents() {
 
         for (const event of purchaseEvents) {
             try {
-                const { buyer, usdtAmount, gtOut } = event.args;
+                const { buyer, token, amount, gtOut } = event.args;
 
                 // Skip if any required values are missing
-                if (!buyer || !usdtAmount || !gtOut) {
+                if (!buyer || !token || !amount || !gtOut) {
                     console.log('⚠️ Skipping purchase event with missing data:', event);
                     continue;
                 }
 
-                const purchaseEvent = {
-                    type: 'Purchase',
-                    buyer,
-                    usdtAmount: ethers.formatUnits(usdtAmount, 6),
-                    gtAmount: ethers.formatEther(gtOut),
-                    timestamp: new Date().toISOString(),
-                    txHash: event.transactionHash
-                };
+                const purchaseEvent = await buildPurchaseEvent(buyer, token, amount, gtOut, event.transactionHash);
 
                 events.unshift(purchaseEvent);
-                updatePurchaseStats(buyer, parseFloat(purchaseEvent.usdtAmount), parseFloat(purchaseEvent.gtAmount));
+                updatePurchaseStats(purchaseEvent);
             } catch (error) {
                 console.error('❌ Error processing purchase event:', error);
             }
@@ -176,6 +179,10 @@ async function loadHistoricalEvents() {
             initializePlayerStats(player);
         }
 
+        // Ratings depend on the order games finished in, so settled wins and
+        // draws are collected and rated together in chain order
+        const ratedResults = [];
+
         // Load historical Settled events
         const settledEvents = await contracts.playGame.queryFilter('Settled', fromBlock, currentBlock);
         console.log(`🏆 Found ${settledEvents.length} historical settlement events`);
@@ -189,9 +196,12 @@ async function loadHistoricalEvents() {
                 const stakeAmount = parseFloat(ethers.formatEther(match[3]));
                 const winnerPayout = parseFloat(ethers.formatEther(payout));
 
+                const gameType = await getMatchGameType(matchId);
+
                 const settledEvent = {
                     type: 'Settled',
                     matchId: matchId.toString(),
+                    gameType,
                     winner,
                     loser,
                     stakeAmount,
@@ -201,12 +211,42 @@ async function loadHistoricalEvents() {
                 };
 
                 events.unshift(settledEvent);
-                updatePlayerStats(winner, loser, stakeAmount, winnerPayout);
+                updatePlayerStats(winner, loser, stakeAmount, winnerPayout, gameType);
+                ratedResults.push({ event, player1: winner, player2: loser, score: 1 });
             } catch (error) {
                 console.error(`Error processing historical settlement for match ${matchId}:`, error);
             }
         }
 
+        // Load historical Drawn events
+        const drawnEvents = await contracts.playGame.queryFilter('Drawn', fromBlock, currentBlock);
+        console.log(`🤝 Found ${drawnEvents.length} historical draw events`);
+
+        for (const event of drawnEvents) {
+            const { matchId, p1, p2, refundEach } = event.args;
+            const stakeAmount = parseFloat(ethers.formatEther(refundEach));
+            const gameType = await getMatchGameType(matchId);
+
+            const drawnEvent = {
+                type: 'Drawn',
+                matchId: matchId.toString(),
+                gameType,
+                player1: p1,
+                player2: p2,
+                stakeAmount,
+                timestamp: new Date().toISOString(),
+                txHash: event.transactionHash
+            };
+
+            events.unshift(drawnEvent);
+            updateDrawStats(p1, p2, stakeAmount, gameType);
+            ratedResults.push({ event, player1: p1, player2: p2, score: 0.5 });
+        }
+
+        ratedResults
+            .sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index)
+            .forEach(({ player1, player2, score }) => updateRatings(player1, player2, score));
+
         console.log(`✅ Loaded ${events.length} historical events total`);
         console.log(`📊 Player stats initialized for ${Object.keys(playerStats).length} players`);
 
@@ -218,20 +258,18 @@ async function loadHistoricalEvents() {
 // Start listening to blockchain events
 function startEventListeners() {
     // Listen to TokenStore purchase events
-    contracts.tokenStore.on('Purchase', (buyer, usdtAmount, gtOut) => {
-        const event = {
-            type: 'Purchase',
-            buyer,
-            usdtAmount: ethers.formatUnits(usdtAmount, 6),
-            gtAmount: ethers.formatEther(gtOut),
-            timestamp: new Date().toISOString(),
-            txHash: 'pending' // Would be filled in real implementation
-        };
+    contracts.tokenStore.on('Purchase', async (buyer, token, amount, gtOut) => {
+        try {
+            // Would be filled with the tx hash in real implementation
+            const event = await buildPurchaseEvent(buyer, token, amount, gtOut, 'pending');
 
-        events.unshift(event);
-        updatePurchaseStats(buyer, parseFloat(event.usdtAmount), parseFloat(event.gtAmount));
+            events.unshift(event);
+            updatePurchaseStats(event);
 
-        console.log('💰 Purchase:', event);
+            console.log('💰 Purchase:', event);
+        } catch (error) {
+            console.error('❌ Error processing purchase event:', error);
+        }
     });
 
     // Listen to PlayGame match creation events
@@ -279,9 +317,12 @@ function startEventListeners() {
             const stakeAmount = parseFloat(ethers.formatEther(match[3]));
             const winnerPayout = parseFloat(ethers.formatEther(payout));
 
+            const gameType = await getMatchGameType(matchId);
+
             const event = {
                 type: 'Settled',
                 matchId: matchId.toString(),
+                gameType,
                 winner,
                 loser,
                 stakeAmount,
@@ -291,7 +332,8 @@ function startEventListeners() {
             };
 
             events.unshift(event);
-            updatePlayerStats(winner, loser, stakeAmount, winnerPayout);
+            updatePlayerStats(winner, loser, stakeAmount, winnerPayout, gameType);
+            updateRatings(winner, loser, 1);
 
             console.log('🏆 Match Settled:', event);
         } catch (error) {
@@ -299,6 +341,32 @@ function startEventListeners() {
         }
     });
 
+    // Listen to PlayGame draw events
+    contracts.playGame.on('Drawn', async (matchId, p1, p2, refundEach) => {
+        try {
+            const gameType = await getMatchGameType(matchId);
+
+            const event = {
+                type: 'Drawn',
+                matchId: matchId.toString(),
+                gameType,
+                player1: p1,
+                player2: p2,
+                stakeAmount: parseFloat(ethers.formatEther(refundEach)),
+                timestamp: new Date().toISOString(),
+                txHash: 'pending'
+            };
+
+            events.unshift(event);
+            updateDrawStats(p1, p2, event.stakeAmount, gameType);
+            updateRatings(p1, p2, 0.5);
+
+            console.log('🤝 Match Drawn:', event);
+        } catch (error) {
+            console.error('Error processing match draw:', error);
+        }
+    });
+
     // Note: MatchCancelled event doesn't exist in current contract
     // Removed to prevent service crash
 
@@ -326,20 +394,72 @@ function startEventListeners() {
     }, 60000); // Clean up every minute
 }
 
+// Game type a match was created for, cached, with its game stats entry set up
+async function getMatchGameType(matchId) {
+    if (matchGameTypes[matchId] === undefined) {
+        matchGameTypes[matchId] = Number(await contracts.playGame.matchGameType(matchId));
+    }
+
+    const gameType = matchGameTypes[matchId];
+    if (!gameStats[gameType]) {
+        const game = await contracts.playGame.getGameType(gameType);
+        gameStats[gameType] = {
+            gameType,
+            name: game.name,
+            matches: 0,
+            wins: 0,
+            draws: 0,
+            gtWagered: 0,
+            feesPaid: 0
+        };
+    }
+    return gameType;
+}
+
+// Per-game record of a player, created on first use
+function getPlayerGameStats(address, gameType) {
+    const games = playerStats[address].games;
+    if (!games[gameType]) {
+        games[gameType] = { wins: 0, losses: 0, draws: 0, totalMatches: 0, gtWon: 0, gtLost: 0 };
+    }
+    return games[gameType];
+}
+
 // Update player statistics
-function updatePlayerStats(winner, loser, stakeAmount, winnerPayout) {
+// winnerPayout is what the winner received: 2x stake less the platform fee
+function updatePlayerStats(winner, loser, stakeAmount, winnerPayout, gameType) {
     // Initialize players if they don't exist
     initializePlayerStats(winner);
     initializePlayerStats(loser);
 
-    // Update winner stats
+    // Update the game's stats and each player's record in that game
+    const game = gameStats[gameType];
+    game.matches++;
+    game.wins++;
+    game.gtWagered += stakeAmount * 2;
+    game.feesPaid += stakeAmount * 2 - winnerPayout;
+
+    const winnerGame = getPlayerGameStats(winner, gameType);
+    winnerGame.wins++;
+    winnerGame.totalMatches++;
+    winnerGame.gtWon += winnerPayout - stakeAmount;
+
+    const loserGame = getPlayerGameStats(loser, gameType);
+    loserGame.losses++;
+    loserGame.totalMatches++;
+    loserGame.gtLost += stakeAmount;
+
+    // Update winner stats (net of their own stake coming back)
     playerStats[winner].wins++;
-    playerStats[winner].gtWon += winnerPayout;
+    playerStats[winner].gtWon += winnerPayout - stakeAmount;
+    playerStats[winner].feesPaid += stakeAmount * 2 - winnerPayout;
+    playerStats[winner].gtWagered += stakeAmount;
     playerStats[winner].totalMatches++;
 
     // Update loser stats
     playerStats[loser].losses++;
     playerStats[loser].gtLost += stakeAmount;
+    playerStats[loser].gtWagered += stakeAmount;
     playerStats[loser].totalMatches++;
 
     // Calculate win rates
@@ -347,6 +467,51 @@ function updatePlayerStats(winner, loser, stakeAmount, winnerPayout) {
     playerStats[loser].winRate = (playerStats[loser].wins / playerStats[loser].totalMatches) * 100;
 }
 
+// Update player statistics for a drawn match (stakes returned, no GT won or lost)
+function updateDrawStats(player1, player2, stakeAmount, gameType) {
+    const game = gameStats[gameType];
+    game.matches++;
+    game.draws++;
+    game.gtWagered += stakeAmount * 2;
+
+    for (const player of [player1, player2]) {
+        initializePlayerStats(player);
+
+        const playerGame = getPlayerGameStats(player, gameType);
+        playerGame.draws++;
+        playerGame.totalMatches++;
+
+        playerStats[player].draws++;
+        playerStats[player].gtWagered += stakeAmount;
+        playerStats[player].totalMatches++;
+        playerStats[player].winRate = (playerStats[player].wins / playerStats[player].totalMatches) * 100;
+    }
+}
+
+// A wallet's rating; wallets without a settled match yet have the default
+function getRating(address) {
+    return ratings[address.toLowerCase()] || { ...DEFAULT_RATING, games: 0 };
+}
+
+// Rate both players of a settled match; score is player1's (1 win, 0.5 draw)
+function updateRatings(player1, player2, score) {
+    const before = [getRating(player1), getRating(player2)];
+    const after = rateGame(before[0], before[1], score);
+    [player1, player2].forEach((player, i) => {
+        ratings[player.toLowerCase()] = { ...after[i], games: before[i].games + 1 };
+    });
+}
+
+// Rating as served: rounded, with volatility kept precise enough to rate with
+function formatRating({ rating, rd, volatility, games }) {
+    return {
+        rating: Number(rating.toFixed(2)),
+        rd: Number(rd.toFixed(2)),
+        volatility: Number(volatility.toFixed(6)),
+        games
+    };
+}
+
 // Initialize player stats
 function initializePlayerStats(address) {
     if (!playerStats[address]) {
@@ -354,39 +519,82 @@ function initializePlayerStats(address) {
             address,
             wins: 0,
             losses: 0,
+            draws: 0,
             totalMatches: 0,
             gtWon: 0,
             gtLost: 0,
+            gtWagered: 0,
+            feesPaid: 0,
             winRate: 0,
             totalPurchased: 0,
-            usdtSpent: 0
+            games: {} // game type id -> { wins, losses, draws, totalMatches, gtWon, gtLost }
         };
     }
 }
 
+// Look up (and cache) a payment token's symbol and decimals
+async function getPaymentTokenInfo(token) {
+    const key = token.toLowerCase();
+    if (token === ethers.ZeroAddress) {
+        // ETH purchases are logged with token address(0)
+        return { symbol: 'ETH', decimals: 18 };
+    }
+    if (!paymentTokenInfo[key]) {
+        const contract = new ethers.Contract(token, ABIS.ERC20, provider);
+        const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+        paymentTokenInfo[key] = { symbol, decimals: Number(decimals) };
+    }
+    return paymentTokenInfo[key];
+}
+
+// Format a Purchase event using the payment token's own decimals
+async function buildPurchaseEvent(buyer, token, amount, gtOut, txHash) {
+    const { symbol, decimals } = await getPaymentTokenInfo(token);
+    return {
+        type: 'Purchase',
+        buyer,
+        token,
+        tokenSymbol: symbol,
+        tokenAmount: ethers.formatUnits(amount, decimals),
+        gtAmount: ethers.formatEther(gtOut),
+        timestamp: new Date().toISOString(),
+        txHash
+    };
+}
+
 // Update purchase statistics
-function updatePurchaseStats(buyer, usdtAmount, gtAmount) {
+function updatePurchaseStats(event) {
+    const { buyer, tokenSymbol } = event;
+    const tokenAmount = parseFloat(event.tokenAmount);
+    const gtAmount = parseFloat(event.gtAmount);
     initializePlayerStats(buyer);
 
     if (!purchaseStats[buyer]) {
         purchaseStats[buyer] = {
             address: buyer,
             totalPurchases: 0,
-            totalUSDTSpent: 0,
+            spentByToken: {}, // symbol -> amount; tokens aren't summed across currencies
             totalGTReceived: 0,
             firstPurchase: new Date().toISOString(),
             lastPurchase: new Date().toISOString()
         };
     }
 
+    const spent = purchaseStats[buyer].spentByToken;
     purchaseStats[buyer].totalPurchases++;
-    purchaseStats[buyer].totalUSDTSpent += usdtAmount;
+    spent[tokenSymbol] = (spent[tokenSymbol] || 0) + tokenAmount;
     purchaseStats[buyer].totalGTReceived += gtAmount;
     purchaseStats[buyer].lastPurchase = new Date().toISOString();
 
     // Also update player stats
     playerStats[buyer].totalPurchased += gtAmount;
-    playerStats[buyer].usdtSpent += usdtAmount;
+}
+
+// Format per-token spend totals for responses
+function formatSpentByToken(spentByToken) {
+    return Object.fromEntries(
+        Object.entries(spentByToken).map(([symbol, amount]) => [symbol, amount.toFixed(2)])
+    );
 }
 
 // ========== API ROUTES ==========
@@ -402,10 +610,37 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Get leaderboard (top players by GT won)
+// Get leaderboard (top players by GT won), across all games or for one game type
 app.get('/leaderboard', (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
+        const { gameType } = req.query;
+
+        if (gameType !== undefined) {
+            const sortedPlayers = Object.values(playerStats)
+                .filter(player => player.games[gameType] && player.games[gameType].totalMatches > 0)
+                .map(player => ({ address: player.address, ...player.games[gameType] }))
+                .sort((a, b) => b.gtWon - a.gtWon)
+                .slice(0, limit)
+                .map(player => ({
+                    address: player.address,
+                    wins: player.wins,
+                    losses: player.losses,
+                    draws: player.draws,
+                    totalMatches: player.totalMatches,
+                    gtWon: player.gtWon.toFixed(2),
+                    gtLost: player.gtLost.toFixed(2),
+                    netGT: (player.gtWon - player.gtLost).toFixed(2),
+                    winRate: ((player.wins / player.totalMatches) * 100).toFixed(1)
+                }));
+
+            return res.json({
+                gameType: Number(gameType),
+                name: gameStats[gameType] ? gameStats[gameType].name : null,
+                leaderboard: sortedPlayers,
+                timestamp: new Date().toISOString()
+            });
+        }
 
         const sortedPlayers = Object.values(playerStats)
             .filter(player => player.totalMatches > 0)
@@ -415,9 +650,11 @@ app.get('/leaderboard', (req, res) => {
                 address: player.address,
                 wins: player.wins,
                 losses: player.losses,
+                draws: player.draws,
                 totalMatches: player.totalMatches,
                 gtWon: player.gtWon.toFixed(2),
                 gtLost: player.gtLost.toFixed(2),
+                feesPaid: player.feesPaid.toFixed(2),
                 netGT: (player.gtWon - player.gtLost).toFixed(2),
                 winRate: player.winRate.toFixed(1)
             }));
@@ -437,12 +674,12 @@ app.get('/purchases', (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
 
         const sortedPurchasers = Object.values(purchaseStats)
-            .sort((a, b) => b.totalUSDTSpent - a.totalUSDTSpent)
+            .sort((a, b) => b.totalGTReceived - a.totalGTReceived)
             .slice(0, limit)
             .map(purchaser => ({
                 address: purchaser.address,
                 totalPurchases: purchaser.totalPurchases,
-                totalUSDTSpent: purchaser.totalUSDTSpent.toFixed(2),
+                spentByToken: formatSpentByToken(purchaser.spentByToken),
                 totalGTReceived: purchaser.totalGTReceived.toFixed(2),
                 firstPurchase: purchaser.firstPurchase,
                 lastPurchase: purchaser.lastPurchase
@@ -464,9 +701,13 @@ app.get('/player/:address', (req, res) => {
         const playerStat = playerStats[address.toLowerCase()];
         const purchaseStat = purchaseStats[address.toLowerCase()];
 
+        // Every wallet has a rating, the default until its first settled match
+        const rating = formatRating(getRating(address));
+
         if (!playerStat && !purchaseStat) {
             return res.json({
                 address,
+                rating,
                 gaming: null,
                 purchasing: null,
                 message: 'No activity found for this address'
@@ -475,18 +716,23 @@ app.get('/player/:address', (req, res) => {
 
         res.json({
             address,
+            rating,
             gaming: playerStat ? {
                 wins: playerStat.wins,
                 losses: playerStat.losses,
+                draws: playerStat.draws,
                 totalMatches: playerStat.totalMatches,
                 gtWon: playerStat.gtWon.toFixed(2),
                 gtLost: playerStat.gtLost.toFixed(2),
+                gtWagered: playerStat.gtWagered.toFixed(2),
+                feesPaid: playerStat.feesPaid.toFixed(2),
                 netGT: (playerStat.gtWon - playerStat.gtLost).toFixed(2),
-                winRate: playerStat.winRate.toFixed(1)
+                winRate: playerStat.winRate.toFixed(1),
+                byGame: playerStat.games
             } : null,
             purchasing: purchaseStat ? {
                 totalPurchases: purchaseStat.totalPurchases,
-                totalUSDTSpent: purchaseStat.totalUSDTSpent.toFixed(2),
+                spentByToken: formatSpentByToken(purchaseStat.spentByToken),
                 totalGTReceived: purchaseStat.totalGTReceived.toFixed(2),
                 firstPurchase: purchaseStat.firstPurchase,
                 lastPurchase: purchaseStat.lastPurchase
@@ -523,9 +769,15 @@ app.get('/stats', (req, res) => {
     try {
         const totalPlayers = Object.keys(playerStats).length;
         const totalMatches = Object.values(playerStats).reduce((sum, player) => sum + player.totalMatches, 0) / 2; // Divide by 2 because each match involves 2 players
-        const totalGTWagered = Object.values(playerStats).reduce((sum, player) => sum + player.gtWon + player.gtLost, 0);
+        const totalGTWagered = Object.values(playerStats).reduce((sum, player) => sum + player.gtWagered, 0);
+        const totalFeesPaid = Object.values(playerStats).reduce((sum, player) => sum + player.feesPaid, 0);
         const totalPurchases = Object.values(purchaseStats).reduce((sum, purchaser) => sum + purchaser.totalPurchases, 0);
-        const totalUSDTSpent = Object.values(purchaseStats).reduce((sum, purchaser) => sum + purchaser.totalUSDTSpent, 0);
+        const spentByToken = {};
+        for (const purchaser of Object.values(purchaseStats)) {
+            for (const [symbol, amount] of Object.entries(purchaser.spentByToken)) {
+                spentByToken[symbol] = (spentByToken[symbol] || 0) + amount;
+            }
+        }
         const totalGTPurchased = Object.values(purchaseStats).reduce((sum, purchaser) => sum + purchaser.totalGTReceived, 0);
 
         res.json({
@@ -533,11 +785,21 @@ app.get('/stats', (req, res) => {
                 totalPlayers,
                 totalMatches,
                 totalGTWagered: totalGTWagered.toFixed(2),
+                totalFeesPaid: totalFeesPaid.toFixed(2),
                 totalEvents: events.length
             },
+            games: Object.values(gameStats).map(game => ({
+                gameType: game.gameType,
+                name: game.name,
+                matches: game.matches,
+                wins: game.wins,
+                draws: game.draws,
+                gtWagered: game.gtWagered.toFixed(2),
+                feesPaid: game.feesPaid.toFixed(2)
+            })),
             purchases: {
                 totalPurchases,
-                totalUSDTSpent: totalUSDTSpent.toFixed(2),
+                spentByToken: formatSpentByToken(spentByToken),
                 totalGTPurchased: totalGTPurchased.toFixed(2),
                 uniquePurchasers: Object.keys(purchaseStats).length
             },
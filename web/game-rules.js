@@ -0,0 +1,276 @@
+/**
+ * TriX game rules, shared by the matchmaking server, the API gateway and the
+ * web clients so they always agree on what a legal move and a result are.
+ *
+ * Loads as a CommonJS module in Node (require('./web/game-rules')) and as the
+ * GameRules global in the browser (<script src="game-rules.js">).
+ *
+ * Every game works on a state object and never mutates it:
+ *   createState()                 -> { board, turn: 'X', moveCount: 0 }
+ *   legalMoves(state)             -> [{ row, col }] the player to move may play
+ *   validateMove(state, move)     -> null, or why the move is illegal
+ *   applyMove(state, move)        -> the next state, with the turn passed on
+ *   getOutcome(state)             -> 'X' or 'O' for a win, 'DRAW', or null
+ *
+ * board is a flat array of rows * cols cells ('' for empty), indexed
+ * row * cols + col. X is always player1 and moves first. Games may keep more
+ * in the state (see ultimate), so callers only ever pass it back in.
+ *
+ * Renderers lay the board out from rows and cols; blockSize, when set, is
+ * the size of the sub-grids to draw divided (3 for ultimate).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GameRules = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SYMBOLS = ['X', 'O'];
+
+    function otherSymbol(symbol) {
+        return symbol === 'X' ? 'O' : 'X';
+    }
+
+    // Every winning line of k cells in a rows x cols grid: rows, columns and both diagonals
+    function lines(rows, cols, k) {
+        const result = [];
+        const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                for (const [dRow, dCol] of directions) {
+                    const endRow = row + dRow * (k - 1);
+                    const endCol = col + dCol * (k - 1);
+                    if (endRow < 0 || endRow >= rows || endCol < 0 || endCol >= cols) {
+                        continue;
+                    }
+                    const line = [];
+                    for (let i = 0; i < k; i++) {
+                        line.push((row + dRow * i) * cols + col + dCol * i);
+                    }
+                    result.push(line);
+                }
+            }
+        }
+        return result;
+    }
+
+    // The symbol holding a whole line, or null
+    function lineWinner(cells, winConditions) {
+        for (const symbol of SYMBOLS) {
+            if (winConditions.some(condition => condition.every(index => cells[index] === symbol))) {
+                return symbol;
+            }
+        }
+        return null;
+    }
+
+    // Behaviour shared by every game played on a grid of cells. Games supply
+    // cellError(state, index) for their own placement rules and may extend
+    // the state through nextState(state, next, index).
+    const grid = {
+        createState() {
+            return {
+                board: Array(this.rows * this.cols).fill(''),
+                turn: 'X',
+                moveCount: 0
+            };
+        },
+
+        toIndex({ row, col }) {
+            return row * this.cols + col;
+        },
+
+        toMove(index) {
+            return { row: Math.floor(index / this.cols), col: index % this.cols };
+        },
+
+        legalMoves(state) {
+            if (this.getOutcome(state)) {
+                return [];
+            }
+            const moves = [];
+            for (let index = 0; index < state.board.length; index++) {
+                if (!this.cellError(state, index)) {
+                    moves.push(this.toMove(index));
+                }
+            }
+            return moves;
+        },
+
+        // Phrased to follow "move N", e.g. "move 3 is off the board"
+        validateMove(state, move) {
+            const { row, col } = move || {};
+            if (!Number.isInteger(row) || !Number.isInteger(col) ||
+                row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+                return 'is off the board';
+            }
+            if (this.getOutcome(state)) {
+                return 'is played after the game ended';
+            }
+            return this.cellError(state, this.toIndex(move));
+        },
+
+        cellError(state, index) {
+            return state.board[index] !== '' ? 'targets an occupied cell' : null;
+        },
+
+        applyMove(state, move) {
+            const illegal = this.validateMove(state, move);
+            if (illegal) {
+                throw new Error(`Move ${state.moveCount} ${illegal}`);
+            }
+
+            const index = this.toIndex(move);
+            const board = state.board.slice();
+            board[index] = state.turn;
+            return this.nextState(state, {
+                board,
+                turn: otherSymbol(state.turn),
+                moveCount: state.moveCount + 1
+            }, index);
+        },
+
+        nextState(state, next) {
+            return next;
+        }
+    };
+
+    // k in a row on a rows x cols board wins, a full board is a draw
+    function kInARow({ name, rows, cols, k }) {
+        return Object.assign(Object.create(grid), {
+            name,
+            rows,
+            cols,
+            k,
+            WIN_CONDITIONS: lines(rows, cols, k),
+
+            getOutcome(state) {
+                const winner = lineWinner(state.board, this.WIN_CONDITIONS);
+                if (winner) {
+                    return winner;
+                }
+                if (state.board.every(cell => cell !== '')) {
+                    return 'DRAW';
+                }
+                return null;
+            }
+        });
+    }
+
+    const tictactoe = kInARow({ name: 'tictactoe', rows: 3, cols: 3, k: 3 });
+    const tictactoe4x4 = kInARow({ name: 'tictactoe4x4', rows: 4, cols: 4, k: 4 });
+    const gomoku = kInARow({ name: 'gomoku', rows: 15, cols: 15, k: 5 });
+
+    // Ultimate tic-tac-toe: nine 3x3 boards making up one 9x9 board. The cell
+    // a player picks inside a small board sends the opponent to the matching
+    // small board; if that one is already won or full they may play anywhere.
+    // Winning three small boards in a line wins the game, and a small board
+    // that ends drawn counts for nobody.
+    //
+    // The state also carries boards, the result of each small board
+    // ('' while open, 'X', 'O' or 'DRAW'), and next, the small board the
+    // player to move must play in (null for any).
+    const SMALL_LINES = lines(3, 3, 3);
+
+    const ultimate = Object.assign(Object.create(grid), {
+        name: 'ultimate',
+        rows: 9,
+        cols: 9,
+        blockSize: 3,
+        WIN_CONDITIONS: SMALL_LINES,
+
+        createState() {
+            return Object.assign(grid.createState.call(this), {
+                boards: Array(9).fill(''),
+                next: null
+            });
+        },
+
+        // Small board a cell belongs to, and its position within it, both 0-8
+        smallBoardOf(index) {
+            const { row, col } = this.toMove(index);
+            return Math.floor(row / 3) * 3 + Math.floor(col / 3);
+        },
+
+        positionInSmallBoard(index) {
+            const { row, col } = this.toMove(index);
+            return (row % 3) * 3 + (col % 3);
+        },
+
+        smallBoardCells(smallBoard) {
+            const top = Math.floor(smallBoard / 3) * 3;
+            const left = (smallBoard % 3) * 3;
+            const cells = [];
+            for (let position = 0; position < 9; position++) {
+                cells.push((top + Math.floor(position / 3)) * this.cols + left + position % 3);
+            }
+            return cells;
+        },
+
+        cellError(state, index) {
+            const smallBoard = this.smallBoardOf(index);
+            if (state.board[index] !== '') {
+                return 'targets an occupied cell';
+            }
+            if (state.boards[smallBoard] !== '') {
+                return 'targets a finished small board';
+            }
+            if (state.next !== null && state.next !== smallBoard) {
+                return 'is outside the small board it was sent to';
+            }
+            return null;
+        },
+
+        nextState(state, next, index) {
+            const smallBoard = this.smallBoardOf(index);
+            const cells = this.smallBoardCells(smallBoard).map(cell => next.board[cell]);
+            const boards = state.boards.slice();
+            boards[smallBoard] = lineWinner(cells, SMALL_LINES) ||
+                (cells.every(cell => cell !== '') ? 'DRAW' : '');
+
+            const sentTo = this.positionInSmallBoard(index);
+            return Object.assign(next, {
+                boards,
+                next: boards[sentTo] === '' ? sentTo : null
+            });
+        },
+
+        getOutcome(state) {
+            const winner = lineWinner(state.boards, SMALL_LINES);
+            if (winner) {
+                return winner;
+            }
+            if (state.boards.every(result => result !== '')) {
+                return 'DRAW';
+            }
+            return null;
+        }
+    });
+
+    // Games by the name their game type is registered under on PlayGame;
+    // no prototype, so names like 'constructor' aren't games
+    const games = Object.create(null);
+    for (const game of [tictactoe, tictactoe4x4, gomoku, ultimate]) {
+        games[game.name] = game;
+    }
+
+    const DEFAULT_GAME = tictactoe.name;
+
+    function getGame(name) {
+        return games[name || DEFAULT_GAME] || null;
+    }
+
+    function listGames() {
+        return Object.keys(games);
+    }
+
+    return {
+        DEFAULT_GAME,
+        SYMBOLS,
+        getGame,
+        listGames
+    };
+}));
@@ -0,0 +1,87 @@
+/**
+ * TriX match clocks for the web clients.
+ *
+ * The matchmaking server keeps the authoritative clocks and sends a snapshot
+ * with gameStart, moveMade and matchResumed:
+ *   { timeControl: { moveSeconds, gameSeconds }, turn, running,
+ *     remaining: { X, O }, moveRemaining }          (times in milliseconds)
+ * A clock counts the player to move down from the latest snapshot between
+ * updates, so what players see never drifts further than one move from the
+ * server. Running out here only shows 0:00; the server decides the timeout.
+ *
+ * Loads as a CommonJS module in Node and as the MatchClock global in the
+ * browser (<script src="match-clock.js">).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MatchClock = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // m:ss, rounded up so a clock only shows 0:00 once it has run out
+    function formatTime(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // The snapshot as it stands elapsed milliseconds after it was received
+    function project(view, elapsed) {
+        if (!view.running) {
+            return view;
+        }
+        const remaining = { ...view.remaining };
+        remaining[view.turn] = Math.max(0, remaining[view.turn] - elapsed);
+        return { ...view, remaining, moveRemaining: Math.max(0, view.moveRemaining - elapsed) };
+    }
+
+    /**
+     * Create a clock that calls render with the projected snapshot, already
+     * formatted, every tick.
+     * @param {function} render ({ turn, running, remaining, moveRemaining, text: { X, O, move } }) => void
+     * @param {number} [interval=250] tick in milliseconds
+     * @returns {object} { update(view), stop() }
+     */
+    function createClock(render, interval = 250) {
+        let view = null;
+        let receivedAt = 0;
+        let timer = null;
+
+        function tick() {
+            const current = project(view, Date.now() - receivedAt);
+            render({
+                ...current,
+                text: {
+                    X: formatTime(current.remaining.X),
+                    O: formatTime(current.remaining.O),
+                    move: formatTime(Math.min(current.moveRemaining, current.remaining[current.turn]))
+                }
+            });
+        }
+
+        function stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+
+        // Take a new snapshot from the server; null or a stopped clock halts the countdown
+        function update(next) {
+            stop();
+            view = next;
+            if (!view) {
+                return;
+            }
+            receivedAt = Date.now();
+            tick();
+            if (view.running) {
+                timer = setInterval(tick, interval);
+            }
+        }
+
+        return { update, stop };
+    }
+
+    return { formatTime, createClock };
+}));
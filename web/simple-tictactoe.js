@@ -1,19 +1,65 @@
+// EIP-2612 permit, signed instead of sending an approve transaction
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// EIP-712 types moves and forfeits are signed under (see api/transcript.js)
+const MOVE_TYPES = {
+    Move: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'moveNumber', type: 'uint256' },
+        { name: 'row', type: 'uint8' },
+        { name: 'col', type: 'uint8' },
+        { name: 'player', type: 'address' },
+        { name: 'prevHash', type: 'bytes32' }
+    ]
+};
+
+const FORFEIT_TYPES = {
+    Forfeit: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'player', type: 'address' }
+    ]
+};
+
+// Payment tokens accepted by TokenStore (USDT, DAI, ...)
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function allowance(address,address) view returns (uint256)",
+    "function approve(address,uint256) returns (bool)"
+];
+
 class SimpleTicTacToe {
     constructor() {
         this.provider = null;
         this.signer = null;
         this.address = null;
         this.contracts = {};
+        this.paymentTokens = [];
         this.socket = null;
+        // Counts down from the clocks the server sends with every move
+        this.clock = MatchClock.createClock((clock) => this.renderClock(clock));
+        this.game = GameRules.getGame();
         this.gameState = {
-            board: Array(9).fill(''),
-            currentPlayer: 'X',
+            state: this.game.createState(), // Board and whose turn it is
             mySymbol: null,
             gameActive: false,
             matchId: null,
+            blockchainMatchId: null, // PlayGame match, created through the API by player 1
+            transcriptDomain: null, // EIP-712 domain moves are signed under
+            lastMoveHash: null, // Hash of the last move, signed by the next one
+            player1: null,
             stake: 0,
-            opponent: null
+            opponent: null,
+            endedMatchId: null // Last match whose result was handled
         };
+        this.apiUrl = 'http://localhost:3000';
 
         // Contract addresses from deployment
         this.contractAddresses = {
@@ -40,9 +86,11 @@ class SimpleTicTacToe {
         document.getElementById('forfeit').addEventListener('click', () => this.forfeitGame());
         document.getElementById('playAgain').addEventListener('click', () => this.playAgain());
 
-        // Game board
-        document.querySelectorAll('.cell').forEach(cell => {
-            cell.addEventListener('click', (e) => this.makeMove(parseInt(e.target.dataset.index)));
+        // Game board; the cells are built for each match in buildBoard
+        document.getElementById('gameBoard').addEventListener('click', (e) => {
+            if (e.target.classList.contains('cell')) {
+                this.makeMove(parseInt(e.target.dataset.index));
+            }
         });
     }
 
@@ -70,6 +118,7 @@ class SimpleTicTacToe {
 
             // Initialize contracts
             await this.initializeContracts();
+            await this.loadPaymentTokens();
 
             // Update UI
             document.getElementById('walletAddress').textContent =
@@ -94,17 +143,22 @@ class SimpleTicTacToe {
         const gameTokenABI = [
             "function balanceOf(address) view returns (uint256)",
             "function approve(address,uint256) returns (bool)",
-            "function transfer(address,uint256) returns (bool)"
+            "function transfer(address,uint256) returns (bool)",
+            "function name() view returns (string)",
+            "function nonces(address) view returns (uint256)"
         ];
 
         const tokenStoreABI = [
-            "function buy(uint256) external"
+            "function buy(address,uint256,uint256) external",
+            "function getGTAmount(address,uint256) view returns (uint256)",
+            "function getPaymentTokens() view returns (address[])",
+            "function paymentTokens(address) view returns (bool accepted,uint8 decimals,uint256 gtPerToken,uint256 totalReceived)"
         ];
 
         const playGameABI = [
             "function createMatch(bytes32,address,address,uint256) external",
             "function stake(bytes32) external",
-            "function commitResult(bytes32,address) external"
+            "function stakeWithPermit(bytes32,uint256,uint8,bytes32,bytes32) external"
         ];
 
         this.contracts.gameToken = new ethers.Contract(
@@ -136,19 +190,60 @@ class SimpleTicTacToe {
         }
     }
 
+    async loadPaymentTokens() {
+        const addresses = await this.contracts.tokenStore.getPaymentTokens();
+        this.paymentTokens = await Promise.all(addresses.map(async (address) => {
+            const contract = new ethers.Contract(address, ERC20_ABI, this.signer);
+            const [symbol, entry] = await Promise.all([
+                contract.symbol(),
+                this.contracts.tokenStore.paymentTokens(address)
+            ]);
+            return { address, symbol, decimals: entry.decimals, gtPerToken: entry.gtPerToken, contract };
+        }));
+
+        const select = document.getElementById('paymentToken');
+        select.innerHTML = this.paymentTokens
+            .map(token => `<option value="${token.address}">${token.symbol}</option>`)
+            .join('');
+        select.onchange = () => this.updateExchangeRate();
+        this.updateExchangeRate();
+    }
+
+    getSelectedPaymentToken() {
+        const address = document.getElementById('paymentToken').value;
+        return this.paymentTokens.find(token => token.address === address);
+    }
+
+    updateExchangeRate() {
+        const token = this.getSelectedPaymentToken();
+        if (token) {
+            document.getElementById('exchangeRate').textContent =
+                `1 ${token.symbol} = ${ethers.utils.formatEther(token.gtPerToken)} GT`;
+        }
+    }
+
     async buyGT() {
         try {
-            const usdtAmount = document.getElementById('usdtAmount').value;
-            if (!usdtAmount || usdtAmount <= 0) {
-                alert('Please enter a valid USDT amount');
+            const amount = document.getElementById('usdtAmount').value;
+            const token = this.getSelectedPaymentToken();
+            if (!amount || amount <= 0 || !token) {
+                alert('Please enter a valid payment amount');
                 return;
             }
 
-            // Convert to wei (assuming 6 decimals for USDT)
-            const usdtAmountWei = ethers.utils.parseUnits(usdtAmount, 6);
+            // Convert to the payment token's own decimals
+            const amountWei = ethers.utils.parseUnits(amount, token.decimals);
+            const gtOut = await this.contracts.tokenStore.getGTAmount(token.address, amountWei);
 
-            // Buy GT tokens
-            const tx = await this.contracts.tokenStore.buy(usdtAmountWei);
+            const allowance = await token.contract.allowance(this.address, this.contractAddresses.tokenStore);
+            if (allowance.lt(amountWei)) {
+                const approveTx = await token.contract.approve(this.contractAddresses.tokenStore, amountWei);
+                console.log(`Approving ${token.symbol}...`, approveTx.hash);
+                await approveTx.wait();
+            }
+
+            // Buy GT tokens, requiring at least the quoted amount
+            const tx = await this.contracts.tokenStore.buy(token.address, amountWei, gtOut);
             console.log('Buying GT tokens...', tx.hash);
 
             // Wait for confirmation
@@ -157,7 +252,7 @@ class SimpleTicTacToe {
             // Reload balance
             await this.loadGTBalance();
 
-            alert(`Successfully bought ${usdtAmount} GT tokens!`);
+            alert(`Successfully bought ${ethers.utils.formatEther(gtOut)} GT tokens!`);
 
         } catch (error) {
             console.error('Failed to buy GT:', error);
@@ -190,9 +285,11 @@ class SimpleTicTacToe {
             await this.connectToMatchmaking();
 
             // Send match request
+            // Only players picking the same game and time control are matched together
             this.socket.emit('findMatch', {
-                address: this.address,
                 stake: parseFloat(stakeAmount),
+                gameType: document.getElementById('gameType').value,
+                timeControl: this.selectedTimeControl(),
                 timestamp: Date.now()
             });
 
@@ -206,29 +303,98 @@ class SimpleTicTacToe {
 
     async connectToMatchmaking() {
         return new Promise((resolve, reject) => {
-            this.socket = io('http://localhost:3001');
+            // Reconnects on its own, quickly enough to get back within the
+            // server's grace period after a dropped connection
+            this.socket = io('http://localhost:3001', { reconnectionDelayMax: 5000 });
 
+            // Sign in with the wallet once connected, and again after every
+            // reconnect; the server acts for the address proven here, so
+            // payloads no longer carry our address
             this.socket.on('connect', () => {
                 console.log('Connected to matchmaking server');
+                this.socket.emit('requestChallenge', { address: this.address });
+            });
+
+            this.socket.on('authChallenge', async ({ message }) => {
+                try {
+                    this.socket.emit('authenticate', { signature: await this.signer.signMessage(message) });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+            // Back from a dropped connection mid-match, ask for our seat back
+            this.socket.on('authenticated', () => {
+                if (this.gameState.matchId) {
+                    this.socket.emit('resumeMatch', { matchId: this.gameState.matchId });
+                }
                 resolve();
             });
 
+            this.socket.on('authError', ({ message }) => {
+                console.error('Matchmaking sign-in failed:', message);
+                reject(new Error(message));
+            });
+
             this.socket.on('matchFound', (matchData) => {
                 this.handleMatchFound(matchData);
             });
 
-            this.socket.on('bothStaked', (matchData) => {
-                this.startGamePlay(matchData);
+            this.socket.on('matchResumed', (match) => {
+                this.restoreMatch(match);
+            });
+
+            // Player 1 created the match on-chain, so player 2 can stake in it
+            this.socket.on('matchCreatedOnChain', ({ matchId, blockchainMatchId }) => {
+                if (matchId !== this.gameState.matchId) return;
+                this.gameState.blockchainMatchId = blockchainMatchId;
+                document.getElementById('confirmStake').disabled = false;
+            });
+
+            // The server runs the clocks; our countdown only keeps in step
+            this.socket.on('gameStart', (data) => {
+                this.clock.update(data.clock);
+                this.startGamePlay(data);
+            });
+
+            // Every move the server accepted, ours included
+            this.socket.on('moveMade', ({ row, col, lastMoveHash, clock }) => {
+                this.clock.update(clock);
+                this.gameState.lastMoveHash = lastMoveHash;
+                this.playMove({ row, col });
+            });
+
+            this.socket.on('moveRejected', ({ reason }) => {
+                document.getElementById('gameStatus').textContent = `Move rejected: ${reason}`;
             });
 
-            this.socket.on('opponentMove', (moveData) => {
-                this.handleOpponentMove(moveData);
+            this.socket.on('opponentDisconnected', ({ reconnectBy }) => {
+                const seconds = Math.round((reconnectBy - Date.now()) / 1000);
+                document.getElementById('gameStatus').textContent =
+                    `Opponent disconnected, they have ${seconds}s to come back`;
+            });
+
+            this.socket.on('opponentReconnected', () => {
+                this.updateTurnStatus();
+            });
+
+            this.socket.on('disconnect', () => {
+                if (this.gameState.matchId) {
+                    document.getElementById('gameStatus').textContent = 'Connection lost, reconnecting...';
+                }
             });
 
             this.socket.on('gameEnd', (resultData) => {
                 this.handleGameEnd(resultData);
             });
 
+            // Result of a timeout or disconnect committed by the matchmaking server
+            this.socket.on('matchSettled', ({ matchId, txHash }) => {
+                if (matchId !== this.gameState.matchId) return;
+                console.log('Match settled by the server', txHash);
+                this.loadGTBalance();
+            });
+
             this.socket.on('connect_error', (error) => {
                 console.error('Connection error:', error);
                 reject(error);
@@ -239,9 +405,16 @@ class SimpleTicTacToe {
     handleMatchFound(matchData) {
         console.log('Match found:', matchData);
 
+        this.game = GameRules.getGame(matchData.gameType);
         this.gameState.matchId = matchData.matchId;
+        this.gameState.blockchainMatchId = matchData.blockchainMatchId || null; // Set when resumed
+        this.gameState.player1 = matchData.player1;
         this.gameState.stake = matchData.stake;
-        this.gameState.opponent = matchData.player1 === this.address ? matchData.player2 : matchData.player1;
+        this.gameState.opponent = this.isPlayer1() ? matchData.player2 : matchData.player1;
+
+        // Player 2 stakes once player 1 has created the match on-chain
+        document.getElementById('confirmStake').disabled =
+            !this.isPlayer1() && !this.gameState.blockchainMatchId;
 
         // Hide searching, show stake confirmation
         document.getElementById('searchingStatus').classList.add('hidden');
@@ -255,20 +428,22 @@ class SimpleTicTacToe {
         document.getElementById('totalPot').textContent = matchData.stake * 2;
     }
 
+    isPlayer1() {
+        return this.gameState.player1.toLowerCase() === this.address.toLowerCase();
+    }
+
     async confirmStake() {
         try {
             const stakeAmountWei = ethers.utils.parseUnits(this.gameState.stake.toString(), 18);
 
-            // First approve
-            const approveTx = await this.contracts.gameToken.approve(
-                this.contractAddresses.playGame,
-                stakeAmountWei
-            );
-            console.log('Approving GT spending...', approveTx.hash);
-            await approveTx.wait();
+            // Player 1 creates the match on-chain; player 2 was told its id
+            if (this.isPlayer1() && !this.gameState.blockchainMatchId) {
+                this.gameState.blockchainMatchId = await this.createMatchOnChain();
+            }
 
-            // Then stake
-            const stakeTx = await this.contracts.playGame.stake(this.gameState.matchId);
+            // Sign a permit instead of approving, then stake in one transaction
+            const { deadline, v, r, s } = await this.signStakePermit(stakeAmountWei);
+            const stakeTx = await this.contracts.playGame.stakeWithPermit(this.gameState.blockchainMatchId, deadline, v, r, s);
             console.log('Staking GT tokens...', stakeTx.hash);
             await stakeTx.wait();
 
@@ -279,11 +454,22 @@ class SimpleTicTacToe {
             document.getElementById('stakingStatus').classList.remove('hidden');
             document.getElementById('confirmStake').disabled = true;
 
-            // Notify server
-            this.socket.emit('playerStaked', {
-                matchId: this.gameState.matchId,
-                address: this.address
-            });
+            // Notify server; moves are signed for the on-chain match, so it
+            // has to know which one player 1 created
+            if (this.isPlayer1()) {
+                this.socket.emit('matchCreated', {
+                    matchId: this.gameState.matchId,
+                    blockchainMatchId: this.gameState.blockchainMatchId
+                });
+                this.socket.emit('notifyPlayer2', {
+                    matchId: this.gameState.matchId,
+                    blockchainMatchId: this.gameState.blockchainMatchId
+                });
+            } else {
+                this.socket.emit('playerStaked', {
+                    matchId: this.gameState.matchId
+                });
+            }
 
         } catch (error) {
             console.error('Failed to stake:', error);
@@ -291,11 +477,50 @@ class SimpleTicTacToe {
         }
     }
 
+    // Create the match through the API, whose operator wallet may create matches
+    async createMatchOnChain() {
+        const response = await fetch(`${this.apiUrl}/match/start`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                p1: this.gameState.player1,
+                p2: this.gameState.opponent,
+                stake: this.gameState.stake,
+                matchId: this.gameState.matchId,
+                gameType: this.game.name
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to create match');
+        }
+        return data.matchId;
+    }
+
+    async signStakePermit(amountWei) {
+        const deadline = Math.floor(Date.now() / 1000) + 60 * 60;
+        const domain = {
+            name: await this.contracts.gameToken.name(),
+            version: '1',
+            chainId: await this.signer.getChainId(),
+            verifyingContract: this.contractAddresses.gameToken
+        };
+        const permit = {
+            owner: this.address,
+            spender: this.contractAddresses.playGame,
+            value: amountWei,
+            nonce: await this.contracts.gameToken.nonces(this.address),
+            deadline
+        };
+
+        const signature = await this.signer._signTypedData(domain, PERMIT_TYPES, permit);
+        return { deadline, ...ethers.utils.splitSignature(signature) };
+    }
+
     cancelGame() {
         // Reset and go back
         this.gameState = {
-            board: Array(9).fill(''),
-            currentPlayer: 'X',
+            state: this.game.createState(),
             mySymbol: null,
             gameActive: false,
             matchId: null,
@@ -305,124 +530,169 @@ class SimpleTicTacToe {
 
         if (this.socket) {
             this.socket.emit('cancelMatch', {
-                matchId: this.gameState.matchId,
-                address: this.address
+                matchId: this.gameState.matchId
             });
         }
 
         this.showSection('gameStartSection');
     }
 
-    startGamePlay(matchData) {
+    startGamePlay({ matchId, symbol, transcriptDomain, lastMoveHash }) {
+        if (matchId !== this.gameState.matchId) return;
         console.log('Both players staked, starting game');
 
-        // Set player symbol (player1 = X, player2 = O)
-        this.gameState.mySymbol = matchData.player1 === this.address ? 'X' : 'O';
+        // The server says which symbol we play, the domain moves are signed
+        // under and the hash the first move chains onto
+        this.gameState.mySymbol = symbol;
+        this.gameState.transcriptDomain = transcriptDomain;
+        this.gameState.lastMoveHash = lastMoveHash;
         this.gameState.gameActive = true;
-        this.gameState.currentPlayer = 'X';
 
         // Reset board
-        this.gameState.board = Array(9).fill('');
-        document.querySelectorAll('.cell').forEach(cell => {
-            cell.textContent = '';
-            cell.classList.remove('disabled');
-        });
+        this.gameState.state = this.game.createState();
+        this.buildBoard();
+        document.getElementById('gameTitle').textContent = `${this.game.name} game`;
 
         // Show game section
         document.getElementById('stakeSection').classList.add('hidden');
         document.getElementById('gameSection').classList.remove('hidden');
 
         // Update status
-        const isMyTurn = this.gameState.currentPlayer === this.gameState.mySymbol;
-        document.getElementById('gameStatus').textContent =
-            isMyTurn ? `Your turn (${this.gameState.mySymbol})` : `Opponent's turn`;
-        document.getElementById('gameStatus').className = 'status info';
+        this.updateTurnStatus();
     }
 
-    makeMove(index) {
-        if (!this.gameState.gameActive ||
-            this.gameState.board[index] !== '' ||
-            this.gameState.currentPlayer !== this.gameState.mySymbol) {
-            return;
-        }
+    // Time control picked in the form, as the server expects it
+    selectedTimeControl() {
+        const [moveSeconds, gameSeconds] = document.getElementById('timeControl').value.split('/').map(Number);
+        return { moveSeconds, gameSeconds };
+    }
 
-        // Make move
-        this.gameState.board[index] = this.gameState.mySymbol;
-        document.querySelectorAll('.cell')[index].textContent = this.gameState.mySymbol;
+    renderClock({ running, text }) {
+        document.getElementById('gameClock').textContent =
+            `⏱ X ${text.X} • O ${text.O}` + (running ? ` • This move ${text.move}` : '');
+    }
 
-        // Check for win/draw
-        const winner = this.checkWinner();
-        const isDraw = this.checkDraw();
+    // Put a match the server resumed back on screen, board and turn included
+    restoreMatch(match) {
+        console.log('Match resumed:', match);
 
-        if (winner || isDraw) {
-            this.endGame(winner, isDraw);
-        } else {
-            // Switch turns
-            this.gameState.currentPlayer = this.gameState.currentPlayer === 'X' ? 'O' : 'X';
-            const isMyTurn = this.gameState.currentPlayer === this.gameState.mySymbol;
-            document.getElementById('gameStatus').textContent =
-                isMyTurn ? `Your turn (${this.gameState.mySymbol})` : `Opponent's turn`;
+        if (match.status === 'CREATED') {
+            this.handleMatchFound(match);
+            return;
         }
 
-        // Send move to opponent
-        this.socket.emit('makeMove', {
-            matchId: this.gameState.matchId,
-            index: index,
-            symbol: this.gameState.mySymbol,
-            board: this.gameState.board
+        this.game = GameRules.getGame(match.gameType);
+        this.clock.update(match.clock);
+        this.gameState.matchId = match.matchId;
+        this.gameState.blockchainMatchId = match.blockchainMatchId;
+        this.gameState.transcriptDomain = match.transcriptDomain;
+        this.gameState.lastMoveHash = match.lastMoveHash;
+        this.gameState.player1 = match.player1;
+        this.gameState.stake = match.stake;
+        this.gameState.opponent = match.symbol === 'X' ? match.player2 : match.player1;
+        this.gameState.mySymbol = match.symbol;
+        this.gameState.gameActive = match.gameActive;
+        this.gameState.state = match.state;
+        this.buildBoard();
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            cell.textContent = match.state.board[index];
         });
+        document.getElementById('gameTitle').textContent = `${this.game.name} game`;
+
+        // Show game section
+        document.getElementById('searchingStatus').classList.add('hidden');
+        document.getElementById('gameStartSection').classList.add('hidden');
+        document.getElementById('stakeSection').classList.add('hidden');
+        document.getElementById('gameSection').classList.remove('hidden');
+        this.updateTurnStatus();
     }
 
-    handleOpponentMove(moveData) {
-        if (!this.gameState.gameActive) return;
+    updateTurnStatus() {
+        const isMyTurn = this.gameState.gameActive && this.gameState.state.turn === this.gameState.mySymbol;
+        document.getElementById('gameStatus').textContent =
+            isMyTurn ? `Your turn (${this.gameState.mySymbol})` : `Opponent's turn`;
+        document.getElementById('gameStatus').className = 'status info';
+        this.highlightPlayable(isMyTurn);
+    }
 
-        // Update board
-        this.gameState.board = moveData.board;
-        document.querySelectorAll('.cell')[moveData.index].textContent = moveData.symbol;
+    // One cell per square of the match's game, spacing out the small boards
+    // of ultimate tic-tac-toe
+    buildBoard() {
+        const board = document.getElementById('gameBoard');
+        const { rows, cols, blockSize } = this.game;
+        board.innerHTML = '';
+        board.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+        board.classList.toggle('large', cols > 3);
+
+        for (let index = 0; index < rows * cols; index++) {
+            const { row, col } = this.game.toMove(index);
+            const cell = document.createElement('button');
+            cell.className = 'cell';
+            cell.dataset.index = index;
+            if (blockSize && col > 0 && col % blockSize === 0) cell.classList.add('block-left');
+            if (blockSize && row > 0 && row % blockSize === 0) cell.classList.add('block-top');
+            board.appendChild(cell);
+        }
+    }
 
-        // Check for win/draw
-        const winner = this.checkWinner();
-        const isDraw = this.checkDraw();
+    // Outline the cells the player may use on their turn
+    highlightPlayable(isMyTurn) {
+        const playable = new Set(
+            this.game.legalMoves(this.gameState.state).map(move => this.game.toIndex(move))
+        );
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            cell.classList.toggle('playable', isMyTurn && playable.has(index));
+        });
+    }
 
-        if (winner || isDraw) {
-            this.endGame(winner, isDraw);
-        } else {
-            // Switch turns
-            this.gameState.currentPlayer = this.gameState.currentPlayer === 'X' ? 'O' : 'X';
-            const isMyTurn = this.gameState.currentPlayer === this.gameState.mySymbol;
-            document.getElementById('gameStatus').textContent =
-                isMyTurn ? `Your turn (${this.gameState.mySymbol})` : `Opponent's turn`;
+    async makeMove(index) {
+        const { row, col } = this.game.toMove(index);
+        if (!this.gameState.gameActive ||
+            this.gameState.state.turn !== this.gameState.mySymbol ||
+            this.game.validateMove(this.gameState.state, { row, col })) {
+            return;
         }
-    }
 
-    checkWinner() {
-        const winPatterns = [
-            [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-            [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
-            [0, 4, 8], [2, 4, 6] // Diagonals
-        ];
+        try {
+            // Sign the move so the result can be verified from the transcript;
+            // it is played once the server sends it back in moveMade
+            const signature = await this.signer._signTypedData(this.gameState.transcriptDomain, MOVE_TYPES, {
+                matchId: this.gameState.blockchainMatchId,
+                moveNumber: this.gameState.state.moveCount, // Numbered from 0 in play order
+                row,
+                col,
+                player: this.address,
+                prevHash: this.gameState.lastMoveHash // Chains the move onto the game so far
+            });
 
-        for (const pattern of winPatterns) {
-            const [a, b, c] = pattern;
-            if (this.gameState.board[a] &&
-                this.gameState.board[a] === this.gameState.board[b] &&
-                this.gameState.board[a] === this.gameState.board[c]) {
-                return this.gameState.board[a];
-            }
+            this.socket.emit('makeMove', {
+                matchId: this.gameState.matchId,
+                row,
+                col,
+                signature
+            });
+        } catch (error) {
+            console.error('Move signing failed:', error);
+            document.getElementById('gameStatus').textContent = `Move not sent: ${error.message}`;
         }
-        return null;
     }
 
-    checkDraw() {
-        return this.gameState.board.every(cell => cell !== '');
+    // Apply a move the server accepted and pass the turn; the move that
+    // ends the game comes with gameEnd instead
+    playMove(move) {
+        const symbol = this.gameState.state.turn;
+        this.gameState.state = this.game.applyMove(this.gameState.state, move);
+        document.querySelectorAll('.cell')[this.game.toIndex(move)].textContent = symbol;
+        this.updateTurnStatus();
     }
 
-    async endGame(winner, isDraw) {
+    async endGame(winner, isDraw, resultData) {
         this.gameState.gameActive = false;
 
         // Disable all cells
         document.querySelectorAll('.cell').forEach(cell => {
             cell.classList.add('disabled');
+            cell.classList.remove('playable');
         });
 
         let result;
@@ -441,7 +711,7 @@ class SimpleTicTacToe {
         }
 
         // Process result on blockchain
-        await this.processGameResult(result, winner);
+        await this.processGameResult(result, resultData);
 
         // Show result section after delay
         setTimeout(() => {
@@ -449,17 +719,37 @@ class SimpleTicTacToe {
         }, 2000);
     }
 
-    async processGameResult(result, winner) {
-        try {
-            const winnerAddress = result === 'DRAW' ? ethers.constants.AddressZero :
-                result === 'WIN' ? this.address : this.gameState.opponent;
+    async processGameResult(result, { winnerAddress, reason, transcript }) {
+        // Nobody signs for running out of time or dropping out, so the
+        // server settles those itself
+        if (reason === 'TIMEOUT' || reason === 'DISCONNECT') {
+            console.log('The server is settling the match...');
+            return;
+        }
 
-            // Commit result to blockchain
-            const tx = await this.contracts.playGame.commitResult(this.gameState.matchId, winnerAddress);
-            console.log('Committing result...', tx.hash);
+        // One player submits the signed transcript: the winner, or player 1 for a draw
+        if (result === 'DRAW' ? !this.isPlayer1() : result !== 'WIN') {
+            return;
+        }
 
-            await tx.wait();
-            console.log('Result committed successfully');
+        try {
+            // Only the operator may commit results, so the API does it once
+            // it has replayed the signed transcript
+            const response = await fetch(`${this.apiUrl}/match/result`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    matchId: this.gameState.blockchainMatchId,
+                    winner: winnerAddress,
+                    result: result === 'DRAW' ? 'DRAW' : 'WIN',
+                    transcript
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to commit result');
+            }
+            console.log('Result committed successfully', data.txHash);
 
             // Reload balance
             await this.loadGTBalance();
@@ -505,8 +795,7 @@ class SimpleTicTacToe {
     playAgain() {
         // Reset game state
         this.gameState = {
-            board: Array(9).fill(''),
-            currentPlayer: 'X',
+            state: this.game.createState(),
             mySymbol: null,
             gameActive: false,
             matchId: null,
@@ -522,25 +811,39 @@ class SimpleTicTacToe {
         this.showSection('gameStartSection');
     }
 
-    forfeitGame() {
+    async forfeitGame() {
         if (confirm('Are you sure you want to forfeit? You will lose your stake.')) {
-            this.gameState.gameActive = false;
-
-            // Notify server
-            this.socket.emit('forfeitMatch', {
-                matchId: this.gameState.matchId,
-                address: this.address
-            });
-
-            // Process as loss
-            this.processGameResult('LOSE', this.gameState.opponent);
-            this.showGameResult('LOSE', this.gameState.opponent);
+            try {
+                // The forfeit only counts signed; the loss comes back with gameEnd
+                const signature = await this.signer._signTypedData(this.gameState.transcriptDomain, FORFEIT_TYPES, {
+                    matchId: this.gameState.blockchainMatchId,
+                    player: this.address
+                });
+
+                this.socket.emit('forfeitMatch', {
+                    matchId: this.gameState.matchId,
+                    signature
+                });
+            } catch (error) {
+                console.error('Forfeit signing failed:', error);
+            }
         }
     }
 
+    // The server decides how every game ends, the last move included
     handleGameEnd(resultData) {
-        console.log('Game ended:', resultData);
-        // Game end is handled by local game logic
+        const { winner, reason, finalBoard } = resultData;
+        console.log('Game ended:', { winner, reason });
+        this.clock.stop();
+
+        // A resumed match sends its result again; handle it once
+        if (this.gameState.endedMatchId === this.gameState.matchId) return;
+        this.gameState.endedMatchId = this.gameState.matchId;
+
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            if (finalBoard[index]) cell.textContent = finalBoard[index];
+        });
+        this.endGame(winner === 'DRAW' ? null : winner, winner === 'DRAW', resultData);
     }
 
     showSection(sectionId) {
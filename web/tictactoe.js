@@ -1,21 +1,66 @@
 // TriX Tic-Tac-Toe Game - Main JavaScript
+// EIP-2612 permit, signed instead of sending an approve transaction
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// EIP-712 types moves and forfeits are signed under (see api/transcript.js)
+const MOVE_TYPES = {
+    Move: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'moveNumber', type: 'uint256' },
+        { name: 'row', type: 'uint8' },
+        { name: 'col', type: 'uint8' },
+        { name: 'player', type: 'address' },
+        { name: 'prevHash', type: 'bytes32' }
+    ]
+};
+
+const FORFEIT_TYPES = {
+    Forfeit: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'player', type: 'address' }
+    ]
+};
+
+// Payment tokens accepted by TokenStore (USDT, DAI, ...)
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address) view returns (uint256)",
+    "function allowance(address,address) view returns (uint256)",
+    "function approve(address,uint256) returns (bool)"
+];
+
 class TriXTicTacToe {
     constructor() {
         this.provider = null;
         this.signer = null;
         this.address = null;
         this.contracts = {};
+        this.paymentTokens = [];
+        this.game = GameRules.getGame();
         this.gameState = {
             currentMatch: null,
-            board: Array(9).fill(''),
-            currentPlayer: 'X',
+            state: this.game.createState(), // Board and whose turn it is
             gameActive: false,
             mySymbol: null,
-            isMyTurn: false
+            isMyTurn: false,
+            endedMatchId: null // Last match whose result was handled
         };
         this.socket = null;
+        // Counts down from the clocks the server sends with every move
+        this.clock = MatchClock.createClock((clock) => this.renderClock(clock));
         this.matchmaking = false;
 
+        this.apiUrl = 'http://localhost:3000';
+
         // Contract addresses
         this.contractAddresses = {
             gameToken: '0x0B306BF915C4d645ff596e518fAf3F9669b97016',
@@ -51,6 +96,29 @@ class TriXTicTacToe {
             usdtAmount.addEventListener('input', (e) => this.updateGTAmount(e.target.value));
         }
 
+        // Token redemption
+        const redeemGT = document.getElementById('redeemGT');
+        if (redeemGT) {
+            redeemGT.addEventListener('click', () => this.redeemGT());
+        }
+
+        const redeemAmount = document.getElementById('redeemAmount');
+        if (redeemAmount) {
+            redeemAmount.addEventListener('input', (e) => this.updateRedeemAmount(e.target.value));
+        }
+
+        const redeemToken = document.getElementById('redeemToken');
+        if (redeemToken) {
+            redeemToken.addEventListener('change', () =>
+                this.updateRedeemAmount(document.getElementById('redeemAmount').value));
+        }
+
+        const paymentToken = document.getElementById('paymentToken');
+        if (paymentToken) {
+            paymentToken.addEventListener('change', () =>
+                this.updateGTAmount(document.getElementById('usdtAmount').value));
+        }
+
         // Matchmaking
         const findMatch = document.getElementById('findMatch');
         if (findMatch) {
@@ -85,10 +153,15 @@ class TriXTicTacToe {
             viewLeaderboard.addEventListener('click', () => this.showDashboard());
         }
 
-        // Game board
-        document.querySelectorAll('.cell').forEach(cell => {
-            cell.addEventListener('click', (e) => this.makeMove(e.target));
-        });
+        // Game board; the cells are built for each match in resetGameBoard
+        const gameBoard = document.getElementById('gameBoard');
+        if (gameBoard) {
+            gameBoard.addEventListener('click', (e) => {
+                if (e.target.classList.contains('cell')) {
+                    this.makeMove(e.target);
+                }
+            });
+        }
 
         // Modal
         const closeBtn = document.querySelector('.close');
@@ -140,6 +213,7 @@ class TriXTicTacToe {
 
             // Initialize contracts
             await this.initializeContracts();
+            await this.loadPaymentTokens();
 
             // Load balances
             await this.loadBalances();
@@ -173,7 +247,9 @@ class TriXTicTacToe {
                 "function transfer(address,uint256) returns (bool)",
                 "function transferFrom(address,address,uint256) returns (bool)",
                 "function approve(address,uint256) returns (bool)",
-                "function allowance(address,address) view returns (uint256)"
+                "function allowance(address,address) view returns (uint256)",
+                "function name() view returns (string)",
+                "function nonces(address) view returns (uint256)"
             ];
 
             this.contracts.gameToken = new ethers.Contract(
@@ -184,8 +260,17 @@ class TriXTicTacToe {
 
             // TokenStore contract
             const tokenStoreABI = [
-                "function buy(uint256) external",
-                "function getGTAmount(uint256) view returns (uint256)"
+                "function buy(address,uint256,uint256) external",
+                "function getGTAmount(address,uint256) view returns (uint256)",
+                "function getPaymentTokens() view returns (address[])",
+                "function paymentTokens(address) view returns (bool accepted,uint8 decimals,uint256 gtPerToken,uint256 totalReceived)",
+                "function redeem(address,uint256,uint256) external",
+                "function getRedeemAmount(address,uint256) view returns (uint256 amountOut,uint256 fee)",
+                "function getRedeemableToday(address) view returns (uint256)",
+                "function redemptionFeeBps() view returns (uint256)",
+                "function buyWithETH(uint256) payable",
+                "function getGTAmountForETH(uint256) view returns (uint256)",
+                "function ethUsdFeed() view returns (address)"
             ];
 
             this.contracts.tokenStore = new ethers.Contract(
@@ -198,8 +283,8 @@ class TriXTicTacToe {
             const playGameABI = [
                 "function createMatch(bytes32,address,address,uint256) external",
                 "function stake(bytes32) external",
-                "function commitResult(bytes32,address) external",
-                "function getMatch(bytes32) view returns (tuple(bytes32,address,address,uint256,uint8,uint256,bool,bool))"
+                "function stakeWithPermit(bytes32,uint256,uint8,bytes32,bytes32) external",
+                "function getMatch(bytes32) view returns (tuple(bytes32,address,address,uint256,uint8,uint256,bool,bool,uint256,uint256))"
             ];
 
             this.contracts.playGame = new ethers.Contract(
@@ -237,28 +322,192 @@ class TriXTicTacToe {
         }
     }
 
-    updateGTAmount(usdtAmount) {
-        const gtAmount = usdtAmount || 0;
+    async loadPaymentTokens() {
+        const addresses = await this.contracts.tokenStore.getPaymentTokens();
+        this.paymentTokens = await Promise.all(addresses.map(async (address) => {
+            const contract = new ethers.Contract(address, ERC20_ABI, this.signer);
+            const [symbol, entry] = await Promise.all([
+                contract.symbol(),
+                this.contracts.tokenStore.paymentTokens(address)
+            ]);
+            return { address, symbol, decimals: entry.decimals, gtPerToken: entry.gtPerToken, contract };
+        }));
+
+        const toOptions = tokens => tokens
+            .map(token => `<option value="${token.address}">${token.symbol}</option>`)
+            .join('');
+        const redeemToken = document.getElementById('redeemToken');
+        if (redeemToken) {
+            redeemToken.innerHTML = toOptions(this.paymentTokens);
+        }
+
+        // ETH can buy GT when the store has a price feed, but is never paid out
+        if ((await this.contracts.tokenStore.ethUsdFeed()) !== ethers.constants.AddressZero) {
+            try {
+                const gtPerEth = await this.contracts.tokenStore.getGTAmountForETH(ethers.utils.parseEther('1'));
+                this.paymentTokens.push({
+                    address: ethers.constants.AddressZero,
+                    symbol: 'ETH',
+                    decimals: 18,
+                    gtPerToken: gtPerEth,
+                    isEth: true
+                });
+            } catch (error) {
+                console.warn('ETH purchases unavailable:', error.reason || error.message);
+            }
+        }
+
+        const paymentToken = document.getElementById('paymentToken');
+        if (paymentToken) {
+            paymentToken.innerHTML = toOptions(this.paymentTokens);
+        }
+        this.updateGTAmount(document.getElementById('usdtAmount')?.value);
+        await this.updateRedeemInfo();
+    }
+
+    getSelectedPaymentToken(selectId = 'paymentToken') {
+        const select = document.getElementById(selectId);
+        return this.paymentTokens.find(token => token.address === select?.value) || this.paymentTokens[0];
+    }
+
+    async updateRedeemInfo() {
+        const redeemInfo = document.getElementById('redeemInfo');
+        if (!redeemInfo) return;
+
+        const [feeBps, redeemable] = await Promise.all([
+            this.contracts.tokenStore.redemptionFeeBps(),
+            this.contracts.tokenStore.getRedeemableToday(this.address)
+        ]);
+        const limit = redeemable.eq(ethers.constants.MaxUint256)
+            ? 'No daily limit'
+            : `${ethers.utils.formatEther(redeemable)} GT left today`;
+        redeemInfo.textContent = `Fee: ${feeBps.toNumber() / 100}% • ${limit}`;
+    }
+
+    async updateRedeemAmount(amount) {
+        const token = this.getSelectedPaymentToken('redeemToken');
+        if (!token) return;
+
+        let amountOut = '0';
+        if (amount && amount > 0) {
+            try {
+                const [out] = await this.contracts.tokenStore.getRedeemAmount(
+                    token.address,
+                    ethers.utils.parseEther(amount)
+                );
+                amountOut = ethers.utils.formatUnits(out, token.decimals);
+            } catch (error) {
+                console.error('Failed to quote redemption:', error);
+            }
+        }
+        document.getElementById('redeemOut').textContent = `${amountOut} ${token.symbol}`;
+    }
+
+    async redeemGT() {
+        try {
+            const amount = document.getElementById('redeemAmount').value;
+            const token = this.getSelectedPaymentToken('redeemToken');
+            if (!amount || amount <= 0 || !token) {
+                this.showModal('Invalid Amount', 'Please enter a valid GT amount.');
+                return;
+            }
+
+            const gtAmountWei = ethers.utils.parseEther(amount);
+            const redeemable = await this.contracts.tokenStore.getRedeemableToday(this.address);
+            if (gtAmountWei.gt(redeemable)) {
+                this.showModal('Daily Limit Reached',
+                    `You can redeem ${ethers.utils.formatEther(redeemable)} more GT today.`);
+                return;
+            }
+
+            this.showLoading('Redeeming GT tokens...');
+
+            const [amountOut] = await this.contracts.tokenStore.getRedeemAmount(token.address, gtAmountWei);
+
+            // GT is burned from the player's balance, so the store needs an allowance
+            const allowance = await this.contracts.gameToken.allowance(this.address, this.contractAddresses.tokenStore);
+            if (allowance.lt(gtAmountWei)) {
+                this.logTransaction(`Approving ${amount} GT for redemption...`, 'info');
+                const approveTx = await this.contracts.gameToken.approve(this.contractAddresses.tokenStore, gtAmountWei);
+                await approveTx.wait();
+            }
+
+            const tx = await this.contracts.tokenStore.redeem(token.address, gtAmountWei, amountOut);
+            this.logTransaction(`Redeeming ${amount} GT for ${token.symbol}...`, 'info');
+            await tx.wait();
+
+            await this.loadBalances();
+            await this.updateRedeemInfo();
+
+            const received = `${ethers.utils.formatUnits(amountOut, token.decimals)} ${token.symbol}`;
+            this.hideLoading();
+            this.logTransaction(`Successfully redeemed ${amount} GT for ${received}!`, 'success');
+            this.showModal('Redemption Successful', `Successfully redeemed ${amount} GT for ${received}!`);
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to redeem GT:', error);
+            this.logTransaction('Failed to redeem GT tokens', 'error');
+            this.showModal('Redemption Failed', 'Failed to redeem GT tokens. Please try again.');
+        }
+    }
+
+    async updateGTAmount(amount) {
+        const token = this.getSelectedPaymentToken();
+        if (!token) return;
+
+        document.getElementById('exchangeRate').textContent =
+            `1 ${token.symbol} = ${ethers.utils.formatEther(token.gtPerToken)} GT`;
+
+        let gtAmount = '0';
+        if (amount && amount > 0) {
+            try {
+                const amountWei = ethers.utils.parseUnits(amount, token.decimals);
+                gtAmount = ethers.utils.formatEther(token.isEth
+                    ? await this.contracts.tokenStore.getGTAmountForETH(amountWei)
+                    : await this.contracts.tokenStore.getGTAmount(token.address, amountWei));
+            } catch (error) {
+                console.error('Failed to quote GT amount:', error);
+            }
+        }
         document.getElementById('gtAmount').textContent = gtAmount;
     }
 
     async buyGT() {
         try {
-            const usdtAmount = document.getElementById('usdtAmount').value;
-            if (!usdtAmount || usdtAmount <= 0) {
-                this.showModal('Invalid Amount', 'Please enter a valid USDT amount.');
+            const amount = document.getElementById('usdtAmount').value;
+            const token = this.getSelectedPaymentToken();
+            if (!amount || amount <= 0 || !token) {
+                this.showModal('Invalid Amount', 'Please enter a valid payment amount.');
                 return;
             }
 
             this.showLoading('Purchasing GT tokens...');
 
-            // Convert USDT amount to wei (assuming 6 decimals for USDT)
-            const usdtAmountWei = ethers.utils.parseUnits(usdtAmount, 6);
+            // Convert to the payment token's own decimals
+            const amountWei = ethers.utils.parseUnits(amount, token.decimals);
+            let gtOut;
+            let tx;
 
-            // Call TokenStore.buy function
-            const tx = await this.contracts.tokenStore.buy(usdtAmountWei);
+            // The quote is the minimum so a rate change can't short the buyer
+            if (token.isEth) {
+                gtOut = await this.contracts.tokenStore.getGTAmountForETH(amountWei);
+                tx = await this.contracts.tokenStore.buyWithETH(gtOut, { value: amountWei });
+            } else {
+                gtOut = await this.contracts.tokenStore.getGTAmount(token.address, amountWei);
+
+                const allowance = await token.contract.allowance(this.address, this.contractAddresses.tokenStore);
+                if (allowance.lt(amountWei)) {
+                    this.logTransaction(`Approving ${amount} ${token.symbol}...`, 'info');
+                    const approveTx = await token.contract.approve(this.contractAddresses.tokenStore, amountWei);
+                    await approveTx.wait();
+                }
+
+                // Call TokenStore.buy function
+                tx = await this.contracts.tokenStore.buy(token.address, amountWei, gtOut);
+            }
 
-            this.logTransaction(`Buying ${usdtAmount} USDT worth of GT tokens...`, 'info');
+            this.logTransaction(`Buying GT tokens with ${amount} ${token.symbol}...`, 'info');
 
             // Wait for transaction confirmation
             await tx.wait();
@@ -266,9 +515,10 @@ class TriXTicTacToe {
             // Reload balances
             await this.loadBalances();
 
+            const gtAmount = ethers.utils.formatEther(gtOut);
             this.hideLoading();
-            this.logTransaction(`Successfully purchased ${usdtAmount} GT tokens!`, 'success');
-            this.showModal('Purchase Successful', `Successfully purchased ${usdtAmount} GT tokens!`);
+            this.logTransaction(`Successfully purchased ${gtAmount} GT tokens!`, 'success');
+            this.showModal('Purchase Successful', `Successfully purchased ${gtAmount} GT tokens!`);
 
         } catch (error) {
             this.hideLoading();
@@ -305,9 +555,11 @@ class TriXTicTacToe {
             await this.connectToMatchmakingServer();
 
             // Send matchmaking request
+            // Only players picking the same game and time control are matched together
             this.socket.emit('findMatch', {
-                address: this.address,
                 stake: stakeAmount,
+                gameType: document.getElementById('gameType').value,
+                timeControl: this.selectedTimeControl(),
                 timestamp: Date.now()
             });
 
@@ -322,19 +574,94 @@ class TriXTicTacToe {
 
     async connectToMatchmakingServer() {
         return new Promise((resolve, reject) => {
-            this.socket = io('http://localhost:3001'); // Matchmaking server
+            // Matchmaking server; reconnects on its own, quickly enough to get
+            // back within the server's grace period after a dropped connection
+            this.socket = io('http://localhost:3001', { reconnectionDelayMax: 5000 });
 
+            // Sign in with the wallet once connected, and again after every
+            // reconnect; the server acts for the address proven here, so
+            // payloads no longer carry our address
             this.socket.on('connect', () => {
                 console.log('Connected to matchmaking server');
+                this.socket.emit('requestChallenge', { address: this.address });
+            });
+
+            this.socket.on('authChallenge', async ({ message }) => {
+                try {
+                    this.socket.emit('authenticate', { signature: await this.signer.signMessage(message) });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+            // Back from a dropped connection mid-match, ask for our seat back
+            this.socket.on('authenticated', () => {
+                if (this.gameState.currentMatch) {
+                    this.socket.emit('resumeMatch', { matchId: this.gameState.currentMatch.matchId });
+                }
                 resolve();
             });
 
+            this.socket.on('authError', ({ message }) => {
+                console.error('Matchmaking sign-in failed:', message);
+                reject(new Error(message));
+            });
+
             this.socket.on('matchFound', async (matchData) => {
                 await this.handleMatchFound(matchData);
             });
 
+            this.socket.on('matchResumed', (match) => this.restoreMatch(match));
+
+            // Player 1 created the match on-chain, so player 2 can stake in it
+            this.socket.on('matchCreatedOnChain', ({ matchId, blockchainMatchId }) => {
+                if (matchId !== this.gameState.currentMatch?.matchId) return;
+                this.gameState.currentMatch.blockchainMatchId = blockchainMatchId;
+                document.getElementById('approveAndStake').disabled = false;
+            });
+
+            // The server runs the clocks; our countdown only keeps in step
+            this.socket.on('gameStart', (data) => {
+                this.clock.update(data.clock);
+                this.startGame(data);
+            });
+
+            // Every move the server accepted, ours included
+            this.socket.on('moveMade', ({ row, col, lastMoveHash, clock }) => {
+                this.clock.update(clock);
+                this.gameState.currentMatch.lastMoveHash = lastMoveHash;
+                this.playMove({ row, col });
+            });
+
+            this.socket.on('gameEnd', (resultData) => this.handleGameEnd(resultData));
+
+            // Result of a timeout or disconnect committed by the matchmaking server
+            this.socket.on('matchSettled', ({ matchId, txHash }) => {
+                const matchData = this.gameState.currentMatch;
+                if (matchId !== matchData?.matchId) return;
+                this.showSettlement(matchData, this.gameState.result, txHash);
+            });
+
+            this.socket.on('opponentDisconnected', ({ reconnectBy }) => {
+                const seconds = Math.round((reconnectBy - Date.now()) / 1000);
+                this.updateGameStatus(`Opponent disconnected, they have ${seconds}s to come back`);
+            });
+
+            this.socket.on('opponentReconnected', () => {
+                this.updateGameStatus('Opponent reconnected');
+            });
+
             this.socket.on('disconnect', () => {
                 console.log('Disconnected from matchmaking server');
+                if (this.gameState.currentMatch) {
+                    this.updateGameStatus('Connection lost, reconnecting...');
+                }
+            });
+
+            // The server decides our symbol and turn; a move it refuses was never played
+            this.socket.on('moveRejected', ({ reason }) => {
+                this.logTransaction(`Move rejected: ${reason}`, 'error');
+                this.updateGameStatus(`Move rejected: ${reason}`);
             });
 
             this.socket.on('connect_error', (error) => {
@@ -351,6 +678,7 @@ class TriXTicTacToe {
             document.getElementById('findMatch').disabled = false;
 
             this.gameState.currentMatch = matchData;
+            this.game = GameRules.getGame(matchData.gameType);
 
             // Show stake confirmation section
             this.showStakeConfirmation(matchData);
@@ -363,6 +691,48 @@ class TriXTicTacToe {
         }
     }
 
+    // Time control picked in the form, as the server expects it
+    selectedTimeControl() {
+        const [moveSeconds, gameSeconds] = document.getElementById('timeControl').value.split('/').map(Number);
+        return { moveSeconds, gameSeconds };
+    }
+
+    renderClock({ running, text }) {
+        document.getElementById('gameClock').textContent =
+            `⏱ X ${text.X} • O ${text.O}` + (running ? ` • This move ${text.move}` : '');
+    }
+
+    // Put a match the server resumed back on screen, board and turn included
+    restoreMatch(match) {
+        if (match.status === 'CREATED') {
+            this.handleMatchFound(match);
+            return;
+        }
+
+        this.gameState.currentMatch = match;
+        this.game = GameRules.getGame(match.gameType);
+        this.showGame(match);
+        this.clock.update(match.clock);
+
+        this.gameState.state = match.state;
+        this.gameState.gameActive = match.gameActive;
+        this.gameState.mySymbol = match.symbol;
+        this.gameState.isMyTurn = match.gameActive && match.state.turn === match.symbol;
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            const value = match.state.board[index];
+            cell.textContent = value;
+            cell.classList.toggle('x', value === 'X');
+            cell.classList.toggle('o', value === 'O');
+        });
+        this.highlightPlayable();
+        this.updateGameStatus(this.gameState.isMyTurn ? 'Your turn' : 'Opponent\'s turn...');
+        this.logTransaction(`Resumed match ${match.matchId}`, 'info');
+    }
+
+    isPlayer1() {
+        return this.gameState.currentMatch.player1.toLowerCase() === this.address.toLowerCase();
+    }
+
     showStakeConfirmation(matchData) {
         // Update stake section with match details
         document.getElementById('stakeMatchId').textContent = matchData.matchId;
@@ -370,6 +740,10 @@ class TriXTicTacToe {
         document.getElementById('stakeAmount').textContent = matchData.stake;
         document.getElementById('totalPot').textContent = matchData.stake * 2;
 
+        // Player 2 stakes once player 1 has created the match on-chain
+        document.getElementById('approveAndStake').disabled =
+            !this.isPlayer1() && !matchData.blockchainMatchId;
+
         // Show stake section
         this.showSection('stakeSection');
     }
@@ -379,19 +753,19 @@ class TriXTicTacToe {
             const matchData = this.gameState.currentMatch;
             const stakeAmountWei = ethers.utils.parseUnits(matchData.stake.toString(), 18);
 
-            this.showLoading('Approving and staking GT tokens...');
+            this.showLoading('Staking GT tokens...');
 
-            // First approve PlayGame contract to spend GT tokens
-            const approveTx = await this.contracts.gameToken.approve(
-                this.contractAddresses.playGame,
-                stakeAmountWei
-            );
+            // Player 1 creates the match on-chain; player 2 was told its id
+            if (this.isPlayer1() && !matchData.blockchainMatchId) {
+                this.logTransaction('Creating match on blockchain...', 'info');
+                matchData.blockchainMatchId = await this.createMatchOnChain(matchData);
+            }
 
-            this.logTransaction('Approving GT token spending...', 'info');
-            await approveTx.wait();
+            // Sign a permit for the stake, then stake in a single transaction
+            this.logTransaction('Signing GT spending permit...', 'info');
+            const { deadline, v, r, s } = await this.signStakePermit(stakeAmountWei);
 
-            // Then stake tokens
-            const stakeTx = await this.contracts.playGame.stake(matchData.matchId);
+            const stakeTx = await this.contracts.playGame.stakeWithPermit(matchData.blockchainMatchId, deadline, v, r, s);
 
             this.logTransaction('Staking GT tokens...', 'info');
             await stakeTx.wait();
@@ -406,11 +780,22 @@ class TriXTicTacToe {
             document.getElementById('stakeStatus').style.display = 'block';
             document.getElementById('stakeStatusText').textContent = 'Waiting for opponent to stake...';
 
-            // Notify server that player has staked
-            this.socket.emit('playerStaked', {
-                matchId: matchData.matchId,
-                address: this.address
-            });
+            // Notify server; moves are signed for the on-chain match, so it
+            // has to know which one player 1 created
+            if (this.isPlayer1()) {
+                this.socket.emit('matchCreated', {
+                    matchId: matchData.matchId,
+                    blockchainMatchId: matchData.blockchainMatchId
+                });
+                this.socket.emit('notifyPlayer2', {
+                    matchId: matchData.matchId,
+                    blockchainMatchId: matchData.blockchainMatchId
+                });
+            } else {
+                this.socket.emit('playerStaked', {
+                    matchId: matchData.matchId
+                });
+            }
 
         } catch (error) {
             this.hideLoading();
@@ -420,13 +805,52 @@ class TriXTicTacToe {
         }
     }
 
+    // Create the match through the API, whose operator wallet may create matches
+    async createMatchOnChain(matchData) {
+        const response = await fetch(`${this.apiUrl}/match/start`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                p1: matchData.player1,
+                p2: matchData.player2,
+                stake: matchData.stake,
+                matchId: matchData.matchId,
+                gameType: this.game.name
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to create match');
+        }
+        return data.matchId;
+    }
+
+    async signStakePermit(amountWei) {
+        const deadline = Math.floor(Date.now() / 1000) + 60 * 60;
+        const domain = {
+            name: await this.contracts.gameToken.name(),
+            version: '1',
+            chainId: await this.signer.getChainId(),
+            verifyingContract: this.contractAddresses.gameToken
+        };
+        const permit = {
+            owner: this.address,
+            spender: this.contractAddresses.playGame,
+            value: amountWei,
+            nonce: await this.contracts.gameToken.nonces(this.address),
+            deadline
+        };
+
+        const signature = await this.signer._signTypedData(domain, PERMIT_TYPES, permit);
+        return { deadline, ...ethers.utils.splitSignature(signature) };
+    }
+
     async cancelMatch() {
         if (confirm('Are you sure you want to cancel this match?')) {
             try {
                 // Notify server
                 this.socket.emit('cancelMatch', {
-                    matchId: this.gameState.currentMatch.matchId,
-                    address: this.address
+                    matchId: this.gameState.currentMatch.matchId
                 });
 
                 this.logTransaction('Match cancelled', 'warning');
@@ -438,9 +862,26 @@ class TriXTicTacToe {
         }
     }
 
+    startGame({ matchId, symbol, isFirst, transcriptDomain, lastMoveHash }) {
+        const matchData = this.gameState.currentMatch;
+        if (matchId !== matchData?.matchId) return;
+
+        // The server says which symbol we play, the domain moves are signed
+        // under and the hash the first move chains onto
+        matchData.transcriptDomain = transcriptDomain;
+        matchData.lastMoveHash = lastMoveHash;
+        this.showGame(matchData);
+        this.gameState.mySymbol = symbol;
+        this.gameState.isMyTurn = !!isFirst;
+        this.highlightPlayable();
+        this.updateGameStatus(this.gameState.isMyTurn ? 'Your turn' : 'Opponent\'s turn...');
+        this.logTransaction('Both players staked, game started!', 'success');
+    }
+
     showGame(matchData) {
         // Update game info
         document.getElementById('matchId').textContent = matchData.matchId;
+        document.getElementById('gameName').textContent = this.game.name;
         document.getElementById('matchStake').textContent = matchData.stake + ' GT';
         document.getElementById('gameTotalPot').textContent = matchData.stake * 2 + ' GT';
         document.getElementById('player1Name').textContent = matchData.player1.substring(0, 6) + '...';
@@ -453,185 +894,118 @@ class TriXTicTacToe {
         this.showSection('gameSection');
     }
 
-    async endGame(result) {
-        this.gameState.gameActive = false;
-
-        // Disable all cells
-        document.querySelectorAll('.cell').forEach(cell => {
-            cell.classList.add('disabled');
-        });
-
-        if (result === 'WIN') {
-            this.updateGameStatus('🎉 You won! 🎉');
-            this.logTransaction('You won the match!', 'success');
-
-            // Show results
-            await this.showResults(result);
-
-        } else if (result === 'LOSE') {
-            this.updateGameStatus('😔 You lost!');
-            this.logTransaction('You lost the match.', 'error');
-
-            // Show results
-            await this.showResults(result);
-
-        } else if (result === 'DRAW') {
-            this.updateGameStatus('🤝 It\'s a draw!');
-            this.logTransaction('The match ended in a draw.', 'warning');
-
-            // Show results
-            await this.showResults(result);
-        }
-    }
-
-    async showResults(result) {
-        const matchData = this.gameState.currentMatch;
-
-        // Update results section
-        if (result === 'WIN') {
-            document.getElementById('winnerText').textContent = '🎉 You won! Winner gets 2× stake GT!';
-            document.getElementById('winnerAddress').textContent = this.address.substring(0, 6) + '...' + this.address.substring(38);
-        } else if (result === 'LOSE') {
-            document.getElementById('winnerText').textContent = '😔 You lost! Opponent gets 2× stake GT!';
-            document.getElementById('winnerAddress').textContent = matchData.player2.substring(0, 6) + '...' + matchData.player2.substring(38);
-        } else {
-            document.getElementById('winnerText').textContent = '🤝 It\'s a draw! Stakes returned.';
-            document.getElementById('winnerAddress').textContent = 'No winner';
-        }
-
-        document.getElementById('resultsMatchId').textContent = matchData.matchId;
-        document.getElementById('resultsStake').textContent = matchData.stake + ' GT';
-        document.getElementById('resultsPayout').textContent = matchData.stake * 2 + ' GT';
-
-        // Show results section
-        this.showSection('resultsSection');
-
-        // Process blockchain transaction
-        await this.processGameResult(result);
-    }
-
-    async processGameResult(result) {
-        try {
-            this.showLoading('Processing game result...');
-
-            const matchData = this.gameState.currentMatch;
-            const winner = result === 'WIN' ? this.address :
-                result === 'LOSE' ? matchData.player2 :
-                    ethers.constants.AddressZero; // Draw
-
-            // Commit result to blockchain
-            const tx = await this.contracts.playGame.commitResult(matchData.matchId, winner);
-
-            this.logTransaction('Committing result to blockchain...', 'info');
-
-            // Wait for transaction confirmation
-            const receipt = await tx.wait();
-
-            this.hideLoading();
-
-            // Update transaction status
-            document.getElementById('txStatus').className = 'status-confirmed';
-            document.getElementById('txStatus').innerHTML = '<span class="status-icon">✅</span><span class="status-text">Confirmed</span>';
-
-            // Show transaction hash
-            document.getElementById('txHash').style.display = 'block';
-            document.getElementById('txHashLink').href = `https://etherscan.io/tx/${receipt.transactionHash}`;
-
-            this.logTransaction(`Result committed! Transaction: ${receipt.transactionHash}`, 'success');
-
-            // Reload balances
-            await this.loadBalances();
-
-            // Show history after a delay
-            setTimeout(() => {
-                this.showHistory(matchData, result, receipt.transactionHash);
-            }, 3000);
+    resetGameBoard() {
+        this.gameState.state = this.game.createState();
+        this.gameState.gameActive = true;
 
-        } catch (error) {
-            this.hideLoading();
-            console.error('Failed to commit result:', error);
-            this.logTransaction('Failed to commit result', 'error');
+        // One row of cells per board row, spacing out the small boards of
+        // ultimate tic-tac-toe
+        const board = document.getElementById('gameBoard');
+        const { rows, cols, blockSize } = this.game;
+        board.innerHTML = '';
+        board.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+        board.classList.toggle('large', cols > 3);
+
+        for (let row = 0; row < rows; row++) {
+            const boardRow = document.createElement('div');
+            boardRow.className = 'board-row';
+            for (let col = 0; col < cols; col++) {
+                const cell = document.createElement('div');
+                cell.className = 'cell';
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+                if (blockSize && col > 0 && col % blockSize === 0) cell.classList.add('block-left');
+                if (blockSize && row > 0 && row % blockSize === 0) cell.classList.add('block-top');
+                boardRow.appendChild(cell);
+            }
+            board.appendChild(boardRow);
         }
+        this.highlightPlayable();
     }
 
-    showHistory(matchData, result, txHash) {
-        // Update history section
-        document.getElementById('historyMatchId').textContent = matchData.matchId;
-        document.getElementById('historyOpponent').textContent = matchData.player2.substring(0, 6) + '...' + matchData.player2.substring(38);
-        document.getElementById('historyStake').textContent = matchData.stake + ' GT';
-        document.getElementById('historyResult').textContent = result === 'WIN' ? 'Won' : result === 'LOSE' ? 'Lost' : 'Draw';
-        document.getElementById('historyTxLink').href = `https://etherscan.io/tx/${txHash}`;
-
-        // Show history section
-        this.showSection('historySection');
-    }
-
-    resetGameBoard() {
-        this.gameState.board = Array(9).fill('');
-        this.gameState.gameActive = true;
-
-        // Clear board
-        document.querySelectorAll('.cell').forEach(cell => {
-            cell.textContent = '';
-            cell.classList.remove('x', 'o', 'disabled');
+    // Outline the cells the player may use on their turn
+    highlightPlayable() {
+        const playable = new Set(
+            this.game.legalMoves(this.gameState.state).map(move => this.game.toIndex(move))
+        );
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            cell.classList.toggle('playable', this.gameState.isMyTurn && playable.has(index));
         });
     }
 
-    makeMove(cell) {
+    async makeMove(cell) {
         if (!this.gameState.gameActive || !this.gameState.isMyTurn) {
             return;
         }
 
         const row = parseInt(cell.dataset.row);
         const col = parseInt(cell.dataset.col);
-        const index = row * 3 + col;
 
-        if (this.gameState.board[index] !== '') {
-            return; // Cell already occupied
+        if (this.game.validateMove(this.gameState.state, { row, col })) {
+            return; // Cell already occupied or off the board
         }
 
-        // Make move
-        this.gameState.board[index] = this.gameState.mySymbol;
-        cell.textContent = this.gameState.mySymbol;
-        cell.classList.add(this.gameState.mySymbol.toLowerCase());
-
-        this.gameState.isMyTurn = false;
-        this.updateGameStatus('Opponent\'s turn...');
-
-        // Send move to server
-        this.socket.emit('makeMove', {
-            matchId: this.gameState.currentMatch.matchId,
-            row: row,
-            col: col,
-            symbol: this.gameState.mySymbol
-        });
+        const matchData = this.gameState.currentMatch;
+        try {
+            // Sign the move so the result can be verified from the transcript;
+            // it is played once the server sends it back in moveMade
+            const signature = await this.signer._signTypedData(matchData.transcriptDomain, MOVE_TYPES, {
+                matchId: matchData.blockchainMatchId,
+                moveNumber: this.gameState.state.moveCount, // Numbered from 0 in play order
+                row,
+                col,
+                player: this.address,
+                prevHash: matchData.lastMoveHash // Chains the move onto the game so far
+            });
 
-        // Check for win
-        if (this.checkWin(this.gameState.mySymbol)) {
-            this.endGame('WIN');
-        } else if (this.checkDraw()) {
-            this.endGame('DRAW');
+            this.socket.emit('makeMove', {
+                matchId: matchData.matchId,
+                row,
+                col,
+                signature
+            });
+        } catch (error) {
+            console.error('Move signing failed:', error);
+            this.updateGameStatus(`Move not sent: ${error.message}`);
         }
     }
 
-    checkWin(symbol) {
-        const winConditions = [
-            [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-            [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
-            [0, 4, 8], [2, 4, 6] // Diagonals
-        ];
+    // Apply a move the server accepted and pass the turn; the move that
+    // ends the game comes with gameEnd instead
+    playMove({ row, col }) {
+        const symbol = this.gameState.state.turn;
+        this.gameState.state = this.game.applyMove(this.gameState.state, { row, col });
+        this.markCell(this.game.toIndex({ row, col }), symbol);
 
-        return winConditions.some(condition => {
-            return condition.every(index => this.gameState.board[index] === symbol);
-        });
+        this.gameState.isMyTurn = this.gameState.state.turn === this.gameState.mySymbol;
+        this.highlightPlayable();
+        this.updateGameStatus(this.gameState.isMyTurn ? 'Your turn' : 'Opponent\'s turn...');
+    }
+
+    markCell(index, symbol) {
+        const cell = document.querySelectorAll('.cell')[index];
+        cell.textContent = symbol;
+        cell.classList.toggle('x', symbol === 'X');
+        cell.classList.toggle('o', symbol === 'O');
     }
 
-    checkDraw() {
-        return this.gameState.board.every(cell => cell !== '');
+    // The server decides how every game ends, the last move included
+    handleGameEnd(resultData) {
+        const { winner, finalBoard } = resultData;
+        this.clock.stop();
+
+        // A resumed match sends its result again; handle it once
+        const matchData = this.gameState.currentMatch;
+        if (!matchData || this.gameState.endedMatchId === matchData.matchId) return;
+        this.gameState.endedMatchId = matchData.matchId;
+
+        finalBoard.forEach((value, index) => this.markCell(index, value));
+        this.endGame(winner === 'DRAW' ? 'DRAW' : winner === this.gameState.mySymbol ? 'WIN' : 'LOSE', resultData);
     }
 
-    async endGame(result) {
+    async endGame(result, resultData) {
         this.gameState.gameActive = false;
+        this.gameState.result = result;
 
         // Disable all cells
         document.querySelectorAll('.cell').forEach(cell => {
@@ -643,25 +1017,25 @@ class TriXTicTacToe {
             this.logTransaction('You won the match!', 'success');
 
             // Show results
-            await this.showResults(result);
+            await this.showResults(result, resultData);
 
         } else if (result === 'LOSE') {
             this.updateGameStatus('😔 You lost!');
             this.logTransaction('You lost the match.', 'error');
 
             // Show results
-            await this.showResults(result);
+            await this.showResults(result, resultData);
 
         } else if (result === 'DRAW') {
             this.updateGameStatus('🤝 It\'s a draw!');
             this.logTransaction('The match ended in a draw.', 'warning');
 
             // Show results
-            await this.showResults(result);
+            await this.showResults(result, resultData);
         }
     }
 
-    async showResults(result) {
+    async showResults(result, resultData) {
         const matchData = this.gameState.currentMatch;
 
         // Update results section
@@ -684,45 +1058,48 @@ class TriXTicTacToe {
         this.showSection('resultsSection');
 
         // Process blockchain transaction
-        await this.processGameResult(result);
+        await this.processGameResult(result, resultData);
     }
 
-    async processGameResult(result) {
-        try {
-            this.showLoading('Processing game result...');
+    async processGameResult(result, { winnerAddress, reason, transcript }) {
+        const matchData = this.gameState.currentMatch;
 
-            const matchData = this.gameState.currentMatch;
-            const winner = result === 'WIN' ? this.address :
-                result === 'LOSE' ? matchData.player2 :
-                    ethers.constants.AddressZero; // Draw
+        // Nobody signs for running out of time or dropping out, so the
+        // server settles those itself (see matchSettled)
+        if (reason === 'TIMEOUT' || reason === 'DISCONNECT') {
+            this.logTransaction('The server is settling the match...', 'info');
+            return;
+        }
 
-            // Commit result to blockchain
-            const tx = await this.contracts.playGame.commitResult(matchData.matchId, winner);
+        // One player submits the signed transcript: the winner, or player 1 for a draw
+        if (result === 'DRAW' ? !this.isPlayer1() : result !== 'WIN') {
+            this.logTransaction('Your opponent is submitting the result...', 'info');
+            return;
+        }
 
+        try {
+            this.showLoading('Processing game result...');
             this.logTransaction('Committing result to blockchain...', 'info');
 
-            // Wait for transaction confirmation
-            const receipt = await tx.wait();
+            // Only the operator may commit results, so the API does it once
+            // it has replayed the signed transcript
+            const response = await fetch(`${this.apiUrl}/match/result`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    matchId: matchData.blockchainMatchId,
+                    winner: winnerAddress,
+                    result: result === 'DRAW' ? 'DRAW' : 'WIN',
+                    transcript
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to commit result');
+            }
 
             this.hideLoading();
-
-            // Update transaction status
-            document.getElementById('txStatus').className = 'status-confirmed';
-            document.getElementById('txStatus').innerHTML = '<span class="status-icon">✅</span><span class="status-text">Confirmed</span>';
-
-            // Show transaction hash
-            document.getElementById('txHash').style.display = 'block';
-            document.getElementById('txHashLink').href = `https://etherscan.io/tx/${receipt.transactionHash}`;
-
-            this.logTransaction(`Result committed! Transaction: ${receipt.transactionHash}`, 'success');
-
-            // Reload balances
-            await this.loadBalances();
-
-            // Show history after a delay
-            setTimeout(() => {
-                this.showHistory(matchData, result, receipt.transactionHash);
-            }, 3000);
+            await this.showSettlement(matchData, result, data.txHash);
 
         } catch (error) {
             this.hideLoading();
@@ -731,6 +1108,27 @@ class TriXTicTacToe {
         }
     }
 
+    // Show the transaction that settled the match, then the history
+    async showSettlement(matchData, result, txHash) {
+        // Update transaction status
+        document.getElementById('txStatus').className = 'status-confirmed';
+        document.getElementById('txStatus').innerHTML = '<span class="status-icon">✅</span><span class="status-text">Confirmed</span>';
+
+        // Show transaction hash
+        document.getElementById('txHash').style.display = 'block';
+        document.getElementById('txHashLink').href = `https://etherscan.io/tx/${txHash}`;
+
+        this.logTransaction(`Result committed! Transaction: ${txHash}`, 'success');
+
+        // Reload balances
+        await this.loadBalances();
+
+        // Show history after a delay
+        setTimeout(() => {
+            this.showHistory(matchData, result, txHash);
+        }, 3000);
+    }
+
     showHistory(matchData, result, txHash) {
         // Update history section
         document.getElementById('historyMatchId').textContent = matchData.matchId;
@@ -743,57 +1141,6 @@ class TriXTicTacToe {
         this.showSection('historySection');
     }
 
-    playAgain() {
-        // Reset game state and go back to dashboard
-        this.gameState.currentMatch = null;
-        this.gameState.board = Array(9).fill('');
-        this.gameState.gameActive = false;
-        this.gameState.mySymbol = null;
-        this.gameState.isMyTurn = false;
-
-        this.showDashboard();
-    }
-
-    async forfeitMatch() {
-        if (confirm('Are you sure you want to forfeit this match? You will lose your stake.')) {
-            try {
-                this.showLoading('Forfeiting match...');
-
-                // Notify server
-                this.socket.emit('forfeitMatch', {
-                    matchId: this.gameState.currentMatch.matchId,
-                    address: this.address
-                });
-
-                this.logTransaction('Match forfeited', 'warning');
-                this.showDashboard();
-
-            } catch (error) {
-                console.error('Failed to forfeit match:', error);
-            } finally {
-                this.hideLoading();
-            }
-        }
-    }
-
-    // Section management
-    showSection(sectionId) {
-        // Hide all sections
-        document.getElementById('connectSection').style.display = 'none';
-        document.getElementById('dashboardSection').style.display = 'none';
-        document.getElementById('stakeSection').style.display = 'none';
-        document.getElementById('gameSection').style.display = 'none';
-        document.getElementById('resultsSection').style.display = 'none';
-        document.getElementById('historySection').style.display = 'none';
-
-        // Show requested section
-        document.getElementById(sectionId).style.display = 'block';
-    }
-
-    showDashboard() {
-        this.showSection('dashboardSection');
-    }
-
     updateGameStatus(status) {
         document.getElementById('gameStatus').textContent = status;
     }
@@ -895,7 +1242,7 @@ class TriXTicTacToe {
     playAgain() {
         // Reset game state and go back to dashboard
         this.gameState.currentMatch = null;
-        this.gameState.board = Array(9).fill('');
+        this.gameState.state = this.game.createState();
         this.gameState.gameActive = false;
         this.gameState.mySymbol = null;
         this.gameState.isMyTurn = false;
@@ -908,14 +1255,19 @@ class TriXTicTacToe {
             try {
                 this.showLoading('Forfeiting match...');
 
-                // Notify server
+                // The forfeit only counts signed; the loss comes back with gameEnd
+                const matchData = this.gameState.currentMatch;
+                const signature = await this.signer._signTypedData(matchData.transcriptDomain, FORFEIT_TYPES, {
+                    matchId: matchData.blockchainMatchId,
+                    player: this.address
+                });
+
                 this.socket.emit('forfeitMatch', {
-                    matchId: this.gameState.currentMatch.matchId,
-                    address: this.address
+                    matchId: matchData.matchId,
+                    signature
                 });
 
                 this.logTransaction('Match forfeited', 'warning');
-                this.showDashboard();
 
             } catch (error) {
                 console.error('Failed to forfeit match:', error);
@@ -1,3 +1,40 @@
+// EIP-2612 permit, signed instead of sending an approve transaction
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// EIP-712 types moves and forfeits are signed under (see api/transcript.js)
+const MOVE_TYPES = {
+    Move: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'moveNumber', type: 'uint256' },
+        { name: 'row', type: 'uint8' },
+        { name: 'col', type: 'uint8' },
+        { name: 'player', type: 'address' },
+        { name: 'prevHash', type: 'bytes32' }
+    ]
+};
+
+const FORFEIT_TYPES = {
+    Forfeit: [
+        { name: 'matchId', type: 'bytes32' },
+        { name: 'player', type: 'address' }
+    ]
+};
+
+// Payment tokens accepted by TokenStore (USDT, DAI, ...)
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function allowance(address,address) view returns (uint256)",
+    "function approve(address,uint256) returns (bool)"
+];
+
 class TriXTicTacToeGame {
     constructor() {
         // Wallet and blockchain
@@ -5,14 +42,18 @@ class TriXTicTacToeGame {
         this.signer = null;
         this.address = null;
         this.contracts = {};
+        this.paymentTokens = [];
 
         // Game state
         this.socket = null;
+        // Counts down from the clocks the server sends with every move
+        this.clock = MatchClock.createClock((clock) => this.renderClock(clock));
         this.currentMatch = null;
+        this.endedMatchId = null; // Last match whose result was handled
+        this.game = GameRules.getGame();
         this.gameState = {
-            board: Array(9).fill(''),
+            state: this.game.createState(), // Board and whose turn it is
             mySymbol: null,
-            currentPlayer: 'X',
             gameActive: false,
             isMyTurn: false
         };
@@ -51,9 +92,11 @@ class TriXTicTacToeGame {
         document.getElementById('forfeitGame').addEventListener('click', () => this.forfeitGame());
         document.getElementById('playAgain').addEventListener('click', () => this.playAgain());
 
-        // Game board
-        document.querySelectorAll('.cell').forEach(cell => {
-            cell.addEventListener('click', (e) => this.makeMove(parseInt(e.target.dataset.index)));
+        // Game board; the cells are built for each match in buildBoard
+        document.getElementById('gameBoard').addEventListener('click', (e) => {
+            if (e.target.classList.contains('cell')) {
+                this.makeMove(parseInt(e.target.dataset.index));
+            }
         });
     }
 
@@ -81,6 +124,7 @@ class TriXTicTacToeGame {
 
             // Initialize contracts
             await this.initializeContracts();
+            await this.loadPaymentTokens();
 
             // Load balances
             await this.loadBalances();
@@ -103,7 +147,9 @@ class TriXTicTacToeGame {
                 "function balanceOf(address) view returns (uint256)",
                 "function approve(address,uint256) returns (bool)",
                 "function transfer(address,uint256) returns (bool)",
-                "function allowance(address,address) view returns (uint256)"
+                "function allowance(address,address) view returns (uint256)",
+                "function name() view returns (string)",
+                "function nonces(address) view returns (uint256)"
             ];
 
             this.contracts.gameToken = new ethers.Contract(
@@ -114,8 +160,10 @@ class TriXTicTacToeGame {
 
             // TokenStore contract
             const tokenStoreABI = [
-                "function buy(uint256) external",
-                "function getGTAmount(uint256) view returns (uint256)"
+                "function buy(address,uint256,uint256) external",
+                "function getGTAmount(address,uint256) view returns (uint256)",
+                "function getPaymentTokens() view returns (address[])",
+                "function paymentTokens(address) view returns (bool accepted,uint8 decimals,uint256 gtPerToken,uint256 totalReceived)"
             ];
 
             this.contracts.tokenStore = new ethers.Contract(
@@ -128,8 +176,9 @@ class TriXTicTacToeGame {
             const playGameABI = [
                 "function createMatch(bytes32,address,address,uint256) external",
                 "function stake(bytes32) external",
+                "function stakeWithPermit(bytes32,uint256,uint8,bytes32,bytes32) external",
                 "function commitResult(bytes32,address) external",
-                "function getMatch(bytes32) view returns (tuple(bytes32,address,address,uint256,uint8,uint256,bool,bool))"
+                "function getMatch(bytes32) view returns (tuple(bytes32,address,address,uint256,uint8,uint256,bool,bool,uint256,uint256))"
             ];
 
             this.contracts.playGame = new ethers.Contract(
@@ -176,19 +225,60 @@ class TriXTicTacToeGame {
         document.getElementById('walletInfo').classList.remove('hidden');
     }
 
+    async loadPaymentTokens() {
+        const addresses = await this.contracts.tokenStore.getPaymentTokens();
+        this.paymentTokens = await Promise.all(addresses.map(async (address) => {
+            const contract = new ethers.Contract(address, ERC20_ABI, this.signer);
+            const [symbol, entry] = await Promise.all([
+                contract.symbol(),
+                this.contracts.tokenStore.paymentTokens(address)
+            ]);
+            return { address, symbol, decimals: entry.decimals, gtPerToken: entry.gtPerToken, contract };
+        }));
+
+        const select = document.getElementById('paymentToken');
+        select.innerHTML = this.paymentTokens
+            .map(token => `<option value="${token.address}">${token.symbol}</option>`)
+            .join('');
+        select.onchange = () => this.updateExchangeRate();
+        this.updateExchangeRate();
+    }
+
+    getSelectedPaymentToken() {
+        const address = document.getElementById('paymentToken').value;
+        return this.paymentTokens.find(token => token.address === address);
+    }
+
+    updateExchangeRate() {
+        const token = this.getSelectedPaymentToken();
+        if (token) {
+            document.getElementById('exchangeRate').textContent =
+                `1 ${token.symbol} = ${ethers.formatEther(token.gtPerToken)} GT`;
+        }
+    }
+
     async buyGTTokens() {
         try {
-            const usdtAmount = document.getElementById('usdtAmount').value;
-            if (!usdtAmount || usdtAmount <= 0) {
-                alert('Please enter a valid USDT amount');
+            const amount = document.getElementById('usdtAmount').value;
+            const token = this.getSelectedPaymentToken();
+            if (!amount || amount <= 0 || !token) {
+                alert('Please enter a valid payment amount');
                 return;
             }
 
-            // Convert USDT amount to wei (6 decimals)
-            const usdtAmountWei = ethers.parseUnits(usdtAmount, 6);
+            // Convert to the payment token's own decimals
+            const amountWei = ethers.parseUnits(amount, token.decimals);
+            const gtOut = await this.contracts.tokenStore.getGTAmount(token.address, amountWei);
+
+            const allowance = await token.contract.allowance(this.address, this.contractAddresses.tokenStore);
+            if (allowance < amountWei) {
+                const approveTx = await token.contract.approve(this.contractAddresses.tokenStore, amountWei);
+                console.log(`🔄 Approving ${token.symbol}...`, approveTx.hash);
+                await approveTx.wait();
+            }
 
-            // Buy GT tokens through TokenStore
-            const tx = await this.contracts.tokenStore.buy(usdtAmountWei);
+            // Buy GT tokens through TokenStore, requiring at least the quoted amount
+            const tx = await this.contracts.tokenStore.buy(token.address, amountWei, gtOut);
             console.log('🔄 Buying GT tokens...', tx.hash);
 
             // Wait for confirmation
@@ -197,7 +287,7 @@ class TriXTicTacToeGame {
             // Reload balances
             await this.loadBalances();
 
-            alert(`✅ Successfully bought ${usdtAmount} GT tokens!`);
+            alert(`✅ Successfully bought ${ethers.formatEther(gtOut)} GT tokens!`);
 
         } catch (error) {
             console.error('❌ Failed to buy GT tokens:', error);
@@ -230,9 +320,11 @@ class TriXTicTacToeGame {
             await this.connectToMatchmaking();
 
             // Send match request
+            // Only players picking the same game and time control are matched together
             this.socket.emit('findMatch', {
-                address: this.address,
                 stake: parseFloat(stakeAmount),
+                gameType: document.getElementById('gameType').value,
+                timeControl: this.selectedTimeControl(),
                 timestamp: Date.now()
             });
 
@@ -247,29 +339,101 @@ class TriXTicTacToeGame {
 
     async connectToMatchmaking() {
         return new Promise((resolve, reject) => {
-            this.socket = io(this.matchmakingUrl);
+            // Reconnects on its own, quickly enough to get back within the
+            // server's grace period after a dropped connection
+            this.socket = io(this.matchmakingUrl, { reconnectionDelayMax: 5000 });
 
+            // Sign in with the wallet once connected, and again after every
+            // reconnect; the server acts for the address proven here, so
+            // payloads no longer carry our address
             this.socket.on('connect', () => {
                 console.log('🔗 Connected to matchmaking server');
+                this.socket.emit('requestChallenge', { address: this.address });
+            });
+
+            this.socket.on('authChallenge', async ({ message }) => {
+                try {
+                    this.socket.emit('authenticate', { signature: await this.signer.signMessage(message) });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+            // Back from a dropped connection mid-match, ask for our seat back
+            this.socket.on('authenticated', () => {
+                if (this.currentMatch) {
+                    this.socket.emit('resumeMatch', { matchId: this.currentMatch.matchId });
+                }
                 resolve();
             });
 
+            this.socket.on('authError', ({ message }) => {
+                console.error('Matchmaking sign-in failed:', message);
+                reject(new Error(message));
+            });
+
             this.socket.on('matchFound', (matchData) => {
                 this.handleMatchFound(matchData);
             });
 
-            this.socket.on('bothStaked', (matchData) => {
-                this.startGame(matchData);
+            this.socket.on('matchResumed', (match) => {
+                this.restoreMatch(match);
+            });
+
+            // Player 1 created the match on-chain, so player 2 can stake in it
+            this.socket.on('matchCreatedOnChain', ({ matchId, blockchainMatchId }) => {
+                if (matchId !== this.currentMatch?.matchId) return;
+                this.currentMatch.blockchainMatchId = blockchainMatchId;
+                document.getElementById('confirmStake').disabled = false;
+            });
+
+            // The server runs the clocks; our countdown only keeps in step
+            this.socket.on('gameStart', (data) => {
+                this.clock.update(data.clock);
+                this.startGame(data);
+            });
+
+            // Every move the server accepted, ours included
+            this.socket.on('moveMade', ({ row, col, lastMoveHash, clock }) => {
+                this.clock.update(clock);
+                this.currentMatch.lastMoveHash = lastMoveHash;
+                this.playMove({ row, col });
             });
 
-            this.socket.on('opponentMove', (moveData) => {
-                this.handleOpponentMove(moveData);
+            this.socket.on('moveRejected', ({ reason }) => {
+                document.getElementById('gameStatus').textContent = `Move rejected: ${reason}`;
+                document.getElementById('gameStatus').className = 'status error';
+            });
+
+            this.socket.on('opponentDisconnected', ({ reconnectBy }) => {
+                const seconds = Math.round((reconnectBy - Date.now()) / 1000);
+                document.getElementById('gameStatus').textContent =
+                    `Opponent disconnected, they have ${seconds}s to come back`;
+                document.getElementById('gameStatus').className = 'status warning';
+            });
+
+            this.socket.on('opponentReconnected', () => {
+                this.updateTurnDisplay();
+            });
+
+            this.socket.on('disconnect', () => {
+                if (this.currentMatch) {
+                    document.getElementById('gameStatus').textContent = 'Connection lost, reconnecting...';
+                    document.getElementById('gameStatus').className = 'status warning';
+                }
             });
 
             this.socket.on('gameEnd', (resultData) => {
                 this.handleGameEnd(resultData);
             });
 
+            // Result of a timeout or disconnect committed by the matchmaking server
+            this.socket.on('matchSettled', ({ matchId, txHash }) => {
+                if (matchId !== this.currentMatch?.matchId) return;
+                this.showGameResult(this.gameState.result, txHash);
+                this.loadBalances();
+            });
+
             this.socket.on('connect_error', (error) => {
                 console.error('❌ Matchmaking connection error:', error);
                 reject(error);
@@ -281,14 +445,19 @@ class TriXTicTacToeGame {
         console.log('🎉 Match found:', matchData);
 
         this.currentMatch = matchData;
+        this.game = GameRules.getGame(matchData.gameType);
 
         // Hide searching, show match found
         document.getElementById('searchingStatus').classList.add('hidden');
         document.getElementById('startGameSection').classList.add('hidden');
         document.getElementById('matchFoundSection').classList.remove('hidden');
 
+        // Player 2 stakes once player 1 has created the match on-chain
+        document.getElementById('confirmStake').disabled =
+            !this.isPlayer1() && !matchData.blockchainMatchId;
+
         // Update match info
-        const opponent = matchData.player1 === this.address ? matchData.player2 : matchData.player1;
+        const opponent = this.isPlayer1() ? matchData.player2 : matchData.player1;
         document.getElementById('opponentAddress').textContent =
             opponent.substring(0, 6) + '...' + opponent.substring(38);
         document.getElementById('matchStake').textContent = matchData.stake;
@@ -296,41 +465,44 @@ class TriXTicTacToeGame {
         document.getElementById('winnerAmount').textContent = matchData.stake * 2;
     }
 
+    isPlayer1() {
+        return this.currentMatch.player1.toLowerCase() === this.address.toLowerCase();
+    }
+
     async confirmStake() {
         try {
             const stakeAmountWei = ethers.parseUnits(this.currentMatch.stake.toString(), 18);
 
-            // Step 1: Approve GT spending
-            console.log('🔄 Approving GT token spending...');
-            const approveTx = await this.contracts.gameToken.approve(
-                this.contractAddresses.playGame,
-                stakeAmountWei
-            );
-            await approveTx.wait();
+            // Step 1: Sign a GT spending permit (no approve transaction)
+            console.log('🔄 Signing GT spending permit...');
+            const { deadline, v, r, s } = await this.signStakePermit(stakeAmountWei);
+
+            // Step 2: Player 1 creates the match on blockchain (via API); player 2 was told its id
+            if (this.isPlayer1() && !this.currentMatch.blockchainMatchId) {
+                console.log('🔄 Creating match on blockchain...');
+                const matchResponse = await fetch(`${this.apiUrl}/match/start`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        p1: this.currentMatch.player1,
+                        p2: this.currentMatch.player2,
+                        stake: this.currentMatch.stake,
+                        matchId: this.currentMatch.matchId,
+                        gameType: this.game.name
+                    })
+                });
 
-            // Step 2: Create match on blockchain (via API)
-            console.log('🔄 Creating match on blockchain...');
-            const matchResponse = await fetch(`${this.apiUrl}/match/start`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    p1: this.currentMatch.player1,
-                    p2: this.currentMatch.player2,
-                    stake: this.currentMatch.stake,
-                    matchId: this.currentMatch.matchId
-                })
-            });
+                if (!matchResponse.ok) {
+                    throw new Error('Failed to create match on blockchain');
+                }
 
-            if (!matchResponse.ok) {
-                throw new Error('Failed to create match on blockchain');
+                const matchResult = await matchResponse.json();
+                this.currentMatch.blockchainMatchId = matchResult.matchId;
             }
 
-            const matchResult = await matchResponse.json();
-            this.currentMatch.blockchainMatchId = matchResult.matchId;
-
             // Step 3: Stake tokens
             console.log('🔄 Staking GT tokens...');
-            const stakeTx = await this.contracts.playGame.stake(matchResult.matchId);
+            const stakeTx = await this.contracts.playGame.stakeWithPermit(this.currentMatch.blockchainMatchId, deadline, v, r, s);
             await stakeTx.wait();
 
             // Reload balances
@@ -340,11 +512,22 @@ class TriXTicTacToeGame {
             document.getElementById('stakingStatus').classList.remove('hidden');
             document.getElementById('confirmStake').disabled = true;
 
-            // Notify matchmaking server
-            this.socket.emit('playerStaked', {
-                matchId: this.currentMatch.matchId,
-                address: this.address
-            });
+            // Notify matchmaking server; moves are signed for the on-chain
+            // match, so it has to know which one player 1 created
+            if (this.isPlayer1()) {
+                this.socket.emit('matchCreated', {
+                    matchId: this.currentMatch.matchId,
+                    blockchainMatchId: this.currentMatch.blockchainMatchId
+                });
+                this.socket.emit('notifyPlayer2', {
+                    matchId: this.currentMatch.matchId,
+                    blockchainMatchId: this.currentMatch.blockchainMatchId
+                });
+            } else {
+                this.socket.emit('playerStaked', {
+                    matchId: this.currentMatch.matchId
+                });
+            }
 
             console.log('✅ Successfully staked tokens');
 
@@ -354,32 +537,52 @@ class TriXTicTacToeGame {
         }
     }
 
+    async signStakePermit(amountWei) {
+        const deadline = Math.floor(Date.now() / 1000) + 60 * 60;
+        const domain = {
+            name: await this.contracts.gameToken.name(),
+            version: '1',
+            chainId: (await this.provider.getNetwork()).chainId,
+            verifyingContract: this.contractAddresses.gameToken
+        };
+        const permit = {
+            owner: this.address,
+            spender: this.contractAddresses.playGame,
+            value: amountWei,
+            nonce: await this.contracts.gameToken.nonces(this.address),
+            deadline
+        };
+
+        const signature = await this.signer.signTypedData(domain, PERMIT_TYPES, permit);
+        const { v, r, s } = ethers.Signature.from(signature);
+        return { deadline, v, r, s };
+    }
+
     cancelMatch() {
         if (this.socket) {
             this.socket.emit('cancelMatch', {
-                matchId: this.currentMatch?.matchId,
-                address: this.address
+                matchId: this.currentMatch?.matchId
             });
         }
 
         this.resetToStart();
     }
 
-    startGame(matchData) {
+    startGame({ matchId, symbol, isFirst, transcriptDomain, lastMoveHash }) {
+        if (matchId !== this.currentMatch?.matchId) return;
         console.log('🎮 Both players staked! Starting game...');
 
-        // Set player symbol
-        this.gameState.mySymbol = matchData.player1 === this.address ? 'X' : 'O';
-        this.gameState.currentPlayer = 'X';
+        // The server says which symbol we play, the domain moves are signed
+        // under and the hash the first move chains onto
+        this.currentMatch.transcriptDomain = transcriptDomain;
+        this.currentMatch.lastMoveHash = lastMoveHash;
+        this.gameState.mySymbol = symbol;
         this.gameState.gameActive = true;
-        this.gameState.isMyTurn = this.gameState.mySymbol === 'X';
+        this.gameState.isMyTurn = !!isFirst;
 
         // Reset board
-        this.gameState.board = Array(9).fill('');
-        document.querySelectorAll('.cell').forEach(cell => {
-            cell.textContent = '';
-            cell.classList.remove('disabled', 'x', 'o');
-        });
+        this.gameState.state = this.game.createState();
+        this.buildBoard();
 
         // Show game section
         document.getElementById('matchFoundSection').classList.add('hidden');
@@ -388,93 +591,140 @@ class TriXTicTacToeGame {
         // Update game info
         document.getElementById('gameMatchId').textContent = this.currentMatch.matchId;
         document.getElementById('playerSymbol').textContent = this.gameState.mySymbol;
+        document.getElementById('gameName').textContent = this.game.name;
         this.updateTurnDisplay();
     }
 
-    makeMove(index) {
-        if (!this.gameState.gameActive ||
-            !this.gameState.isMyTurn ||
-            this.gameState.board[index] !== '') {
-            return;
-        }
+    // Time control picked in the form, as the server expects it
+    selectedTimeControl() {
+        const [moveSeconds, gameSeconds] = document.getElementById('timeControl').value.split('/').map(Number);
+        return { moveSeconds, gameSeconds };
+    }
 
-        // Make move locally
-        this.gameState.board[index] = this.gameState.mySymbol;
-        document.querySelectorAll('.cell')[index].textContent = this.gameState.mySymbol;
-        document.querySelectorAll('.cell')[index].classList.add(this.gameState.mySymbol.toLowerCase());
+    renderClock({ running, text }) {
+        document.getElementById('gameClock').textContent =
+            `⏱ X ${text.X} • O ${text.O}` + (running ? ` • This move ${text.move}` : '');
+    }
 
-        // Check for win/draw
-        const winner = this.checkWinner();
-        const isDraw = this.checkDraw();
+    // Put a match the server resumed back on screen, board and turn included
+    restoreMatch(match) {
+        console.log('🔄 Match resumed:', match);
 
-        if (winner || isDraw) {
-            this.endGame(winner, isDraw);
-        } else {
-            // Switch turns
-            this.gameState.currentPlayer = this.gameState.currentPlayer === 'X' ? 'O' : 'X';
-            this.gameState.isMyTurn = this.gameState.currentPlayer === this.gameState.mySymbol;
-            this.updateTurnDisplay();
+        if (match.status === 'CREATED') {
+            this.handleMatchFound(match);
+            return;
         }
 
-        // Send move to opponent
-        this.socket.emit('makeMove', {
-            matchId: this.currentMatch.matchId,
-            index: index,
-            symbol: this.gameState.mySymbol,
-            board: this.gameState.board
+        this.currentMatch = match;
+        this.game = GameRules.getGame(match.gameType);
+        this.clock.update(match.clock);
+        this.gameState.mySymbol = match.symbol;
+        this.gameState.gameActive = match.gameActive;
+        this.gameState.isMyTurn = match.gameActive && match.state.turn === match.symbol;
+        this.gameState.state = match.state;
+        this.buildBoard();
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            const value = match.state.board[index];
+            cell.textContent = value;
+            if (value) cell.classList.add(value.toLowerCase());
         });
-    }
-
-    handleOpponentMove(moveData) {
-        if (!this.gameState.gameActive) return;
 
-        // Update board with opponent's move
-        this.gameState.board = moveData.board;
-        document.querySelectorAll('.cell')[moveData.index].textContent = moveData.symbol;
-        document.querySelectorAll('.cell')[moveData.index].classList.add(moveData.symbol.toLowerCase());
+        // Show game section
+        document.getElementById('searchingStatus').classList.add('hidden');
+        document.getElementById('startGameSection').classList.add('hidden');
+        document.getElementById('matchFoundSection').classList.add('hidden');
+        document.getElementById('gamePlaySection').classList.remove('hidden');
 
-        // Check for win/draw
-        const winner = this.checkWinner();
-        const isDraw = this.checkDraw();
+        // Update game info
+        document.getElementById('gameMatchId').textContent = match.matchId;
+        document.getElementById('playerSymbol').textContent = match.symbol;
+        document.getElementById('gameName').textContent = this.game.name;
+        this.updateTurnDisplay();
+    }
 
-        if (winner || isDraw) {
-            this.endGame(winner, isDraw);
-        } else {
-            // Switch turns
-            this.gameState.currentPlayer = this.gameState.currentPlayer === 'X' ? 'O' : 'X';
-            this.gameState.isMyTurn = this.gameState.currentPlayer === this.gameState.mySymbol;
-            this.updateTurnDisplay();
+    // One cell per square of the match's game, spacing out the small boards
+    // of ultimate tic-tac-toe
+    buildBoard() {
+        const board = document.getElementById('gameBoard');
+        const { rows, cols, blockSize } = this.game;
+        board.innerHTML = '';
+        board.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+        board.classList.toggle('large', cols > 3);
+
+        for (let index = 0; index < rows * cols; index++) {
+            const { row, col } = this.game.toMove(index);
+            const cell = document.createElement('button');
+            cell.className = 'cell';
+            cell.dataset.index = index;
+            if (blockSize && col > 0 && col % blockSize === 0) cell.classList.add('block-left');
+            if (blockSize && row > 0 && row % blockSize === 0) cell.classList.add('block-top');
+            board.appendChild(cell);
         }
     }
 
-    checkWinner() {
-        const winPatterns = [
-            [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-            [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
-            [0, 4, 8], [2, 4, 6] // Diagonals
-        ];
+    // Outline the cells the player may use on their turn
+    highlightPlayable(isMyTurn) {
+        const playable = new Set(
+            this.game.legalMoves(this.gameState.state).map(move => this.game.toIndex(move))
+        );
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            cell.classList.toggle('playable', isMyTurn && playable.has(index));
+        });
+    }
 
-        for (const pattern of winPatterns) {
-            const [a, b, c] = pattern;
-            if (this.gameState.board[a] &&
-                this.gameState.board[a] === this.gameState.board[b] &&
-                this.gameState.board[a] === this.gameState.board[c]) {
-                return this.gameState.board[a];
-            }
+    async makeMove(index) {
+        const { row, col } = this.game.toMove(index);
+        if (!this.gameState.gameActive ||
+            !this.gameState.isMyTurn ||
+            this.game.validateMove(this.gameState.state, { row, col })) {
+            return;
+        }
+
+        try {
+            // Sign the move so the result can be verified from the transcript;
+            // it is played once the server sends it back in moveMade
+            const signature = await this.signer.signTypedData(this.currentMatch.transcriptDomain, MOVE_TYPES, {
+                matchId: this.currentMatch.blockchainMatchId,
+                moveNumber: this.gameState.state.moveCount, // Numbered from 0 in play order
+                row,
+                col,
+                player: this.address,
+                prevHash: this.currentMatch.lastMoveHash // Chains the move onto the game so far
+            });
+
+            this.socket.emit('makeMove', {
+                matchId: this.currentMatch.matchId,
+                row,
+                col,
+                signature
+            });
+        } catch (error) {
+            console.error('❌ Move signing failed:', error);
+            document.getElementById('gameStatus').textContent = `Move not sent: ${error.message}`;
+            document.getElementById('gameStatus').className = 'status error';
         }
-        return null;
     }
 
-    checkDraw() {
-        return this.gameState.board.every(cell => cell !== '');
+    // Apply a move the server accepted and pass the turn; the move that
+    // ends the game comes with gameEnd instead
+    playMove(move) {
+        const symbol = this.gameState.state.turn;
+        const cell = document.querySelectorAll('.cell')[this.game.toIndex(move)];
+        this.gameState.state = this.game.applyMove(this.gameState.state, move);
+        cell.textContent = symbol;
+        cell.classList.add(symbol.toLowerCase());
+
+        this.gameState.isMyTurn = this.gameState.state.turn === this.gameState.mySymbol;
+        this.updateTurnDisplay();
     }
 
-    async endGame(winner, isDraw) {
+    async endGame(winner, isDraw, { winnerAddress, reason, transcript }) {
         this.gameState.gameActive = false;
 
         // Disable all cells
         document.querySelectorAll('.cell').forEach(cell => {
             cell.classList.add('disabled');
+            cell.classList.remove('playable');
         });
 
         let result;
@@ -491,58 +741,46 @@ class TriXTicTacToeGame {
             document.getElementById('gameStatus').textContent = "😔 You lost!";
             document.getElementById('gameStatus').className = 'status error';
         }
+        this.gameState.result = result;
+
+        // Nobody signs for running out of time or dropping out, so the
+        // server settles those itself (see matchSettled)
+        if (reason === 'TIMEOUT' || reason === 'DISCONNECT') {
+            document.getElementById('gameStatus').textContent += ' The server is settling the match...';
+            return;
+        }
 
-        // Submit result to blockchain and process payout
-        await this.submitGameResult(result, winner);
+        // One player submits the signed transcript: the winner, or player 1 for a draw
+        if (isDraw ? this.isPlayer1() : result === 'WIN') {
+            await this.submitGameResult(result, winnerAddress, transcript);
+        } else {
+            this.showGameResult(result);
+        }
     }
 
-    async submitGameResult(result, winner) {
+    async submitGameResult(result, winnerAddress, transcript) {
         try {
             console.log('🔄 Submitting game result to blockchain...');
 
-            const winnerAddress = result === 'DRAW' ? ethers.constants.AddressZero :
-                result === 'WIN' ? this.address :
-                    (this.currentMatch.player1 === this.address ? this.currentMatch.player2 : this.currentMatch.player1);
-
-            // Submit result via TriX API (which calls the smart contract)
+            // Submit result via TriX API, which replays the transcript before
+            // calling the smart contract
             const resultResponse = await fetch(`${this.apiUrl}/match/result`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     matchId: this.currentMatch.blockchainMatchId,
-                    winner: winnerAddress
+                    winner: winnerAddress,
+                    result: result === 'DRAW' ? 'DRAW' : 'WIN',
+                    transcript
                 })
             });
 
-            if (!resultResponse.ok) {
-                throw new Error('Failed to submit game result');
-            }
-
             const resultData = await resultResponse.json();
-
-            // Show result section
-            document.getElementById('gamePlaySection').classList.add('hidden');
-            document.getElementById('gameResultSection').classList.remove('hidden');
-
-            // Update result info
-            if (result === 'WIN') {
-                document.getElementById('resultStatus').textContent = '🎉 You won! Congratulations!';
-                document.getElementById('resultStatus').className = 'status success';
-                document.getElementById('gameWinner').textContent = 'You';
-                document.getElementById('payoutAmount').textContent = this.currentMatch.stake * 2;
-            } else if (result === 'LOSE') {
-                document.getElementById('resultStatus').textContent = '😔 You lost! Better luck next time!';
-                document.getElementById('resultStatus').className = 'status error';
-                document.getElementById('gameWinner').textContent = 'Opponent';
-                document.getElementById('payoutAmount').textContent = this.currentMatch.stake * 2;
-            } else {
-                document.getElementById('resultStatus').textContent = "🤝 It's a draw! Stakes returned.";
-                document.getElementById('resultStatus').className = 'status warning';
-                document.getElementById('gameWinner').textContent = 'No winner';
-                document.getElementById('payoutAmount').textContent = this.currentMatch.stake;
+            if (!resultResponse.ok) {
+                throw new Error(resultData.error || 'Failed to submit game result');
             }
 
-            document.getElementById('txLink').href = `https://etherscan.io/tx/${resultData.txHash}`;
+            this.showGameResult(result, resultData.txHash);
 
             // Reload balances to show updated GT
             await this.loadBalances();
@@ -555,20 +793,51 @@ class TriXTicTacToeGame {
         }
     }
 
-    forfeitGame() {
-        if (confirm('Are you sure you want to forfeit? You will lose your stake.')) {
-            this.gameState.gameActive = false;
+    showGameResult(result, txHash) {
+        // Show result section
+        document.getElementById('gamePlaySection').classList.add('hidden');
+        document.getElementById('gameResultSection').classList.remove('hidden');
+
+        // Update result info
+        if (result === 'WIN') {
+            document.getElementById('resultStatus').textContent = '🎉 You won! Congratulations!';
+            document.getElementById('resultStatus').className = 'status success';
+            document.getElementById('gameWinner').textContent = 'You';
+            document.getElementById('payoutAmount').textContent = this.currentMatch.stake * 2;
+        } else if (result === 'LOSE') {
+            document.getElementById('resultStatus').textContent = '😔 You lost! Better luck next time!';
+            document.getElementById('resultStatus').className = 'status error';
+            document.getElementById('gameWinner').textContent = 'Opponent';
+            document.getElementById('payoutAmount').textContent = this.currentMatch.stake * 2;
+        } else {
+            document.getElementById('resultStatus').textContent = "🤝 It's a draw! Stakes returned.";
+            document.getElementById('resultStatus').className = 'status warning';
+            document.getElementById('gameWinner').textContent = 'No winner';
+            document.getElementById('payoutAmount').textContent = this.currentMatch.stake;
+        }
+
+        // The opponent's submission has no transaction for us to link to
+        if (txHash) {
+            document.getElementById('txLink').href = `https://etherscan.io/tx/${txHash}`;
+        }
+    }
+
+    async forfeitGame() {
+        if (confirm('Are you sure you want to forfeit? You will lose your stake.') && this.socket) {
+            try {
+                // The forfeit only counts signed; the loss comes back with gameEnd
+                const signature = await this.signer.signTypedData(this.currentMatch.transcriptDomain, FORFEIT_TYPES, {
+                    matchId: this.currentMatch.blockchainMatchId,
+                    player: this.address
+                });
 
-            if (this.socket) {
                 this.socket.emit('forfeitMatch', {
                     matchId: this.currentMatch.matchId,
-                    address: this.address
+                    signature
                 });
+            } catch (error) {
+                console.error('❌ Forfeit signing failed:', error);
             }
-
-            // Process as loss
-            this.submitGameResult('LOSE',
-                this.currentMatch.player1 === this.address ? this.currentMatch.player2 : this.currentMatch.player1);
         }
     }
 
@@ -584,6 +853,7 @@ class TriXTicTacToeGame {
         document.getElementById('currentTurn').textContent = turnText;
         document.getElementById('gameStatus').textContent = turnText;
         document.getElementById('gameStatus').className = 'status info';
+        this.highlightPlayable(this.gameState.isMyTurn);
     }
 
     resetMatchmaking() {
@@ -595,9 +865,8 @@ class TriXTicTacToeGame {
         // Reset game state
         this.currentMatch = null;
         this.gameState = {
-            board: Array(9).fill(''),
+            state: this.game.createState(),
             mySymbol: null,
-            currentPlayer: 'X',
             gameActive: false,
             isMyTurn: false
         };
@@ -623,9 +892,23 @@ class TriXTicTacToeGame {
         }
     }
 
+    // The server decides how every game ends, the last move included
     handleGameEnd(resultData) {
         console.log('🏁 Game ended:', resultData);
-        // Game end is handled by local game logic
+        this.clock.stop();
+
+        // A resumed match sends its result again; handle it once
+        if (!this.currentMatch || this.endedMatchId === this.currentMatch.matchId) return;
+        this.endedMatchId = this.currentMatch.matchId;
+
+        const { winner, finalBoard } = resultData;
+        document.querySelectorAll('.cell').forEach((cell, index) => {
+            if (finalBoard[index]) {
+                cell.textContent = finalBoard[index];
+                cell.classList.add(finalBoard[index].toLowerCase());
+            }
+        });
+        this.endGame(winner === 'DRAW' ? null : winner, winner === 'DRAW', resultData);
     }
 }
 